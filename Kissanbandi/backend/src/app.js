@@ -7,12 +7,27 @@ const cors = require('cors');
 const morgan = require('morgan');
 const path = require('path');
 const connectDB = require('./config/database');
+const { startReservationSweeper } = require('./jobs/reservationSweeper');
+const { startSubscriptionScheduler } = require('./jobs/subscriptionScheduler');
+const { startLowStockDigest } = require('./jobs/lowStockDigest');
+const { startBatchExpiry } = require('./jobs/batchExpiry');
+const { startCartReminders } = require('./jobs/cartReminders');
 
 // Import routes
 const productRoutes = require('./routes/productRoutes');
 const userRoutes = require('./routes/userRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const slotRoutes = require('./routes/slotRoutes');
+const zoneRoutes = require('./routes/zoneRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const farmerRoutes = require('./routes/farmerRoutes');
+const sellerRoutes = require('./routes/sellerRoutes');
+const creditRoutes = require('./routes/creditRoutes');
+const cartRoutes = require('./routes/cartRoutes');
 
 // Validate required environment variables
 const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET'];
@@ -27,10 +42,19 @@ for (const envVar of requiredEnvVars) {
 const app = express();
 
 // Connect to database
-connectDB().catch(err => {
-  console.error('Failed to connect to MongoDB:', err);
-  process.exit(1);
-});
+connectDB()
+  .then(() => {
+    // Background jobs need the database
+    startReservationSweeper();
+    startSubscriptionScheduler();
+    startLowStockDigest();
+    startBatchExpiry();
+    startCartReminders();
+  })
+  .catch(err => {
+    console.error('Failed to connect to MongoDB:', err);
+    process.exit(1);
+  });
 
 // Middleware
 const allowedOrigins = [
@@ -54,11 +78,17 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Cache-Control', 'Pragma'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Content-Disposition'],
   maxAge: 600
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
 
@@ -76,6 +106,16 @@ app.use('/api/products', productRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/slots', slotRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/farmers', farmerRoutes);
+app.use('/api/seller', sellerRoutes);
+app.use('/api/credit', creditRoutes);
+app.use('/api/cart', cartRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,16 @@
+// Abandoned-cart reminder emails (utils/cartReminders.js, jobs/cartReminders.js)
+const cartReminderConfig = {
+  // Carts nobody has touched for this many hours count as abandoned
+  abandonedAfterHours: Number(process.env.CART_REMINDER_AFTER_HOURS) || 24,
+
+  // Carts left for longer than this are not chased any more
+  maxAgeDays: Number(process.env.CART_REMINDER_MAX_AGE_DAYS) || 14,
+
+  // At most one reminder per customer in this many days
+  minDaysBetween: Number(process.env.CART_REMINDER_MIN_DAYS_BETWEEN) || 7,
+
+  // An order this many days after a reminder counts as a recovered cart
+  attributionDays: Number(process.env.CART_REMINDER_ATTRIBUTION_DAYS) || 7
+};
+
+module.exports = cartReminderConfig;
@@ -0,0 +1,18 @@
+// Delivery slot rules used by utils/slots.js. Times are local to `timeZone`.
+const deliveryConfig = {
+  timeZone: process.env.DELIVERY_TIMEZONE || 'Asia/Kolkata',
+
+  // Same-day slots can only be booked before this time of day
+  sameDayCutoff: process.env.SAME_DAY_CUTOFF || '10:00',
+
+  // A slot must start at least this long after booking
+  leadMinutes: Number(process.env.SLOT_LEAD_MINUTES) || 120,
+
+  // How many days ahead (including today) customers can book
+  bookingDays: Number(process.env.SLOT_BOOKING_DAYS) || 7,
+
+  // Subscription orders are placed this many days before each delivery
+  subscriptionLeadDays: Number(process.env.SUBSCRIPTION_LEAD_DAYS) || 1
+};
+
+module.exports = deliveryConfig;
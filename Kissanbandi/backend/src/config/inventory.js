@@ -0,0 +1,25 @@
+// Low-stock alerts (utils/inventory.js, jobs/lowStockDigest.js) and batch
+// shelf life (utils/batchStock.js, jobs/batchExpiry.js)
+const inventoryConfig = {
+  // Reorder level for products that do not set their own
+  defaultReorderLevel: Number(process.env.DEFAULT_REORDER_LEVEL) || 10,
+
+  // Local hour (in DELIVERY_TIMEZONE) the daily low-stock digest goes out
+  digestHour: Number(process.env.LOW_STOCK_DIGEST_HOUR) || 8,
+
+  // Who gets the digest besides admin accounts, comma separated
+  alertEmails: (process.env.LOW_STOCK_ALERT_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean),
+
+  // Batches this many days from expiry count as near expiry
+  nearExpiryDays: Number(process.env.NEAR_EXPIRY_DAYS) || 2,
+
+  // Discount on near-expiry batches; 0 only flags them for removal
+  nearExpiryMarkdownPercent: process.env.NEAR_EXPIRY_MARKDOWN_PERCENT !== undefined
+    ? Number(process.env.NEAR_EXPIRY_MARKDOWN_PERCENT)
+    : 20
+};
+
+module.exports = inventoryConfig;
@@ -0,0 +1,23 @@
+// Seller details and HSN codes printed on GST invoices (utils/invoice.js)
+const invoiceConfig = {
+  seller: {
+    name: process.env.SELLER_NAME || 'KissanBandi',
+    gstin: process.env.SELLER_GSTIN || '',
+    address: process.env.SELLER_ADDRESS || '',
+    // Shipping addresses in this state are charged CGST + SGST, others IGST
+    state: process.env.SELLER_STATE || 'Karnataka',
+    email: process.env.EMAIL_FROM || ''
+  },
+
+  // Invoice numbers look like KB/2026-27/000001
+  numberPrefix: process.env.INVOICE_PREFIX || 'KB',
+
+  // HSN code when the product does not set `hsnCode`
+  // (0709: other vegetables, fresh or chilled)
+  defaultHsn: '0709',
+
+  // SAC code for the delivery charge (goods transport services)
+  deliverySac: '9965'
+};
+
+module.exports = invoiceConfig;
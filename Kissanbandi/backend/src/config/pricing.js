@@ -0,0 +1,32 @@
+// Pricing rules used by utils/pricing.js. Amounts are in rupees.
+const pricingConfig = {
+  // Delivery fee by order value. Bands are checked from the highest
+  // `minSubtotal` down and the first one the subtotal reaches applies.
+  // Delivery zones (DeliveryZone) set their own fee instead.
+  deliveryFeeBands: [
+    { minSubtotal: Number(process.env.FREE_DELIVERY_THRESHOLD) || 500, fee: 0 },
+    { minSubtotal: 0, fee: Number(process.env.DELIVERY_FEE) || 50 }
+  ],
+
+  // Heavy orders pay per kg above the free allowance
+  weight: {
+    freeKg: 20,
+    perKgFee: 5
+  },
+
+  // Weight of one unit when the product does not set `weightPerUnit`
+  unitWeightsKg: {
+    kg: 1,
+    g: 0.001,
+    piece: 0.25,
+    dozen: 1.5,
+    bunch: 0.2
+  },
+
+  // GST rate by product category (fresh produce is exempt by default)
+  taxRates: {
+    default: 0
+  }
+};
+
+module.exports = pricingConfig;
@@ -2,6 +2,7 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { Parser } = require('json2csv');
+const { recoveryStats } = require('../utils/cartReminders');
 
 exports.getDashboardStats = async (req, res) => {
   try {
@@ -21,7 +22,8 @@ exports.getDashboardStats = async (req, res) => {
       orderStats,
       productStats,
       customerStats,
-      dailyRevenue
+      dailyRevenue,
+      cartRecovery
     ] = await Promise.all([
       // Total Revenue
       Order.aggregate([
@@ -99,7 +101,10 @@ exports.getDashboardStats = async (req, res) => {
           }
         },
         { $sort: { '_id': 1 } }
-      ])
+      ]),
+
+      // Abandoned-cart reminders sent and the orders they recovered
+      recoveryStats(dateFilter)
     ]);
 
     // Populate product details
@@ -123,7 +128,8 @@ exports.getDashboardStats = async (req, res) => {
         revenue: product.revenue
       })),
       topCustomers: customerStats,
-      dailyRevenue
+      dailyRevenue,
+      cartRecovery
     });
   } catch (error) {
     console.error('Analytics Error:', error);
@@ -0,0 +1,60 @@
+const cart = require('../utils/cart');
+const { isWholesaleBuyer } = require('../utils/wholesale');
+const { unsubscribe } = require('../utils/cartReminders');
+
+// The signed-in customer's cart with its products
+exports.getCart = async (req, res) => {
+  try {
+    res.json(await cart.getCart(req.user.userId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the cart with `items`: [{ product, variant, quantity }]
+exports.saveCart = async (req, res) => {
+  try {
+    res.json(await cart.saveCart(req.user.userId, req.body.items));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Merge the cart kept while signed out into the saved cart
+exports.mergeCart = async (req, res) => {
+  try {
+    res.json(await cart.mergeCart(req.user.userId, req.body.items));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+exports.clearCart = async (req, res) => {
+  try {
+    res.json(await cart.clearCart(req.user.userId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Check the cart in `items` against live prices, stock and what is on sale
+exports.validateCart = async (req, res) => {
+  try {
+    const wholesale = await isWholesaleBuyer(req.user.userId);
+    res.json(await cart.validateCart(req.body.items, { wholesale }));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Turn off abandoned-cart reminders from the link in the email; `user` and
+// `token` come from the link, so no sign-in is needed
+exports.unsubscribeReminders = async (req, res) => {
+  try {
+    const { user, token } = req.body;
+    const result = await unsubscribe(user, token);
+    res.json({ message: 'You will no longer get cart reminders', ...result });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,209 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { priceWithCoupon } = require('../utils/coupons');
+
+// Fields admins can set; usage counters are maintained by the server
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'minOrderValue',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'categories',
+  'products',
+  'isActive'
+];
+
+const pickCouponFields = (body) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (field in body) {
+      // Empty form fields clear optional limits and dates
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+};
+
+// Redemption totals per coupon, ignoring uses given back by cancellations
+const redemptionStats = async (match = {}) => {
+  const stats = await CouponRedemption.aggregate([
+    { $match: { ...match, status: 'redeemed' } },
+    {
+      $group: {
+        _id: '$coupon',
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: '$discount' },
+        revenue: { $sum: '$orderTotal' },
+        customers: { $addToSet: '$user' },
+        lastRedeemedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $project: {
+        redemptions: 1,
+        totalDiscount: 1,
+        revenue: 1,
+        customers: { $size: '$customers' },
+        lastRedeemedAt: 1
+      }
+    }
+  ]);
+  return new Map(stats.map(stat => [stat._id.toString(), stat]));
+};
+
+const emptyStats = {
+  redemptions: 0,
+  totalDiscount: 0,
+  revenue: 0,
+  customers: 0,
+  lastRedeemedAt: null
+};
+
+// Check a coupon against the cart and return the discounted quote
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, items, pincode } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Order must contain at least one item' });
+    }
+
+    const { quote, coupon } = await priceWithCoupon(
+      items.map(item => ({ product: item.product, quantity: item.quantity })),
+      { couponCode: code, userId: req.user.userId, pincode }
+    );
+
+    res.json({
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount,
+        minOrderValue: coupon.minOrderValue,
+        validUntil: coupon.validUntil
+      },
+      quote
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Get all coupons with redemption stats (admin)
+exports.getCoupons = async (req, res) => {
+  try {
+    const { status, search } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) query.code = { $regex: search.trim(), $options: 'i' };
+
+    const coupons = await Coupon.find(query)
+      .populate('products', 'name')
+      .sort({ createdAt: -1 });
+    const stats = await redemptionStats();
+
+    res.json(coupons.map(coupon => ({
+      ...coupon.toObject(),
+      stats: stats.get(coupon._id.toString()) || emptyStats
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get one coupon with its redemptions (admin)
+exports.getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate('products', 'name');
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .populate('user', 'name email')
+      .populate('order', 'totalAmount status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100);
+    const stats = await redemptionStats({ coupon: coupon._id });
+
+    res.json({
+      ...coupon.toObject(),
+      stats: stats.get(coupon._id.toString()) || emptyStats,
+      redemptions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create coupon (admin)
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.userId
+    });
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update coupon (admin)
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // save() rather than findByIdAndUpdate so the cross-field checks run
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete coupon (admin)
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // Keep redeemed coupons so their stats stay readable
+    const redeemed = await CouponRedemption.exists({ coupon: coupon._id });
+    if (redeemed) {
+      return res.status(400).json({
+        error: 'Coupon has been redeemed; deactivate it instead'
+      });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,102 @@
+const User = require('../models/User');
+const { recordPayment, accountSummary, accountStatement } = require('../utils/credit');
+
+const TERMS = [15, 30];
+
+// The signed-in buyer's credit limit, terms and balance
+exports.getMyAccount = async (req, res) => {
+  try {
+    res.json(await accountSummary(req.user.userId));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// The signed-in buyer's statement; `from` and `to` are optional dates
+exports.getMyStatement = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await accountStatement(req.user.userId, { from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Business accounts with their credit terms and balances (admin)
+exports.getAccounts = async (req, res) => {
+  try {
+    const { search, owing } = req.query;
+    const query = { role: 'business' };
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { gst: pattern }];
+    }
+    if (owing === 'true') query['credit.balance'] = { $gt: 0 };
+
+    const users = await User.find(query)
+      .select('name email phone gst credit')
+      .sort({ 'credit.balance': -1, name: 1 });
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Approve a business account and set its credit limit and payment terms
+// (admin). Approval turns on wholesale prices; a limit of 0 turns paying on
+// account off.
+exports.updateAccount = async (req, res) => {
+  try {
+    const { approved, limit, termsDays } = req.body;
+    const update = {};
+    if (approved !== undefined) {
+      update['credit.approved'] = Boolean(approved);
+    }
+    if (limit !== undefined) {
+      if (!(Number(limit) >= 0)) {
+        return res.status(400).json({ error: 'Credit limit must be zero or more' });
+      }
+      update['credit.limit'] = Number(limit);
+    }
+    if (termsDays !== undefined) {
+      if (!TERMS.includes(Number(termsDays))) {
+        return res.status(400).json({ error: 'Terms must be net 15 or net 30' });
+      }
+      update['credit.termsDays'] = Number(termsDays);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, role: 'business' },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('name email phone gst credit');
+    if (!user) {
+      return res.status(404).json({ error: 'Business account not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Statement of one business account (admin)
+exports.getAccountStatement = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await accountStatement(req.params.userId, { from, to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Record a payment received from a business account (admin)
+exports.recordPayment = async (req, res) => {
+  try {
+    const { amount, reference, note } = req.body;
+    const entry = await recordPayment(req.params.userId, { amount, reference, note }, req.user);
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,150 @@
+const Farmer = require('../models/Farmer');
+const Product = require('../models/Product');
+const { PRIVATE_FIELDS, farmerSales } = require('../utils/farmers');
+
+const FARMER_FIELDS = [
+  'name',
+  'village',
+  'district',
+  'state',
+  'about',
+  'phone',
+  'email',
+  'bankDetails',
+  'certifications',
+  'photos',
+  'isActive'
+];
+
+const pickFarmerFields = (body) => {
+  const data = {};
+  FARMER_FIELDS.forEach(field => {
+    if (field in body) {
+      data[field] = body[field];
+    }
+  });
+  if (Array.isArray(data.photos)) {
+    data.photos = data.photos.filter(Boolean);
+  }
+  return data;
+};
+
+// Active farmers for the public directory
+exports.getFarmers = async (req, res) => {
+  try {
+    const farmers = await Farmer.find({ isActive: true })
+      .select(PRIVATE_FIELDS)
+      .sort({ name: 1 });
+    res.json(farmers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Public farmer profile with the produce sourced from them
+exports.getFarmer = async (req, res) => {
+  try {
+    const farmer = await Farmer.findOne({ _id: req.params.id, isActive: true }).select(PRIVATE_FIELDS);
+    if (!farmer) {
+      return res.status(404).json({ error: 'Farmer not found' });
+    }
+
+    const products = await Product.find({ farmer: farmer._id, status: 'active' })
+      .select('name image price unit category subcategory rating reviews stock variants')
+      .sort({ name: 1 });
+    res.json({ farmer, products });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Every farmer with contact and bank details, and how many products they
+// supply (admin)
+exports.getAllFarmers = async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { village: pattern }, { district: pattern }];
+    }
+
+    const farmers = await Farmer.find(query).sort({ name: 1 }).lean();
+    const counts = await Product.aggregate([
+      { $match: { farmer: { $in: farmers.map(farmer => farmer._id) } } },
+      { $group: { _id: '$farmer', count: { $sum: 1 } } }
+    ]);
+    const countByFarmer = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json(farmers.map(farmer => ({
+      ...farmer,
+      productCount: countByFarmer.get(farmer._id.toString()) || 0
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create farmer (admin)
+exports.createFarmer = async (req, res) => {
+  try {
+    const farmer = new Farmer(pickFarmerFields(req.body));
+    await farmer.save();
+    res.status(201).json(farmer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update farmer (admin)
+exports.updateFarmer = async (req, res) => {
+  try {
+    const farmer = await Farmer.findById(req.params.id);
+    if (!farmer) {
+      return res.status(404).json({ error: 'Farmer not found' });
+    }
+
+    farmer.set(pickFarmerFields(req.body));
+    await farmer.save();
+    res.json(farmer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete farmer (admin). Farmers still supplying products are deactivated
+// instead, so past sales keep their farmer.
+exports.deleteFarmer = async (req, res) => {
+  try {
+    const inUse = await Product.exists({ farmer: req.params.id });
+    if (inUse) {
+      return res.status(409).json({ error: 'This farmer still supplies products; deactivate them instead' });
+    }
+
+    const farmer = await Farmer.findByIdAndDelete(req.params.id);
+    if (!farmer) {
+      return res.status(404).json({ error: 'Farmer not found' });
+    }
+    res.json({ message: 'Farmer deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Sales of a farmer's produce, in total, per product and per month (admin)
+exports.getFarmerSales = async (req, res) => {
+  try {
+    const farmer = await Farmer.findById(req.params.id).select('name');
+    if (!farmer) {
+      return res.status(404).json({ error: 'Farmer not found' });
+    }
+
+    const { from, to } = req.query;
+    const sales = await farmerSales(farmer._id, { from, to });
+    res.json({ farmer, from, to, ...sales });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
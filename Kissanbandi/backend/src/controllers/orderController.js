@@ -1,45 +1,84 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const razorpay = require('../config/razorpay');
 const crypto = require('crypto');
 const RazorpayTransaction = require('../models/RazorpayTransaction');
+const { restoreStock } = require('../utils/stock');
+const { createReservation, releaseReservation } = require('../utils/reservations');
+const { createOrderFromPayment } = require('../utils/payments');
+const { changeOrderStatus } = require('../utils/orderStatus');
+const { getRefundSummary, unrefundedItems, buildRefund, recordRefund } = require('../utils/refunds');
+const { pricingSnapshot, assertDeliverable } = require('../utils/pricing');
+const { priceWithCoupon, releaseCoupon } = require('../utils/coupons');
+const { slotsConfigured, releaseSlot } = require('../utils/slots');
+const { issueInvoice, generateInvoice, invoiceFilename, sendDeliveryEmail } = require('../utils/invoice');
+const { resolveShippingAddress } = require('../utils/addresses');
+const { placeOrder } = require('../utils/orders');
+const { buildPackingAdjustment, applyPacking } = require('../utils/packing');
+const { reverseOrderCharge, adjustOrderCharge } = require('../utils/credit');
+
+// Only product, pack size and quantity are taken from the client; prices come
+// from the server
+const sanitizeItems = (items) => items.map(item => ({
+  product: item.product,
+  variant: item.variant || undefined,
+  quantity: item.quantity
+}));
+
+// Price a cart for checkout without placing an order
+exports.quoteOrder = async (req, res) => {
+  try {
+    const { items, pincode, couponCode } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Order must contain at least one item' });
+    }
+
+    const { quote } = await priceWithCoupon(sanitizeItems(items), {
+      couponCode,
+      userId: req.user.userId,
+      pincode
+    });
+    res.json(quote);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
 
 // Create new order
 exports.createOrder = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { items, shippingAddress, paymentMethod } = req.body;
+    const { items, paymentMethod, couponCode, deliverySlot } = req.body;
 
-    // Validate stock availability and calculate total
-    let totalAmount = 0;
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({ error: `Product ${item.product} not found` });
-      }
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ error: `Insufficient stock for ${product.name}` });
-      }
-      item.price = product.price;
-      totalAmount += product.price * item.quantity;
-
-      // Update product stock
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity }
-      });
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Order must contain at least one item' });
     }
 
-    const order = new Order({
-      user: req.user.userId,
-      items,
-      totalAmount,
-      shippingAddress,
-      paymentMethod
+    const shippingAddress = await resolveShippingAddress(req.user.userId, req.body);
+
+    // Reserve stock and save the order atomically: either every line is
+    // decremented and the order exists, or nothing changes
+    let order;
+    await session.withTransaction(async () => {
+      order = await placeOrder({
+        userId: req.user.userId,
+        items: sanitizeItems(items),
+        shippingAddress,
+        paymentMethod,
+        couponCode,
+        deliverySlot
+      }, session);
     });
 
-    await order.save();
     res.status(201).json(order);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -53,6 +92,7 @@ exports.getAllOrders = async (req, res) => {
     const orders = await Order.find(query)
       .populate('user', 'name email')
       .populate('items.product', 'name price image')
+      .populate('statusHistory.actor', 'name')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit);
@@ -105,7 +145,7 @@ exports.getOrder = async (req, res) => {
     }
 
     // Check if user is authorized to view this order
-    if (req.user.role !== 'admin' && order.user._id.toString() !== req.user.userId) {
+    if (req.user.role !== 'admin' && order.user._id.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
@@ -115,24 +155,85 @@ exports.getOrder = async (req, res) => {
   }
 };
 
+// Download the GST invoice of a delivered order
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (req.user.role !== 'admin' && order.user.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const { invoice, pdf } = await generateInvoice(order._id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoiceFilename(invoice)}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
 // Update order status (admin)
 exports.updateOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('user', 'name email')
-      .populate('items.product', 'name price image');
+    const { status, note } = req.body;
+
+    let order;
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) return;
+
+      changeOrderStatus(order, status, { actor: req.user, note });
+
+      // Cancelled orders give their stock (less what refunds already dealt
+      // with), coupon use, delivery slot and any on-account charge back
+      if (status === 'cancelled') {
+        await restoreStock(await unrefundedItems(order, session), session, {
+          reason: 'cancellation',
+          referenceModel: 'Order',
+          reference: order._id,
+          actor: req.user.userId
+        });
+        await releaseCoupon(order, session);
+        await releaseSlot(order, session);
+        await reverseOrderCharge(order, { actor: req.user }, session);
+      }
+
+      if (status === 'delivered') {
+        await issueInvoice(order, session);
+      }
+
+      await order.save({ session });
+    });
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    // The email should not hold up or fail the status change
+    if (status === 'delivered') {
+      sendDeliveryEmail(order._id).catch(error => {
+        console.error('Error sending delivery email:', error);
+      });
+    }
+
+    await order.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'items.product', select: 'name price image' },
+      { path: 'statusHistory.actor', select: 'name' }
+    ]);
+
     res.json(order);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -165,7 +266,7 @@ exports.cancelOrder = async (req, res) => {
     }
 
     // Check if user is authorized to cancel this order
-    if (req.user.role !== 'admin' && order.user.toString() !== req.user.userId) {
+    if (req.user.role !== 'admin' && order.user.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
@@ -174,16 +275,31 @@ exports.cancelOrder = async (req, res) => {
       return res.status(400).json({ error: 'Order cannot be cancelled' });
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity }
+    // Restore the stock refunds have not already dealt with and cancel in
+    // one transaction
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        changeOrderStatus(order, 'cancelled', {
+          actor: req.user,
+          note: req.body?.reason ||
+            (req.user.role === 'admin' ? 'Cancelled by admin' : 'Cancelled by customer')
+        });
+        await restoreStock(await unrefundedItems(order, session), session, {
+          reason: 'cancellation',
+          referenceModel: 'Order',
+          reference: order._id,
+          actor: req.user.userId
+        });
+        await releaseCoupon(order, session);
+        await releaseSlot(order, session);
+        await reverseOrderCharge(order, { actor: req.user }, session);
+        await order.save({ session });
       });
+    } finally {
+      await session.endSession();
     }
 
-    order.status = 'cancelled';
-    await order.save();
-
     res.json(order);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -265,7 +381,7 @@ exports.exportOrders = async (req, res) => {
         `"${(order.user?.email || '').replace(/"/g, '""')}"`,
         `"${(order.user?.phone || '').replace(/"/g, '""')}"`,
         `"${(order.items || []).map(item => 
-          `${(item.product?.name || '').replace(/"/g, '""')} (${item.quantity || 0} × ₹${item.price || 0})`
+          `${(item.product?.name || '').replace(/"/g, '""')}${item.packSize ? ` ${item.packSize}` : ''} (${item.quantity || 0} × ₹${item.price || 0})`
         ).join('; ')}"`,
         `"₹${(order.totalAmount || 0).toLocaleString()}"`,
         `"${order.status || 'pending'}"`,
@@ -372,15 +488,43 @@ exports.getOrderStats = async (req, res) => {
 
 // Create Razorpay order
 exports.createRazorpayOrder = async (req, res) => {
+  let reservation;
   try {
-    const { amount } = req.body;
+    const { items, couponCode, deliverySlot } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Order must contain at least one item' });
+    }
+
+    const shippingAddress = await resolveShippingAddress(req.user.userId, req.body);
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid amount' });
+    // Hold the stock, and the delivery slot once slots are set up, while the
+    // customer is paying, so neither can run out between payment and order
+    // creation
+    const slotRequired = deliverySlot || await slotsConfigured();
+    try {
+      reservation = await createReservation(req.user.userId, sanitizeItems(items), {
+        slot: slotRequired ? { selection: deliverySlot, pincode: shippingAddress?.pincode } : undefined
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        error: error.message,
+        details: error.details
+      });
     }
 
+    // Charge the server's price for the held lines, delivery and coupon included
+    const { quote, coupon } = await priceWithCoupon(reservation.items, {
+      couponCode,
+      userId: req.user.userId,
+      pincode: shippingAddress?.pincode
+    });
+    assertDeliverable(quote, shippingAddress?.pincode);
+    const amount = quote.total;
+
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
       currency: "INR",
       receipt: `order_${Date.now()}`,
       payment_capture: 1
@@ -400,6 +544,12 @@ exports.createRazorpayOrder = async (req, res) => {
       paymentMethod: 'razorpay',
       metadata: { // Store any additional data we might need later
         receipt: options.receipt,
+        reservationId: reservation._id,
+        // Kept so the webhook can create the order if the browser never verifies
+        shippingAddress,
+        pricing: pricingSnapshot(quote),
+        couponCode: coupon?.code,
+        deliverySlot,
         created_at: new Date()
       }
     });
@@ -407,19 +557,38 @@ exports.createRazorpayOrder = async (req, res) => {
     await transaction.save();
     console.log('Transaction record created:', transaction._id);
 
+    // Link the hold to the payment so verification can convert it
+    reservation.transaction = transaction._id;
+    reservation.razorpayOrderId = razorpayOrder.id;
+    await reservation.save();
+
     res.json({
       orderId: razorpayOrder.id,
       amount: razorpayOrder.amount,
-      currency: razorpayOrder.currency
+      currency: razorpayOrder.currency,
+      pricing: pricingSnapshot(quote),
+      reservationExpiresAt: reservation.expiresAt
     });
   } catch (error) {
     console.error('Razorpay order creation error:', error);
+
+    // No payment can complete against this hold, so give the stock back
+    if (reservation) {
+      await releaseReservation(reservation._id).catch(releaseError => {
+        console.error('Error releasing stock reservation:', releaseError);
+      });
+    }
+
+    // Problems the customer can fix (a coupon that does not apply, a full slot)
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     res.status(500).json({
       error: 'Failed to create payment order',
       details: error.message
     });
-  }console.log('req.user:', req.user);
-
+  }
 };
 
 // Verify Razorpay payment
@@ -493,15 +662,16 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    // Validate order details
-    const { items, shippingAddress } = order_details;
+    // Validate order details. The address chosen when the payment was
+    // started wins over whatever the browser sends now.
+    const { items } = order_details;
+    const shippingAddress = transaction.metadata?.shippingAddress || order_details.shippingAddress;
     if (!items || !Array.isArray(items) || !shippingAddress) {
       console.error('Invalid order details:', { items, shippingAddress });
       return res.status(400).json({ error: 'Invalid order details provided' });
     }
 
-    // Calculate total and validate stock
-    let totalAmount = 0;
+    // Validate item shape before touching stock
     for (const item of items) {
       // Detailed item validation
       console.log('Validating item:', item);
@@ -537,108 +707,27 @@ exports.verifyPayment = async (req, res) => {
           details: 'Valid quantity is required for each item'
         });
       }
-
-      try {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          console.error('Product not found:', item.product);
-          return res.status(404).json({ 
-            error: 'Product not found',
-            details: `Product with ID ${item.product} does not exist`
-          });
-        }
-
-        if (product.stock < item.quantity) {
-          console.error('Insufficient stock:', {
-            product: product._id,
-            productName: product.name,
-            requested: item.quantity,
-            available: product.stock
-          });
-          return res.status(400).json({ 
-            error: 'Insufficient stock',
-            details: `Only ${product.stock} units available for ${product.name}`
-          });
-        }
-
-        // Set the price from the product
-        item.price = product.price;
-        totalAmount += product.price * item.quantity;
-
-        // Update product stock
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: -item.quantity }
-        });
-        
-        console.log('Item validated successfully:', {
-          productId: product._id,
-          price: item.price,
-          quantity: item.quantity,
-          subtotal: item.price * item.quantity
-        });
-      } catch (error) {
-        console.error('Error processing item:', error);
-        return res.status(400).json({ 
-          error: 'Error processing item',
-          details: error.message
-        });
-      }
     }
 
-    // Add shipping cost to total amount
-    totalAmount += order_details.shipping || 0;
-
-    // Verify amount matches with a small tolerance for floating-point differences
-    const amountDifference = Math.abs(totalAmount - transaction.amount);
-    if (amountDifference > 0.01) {  // 1 paisa tolerance
-      console.error('Amount mismatch:', {
-        calculated: totalAmount,
-        transaction: transaction.amount,
-        difference: amountDifference,
-        shipping: order_details.shipping || 0
-      });
-      return res.status(400).json({ 
-        error: 'Order amount mismatch',
-        details: 'Calculated order amount does not match payment amount'
+    let order;
+    try {
+      ({ order } = await createOrderFromPayment(transaction, {
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+        items,
+        shippingAddress
+      }));
+    } catch (error) {
+      if (!error.status) throw error;
+      console.error('Order creation rejected:', error.message, error.details);
+      return res.status(error.status).json({
+        error: error.message,
+        details: error.details
       });
     }
 
-    // Create order in database
-    const order = new Order({
-      user: req.user.userId,
-      items,
-      totalAmount,
-      shippingAddress,
-      paymentMethod: 'razorpay',
-      paymentStatus: 'completed',
-      razorpayDetails: {
-        orderId: razorpay_order_id,
-        paymentId: razorpay_payment_id,
-        signature: razorpay_signature
-      }
-    });
-
-    await order.save();
     console.log('Order created successfully:', order._id);
 
-    // Update transaction record with order details
-    transaction.orderId = order._id;
-    transaction.razorpayPaymentId = razorpay_payment_id;
-    transaction.razorpaySignature = razorpay_signature;
-    transaction.status = 'captured';
-    transaction.metadata = {
-      ...transaction.metadata,
-      items: items.map(item => ({
-        productId: item.product,
-        quantity: item.quantity,
-        price: item.price
-      })),
-      captured_at: new Date()
-    };
-    
-    await transaction.save();
-    console.log('Transaction updated successfully');
-
     res.status(201).json({
       success: true,
       order,
@@ -673,11 +762,33 @@ exports.verifyPayment = async (req, res) => {
   }
 };
 
-// Process refund
+// Get refund ledger and refundable balance for an order (admin)
+exports.getOrderRefunds = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId).populate('items.product', 'name image');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const transaction = await RazorpayTransaction.findOne({ orderId });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const summary = await getRefundSummary(order, transaction);
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Process refund (full, or partial against selected order lines)
 exports.processRefund = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { amount, notes } = req.body;
+    const { items, amount, full, notes } = req.body;
 
     const order = await Order.findById(orderId);
     if (!order) {
@@ -689,40 +800,130 @@ exports.processRefund = async (req, res) => {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (transaction.status !== 'captured') {
+    if (!['captured', 'partially_refunded'].includes(transaction.status)) {
       return res.status(400).json({ error: 'Payment not captured or already refunded' });
     }
 
+    let refundRequest;
+    try {
+      const summary = await getRefundSummary(order, transaction);
+      refundRequest = buildRefund(summary, { items, amount, full });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+
     // Create refund in Razorpay
     const refund = await razorpay.payments.refund(transaction.razorpayPaymentId, {
-      amount: amount * 100, // Convert to paise
-      notes
+      amount: Math.round(refundRequest.amount * 100), // Convert to paise
+      notes: { reason: notes || '', orderId: String(order._id) }
     });
 
-    // Update transaction record
-    await RazorpayTransaction.findByIdAndUpdate(transaction._id, {
-      status: 'refunded',
-      refundId: refund.id,
-      refundStatus: refund.status,
-      refundAmount: amount,
-      metadata: {
-        ...transaction.metadata,
-        refund: {
-          reason: notes,
-          processedAt: new Date()
+    // Record it in the ledger, restock flagged lines and update totals
+    let ledgerEntry;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const currentOrder = await Order.findById(orderId).session(session);
+        const currentTransaction = await RazorpayTransaction.findById(transaction._id).session(session);
+
+        ledgerEntry = await recordRefund({
+          order: currentOrder,
+          transaction: currentTransaction,
+          razorpayRefund: refund,
+          lines: refundRequest.lines,
+          amount: refundRequest.amount,
+          type: refundRequest.type,
+          notes,
+          actor: req.user
+        }, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({ success: true, refund: ledgerEntry });
+  } catch (error) {
+    console.error('Refund processing error:', error);
+    res.status(500).json({ error: error.message || error.error?.description });
+  }
+};
+
+// Record the weighed quantities of an order and settle the difference:
+// prepaid orders are refunded what they were overcharged, cash on delivery
+// orders get a new amount to collect (admin)
+exports.packOrder = async (req, res) => {
+  try {
+    const { items = [], notes } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let adjustment;
+    let transaction;
+    let refundRequest;
+    try {
+      adjustment = buildPackingAdjustment(order, items);
+
+      if (adjustment.settlement === 'refund') {
+        transaction = await RazorpayTransaction.findOne({ orderId: order._id });
+        if (!transaction || !['captured', 'partially_refunded'].includes(transaction.status)) {
+          return res.status(400).json({ error: 'Payment not captured; the difference cannot be refunded' });
         }
+        const summary = await getRefundSummary(order, transaction);
+        refundRequest = buildRefund(summary, { amount: adjustment.refundAmount });
       }
-    });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.paymentStatus = 'refunded';
-    await order.save();
+    const refundNote = 'Weight adjustment at packing';
+    const razorpayRefund = refundRequest &&
+      await razorpay.payments.refund(transaction.razorpayPaymentId, {
+        amount: Math.round(refundRequest.amount * 100), // Convert to paise
+        notes: { reason: refundNote, orderId: String(order._id) }
+      });
+
+    let packed;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        packed = await Order.findById(order._id).session(session);
+        // Checked again in the session so two packers cannot both settle
+        buildPackingAdjustment(packed, items);
+
+        let refund;
+        if (razorpayRefund) {
+          const currentTransaction = await RazorpayTransaction.findById(transaction._id).session(session);
+          refund = await recordRefund({
+            order: packed,
+            transaction: currentTransaction,
+            razorpayRefund,
+            amount: refundRequest.amount,
+            notes: refundNote,
+            actor: req.user
+          }, session);
+        }
+
+        applyPacking(packed, adjustment, { actor: req.user, notes, refund });
+        await adjustOrderCharge(packed, adjustment.difference, {
+          actor: req.user,
+          note: 'Weight adjustment at packing'
+        }, session);
+        await packed.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
 
-    res.json({ success: true, refund });
+    await packed.populate('items.product', 'name price image');
+    res.json(packed);
   } catch (error) {
-    console.error('Refund processing error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Packing error:', error);
+    res.status(error.status || 500).json({ error: error.message || error.error?.description });
   }
 };
 
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const RazorpayTransaction = require('../models/RazorpayTransaction');
+const WebhookEvent = require('../models/WebhookEvent');
+const Refund = require('../models/Refund');
+const {
+  createOrderFromPayment,
+  verifyWebhookSignature
+} = require('../utils/payments');
+const { getRefundSummary, recordRefund } = require('../utils/refunds');
+const { resolveShippingAddress } = require('../utils/addresses');
+
+// payment.captured / order.paid: make sure a paid transaction has an order
+const handlePaymentCaptured = async (payment) => {
+  const transaction = await RazorpayTransaction.findOne({
+    razorpayOrderId: payment.order_id
+  });
+  if (!transaction) return 'ignored: unknown Razorpay order';
+  if (['partially_refunded', 'refunded'].includes(transaction.status)) {
+    return 'ignored: already refunded';
+  }
+
+  // A payment for a different amount than checkout charged is never taken as
+  // paying for the order; flag it for an admin to look into instead
+  const paid = payment.amount / 100;
+  if (Math.abs(paid - transaction.amount) > 0.01) {
+    console.error('Webhook amount mismatch:', {
+      paid,
+      transaction: transaction.amount
+    });
+    await RazorpayTransaction.findByIdAndUpdate(transaction._id, {
+      razorpayPaymentId: payment.id,
+      errorCode: 'AMOUNT_MISMATCH',
+      errorDescription: `Paid ₹${paid}, expected ₹${transaction.amount}`
+    });
+    return 'needs attention: amount mismatch';
+  }
+
+  // Order already exists (browser verified): repair anything that is stale
+  if (transaction.orderId) {
+    const order = await Order.findById(transaction.orderId);
+    let repaired = false;
+
+    if (order && (order.paymentStatus !== 'completed' ||
+        order.razorpayDetails?.paymentId !== payment.id)) {
+      order.paymentStatus = 'completed';
+      order.razorpayDetails = {
+        ...order.razorpayDetails,
+        orderId: payment.order_id,
+        paymentId: payment.id
+      };
+      await order.save();
+      repaired = true;
+    }
+
+    if (transaction.status !== 'captured' || transaction.razorpayPaymentId !== payment.id) {
+      transaction.status = 'captured';
+      transaction.razorpayPaymentId = payment.id;
+      transaction.errorCode = undefined;
+      transaction.errorDescription = undefined;
+      await transaction.save();
+      repaired = true;
+    }
+
+    return repaired ? 'repaired existing order' : 'already fulfilled';
+  }
+
+  // Browser never verified: create the order from what we stored at checkout
+  const metadata = transaction.metadata || {};
+  try {
+    const { created } = await createOrderFromPayment(transaction, {
+      paymentId: payment.id,
+      items: (metadata.items || []).map(item => ({
+        product: item.productId,
+        variant: item.variantId,
+        quantity: item.quantity
+      })),
+      // Older transactions did not store the address; use the default one
+      shippingAddress: metadata.shippingAddress ||
+        await resolveShippingAddress(transaction.userId)
+    });
+    return created ? 'created order' : 'already fulfilled';
+  } catch (error) {
+    if (!error.status) throw error;
+
+    // Money is captured but the order cannot be made (e.g. hold expired and
+    // the stock is gone). Retrying will not help; flag it for a refund.
+    await RazorpayTransaction.findByIdAndUpdate(transaction._id, {
+      status: 'captured',
+      razorpayPaymentId: payment.id,
+      errorCode: 'ORDER_NOT_CREATED',
+      errorDescription: `${error.message}: ${error.details || ''}`.trim()
+    });
+    return `needs attention: ${error.message}`;
+  }
+};
+
+// payment.failed: record the failure unless the payment already went through
+const handlePaymentFailed = async (payment) => {
+  const transaction = await RazorpayTransaction.findOneAndUpdate(
+    {
+      razorpayOrderId: payment.order_id,
+      status: { $in: ['created', 'authorized', 'failed'] }
+    },
+    {
+      status: 'failed',
+      razorpayPaymentId: payment.id,
+      errorCode: payment.error_code,
+      errorDescription: payment.error_description
+    },
+    { new: true }
+  );
+  return transaction ? 'marked failed' : 'ignored: no pending transaction';
+};
+
+// refund.processed: confirm refunds we started, and add refunds made from the
+// Razorpay dashboard to the ledger
+const handleRefundProcessed = async (razorpayRefund) => {
+  const existing = await Refund.findOne({ razorpayRefundId: razorpayRefund.id });
+  if (existing) {
+    if (existing.status === 'processed') return 'already recorded';
+
+    existing.status = 'processed';
+    existing.processedAt = new Date();
+    await existing.save();
+    await RazorpayTransaction.updateOne(
+      { _id: existing.transaction, refundId: razorpayRefund.id },
+      { refundStatus: 'processed' }
+    );
+    return 'confirmed refund';
+  }
+
+  const transaction = await RazorpayTransaction.findOne({
+    razorpayPaymentId: razorpayRefund.payment_id
+  });
+  if (!transaction) return 'ignored: unknown payment';
+  if (!transaction.orderId) return 'ignored: payment has no order';
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(transaction.orderId).session(session);
+      const current = await RazorpayTransaction.findById(transaction._id).session(session);
+      const summary = await getRefundSummary(order, current, session);
+      const amount = razorpayRefund.amount / 100;
+
+      await recordRefund({
+        order,
+        transaction: current,
+        razorpayRefund: { ...razorpayRefund, status: 'processed' },
+        amount,
+        type: amount >= summary.refundableAmount - 0.001 ? 'full' : 'partial',
+        notes: razorpayRefund.notes?.reason || 'Refund made outside KissanBandi',
+        source: 'webhook'
+      }, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return 'recorded refund';
+};
+
+const handlers = {
+  'payment.captured': (payload) => handlePaymentCaptured(payload.payment.entity),
+  'order.paid': (payload) => handlePaymentCaptured(payload.payment.entity),
+  'payment.failed': (payload) => handlePaymentFailed(payload.payment.entity),
+  'refund.processed': (payload) => handleRefundProcessed(payload.refund.entity)
+};
+
+// Razorpay webhook
+exports.handleRazorpayWebhook = async (req, res) => {
+  const signature = req.header('X-Razorpay-Signature');
+  if (!verifyWebhookSignature(req.rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+    console.error('Razorpay webhook rejected: invalid signature');
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const { event, payload = {} } = req.body;
+  const handler = handlers[event];
+  if (!handler) {
+    return res.json({ status: 'ignored', event });
+  }
+
+  // Razorpay retries deliveries with the same event id
+  const eventId = req.header('X-Razorpay-Event-Id') ||
+    `${event}:${req.body.created_at}:${Object.values(payload)[0]?.entity?.id}`;
+
+  let record;
+  try {
+    record = await WebhookEvent.findOne({ eventId });
+    if (record?.status === 'processed') {
+      return res.json({ status: 'duplicate', event });
+    }
+
+    if (!record) {
+      record = new WebhookEvent({ eventId, event, payload });
+    }
+    record.status = 'processing';
+    record.attempts += 1;
+    await record.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      // Another delivery of the same event is being handled right now
+      return res.json({ status: 'duplicate', event });
+    }
+    console.error('Webhook bookkeeping error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const result = await handler(payload);
+
+    record.status = 'processed';
+    record.result = result;
+    record.errorMessage = undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    console.log(`Razorpay webhook ${event}: ${result}`);
+    res.json({ status: 'processed', event, result });
+  } catch (error) {
+    console.error(`Razorpay webhook ${event} failed:`, error);
+
+    record.status = 'failed';
+    record.errorMessage = error.message;
+    await record.save().catch(() => {});
+
+    // A non-2xx response makes Razorpay retry the delivery
+    res.status(500).json({ error: error.message });
+  }
+};
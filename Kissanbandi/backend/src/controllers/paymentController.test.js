@@ -0,0 +1,294 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Order = require('../models/Order');
+const RazorpayTransaction = require('../models/RazorpayTransaction');
+const Refund = require('../models/Refund');
+const { createOrderFromPayment, signWebhookPayload } = require('../utils/payments');
+const { getRefundSummary, recordRefund } = require('../utils/refunds');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+jest.mock('../models/Order', () => ({ findById: jest.fn() }));
+jest.mock('../models/RazorpayTransaction', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/Refund', () => ({ findOne: jest.fn() }));
+
+// Webhook deliveries kept in memory, by event id
+jest.mock('../models/WebhookEvent', () => {
+  const mockStore = new Map();
+  class WebhookEvent {
+    constructor(fields) {
+      Object.assign(this, { attempts: 0 }, fields);
+    }
+
+    async save() {
+      mockStore.set(this.eventId, this);
+      return this;
+    }
+
+    static async findOne({ eventId }) {
+      return mockStore.get(eventId) || null;
+    }
+
+    static clear() {
+      mockStore.clear();
+    }
+  }
+  return WebhookEvent;
+});
+
+jest.mock('../utils/payments', () => ({
+  ...jest.requireActual('../utils/payments'),
+  createOrderFromPayment: jest.fn()
+}));
+jest.mock('../utils/refunds', () => ({
+  getRefundSummary: jest.fn(),
+  recordRefund: jest.fn()
+}));
+jest.mock('../utils/addresses', () => ({
+  resolveShippingAddress: jest.fn()
+}));
+
+const WebhookEvent = require('../models/WebhookEvent');
+
+const SECRET = 'webhook-test-secret';
+
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api/payments', paymentRoutes);
+
+// Deliver `body` to the webhook the way Razorpay does: signed raw JSON
+const deliver = (body, { eventId = 'evt_1', signature } = {}) => {
+  const raw = JSON.stringify(body);
+  return request(app)
+    .post('/api/payments/razorpay/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Razorpay-Event-Id', eventId)
+    .set('X-Razorpay-Signature', signature ?? signWebhookPayload(raw, SECRET))
+    .send(raw);
+};
+
+const payment = (fields = {}) => ({
+  id: 'pay_1',
+  order_id: 'order_rzp_1',
+  amount: 50000,
+  ...fields
+});
+
+const capturedEvent = (fields) => ({
+  event: 'payment.captured',
+  created_at: 1700000000,
+  payload: { payment: { entity: payment(fields) } }
+});
+
+describe('POST /api/payments/razorpay/webhook', () => {
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+    jest.clearAllMocks();
+    WebhookEvent.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('rejects a delivery with a bad signature', async () => {
+    const res = await deliver(capturedEvent(), { signature: 'not-the-signature' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid webhook signature');
+    expect(RazorpayTransaction.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body signed with another secret', async () => {
+    const body = capturedEvent();
+    const res = await deliver(body, { signature: signWebhookPayload(JSON.stringify(body), 'other') });
+
+    expect(res.status).toBe(400);
+    expect(RazorpayTransaction.findOne).not.toHaveBeenCalled();
+  });
+
+  it('ignores events it does not handle', async () => {
+    const res = await deliver({ event: 'payment.authorized', payload: {} });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ignored');
+  });
+
+  it('creates the order for a captured payment the browser never verified', async () => {
+    RazorpayTransaction.findOne.mockResolvedValue({
+      _id: 'txn_1',
+      status: 'created',
+      amount: 500,
+      metadata: {
+        items: [{ productId: 'p1', variantId: 'v1', quantity: 2 }],
+        shippingAddress: { pincode: '110001' }
+      }
+    });
+    createOrderFromPayment.mockResolvedValue({ created: true });
+
+    const res = await deliver(capturedEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'processed', result: 'created order' });
+    expect(createOrderFromPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'txn_1' }),
+      {
+        paymentId: 'pay_1',
+        items: [{ product: 'p1', variant: 'v1', quantity: 2 }],
+        shippingAddress: { pincode: '110001' }
+      }
+    );
+  });
+
+  it('flags a captured payment for the wrong amount instead of fulfilling it', async () => {
+    RazorpayTransaction.findOne.mockResolvedValue({ _id: 'txn_1', status: 'created', amount: 500 });
+
+    const res = await deliver(capturedEvent({ amount: 100 }));
+
+    expect(res.body.result).toBe('needs attention: amount mismatch');
+    expect(createOrderFromPayment).not.toHaveBeenCalled();
+    expect(RazorpayTransaction.findByIdAndUpdate).toHaveBeenCalledWith('txn_1', expect.objectContaining({
+      razorpayPaymentId: 'pay_1',
+      errorCode: 'AMOUNT_MISMATCH'
+    }));
+  });
+
+  it('flags a captured payment whose order cannot be created', async () => {
+    RazorpayTransaction.findOne.mockResolvedValue({ _id: 'txn_1', status: 'created', amount: 500, metadata: { shippingAddress: {} } });
+    const error = new Error('Insufficient stock');
+    error.status = 400;
+    createOrderFromPayment.mockRejectedValue(error);
+
+    const res = await deliver(capturedEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toBe('needs attention: Insufficient stock');
+    expect(RazorpayTransaction.findByIdAndUpdate).toHaveBeenCalledWith('txn_1', expect.objectContaining({
+      errorCode: 'ORDER_NOT_CREATED'
+    }));
+  });
+
+  it('marks an existing order paid on order.paid', async () => {
+    const transaction = {
+      _id: 'txn_1',
+      status: 'created',
+      amount: 500,
+      orderId: 'order_1',
+      save: jest.fn()
+    };
+    const order = { paymentStatus: 'pending', razorpayDetails: {}, save: jest.fn() };
+    RazorpayTransaction.findOne.mockResolvedValue(transaction);
+    Order.findById.mockResolvedValue(order);
+
+    const res = await deliver({
+      event: 'order.paid',
+      payload: { payment: { entity: payment() }, order: { entity: { id: 'order_rzp_1' } } }
+    });
+
+    expect(res.body.result).toBe('repaired existing order');
+    expect(order.paymentStatus).toBe('completed');
+    expect(order.razorpayDetails.paymentId).toBe('pay_1');
+    expect(order.save).toHaveBeenCalled();
+    expect(transaction.status).toBe('captured');
+    expect(transaction.save).toHaveBeenCalled();
+    expect(createOrderFromPayment).not.toHaveBeenCalled();
+  });
+
+  it('records a failed payment', async () => {
+    RazorpayTransaction.findOneAndUpdate.mockResolvedValue({ _id: 'txn_1' });
+
+    const res = await deliver({
+      event: 'payment.failed',
+      payload: { payment: { entity: payment({ error_code: 'BAD_REQUEST_ERROR', error_description: 'Card declined' }) } }
+    });
+
+    expect(res.body.result).toBe('marked failed');
+    expect(RazorpayTransaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { razorpayOrderId: 'order_rzp_1', status: { $in: ['created', 'authorized', 'failed'] } },
+      expect.objectContaining({ status: 'failed', errorCode: 'BAD_REQUEST_ERROR' }),
+      { new: true }
+    );
+  });
+
+  it('confirms a refund started from the admin', async () => {
+    const refund = { status: 'pending', transaction: 'txn_1', save: jest.fn() };
+    Refund.findOne.mockResolvedValue(refund);
+
+    const res = await deliver({
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 20000 } } }
+    });
+
+    expect(res.body.result).toBe('confirmed refund');
+    expect(refund.status).toBe('processed');
+    expect(refund.save).toHaveBeenCalled();
+    expect(RazorpayTransaction.updateOne).toHaveBeenCalledWith(
+      { _id: 'txn_1', refundId: 'rfnd_1' },
+      { refundStatus: 'processed' }
+    );
+  });
+
+  it('records a refund made from the Razorpay dashboard', async () => {
+    const session = {
+      withTransaction: async (fn) => fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    const order = { _id: 'order_1' };
+    const transaction = { _id: 'txn_1', orderId: 'order_1' };
+    Refund.findOne.mockResolvedValue(null);
+    RazorpayTransaction.findOne.mockResolvedValue(transaction);
+    Order.findById.mockReturnValue({ session: () => order });
+    RazorpayTransaction.findById.mockReturnValue({ session: () => transaction });
+    getRefundSummary.mockResolvedValue({ refundableAmount: 500 });
+
+    const res = await deliver({
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_2', payment_id: 'pay_1', amount: 20000 } } }
+    });
+
+    expect(res.body.result).toBe('recorded refund');
+    expect(recordRefund).toHaveBeenCalledWith(expect.objectContaining({
+      order,
+      transaction,
+      amount: 200,
+      type: 'partial',
+      source: 'webhook'
+    }), session);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('processes a redelivered event once', async () => {
+    RazorpayTransaction.findOne.mockResolvedValue({ _id: 'txn_1', status: 'created', amount: 500, metadata: { shippingAddress: {} } });
+    createOrderFromPayment.mockResolvedValue({ created: true });
+
+    const first = await deliver(capturedEvent(), { eventId: 'evt_same' });
+    const second = await deliver(capturedEvent(), { eventId: 'evt_same' });
+
+    expect(first.body.status).toBe('processed');
+    expect(second.body.status).toBe('duplicate');
+    expect(createOrderFromPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('processes a redelivery again when the first attempt failed', async () => {
+    RazorpayTransaction.findOne.mockResolvedValue({ _id: 'txn_1', status: 'created', amount: 500, metadata: { shippingAddress: {} } });
+    createOrderFromPayment
+      .mockRejectedValueOnce(new Error('Database unavailable'))
+      .mockResolvedValueOnce({ created: true });
+
+    const first = await deliver(capturedEvent(), { eventId: 'evt_retry' });
+    const second = await deliver(capturedEvent(), { eventId: 'evt_retry' });
+
+    expect(first.status).toBe(500);
+    expect(second.body).toMatchObject({ status: 'processed', result: 'created order' });
+    expect((await WebhookEvent.findOne({ eventId: 'evt_retry' })).attempts).toBe(2);
+  });
+});
@@ -1,4 +1,64 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const StockMovement = require('../models/StockMovement');
+const StockBatch = require('../models/StockBatch');
+const { stockChanges, recordMovements } = require('../utils/stock');
+const { statusForStockEdit, getLowStockProducts } = require('../utils/inventory');
+const { trimProductBatches } = require('../utils/batches');
+const { receiveBatch, writeOffBatchById } = require('../utils/batchStock');
+const { sendEmail, emailTemplates } = require('../utils/email');
+
+const productError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Reasons an admin can give when setting stock by hand
+const ADJUSTMENT_REASONS = ['manual_adjust', 'wastage'];
+
+// Rating and review count are worked out from approved reviews, why a
+// product is off sale is tracked by the server, and listings are approved
+// through reviewListing; none of them is set directly
+const withoutComputed = (body) => {
+  const data = { ...body };
+  delete data.rating;
+  delete data.reviews;
+  delete data.inactiveReason;
+  delete data.approvalStatus;
+  delete data.approvalNote;
+  delete data.reviewedBy;
+  delete data.reviewedAt;
+  return data;
+};
+
+const isAdmin = (req) => req.user.role === 'admin';
+
+// Sellers can only reach their own products; admins reach every product
+const ownProduct = (req) => (isAdmin(req)
+  ? { _id: req.params.id }
+  : { _id: req.params.id, seller: req.user.userId });
+
+// Whether the caller may manage the product in the URL
+const canManage = async (req) => Boolean(await Product.exists(ownProduct(req)));
+
+// Seller listings stay off sale until an admin approves them
+const awaitingApproval = (product) =>
+  product.approvalStatus === 'pending' || product.approvalStatus === 'rejected';
+
+// Update for `data` plus status fields from statusForStockEdit, where a null
+// inactiveReason means the product is back on sale
+const withStatus = (data, { inactiveReason, ...status }) => {
+  const update = { $set: { ...data, ...status } };
+  if (inactiveReason) {
+    update.$set.inactiveReason = inactiveReason;
+  } else if (inactiveReason === null) {
+    update.$unset = { inactiveReason: 1 };
+  }
+  return update;
+};
 
 // Get all products with filtering, sorting, and pagination
 exports.getProducts = async (req, res) => {
@@ -16,7 +76,9 @@ exports.getProducts = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = {};
+    // Seller listings waiting for approval are only seen by their seller
+    // and in the admin approval queue
+    const query = { approvalStatus: { $nin: ['pending', 'rejected'] } };
     if (status && status !== 'all') query.status = status; // Allow 'active' or 'inactive' from frontend
     if (category) query.category = category;
     if (subcategory) query.subcategory = subcategory;
@@ -37,13 +99,16 @@ exports.getProducts = async (req, res) => {
         sortOptions.price = -1;
         break;
       case 'rating':
+        // Equal ratings: the one more customers agree on first
         sortOptions.rating = -1;
+        sortOptions.reviews = -1;
         break;
       default:
         sortOptions.createdAt = -1;
     }
 
   const products = await Product.find(query)
+      .populate('farmer', 'name village district')
       .sort(sortOptions)
       .skip((page - 1) * limit)
       .limit(limit);
@@ -63,11 +128,14 @@ exports.getProducts = async (req, res) => {
 };
 
 
-// Get single product by ID
+// Get single product by ID. A listing awaiting approval is only shown to its
+// seller and to admins.
 exports.getProduct = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
+    const product = await Product.findById(req.params.id).populate('farmer', 'name village district');
+    const visible = product && (!awaitingApproval(product) || (req.user &&
+      (isAdmin(req) || product.seller?.toString() === req.user.userId.toString())));
+    if (!visible) {
       return res.status(404).json({ error: 'Product not found' });
     }
     res.json(product);
@@ -76,39 +144,100 @@ exports.getProduct = async (req, res) => {
   }
 };
 
-// Create new product
+// Create new product. A seller's product is a listing that goes on sale once
+// an admin approves it.
 exports.createProduct = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const product = new Product(req.body);
-    await product.save();
+    const data = withoutComputed(req.body);
+    if (!isAdmin(req)) {
+      Object.assign(data, {
+        seller: req.user.userId,
+        approvalStatus: 'pending',
+        status: 'inactive',
+        inactiveReason: 'approval'
+      });
+    }
+    const product = new Product(data);
+    // The product and its opening stock entries are saved together
+    await session.withTransaction(async () => {
+      await product.save({ session });
+      await recordMovements(stockChanges({ stock: 0 }, product, {
+        reason: 'initial',
+        referenceModel: 'Product',
+        reference: product._id,
+        actor: req.user.userId
+      }), session);
+    });
     res.status(201).json(product);
   } catch (error) {
     res.status(400).json({ error: error.message });
+  } finally {
+    await session.endSession();
   }
 };
 
 // Update product
 exports.updateProduct = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const updateData = { ...req.body };
+    const updateData = withoutComputed(req.body);
+    if (!isAdmin(req)) delete updateData.seller;
 
-    if ('stock' in updateData && Number(updateData.stock) === 0) {
-      updateData.status = 'inactive';
+    // Price and stock of a product sold in pack sizes follow its packs
+    if (Array.isArray(updateData.variants)) {
+      Object.assign(updateData, Product.variantTotals(updateData.variants));
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
-
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
+    // The edit and the ledger entries for its stock changes commit together
+    let product;
+    await session.withTransaction(async () => {
+      const current = await Product.findOne(ownProduct(req))
+        .select('status inactiveReason stock approvalStatus')
+        .session(session);
+      if (!current) {
+        throw productError('Product not found', 404);
+      }
+      let status = {};
+      if (awaitingApproval(current)) {
+        // Stays off sale until approved; editing a rejected listing sends it
+        // back for review
+        delete updateData.status;
+        if (current.approvalStatus === 'rejected') updateData.approvalStatus = 'pending';
+      } else {
+        status = statusForStockEdit(current, {
+          stock: 'stock' in updateData ? Number(updateData.stock) : undefined,
+          status: updateData.status
+        });
+      }
+
+      // The product as it was, so stock edits can be put in the ledger
+      const previous = await Product.findByIdAndUpdate(
+        req.params.id,
+        withStatus(updateData, status),
+        { new: false, runValidators: true, session }
+      );
+
+      if (!previous) {
+        throw productError('Product not found', 404);
+      }
+
+      product = await Product.findById(req.params.id).session(session);
+      await recordMovements(stockChanges(previous, product, {
+        reason: 'manual_adjust',
+        referenceModel: 'Product',
+        reference: product._id,
+        actor: req.user.userId,
+        note: 'Product edited'
+      }), session);
+      await trimProductBatches(product, session);
+    });
 
     res.json(product);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -117,11 +246,13 @@ exports.updateProduct = async (req, res) => {
 // Delete product (soft delete)
 exports.deleteProduct = async (req, res) => {
   try {
-    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+    const deletedProduct = await Product.findOneAndDelete(ownProduct(req));
 
     if (!deletedProduct) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    await Review.deleteMany({ product: deletedProduct._id });
+    await StockBatch.deleteMany({ product: deletedProduct._id });
 
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
@@ -131,16 +262,21 @@ exports.deleteProduct = async (req, res) => {
 
 exports.InactiveProduct = async (req, res) => {
   try {
+    const product = await Product.findOne(ownProduct(req)).select('approvalStatus');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (awaitingApproval(product)) {
+      return res.status(400).json({ error: 'This listing is not on sale until it is approved' });
+    }
+
+    // Switched off on purpose, so restocking leaves it off
     const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      { status: 'inactive' },
+      product._id,
+      { status: 'inactive', inactiveReason: 'admin' },
       { new: true }
     );
 
-    if (!updatedProduct) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
     res.json({ message: 'Product marked as inactive successfully', product: updatedProduct });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -149,16 +285,20 @@ exports.InactiveProduct = async (req, res) => {
 
 exports.ActiveProduct = async (req, res) => {
   try {
+    const product = await Product.findOne(ownProduct(req)).select('approvalStatus');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (awaitingApproval(product)) {
+      return res.status(400).json({ error: 'This listing is not on sale until it is approved' });
+    }
+
     const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      { status: 'active' },
+      product._id,
+      { $set: { status: 'active' }, $unset: { inactiveReason: 1 } },
       { new: true }
     );
 
-    if (!updatedProduct) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
     res.json({ message: 'Product marked as active successfully', product: updatedProduct });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -198,31 +338,232 @@ exports.getCategories = async (req, res) => {
   }
 };
 
-// Update product stock
+// Update product stock. Products sold in pack sizes are stocked per pack:
+// pass the `variant` to update.
 exports.updateStock = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { stock } = req.body;
+    const { stock, variant, reason = 'manual_adjust', note } = req.body;
     const numericStock = Number(stock);
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: 'Reason must be manual_adjust or wastage' });
+    }
+    const movement = {
+      reason,
+      referenceModel: 'Product',
+      reference: req.params.id,
+      actor: req.user.userId,
+      note
+    };
+
+    // The new stock and its ledger entries commit together
+    let product;
+    await session.withTransaction(async () => {
+      if (variant) {
+        product = await Product.findOne(ownProduct(req)).session(session);
+        if (!product) {
+          throw productError('Product not found', 404);
+        }
+        const pack = product.variants.id(variant);
+        if (!pack) {
+          throw productError('Pack size not found', 404);
+        }
 
-    const updateData = { stock: numericStock };
+        const previous = product.toObject();
+        pack.stock = numericStock;
+        const { inactiveReason, ...status } = awaitingApproval(previous)
+          ? {}
+          : statusForStockEdit(previous, { stock: Product.variantTotals(product.variants).stock });
+        product.set(status);
+        if (inactiveReason !== undefined) {
+          product.inactiveReason = inactiveReason || undefined;
+        }
+        await product.save({ session });
+        await recordMovements(stockChanges(previous, product, movement), session);
+        await trimProductBatches(product, session);
+        return;
+      }
+
+      const current = await Product.findOne(ownProduct(req))
+        .select('status inactiveReason stock approvalStatus')
+        .session(session);
+      if (!current) {
+        throw productError('Product not found', 404);
+      }
+      const status = awaitingApproval(current) ? {} : statusForStockEdit(current, { stock: numericStock });
+
+      const previous = await Product.findOneAndUpdate(
+        { _id: req.params.id, 'variants.0': { $exists: false } },
+        withStatus({ stock: numericStock }, status),
+        { new: false, runValidators: true, session }
+      );
+
+      if (!previous) {
+        throw productError('This product is stocked per pack size; choose a pack to update');
+      }
+
+      product = await Product.findById(req.params.id).session(session);
+      await recordMovements(stockChanges(previous, { _id: previous._id, stock: numericStock }, movement), session);
+      await trimProductBatches(product, session);
+    });
 
-    if (numericStock === 0) {
-      updateData.status = 'inactive';
+    res.json(product);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Stock movement history of a product, newest first (admin)
+exports.getStockMovements = async (req, res) => {
+  try {
+    if (!await canManage(req)) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const { reason, variant, page = 1, limit = 50 } = req.query;
+    const query = { product: req.params.id };
+    if (reason && reason !== 'all') query.reason = reason;
+    if (variant) query.variant = variant;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      StockMovement.countDocuments(query)
+    ]);
 
-    if (!product) {
+    res.json({
+      movements,
+      total,
+      page: Number(page),
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Products at or below their reorder level (admin)
+exports.getLowStock = async (req, res) => {
+  try {
+    const products = await getLowStockProducts({ limit: req.query.limit });
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Batches of a product, soonest expiry first (admin). `status` filters,
+// e.g. near_expiry; expired batches are only listed when asked for.
+exports.getBatches = async (req, res) => {
+  try {
+    if (!await canManage(req)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { status } = req.query;
+    const query = { product: req.params.id };
+    if (status && status !== 'all') {
+      query.status = status;
+    } else if (!status) {
+      query.status = { $ne: 'expired' };
+    }
+
+    const batches = await StockBatch.find(query)
+      .populate('receivedBy', 'name')
+      .populate('farmer', 'name')
+      .sort({ expiresAt: 1, receivedAt: 1 });
+    res.json(batches);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Receive a batch into stock (admin)
+exports.receiveBatch = async (req, res) => {
+  try {
+    if (!await canManage(req)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const batch = await receiveBatch(req.params.id, req.body, req.user.userId);
+    res.status(201).json(batch);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Write off a batch, or part of it, as wastage (admin)
+exports.writeOffBatch = async (req, res) => {
+  try {
+    if (!await canManage(req)) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    const batch = await writeOffBatchById(req.params.id, req.params.batchId, req.body, req.user.userId);
+    res.json(batch);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Seller listings by approval status, oldest first (admin)
+exports.getListings = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = { seller: { $exists: true } };
+    if (status !== 'all') query.approvalStatus = status;
+
+    const products = await Product.find(query)
+      .populate('seller', 'name email phone gst')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: 1 });
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Approve or reject a seller listing (admin). Approved listings go on sale
+// if they have stock; the seller is emailed either way.
+exports.reviewListing = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, seller: { $exists: true } });
+    if (!product) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    product.set({
+      approvalStatus: status,
+      approvalNote: note,
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date()
+    });
+    if (status === 'approved') {
+      product.status = product.stock > 0 ? 'active' : 'inactive';
+      product.inactiveReason = product.stock > 0 ? undefined : 'stock';
+    } else {
+      product.status = 'inactive';
+      product.inactiveReason = 'approval';
+    }
+    await product.save();
+
+    const seller = await User.findById(product.seller).select('name email');
+    if (seller?.email) {
+      const { subject, html } = emailTemplates.listingReviewed(seller.name, product.name, status === 'approved', note);
+      sendEmail({ email: seller.email, subject, html })
+        .catch(err => console.error('Failed to send listing review email:', err.message));
+    }
 
     res.json(product);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 };
-
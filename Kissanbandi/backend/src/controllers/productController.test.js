@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { recordMovements } = require('../utils/stock');
+const { trimProductBatches } = require('../utils/batches');
+const { createProduct, updateStock } = require('./productController');
+
+jest.mock('../models/Product', () => {
+  const Product = jest.fn(function (fields) {
+    Object.assign(this, { _id: 'p1' }, fields);
+    this.save = jest.fn();
+  });
+  Product.findOne = jest.fn();
+  Product.findOneAndUpdate = jest.fn();
+  Product.findById = jest.fn();
+  return Product;
+});
+jest.mock('../utils/stock', () => ({
+  ...jest.requireActual('../utils/stock'),
+  recordMovements: jest.fn()
+}));
+jest.mock('../utils/batches', () => ({ trimProductBatches: jest.fn() }));
+
+const session = {
+  withTransaction: async (fn) => fn(),
+  endSession: jest.fn()
+};
+
+// A mongoose query resolving to `value`, whatever is chained on it
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const admin = { userId: 'admin_1', role: 'admin' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+});
+
+describe('createProduct', () => {
+  it('saves the product and its opening stock in one transaction', async () => {
+    const res = response();
+
+    await createProduct({ user: admin, body: { name: 'Tomato', stock: 20 } }, res);
+
+    const product = Product.mock.instances[0];
+    expect(product.save).toHaveBeenCalledWith({ session });
+    expect(recordMovements).toHaveBeenCalledWith(
+      [expect.objectContaining({ product: 'p1', delta: 20, reason: 'initial' })],
+      session
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
+
+describe('updateStock', () => {
+  const req = { user: admin, params: { id: 'p1' }, body: { stock: 12 } };
+
+  it('sets the stock and records the change in one transaction', async () => {
+    const updated = { _id: 'p1', stock: 12 };
+    Product.findOne.mockReturnValue(query({ status: 'active', stock: 5 }));
+    Product.findOneAndUpdate.mockResolvedValue({ _id: 'p1', stock: 5 });
+    Product.findById.mockReturnValue(query(updated));
+    const res = response();
+
+    await updateStock(req, res);
+
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.objectContaining({ session })
+    );
+    expect(recordMovements).toHaveBeenCalledWith(
+      [expect.objectContaining({ delta: 7, balance: 12, reason: 'manual_adjust' })],
+      session
+    );
+    expect(trimProductBatches).toHaveBeenCalledWith(updated, session);
+    expect(res.json).toHaveBeenCalledWith(updated);
+  });
+
+  it('answers not found without writing anything', async () => {
+    Product.findOne.mockReturnValue(query(null));
+    const res = response();
+
+    await updateStock(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(recordMovements).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('refuses a product stocked per pack size', async () => {
+    Product.findOne.mockReturnValue(query({ status: 'active', stock: 5 }));
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    const res = response();
+
+    await updateStock(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This product is stocked per pack size; choose a pack to update' });
+    expect(recordMovements).not.toHaveBeenCalled();
+  });
+});
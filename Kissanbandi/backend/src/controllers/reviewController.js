@@ -0,0 +1,172 @@
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const {
+  findVerifiedOrder,
+  validateReview,
+  recomputeProductRating,
+  ratingBreakdown
+} = require('../utils/reviews');
+
+// Approved reviews of a product, newest first, with its rating summary
+exports.getProductReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const product = await Product.findById(req.params.productId).select('rating reviews');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const query = { product: product._id, status: 'approved' };
+    const [reviews, breakdown] = await Promise.all([
+      Review.find(query)
+        .select('-moderatedBy -moderationNote')
+        .populate('user', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      ratingBreakdown(product._id)
+    ]);
+
+    res.json({
+      reviews,
+      rating: product.rating,
+      total: product.reviews,
+      breakdown,
+      page: Number(page),
+      totalPages: Math.ceil(product.reviews / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Whether the current user may review a product, and their review if any
+exports.getMyReview = async (req, res) => {
+  try {
+    const [review, order] = await Promise.all([
+      Review.findOne({ product: req.params.productId, user: req.user.userId }),
+      findVerifiedOrder(req.user.userId, req.params.productId)
+    ]);
+    res.json({ canReview: Boolean(order), review });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Submit or edit a review; either way it waits for moderation
+exports.submitReview = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const order = await findVerifiedOrder(req.user.userId, product._id);
+    if (!order) {
+      return res.status(403).json({ error: 'You can only review products that have been delivered to you' });
+    }
+
+    const fields = validateReview(req.body);
+    let review = await Review.findOne({ product: product._id, user: req.user.userId });
+    const isNew = !review;
+    if (isNew) {
+      review = new Review({ product: product._id, user: req.user.userId });
+    }
+    review.set({
+      ...fields,
+      order: order._id,
+      status: 'pending',
+      moderatedBy: undefined,
+      moderatedAt: undefined,
+      moderationNote: undefined
+    });
+    await review.save();
+
+    // An edited review that was approved no longer counts until re-approved
+    if (!isNew) {
+      await recomputeProductRating(product._id);
+    }
+
+    res.status(isNew ? 201 : 200).json(review);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Delete a review (its author or an admin)
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review ||
+      (req.user.role !== 'admin' && review.user.toString() !== req.user.userId.toString())) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await review.deleteOne();
+    await recomputeProductRating(review.product);
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reviews for moderation (admin), pending ones by default
+exports.getAllReviews = async (req, res) => {
+  try {
+    const { status = 'pending', product, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (product) query.product = product;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('product', 'name image')
+        .populate('user', 'name email')
+        .populate('moderatedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews,
+      total,
+      page: Number(page),
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Approve or hide a review (admin)
+exports.moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or hidden' });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    review.set({
+      status,
+      moderatedBy: req.user.userId,
+      moderatedAt: new Date(),
+      moderationNote: note
+    });
+    await review.save();
+    const stats = await recomputeProductRating(review.product);
+
+    res.json({ review, product: { _id: review.product, ...stats } });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// The signed-in seller's products, newest first, with their approval status
+exports.getSellerProducts = async (req, res) => {
+  try {
+    const { approvalStatus } = req.query;
+    const query = { seller: req.user.userId };
+    if (approvalStatus) query.approvalStatus = approvalStatus;
+
+    const products = await Product.find(query).sort({ createdAt: -1 });
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Orders containing the seller's products. Only the seller's own lines and
+// what they need to pack them are returned; the customer's details are not.
+exports.getSellerOrders = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const seller = new mongoose.Types.ObjectId(req.user.userId);
+    const query = { 'items.seller': seller };
+    if (status) query.status = status;
+
+    const orders = await Order.find(query)
+      .select('items status deliverySlot createdAt')
+      .populate('items.product', 'name image unit')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders: orders.map(order => ({
+        _id: order._id,
+        status: order.status,
+        deliverySlot: order.deliverySlot,
+        createdAt: order.createdAt,
+        items: order.items.filter(item => item.seller?.equals(seller))
+      })),
+      total,
+      page: Number(page),
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Mark one of the seller's order lines as packed and ready for pickup
+exports.markLinePacked = async (req, res) => {
+  try {
+    const { orderId, itemId } = req.params;
+    const order = await Order.findOne({
+      _id: orderId,
+      items: { $elemMatch: { _id: itemId, seller: req.user.userId } }
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Order line not found' });
+    }
+    if (['cancelled', 'delivered'].includes(order.status)) {
+      return res.status(400).json({ error: `Cannot pack a line of a ${order.status} order` });
+    }
+
+    const item = order.items.id(itemId);
+    if (item.sellerPackedAt) {
+      return res.status(400).json({ error: 'This line is already packed' });
+    }
+    item.sellerPackedAt = new Date();
+    await order.save();
+
+    res.json(item);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,50 @@
+const Order = require('../models/Order');
+const shipments = require('../utils/shipments');
+
+// Tracking for one order: courier, ETA, events and proof of delivery.
+// Customers see their own orders; responds with null before any update.
+exports.getShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (req.user.role !== 'admin' && order.user.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const shipment = await shipments.getShipment(order._id);
+    if (shipment && req.user.role === 'admin') {
+      await shipment.populate('events.actor', 'name');
+    }
+    res.json(shipment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set the courier, agent, tracking number and ETA (admin)
+exports.updateShipment = async (req, res) => {
+  try {
+    const shipment = await shipments.updateShipment(req.params.id, req.body);
+    res.json(shipment);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Add a tracking event: packed, out_for_delivery, attempted or delivered (admin)
+exports.addShipmentEvent = async (req, res) => {
+  try {
+    const { shipment, order } = await shipments.addShipmentEvent(req.params.id, req.body, req.user);
+    await shipment.populate('events.actor', 'name');
+    await order.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'items.product', select: 'name price image' },
+      { path: 'statusHistory.actor', select: 'name' }
+    ]);
+    res.status(201).json({ shipment, order });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
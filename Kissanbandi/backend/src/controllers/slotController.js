@@ -0,0 +1,184 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliveryHoliday = require('../models/DeliveryHoliday');
+const SlotBooking = require('../models/SlotBooking');
+const Order = require('../models/Order');
+const { getAvailability, localNow } = require('../utils/slots');
+
+const SLOT_FIELDS = ['weekday', 'startTime', 'endTime', 'label', 'capacity', 'zoneCapacities', 'isActive'];
+
+const pickSlotFields = (body) => {
+  const data = {};
+  SLOT_FIELDS.forEach(field => {
+    if (field in body) data[field] = body[field];
+  });
+  return data;
+};
+
+// Get bookable slots for the next few days
+exports.getAvailableSlots = async (req, res) => {
+  try {
+    const { pincode, days } = req.query;
+    const availability = await getAvailability({ pincode, days });
+    res.json(availability);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get all slot templates (admin)
+exports.getSlots = async (req, res) => {
+  try {
+    const slots = await DeliverySlot.find().sort({ weekday: 1, startTime: 1 });
+    res.json(slots);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create slot template (admin)
+exports.createSlot = async (req, res) => {
+  try {
+    const slot = new DeliverySlot(pickSlotFields(req.body));
+    await slot.save();
+    res.status(201).json(slot);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update slot template (admin)
+exports.updateSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    slot.set(pickSlotFields(req.body));
+    await slot.save();
+    res.json(slot);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete slot template (admin)
+exports.deleteSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    // Upcoming bookings still point at the slot; switch it off instead
+    const upcoming = await SlotBooking.exists({
+      slot: slot._id,
+      date: { $gte: localNow().dateKey },
+      booked: { $gt: 0 }
+    });
+    if (upcoming) {
+      return res.status(400).json({
+        error: 'Slot has upcoming bookings; deactivate it instead'
+      });
+    }
+
+    await slot.deleteOne();
+    res.json({ message: 'Slot deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get holidays from today on (admin)
+exports.getHolidays = async (req, res) => {
+  try {
+    const holidays = await DeliveryHoliday.find({ date: { $gte: localNow().dateKey } })
+      .sort({ date: 1 });
+    res.json(holidays);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add holiday (admin)
+exports.createHoliday = async (req, res) => {
+  try {
+    const holiday = new DeliveryHoliday({
+      date: req.body.date,
+      reason: req.body.reason
+    });
+    await holiday.save();
+    res.status(201).json(holiday);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'That date is already a holiday' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Remove holiday (admin)
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await DeliveryHoliday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    res.json({ message: 'Holiday removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Orders booked into each slot on a date (admin)
+exports.getSlotOrders = async (req, res) => {
+  try {
+    const date = req.query.date || localNow().dateKey;
+
+    const [bookings, orders] = await Promise.all([
+      SlotBooking.find({ date }).populate('slot'),
+      Order.find({ 'deliverySlot.date': date })
+        .populate('user', 'name email phone')
+        .populate('items.product', 'name unit')
+        .sort({ 'deliverySlot.startTime': 1, createdAt: 1 })
+    ]);
+
+    const groups = new Map();
+    bookings.forEach(booking => {
+      if (!booking.slot) return;
+      groups.set(booking.slot._id.toString(), {
+        slot: booking.slot,
+        booked: booking.booked,
+        capacity: booking.slot.capacity,
+        zones: Object.fromEntries(booking.zones || []),
+        orders: []
+      });
+    });
+
+    orders.forEach(order => {
+      const key = order.deliverySlot.slot?.toString();
+      if (!groups.has(key)) {
+        groups.set(key, {
+          slot: {
+            _id: order.deliverySlot.slot,
+            label: order.deliverySlot.label,
+            startTime: order.deliverySlot.startTime,
+            endTime: order.deliverySlot.endTime
+          },
+          booked: 0,
+          capacity: null,
+          zones: {},
+          orders: []
+        });
+      }
+      groups.get(key).orders.push(order);
+    });
+
+    const slots = [...groups.values()]
+      .sort((a, b) => (a.slot.startTime || '').localeCompare(b.slot.startTime || ''));
+
+    res.json({ date, slots });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
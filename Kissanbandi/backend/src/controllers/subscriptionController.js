@@ -0,0 +1,258 @@
+const Subscription = require('../models/Subscription');
+const DeliverySlot = require('../models/DeliverySlot');
+const { localNow } = require('../utils/slots');
+const {
+  nextDate,
+  earliestStart,
+  alignToSlot,
+  upcomingDeliveries,
+  validateSubscription
+} = require('../utils/subscriptions');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const populateSubscription = (query) => query
+  .populate('items.product', 'name image price unit variants status')
+  .populate('slot', 'weekday startTime endTime label');
+
+// Subscription as sent to the client, with its next few delivery dates
+const withUpcoming = (subscription) => ({
+  ...subscription.toObject(),
+  upcoming: upcomingDeliveries(subscription)
+});
+
+// Load a subscription the current user may change: their own, or any for admins
+const findSubscription = async (req) => {
+  const subscription = await Subscription.findById(req.params.id);
+  if (!subscription ||
+    (req.user.role !== 'admin' && subscription.user.toString() !== req.user.userId.toString())) {
+    return null;
+  }
+  return subscription;
+};
+
+const respond = async (res, subscription, status = 200) => {
+  const populated = await populateSubscription(Subscription.findById(subscription._id));
+  res.status(status).json(withUpcoming(populated));
+};
+
+// First delivery on or after `dateKey` that the schedule allows
+const firstDelivery = async (dateKey, frequency, slotId) => {
+  const slot = slotId && await DeliverySlot.findById(slotId);
+  const earliest = earliestStart();
+  return alignToSlot(dateKey && dateKey > earliest ? dateKey : earliest, frequency, slot);
+};
+
+// Get the current user's subscriptions
+exports.getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await populateSubscription(
+      Subscription.find({ user: req.user.userId, status: { $ne: 'cancelled' } })
+    ).sort({ createdAt: -1 });
+    res.json(subscriptions.map(withUpcoming));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Start a subscription
+exports.createSubscription = async (req, res) => {
+  try {
+    const { startDate } = req.body;
+    if (startDate && !DATE_PATTERN.test(startDate)) {
+      return res.status(400).json({ error: 'Use YYYY-MM-DD for the start date' });
+    }
+    if (!req.body.addressId) {
+      return res.status(400).json({ error: 'Please choose a delivery address' });
+    }
+
+    const fields = await validateSubscription(req.user.userId, {
+      name: req.body.name,
+      items: req.body.items,
+      frequency: req.body.frequency,
+      addressId: req.body.addressId,
+      slot: req.body.slot
+    });
+
+    const subscription = new Subscription({
+      ...fields,
+      user: req.user.userId,
+      nextDeliveryDate: await firstDelivery(startDate, fields.frequency, fields.slot)
+    });
+    await subscription.save();
+    await respond(res, subscription, 201);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Change items, schedule, slot or address
+exports.updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ error: 'This subscription has been cancelled' });
+    }
+
+    const data = {};
+    ['name', 'items', 'frequency', 'addressId', 'slot'].forEach(field => {
+      if (field in req.body) data[field] = req.body[field];
+    });
+    const fields = await validateSubscription(subscription.user, data);
+    const rescheduled = ('frequency' in fields && fields.frequency !== subscription.frequency) ||
+      ('slot' in fields && String(fields.slot || '') !== String(subscription.slot || ''));
+
+    subscription.set(fields);
+    if (rescheduled) {
+      subscription.nextDeliveryDate = await firstDelivery(
+        subscription.nextDeliveryDate,
+        subscription.frequency,
+        subscription.slot
+      );
+    }
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Pause deliveries until a date, or until resumed
+exports.pauseSubscription = async (req, res) => {
+  try {
+    const { until } = req.body;
+    if (until && !DATE_PATTERN.test(until)) {
+      return res.status(400).json({ error: 'Use YYYY-MM-DD for the resume date' });
+    }
+
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ error: 'This subscription has been cancelled' });
+    }
+
+    if (until) {
+      subscription.pausedUntil = until;
+    } else {
+      subscription.status = 'paused';
+    }
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Resume a paused subscription from the next date it can still be ordered for
+exports.resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ error: 'This subscription has been cancelled' });
+    }
+
+    const earliest = earliestStart();
+    let dateKey = subscription.nextDeliveryDate;
+    while (dateKey < earliest) {
+      dateKey = nextDate(dateKey, subscription.frequency);
+    }
+
+    subscription.set({ status: 'active', pausedUntil: undefined, nextDeliveryDate: dateKey });
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Skip one delivery date
+exports.skipDelivery = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'Use YYYY-MM-DD for the date to skip' });
+    }
+    if (date < localNow().dateKey) {
+      return res.status(400).json({ error: 'This date has already passed' });
+    }
+
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    subscription.skipDates.addToSet(date);
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Undo a skipped date
+exports.unskipDelivery = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    subscription.skipDates.pull(req.params.date);
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Cancel a subscription; orders already placed are not affected
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    subscription.set({ status: 'cancelled', cancelledAt: new Date() });
+    await subscription.save();
+    await respond(res, subscription);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Get all subscriptions (admin)
+exports.getAllSubscriptions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+
+    const [subscriptions, total] = await Promise.all([
+      populateSubscription(Subscription.find(query))
+        .populate('user', 'name email phone')
+        .populate('runs.order', 'totalAmount status')
+        .sort({ status: 1, nextDeliveryDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Subscription.countDocuments(query)
+    ]);
+
+    res.json({
+      subscriptions: subscriptions.map(withUpcoming),
+      total,
+      page: Number(page),
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const { sendEmail, emailTemplates } = require('../utils/email');
+const { pickAddressFields, seedAddressBook, normalizeDefault } = require('../utils/addresses');
 const crypto = require('crypto');
 const { promisify } = require('util');
 
@@ -17,7 +18,12 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
-    const user = new User(req.body);
+    // Credit terms are only set by admins through the credit routes, and
+    // cart reminder settings through the unsubscribe link
+    const fields = { ...req.body };
+    delete fields.credit;
+    delete fields.cartReminders;
+    const user = new User(fields);
     
     // Generate verification token
     const verificationToken = user.generateVerificationToken();
@@ -332,6 +338,8 @@ exports.updateProfile = async (req, res) => {
     // Prevent updating sensitive fields
     delete updates.password;
     delete updates.role;
+    delete updates.credit;
+    delete updates.cartReminders;
 
     const user = await User.findByIdAndUpdate(
       req.user.userId,
@@ -429,6 +437,92 @@ exports.removeFromWishlist = async (req, res) => {
   }
 };
 
+// Address book. Every change responds with the whole list.
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (seedAddressBook(user)) {
+      await user.save();
+    }
+
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+exports.addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    seedAddressBook(user);
+    user.addresses.push(pickAddressFields(req.body));
+    const added = user.addresses[user.addresses.length - 1];
+    normalizeDefault(user, added.isDefault ? added : undefined);
+
+    await user.save();
+    res.status(201).json(user.addresses);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+exports.updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const updates = pickAddressFields(req.body);
+    // The default moves by marking another address, not by unmarking this one
+    if (updates.isDefault === false && address.isDefault) {
+      delete updates.isDefault;
+    }
+    address.set(updates);
+    normalizeDefault(user, updates.isDefault ? address : undefined);
+
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+exports.deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    address.deleteOne();
+    normalizeDefault(user);
+
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
 // Admin: Get all users
 exports.getAllUsers = async (req, res) => {
   try {
@@ -663,7 +757,7 @@ exports.updateCustomerProfile = async (req, res) => {
 
     // Update user fields
     Object.keys(updates).forEach(key => {
-      if (key !== 'password' && key !== 'role') { // Prevent updating sensitive fields
+      if (!['password', 'role', 'credit', 'cartReminders'].includes(key)) { // Prevent updating sensitive fields
         if (key === 'address' && updates.address) {
           Object.keys(updates.address).forEach(addressKey => {
             user.address[addressKey] = updates.address[addressKey];
@@ -0,0 +1,138 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const { resolveZone, unserviceableMessage } = require('../utils/zones');
+
+const ZONE_FIELDS = ['name', 'pincodes', 'minOrderValue', 'deliveryFee', 'freeDeliveryAbove', 'slots', 'isActive'];
+
+const pickZoneFields = (body) => {
+  const data = {};
+  ZONE_FIELDS.forEach(field => {
+    if (field in body) {
+      data[field] = body[field];
+    }
+  });
+
+  // Blank amounts mean "none": no minimum or fee, and the store-wide
+  // free delivery threshold
+  ['minOrderValue', 'deliveryFee'].forEach(field => {
+    if (data[field] === '' || data[field] === null) data[field] = 0;
+  });
+  if (data.freeDeliveryAbove === '') data.freeDeliveryAbove = null;
+
+  // Accept pincodes as an array or a comma/newline separated string
+  if (typeof data.pincodes === 'string') {
+    data.pincodes = data.pincodes.split(/[\s,]+/);
+  }
+  if (Array.isArray(data.pincodes)) {
+    data.pincodes = [...new Set(data.pincodes.map(code => String(code).trim()).filter(Boolean))];
+  }
+  return data;
+};
+
+// A pincode can only belong to one active zone
+const findOverlap = async (zoneId, pincodes = [], isActive = true) => {
+  if (!isActive || pincodes.length === 0) return null;
+  return DeliveryZone.findOne({
+    _id: { $ne: zoneId },
+    isActive: true,
+    pincodes: { $in: pincodes }
+  });
+};
+
+const overlapError = (zone, pincodes) => {
+  const shared = zone.pincodes.filter(code => pincodes.includes(code));
+  return `Pincode(s) ${shared.slice(0, 5).join(', ')} already belong to zone "${zone.name}"`;
+};
+
+// Check whether we deliver to a pincode
+exports.checkPincode = async (req, res) => {
+  try {
+    const { pincode } = req.params;
+    if (!/^\d{6}$/.test(pincode)) {
+      return res.status(400).json({ error: 'Please provide a valid 6-digit pincode' });
+    }
+
+    const { zone, name, serviceable } = await resolveZone(pincode);
+    res.json({
+      pincode,
+      serviceable,
+      zone: zone ? {
+        name,
+        minOrderValue: zone.minOrderValue,
+        deliveryFee: zone.deliveryFee,
+        freeDeliveryAbove: zone.freeDeliveryAbove
+      } : null,
+      message: serviceable ? null : unserviceableMessage(pincode)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get all zones (admin)
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find()
+      .populate('slots', 'weekday startTime endTime label')
+      .sort({ name: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create zone (admin)
+exports.createZone = async (req, res) => {
+  try {
+    const data = pickZoneFields(req.body);
+    const overlap = await findOverlap(null, data.pincodes, data.isActive !== false);
+    if (overlap) {
+      return res.status(400).json({ error: overlapError(overlap, data.pincodes) });
+    }
+
+    const zone = new DeliveryZone(data);
+    await zone.save();
+    res.status(201).json(zone);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A zone with this name already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update zone (admin)
+exports.updateZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    zone.set(pickZoneFields(req.body));
+    const overlap = await findOverlap(zone._id, zone.pincodes, zone.isActive);
+    if (overlap) {
+      return res.status(400).json({ error: overlapError(overlap, zone.pincodes) });
+    }
+
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A zone with this name already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete zone (admin)
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+    res.json({ message: 'Zone deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,40 @@
+const { markNearExpiry, writeOffExpiredBatches } = require('../utils/batchStock');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000; // Check batch expiry every hour
+
+let timer = null;
+
+const run = async () => {
+  try {
+    const marked = await markNearExpiry();
+    const wasted = await writeOffExpiredBatches();
+    if (marked > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Marked ${marked} batch(es) as near expiry`);
+    }
+    if (wasted > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Wrote off ${wasted} expired unit(s)`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', 'Batch expiry run failed:', error.message);
+  }
+};
+
+// Start the job that marks down near-expiry batches and writes off expired ones
+const startBatchExpiry = () => {
+  if (timer) return timer;
+  timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+const stopBatchExpiry = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startBatchExpiry,
+  stopBatchExpiry,
+  run
+};
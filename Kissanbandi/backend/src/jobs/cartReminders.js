@@ -0,0 +1,35 @@
+const { sendCartReminders } = require('../utils/cartReminders');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000; // Look for abandoned carts every hour
+
+let timer = null;
+
+const run = async () => {
+  try {
+    const sent = await sendCartReminders();
+    if (sent > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Sent ${sent} abandoned-cart reminder(s)`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', 'Cart reminder run failed:', error.message);
+  }
+};
+
+// Start the job that emails customers about carts they left behind
+const startCartReminders = () => {
+  if (timer) return timer;
+  timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+const stopCartReminders = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startCartReminders,
+  stopCartReminders,
+  run
+};
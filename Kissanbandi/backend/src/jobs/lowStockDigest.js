@@ -0,0 +1,64 @@
+const JobRun = require('../models/JobRun');
+const { sendLowStockDigest } = require('../utils/inventory');
+const { localNow } = require('../utils/slots');
+const inventoryConfig = require('../config/inventory');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000; // Check whether the digest is due every 15 minutes
+
+const JOB = 'lowStockDigest';
+
+let timer = null;
+
+// Take today's digest for this instance. Only one claim per local date
+// succeeds, so the digest goes out once a day across restarts and instances.
+const claimDigest = async (dateKey) => {
+  // Create the record outside the claim so concurrent first runs do not both
+  // try to insert it
+  await JobRun.updateOne(
+    { job: JOB },
+    { $setOnInsert: { lastRunDate: null } },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) throw error;
+  });
+
+  return JobRun.findOneAndUpdate(
+    { job: JOB, lastRunDate: { $ne: dateKey } },
+    { $set: { lastRunDate: dateKey } },
+    { new: true }
+  );
+};
+
+const run = async (now = new Date()) => {
+  const { dateKey, minutes } = localNow(now);
+  if (minutes < inventoryConfig.digestHour * 60) return;
+
+  try {
+    if (!await claimDigest(dateKey)) return;
+    const listed = await sendLowStockDigest();
+    if (listed > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Sent low-stock digest for ${listed} product(s)`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', 'Low-stock digest failed:', error.message);
+  }
+};
+
+// Start the background job that emails admins the daily low-stock digest
+const startLowStockDigest = () => {
+  if (timer) return timer;
+  timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+const stopLowStockDigest = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startLowStockDigest,
+  stopLowStockDigest,
+  run
+};
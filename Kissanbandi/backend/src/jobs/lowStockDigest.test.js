@@ -0,0 +1,61 @@
+const JobRun = require('../models/JobRun');
+const { sendLowStockDigest } = require('../utils/inventory');
+const { run } = require('./lowStockDigest');
+
+jest.mock('../models/JobRun', () => ({
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../utils/inventory', () => ({ sendLowStockDigest: jest.fn() }));
+jest.mock('../utils/slots', () => ({
+  localNow: jest.fn(now => now)
+}));
+jest.mock('../config/inventory', () => ({ digestHour: 8 }));
+
+// The local date and minutes run() sees
+const at = (dateKey, hour) => ({ dateKey, minutes: hour * 60 });
+
+describe('low-stock digest', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    JobRun.updateOne.mockResolvedValue({});
+    sendLowStockDigest.mockResolvedValue(0);
+  });
+
+  it('sends the digest once it claims the day', async () => {
+    JobRun.findOneAndUpdate.mockResolvedValue({ job: 'lowStockDigest', lastRunDate: '2026-10-20' });
+
+    await run(at('2026-10-20', 9));
+
+    expect(JobRun.findOneAndUpdate).toHaveBeenCalledWith(
+      { job: 'lowStockDigest', lastRunDate: { $ne: '2026-10-20' } },
+      { $set: { lastRunDate: '2026-10-20' } },
+      { new: true }
+    );
+    expect(sendLowStockDigest).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send when the day was already claimed, by a restart or another instance', async () => {
+    JobRun.findOneAndUpdate.mockResolvedValue(null);
+
+    await run(at('2026-10-20', 9));
+
+    expect(sendLowStockDigest).not.toHaveBeenCalled();
+  });
+
+  it('waits for the digest hour', async () => {
+    await run(at('2026-10-20', 7));
+
+    expect(JobRun.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(sendLowStockDigest).not.toHaveBeenCalled();
+  });
+
+  it('claims the day even when another instance created the record first', async () => {
+    JobRun.updateOne.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    JobRun.findOneAndUpdate.mockResolvedValue({ job: 'lowStockDigest', lastRunDate: '2026-10-20' });
+
+    await run(at('2026-10-20', 9));
+
+    expect(sendLowStockDigest).toHaveBeenCalledTimes(1);
+  });
+});
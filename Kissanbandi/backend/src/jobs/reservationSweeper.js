@@ -0,0 +1,35 @@
+const { releaseExpiredReservations } = require('../utils/reservations');
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // Check for expired holds every minute
+
+let timer = null;
+
+const sweep = async () => {
+  try {
+    const released = await releaseExpiredReservations();
+    if (released > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Released ${released} expired stock reservation(s)`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', 'Reservation sweep failed:', error.message);
+  }
+};
+
+// Start the background sweeper that returns expired holds to stock
+const startReservationSweeper = () => {
+  if (timer) return timer;
+  timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+const stopReservationSweeper = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startReservationSweeper,
+  stopReservationSweeper,
+  sweep
+};
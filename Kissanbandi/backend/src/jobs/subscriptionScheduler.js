@@ -0,0 +1,36 @@
+const { processDueSubscriptions } = require('../utils/subscriptions');
+
+const RUN_INTERVAL_MS = 15 * 60 * 1000; // Look for due deliveries every 15 minutes
+
+let timer = null;
+
+const run = async () => {
+  try {
+    const created = await processDueSubscriptions();
+    if (created > 0) {
+      console.log('\x1b[33m%s\x1b[0m', `Placed ${created} subscription order(s)`);
+    }
+  } catch (error) {
+    console.error('\x1b[31m%s\x1b[0m', 'Subscription run failed:', error.message);
+  }
+};
+
+// Start the scheduler that turns due subscription deliveries into orders
+const startSubscriptionScheduler = () => {
+  if (timer) return timer;
+  timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+const stopSubscriptionScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler,
+  run
+};
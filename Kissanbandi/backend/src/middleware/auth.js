@@ -22,6 +22,24 @@ exports.auth = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, for public routes that show
+// more to some callers; without one the request carries on anonymously
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId || decoded._id);
+      if (user) {
+        req.user = { userId: user._id, role: user.role };
+      }
+    }
+  } catch {
+    // An invalid token is treated as no token
+  }
+  next();
+};
+
 // Check if user is admin
 exports.admin = async (req, res, next) => {
   try {
@@ -35,6 +53,20 @@ exports.admin = async (req, res, next) => {
   }
 };
 
+// Check if user can sell: business accounts, and admins, who can manage
+// every seller's products
+exports.seller = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !['business', 'admin'].includes(user.role)) {
+      return res.status(403).json({ error: 'Seller access required' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Validate request body
 exports.validateBody = (schema) => {
   return (req, res, next) => {
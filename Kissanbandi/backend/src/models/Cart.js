@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A line in the cart: a product, or one of its pack sizes
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A signed-in customer's cart, kept on the server so it follows them from
+// device to device. Guests keep their cart in the browser until they sign in.
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema],
+  // When the abandoned-cart reminder went out for the cart as it is now; a
+  // cart changed since then can get another. Written without touching
+  // updatedAt, which is when the customer last changed the cart.
+  remindedAt: Date
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('Cart', cartSchema);
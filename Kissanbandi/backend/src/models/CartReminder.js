@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An abandoned-cart reminder emailed to a customer with what was in the cart
+// and, once they come back and buy, the order that recovered it
+const cartReminderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  // Lines as listed in the email, at the prices on the day it was sent
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    price: Number
+  }],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  // The first order the customer placed within the attribution window
+  recoveredOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredAt: Date,
+  recoveredAmount: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+cartReminderSchema.index({ user: 1, createdAt: -1 });
+cartReminderSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery'],
+    required: true
+  },
+  // Percent off for `percentage`, rupees off for `flat`; unused for free delivery
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Upper bound in rupees for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Leave empty for no limit
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When either list is set, the discount only applies to matching items
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    return next(new Error('Percentage coupons need a value between 1 and 100'));
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    return next(new Error('Flat coupons need a discount amount'));
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('Coupon must end after it starts'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  orderTotal: Number,
+  // Cancelled orders give the use back to the customer and the coupon
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
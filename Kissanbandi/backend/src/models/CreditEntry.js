@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One change to what a business buyer owes on account. Written in the same
+// transaction as the change to User.credit.balance.
+const creditEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'payment', 'reversal', 'adjustment'],
+    required: true
+  },
+  // Positive when the buyer owes more, negative when they owe less
+  amount: {
+    type: Number,
+    required: true
+  },
+  // What the buyer owed right after the change
+  balanceAfter: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // When a charge falls due under the buyer's credit terms
+  dueDate: Date,
+  // Cheque number, UTR or other reference for a payment
+  reference: String,
+  note: String,
+  // Who made the change; the buyer for orders, an admin for payments
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditEntrySchema.index({ user: 1, createdAt: 1 });
+creditEntrySchema.index({ order: 1 });
+
+module.exports = mongoose.model('CreditEntry', creditEntrySchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A date with no deliveries at all
+const deliveryHolidaySchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD in the delivery time zone
+    required: true,
+    unique: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD for holiday dates']
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DeliveryHoliday', deliveryHolidaySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring delivery window, e.g. every Monday 07:00-09:00
+const deliverySlotSchema = new mongoose.Schema({
+  weekday: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Use HH:MM for slot times']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Use HH:MM for slot times']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  // Orders per day across all zones
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Optional tighter limits for individual zones
+  zoneCapacities: [{
+    zone: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ weekday: 1, startTime: 1 });
+
+deliverySlotSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    return next(new Error('Slot must end after it starts'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
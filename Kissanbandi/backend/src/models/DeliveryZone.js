@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A set of pincodes we deliver to, with its own order rules
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  pincodes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Please provide valid 6-digit pincodes']
+  }],
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Falls back to the store-wide free delivery threshold when not set
+  freeDeliveryAbove: {
+    type: Number,
+    min: 0
+  },
+  // Slot templates offered in this zone; empty means all slots
+  slots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ pincodes: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A farmer or supplier we source produce from. Contact and bank details are
+// for admins only; the rest makes up the public profile.
+const farmerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide the farmer\'s name'],
+    trim: true
+  },
+  village: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  // Shown on the public profile, e.g. what they grow and how
+  about: {
+    type: String,
+    maxlength: 2000
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\d{10}$/, 'Please provide a valid 10-digit phone number']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Where payouts go
+  bankDetails: {
+    accountName: String,
+    accountNumber: String,
+    ifsc: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please provide a valid IFSC code']
+    },
+    bankName: String,
+    upiId: String
+  },
+  certifications: [{
+    name: {
+      type: String,
+      required: true
+    },
+    issuedBy: String,
+    certificateNumber: String,
+    validUntil: Date
+  }],
+  // Image URLs or data URLs, first one is the profile photo
+  photos: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+farmerSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Farmer', farmerSchema);
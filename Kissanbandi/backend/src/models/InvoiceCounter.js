@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Last invoice number issued in each financial year (e.g. "2026-27")
+const invoiceCounterSchema = new mongoose.Schema({
+  financialYear: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
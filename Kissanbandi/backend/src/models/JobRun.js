@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Local date a once-a-day background job last ran, shared by every server
+// instance so the job runs once a day however many are up or restart
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastRunDate: String // YYYY-MM-DD in the delivery time zone
+});
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
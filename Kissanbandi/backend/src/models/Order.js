@@ -12,6 +12,10 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Pack size bought, for products sold in several
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    packSize: String,
     quantity: {
       type: Number,
       required: true,
@@ -20,18 +24,140 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
-    }
+    },
+    // Farmer the product was sourced from when ordered
+    farmer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farmer'
+    },
+    // Business account that listed the product, and when they packed the line
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sellerPackedAt: Date,
+    // Batches the units came from, first expiry first
+    batches: [{
+      batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockBatch'
+      },
+      quantity: Number,
+      markdownPercent: Number
+    }],
+    // GST rate the line was priced at, for the invoice
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    // Weighed quantity and its price, set at packing; `quantity` and `price`
+    // stay as ordered
+    packedQuantity: {
+      type: Number,
+      min: 0
+    },
+    packedAmount: Number
   }],
   totalAmount: {
     type: Number,
     required: true
   },
+  // Server-computed price breakdown; totalAmount is pricing.total
+  pricing: {
+    subtotal: Number,
+    deliveryFee: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    total: Number,
+    weightKg: Number,
+    zone: String
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  },
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    date: String, // YYYY-MM-DD in the delivery time zone
+    startTime: String,
+    endTime: String,
+    label: String,
+    zone: String,
+    releasedAt: Date
+  },
+  // Set on orders generated from a recurring subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Weight adjustment made when the order was packed. totalAmount and
+  // pricing hold the adjusted figures from then on; the originals stay here.
+  packing: {
+    packedAt: Date,
+    packedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    originalSubtotal: Number,
+    originalTax: Number,
+    originalDiscount: Number,
+    originalTotal: Number,
+    adjustedSubtotal: Number,
+    adjustedTax: Number,
+    adjustedDiscount: Number,
+    adjustedTotal: Number,
+    difference: Number,
+    // Extra weight on a prepaid order that was not charged
+    waivedAmount: Number,
+    settlement: {
+      type: String,
+      enum: ['none', 'refund', 'collect', 'waived']
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    // Cash on delivery: amount to collect at the door
+    collectibleAmount: Number
+  },
+  // GST invoice, issued when the order is delivered
+  invoice: {
+    number: String,
+    financialYear: String,
+    issuedAt: Date,
+    buyerGstin: String
+  },
+  // Copy of the address at the time of ordering
   shippingAddress: {
+    addressId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    name: String,
     address: String,
     city: String,
     state: String,
     pincode: String,
-    phone: String
+    phone: String,
+    instructions: String
   },
   status: {
     type: String,
@@ -40,19 +166,42 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cod', 'razorpay'],
+    enum: ['cod', 'razorpay', 'on_account'],
     required: true
   },
+  // When an order paid on account falls due under the buyer's credit terms
+  paymentDueDate: Date,
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   razorpayDetails: {
     orderId: String,
     paymentId: String,
     signature: String
-  }
+  },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String,
+      enum: ['user', 'admin', 'business', 'system'],
+      default: 'system'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -60,14 +209,36 @@ const orderSchema = new mongoose.Schema({
 // Add index for better query performance
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'items.seller': 1, createdAt: -1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'deliverySlot.date': 1, 'deliverySlot.slot': 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+
+// Record the initial status as the first history entry
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      actor: this.user,
+      actorRole: 'user',
+      note: 'Order placed'
+    });
+  }
+  next();
+});
 
-// Calculate total amount before saving
+// Calculate total amount before saving, for orders the server has not
+// priced. Priced orders keep totalAmount as pricing.total, which packing
+// adjusts for the weighed quantities; recomputing it here from the ordered
+// quantities would undo that whenever a line changes.
 orderSchema.pre('save', async function(next) {
-  if (this.isModified('items')) {
-    this.totalAmount = this.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
+  const priced = this.pricing?.total !== undefined && this.pricing?.total !== null;
+  if (this.isModified('items') && !priced) {
+    const subtotal = this.items.reduce((total, item) => {
+      return total + (item.price * (item.packedQuantity ?? item.quantity));
     }, 0);
+    const { deliveryFee = 0, tax = 0, discount = 0 } = this.pricing || {};
+    this.totalAmount = Math.round((subtotal + deliveryFee + tax - discount) * 100) / 100;
   }
   next();
 });
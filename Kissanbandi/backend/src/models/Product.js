@@ -1,4 +1,61 @@
 const mongoose = require('mongoose');
+const inventoryConfig = require('../config/inventory');
+
+// Wholesale price for business buyers ordering at least `minQuantity` units
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// A pack size sold on its own, e.g. "500 g" or "1 kg". When a product has
+// variants, its price and stock are derived from them.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  packSize: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Printed price; shown struck through when above `price`
+  mrp: {
+    type: Number,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  // Shipping weight of one pack in kg; falls back to the product's
+  weightKg: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  priceTiers: [priceTierSchema]
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -25,6 +82,22 @@ const productSchema = new mongoose.Schema({
     required: true,
     enum: ['kg', 'g', 'piece', 'dozen', 'bunch']
   },
+  // Shipping weight of one unit in kg; defaults per unit in config/pricing.js
+  weightPerUnit: {
+    type: Number,
+    min: 0
+  },
+  // HSN code for GST invoices; defaults to config/invoice.js
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'Please provide a valid HSN code']
+  },
+  // Farmer the produce is sourced from
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farmer'
+  },
   stock: {
     type: Number,
     required: true,
@@ -48,11 +121,44 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Stock at or below this counts as low and goes in the admin digest
+  reorderLevel: {
+    type: Number,
+    min: 0,
+    default: () => inventoryConfig.defaultReorderLevel
+  },
   status: {
     type: String,
     enum: ['active', 'inactive'],
     default: 'active'
-  }
+  },
+  // Why an inactive product is off sale: it ran out ('stock', switched back
+  // on when restocked), an admin turned it off ('admin', stays off) or it is
+  // a seller listing not approved yet ('approval')
+  inactiveReason: {
+    type: String,
+    enum: ['stock', 'admin', 'approval']
+  },
+  // Business account selling the product; empty for our own products
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Seller listings go on sale once an admin approves them
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  approvalNote: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Wholesale prices for products sold without pack sizes; packs have their own
+  priceTiers: [priceTierSchema],
+  variants: [variantSchema]
 }, {
   timestamps: true
 });
@@ -62,5 +168,40 @@ productSchema.index({ name: 'text', category: 'text', subcategory: 'text' });
 productSchema.index({ category: 1, subcategory: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
+productSchema.index({ seller: 1, createdAt: -1 });
+productSchema.index({ approvalStatus: 1, createdAt: -1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Product-level price (cheapest active pack) and stock (all packs) for a
+// list of variants, or null when there are none
+productSchema.statics.variantTotals = function(variants) {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const skus = variants.map(variant => String(variant.sku || '').trim().toUpperCase());
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicate) {
+    throw new Error(`SKU ${duplicate} is used by more than one pack size`);
+  }
+
+  const active = variants.filter(variant => variant.isActive !== false);
+  const priced = active.length ? active : variants;
+  return {
+    price: Math.min(...priced.map(variant => Number(variant.price) || 0)),
+    stock: variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0)
+  };
+};
+
+productSchema.pre('validate', function(next) {
+  try {
+    const totals = this.constructor.variantTotals(this.variants);
+    if (totals) this.set(totals);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 module.exports = mongoose.model('Product', productSchema); 
\ No newline at end of file
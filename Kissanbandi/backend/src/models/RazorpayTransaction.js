@@ -33,13 +33,14 @@ const razorpayTransactionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['created', 'authorized', 'captured', 'failed', 'refunded'],
+        enum: ['created', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'],
         default: 'created'
     },
     paymentMethod: {
         type: String,
         required: true
     },
+    // Latest refund and the running total; individual refunds live in the Refund ledger
     refundId: String,
     refundStatus: String,
     refundAmount: Number,
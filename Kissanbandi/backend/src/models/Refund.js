@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RazorpayTransaction',
+    required: true
+  },
+  razorpayPaymentId: String,
+  razorpayRefundId: {
+    type: String,
+    sparse: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  type: {
+    type: String,
+    enum: ['partial', 'full'],
+    default: 'partial'
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    restock: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'webhook'],
+    default: 'admin'
+  },
+  notes: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ transaction: 1 });
+refundSchema.index({ razorpayRefundId: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
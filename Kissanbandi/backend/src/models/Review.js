@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A customer's review of a product they received. Only approved reviews are
+// shown publicly and counted in the product's rating.
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The delivered order that makes this a verified purchase
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Reviews can be at most 2000 characters']
+  },
+  // Image URLs or data URLs, as product images are stored
+  photos: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: String
+}, {
+  timestamps: true
+});
+
+// One review per customer per product; editing it sends it back for moderation
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
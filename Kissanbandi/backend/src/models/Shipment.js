@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One step on the way to the customer, e.g. out for delivery
+const shipmentEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['packed', 'out_for_delivery', 'attempted', 'delivered'],
+    required: true
+  },
+  note: String,
+  location: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Staff member who recorded the event
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Delivery of one order: who is carrying it, where it has got to and, once
+// delivered, the proof of delivery. Created with the first tracking update.
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Courier company, or our own delivery team
+  courier: String,
+  agentName: String,
+  agentPhone: String,
+  trackingNumber: String,
+  // When the order is expected to arrive
+  eta: Date,
+  proofOfDelivery: {
+    // OTP, signature slip or photo reference taken at the door
+    reference: String,
+    receivedBy: String
+  },
+  events: [shipmentEventSchema]
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
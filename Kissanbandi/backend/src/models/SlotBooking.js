@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Booked count of one slot on one date; the capacity counter checked and
+// incremented in the same transaction as order creation
+const slotBookingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD in the delivery time zone
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Booked count per zone name
+  zones: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A delivery of a perishable product with its own shelf life. The product's
+// stock is the total of its batches plus any stock received without one.
+const stockBatchSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Pack size the batch was packed in, for products sold in packs
+  variant: mongoose.Schema.Types.ObjectId,
+  // Farmer who supplied the batch; defaults to the product's farmer
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farmer'
+  },
+  batchCode: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Quantity received, and what is left of it
+  receivedQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Quantity written off, when it expired or by hand
+  wastedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // near_expiry batches are sold at `markdownPercent` off, or only flagged
+  // for removal when it is 0
+  status: {
+    type: String,
+    enum: ['active', 'near_expiry', 'expired'],
+    default: 'active'
+  },
+  markdownPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// First-expiry-first-out allocation and the expiry job
+stockBatchSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+stockBatchSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockBatch', stockBatchSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One change to a product's stock, so counts can be traced back.
+// Written in the same transaction as the change wherever there is one.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Pack size the stock moved in, for products sold in packs
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  // Positive when stock comes in, negative when it goes out
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Product stock (and pack stock) right after the change
+  balance: Number,
+  variantBalance: Number,
+  reason: {
+    type: String,
+    enum: [
+      'initial',
+      'sale',
+      'reservation',
+      'reservation_release',
+      'cancellation',
+      'manual_adjust',
+      'refund_restock',
+      'wastage',
+      'received'
+    ],
+    required: true
+  },
+  // The order, refund, reservation, product or batch the change came from
+  referenceModel: {
+    type: String,
+    enum: ['Order', 'Refund', 'StockReservation', 'Product', 'StockBatch']
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel'
+  },
+  // Who made the change; empty for the system (e.g. expired holds)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RazorpayTransaction'
+  },
+  razorpayOrderId: {
+    type: String,
+    sparse: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    price: {
+      type: Number,
+      required: true
+    },
+    // Batches the units came from, first expiry first
+    batches: [{
+      batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockBatch'
+      },
+      quantity: Number,
+      markdownPercent: Number
+    }]
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  // Place held in the delivery slot chosen at checkout, as stored on the Order
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    date: String, // YYYY-MM-DD in the delivery time zone
+    startTime: String,
+    endTime: String,
+    label: String,
+    zone: String,
+    releasedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for the sweeper and payment verification lookups
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ razorpayOrderId: 1 });
+stockReservationSchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A basket delivered on a schedule. The subscription scheduler turns each
+// upcoming delivery into a regular cash-on-delivery Order.
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'My basket'
+  },
+  items: {
+    type: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variant: mongoose.Schema.Types.ObjectId,
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    validate: [items => items.length > 0, 'A subscription needs at least one item']
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'biweekly'],
+    required: true
+  },
+  // Preferred delivery window; a slot at the same time is used on days this
+  // one does not run
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot'
+  },
+  // Entry in the user's address book to deliver to
+  addressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  // Dates are YYYY-MM-DD in the delivery time zone
+  nextDeliveryDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Use YYYY-MM-DD for delivery dates']
+  },
+  // No deliveries before this date
+  pausedUntil: {
+    type: String,
+    match: [DATE_PATTERN, 'Use YYYY-MM-DD for delivery dates']
+  },
+  skipDates: [{
+    type: String,
+    match: [DATE_PATTERN, 'Use YYYY-MM-DD for delivery dates']
+  }],
+  // What the scheduler did for each delivery date, newest last
+  runs: [{
+    date: String,
+    status: {
+      type: String,
+      enum: ['ordered', 'skipped', 'failed']
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// The scheduler looks for active subscriptions that are due
+subscriptionSchema.index({ status: 1, nextDeliveryDate: 1 });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -3,6 +3,72 @@ const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
 
+const INDIAN_STATES = [
+  'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
+  'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram',
+  'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+  'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+  'Andaman and Nicobar Islands', 'Chandigarh', 'Dadra and Nagar Haveli and Daman and Diu',
+  'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+];
+
+// One entry in the address book; orders copy the chosen one
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^(\+91[-\s]?)?[0]?(91)?[6789]\d{9}$/.test(v);
+      },
+      message: 'Please provide a valid Indian phone number'
+    }
+  },
+  street: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  locality: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true,
+    enum: INDIAN_STATES
+  },
+  pincode: {
+    type: String,
+    required: true,
+    match: [/^\d{6}$/, 'Please provide a valid 6-digit pincode']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -69,15 +135,7 @@ const userSchema = new mongoose.Schema({
     city: String,
     state: {
       type: String,
-      enum: [
-        'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
-        'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
-        'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram',
-        'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
-        'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
-        'Andaman and Nicobar Islands', 'Chandigarh', 'Dadra and Nagar Haveli and Daman and Diu',
-        'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
-      ]
+      enum: INDIAN_STATES
     },
     pincode: {
       type: String,
@@ -89,11 +147,45 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  addresses: [addressSchema],
   role: {
     type: String,
     enum: ['user', 'admin', 'business'],
     default: 'user'
   },
+  // Credit terms for business buyers paying on account. `balance` is what
+  // they owe; the CreditEntry ledger records every change to it. `approved`
+  // is set by an admin once the business is verified; anyone can register as
+  // a business, and only approved ones get wholesale prices or credit.
+  credit: {
+    approved: {
+      type: Boolean,
+      default: false
+    },
+    limit: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    termsDays: {
+      type: Number,
+      enum: [15, 30],
+      default: 30
+    },
+    balance: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Abandoned-cart reminder emails: whether the customer turned them off
+  // and when the last one went out, for the frequency cap
+  cartReminders: {
+    unsubscribed: {
+      type: Boolean,
+      default: false
+    },
+    lastSentAt: Date
+  },
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
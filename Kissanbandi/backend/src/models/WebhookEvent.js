@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  result: String,
+  errorMessage: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { auth } = require('../middleware/auth');
+
+// Public route, from the link in reminder emails
+router.post('/reminders/unsubscribe', cartController.unsubscribeReminders);
+
+router.get('/', auth, cartController.getCart);
+router.put('/', auth, cartController.saveCart);
+router.post('/merge', auth, cartController.mergeCart);
+router.post('/validate', auth, cartController.validateCart);
+router.delete('/', auth, cartController.clearCart);
+
+module.exports = router;
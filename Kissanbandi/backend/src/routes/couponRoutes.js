@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { auth, admin } = require('../middleware/auth');
+
+// Protected routes
+router.post('/validate', auth, couponController.validateCoupon);
+
+// Admin routes
+router.get('/', [auth, admin], couponController.getCoupons);
+router.get('/:id', [auth, admin], couponController.getCoupon);
+router.post('/', [auth, admin], couponController.createCoupon);
+router.put('/:id', [auth, admin], couponController.updateCoupon);
+router.delete('/:id', [auth, admin], couponController.deleteCoupon);
+
+module.exports = router;
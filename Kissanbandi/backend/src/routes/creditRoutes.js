@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const creditController = require('../controllers/creditController');
+const { auth, admin } = require('../middleware/auth');
+
+// Customer routes
+router.get('/account', auth, creditController.getMyAccount);
+router.get('/statement', auth, creditController.getMyStatement);
+
+// Admin routes
+router.get('/accounts', [auth, admin], creditController.getAccounts);
+router.put('/accounts/:userId', [auth, admin], creditController.updateAccount);
+router.get('/accounts/:userId/statement', [auth, admin], creditController.getAccountStatement);
+router.post('/accounts/:userId/payments', [auth, admin], creditController.recordPayment);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const farmerController = require('../controllers/farmerController');
+const { auth, admin } = require('../middleware/auth');
+
+// Public routes
+router.get('/', farmerController.getFarmers);
+
+// Admin routes
+router.get('/admin', [auth, admin], farmerController.getAllFarmers);
+router.post('/', [auth, admin], farmerController.createFarmer);
+router.put('/:id', [auth, admin], farmerController.updateFarmer);
+router.delete('/:id', [auth, admin], farmerController.deleteFarmer);
+router.get('/:id/sales', [auth, admin], farmerController.getFarmerSales);
+
+// Public profile last so it does not shadow /admin
+router.get('/:id', farmerController.getFarmer);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const shipmentController = require('../controllers/shipmentController');
 const { auth, admin } = require('../middleware/auth');
 
 // Protected routes (no params)
 router.post('/', auth, orderController.createOrder);
+router.post('/quote', auth, orderController.quoteOrder);
 router.get('/my-orders', auth, orderController.getUserOrders);
 
 // Admin routes (no params)
@@ -21,12 +23,18 @@ router.post('/razorpay/verify', auth, orderController.verifyPayment);
 router.get('/transactions', [auth, admin], orderController.getAllTransactions);
 router.get('/transactions/stats', [auth, admin], orderController.getTransactionStats);
 router.get('/transactions/:transactionId', auth, orderController.getTransactionDetails);
+router.get('/transactions/:orderId/refunds', [auth, admin], orderController.getOrderRefunds);
 router.post('/transactions/:orderId/refund', [auth, admin], orderController.processRefund);
 
 // Parameterized routes (must come last)
 router.get('/:id', auth, orderController.getOrder);
+router.get('/:id/invoice', auth, orderController.downloadInvoice);
 router.post('/:id/cancel', auth, orderController.cancelOrder);
 router.patch('/:id/status', [auth, admin], orderController.updateOrderStatus);
 router.patch('/:id/payment', [auth, admin], orderController.updatePaymentStatus);
+router.post('/:id/pack', [auth, admin], orderController.packOrder);
+router.get('/:id/shipment', auth, shipmentController.getShipment);
+router.put('/:id/shipment', [auth, admin], shipmentController.updateShipment);
+router.post('/:id/shipment/events', [auth, admin], shipmentController.addShipmentEvent);
 
 module.exports = router; 
\ No newline at end of file
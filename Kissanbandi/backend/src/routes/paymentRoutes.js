@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Razorpay server-to-server notifications (authenticated by signature, not JWT)
+router.post('/razorpay/webhook', paymentController.handleRazorpayWebhook);
+
+module.exports = router;
@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { auth, admin } = require('../middleware/auth');
+const { auth, optionalAuth, admin, seller } = require('../middleware/auth');
 
 // Public routes
 router.get('/', productController.getProducts);
 router.get('/categories', productController.getCategories);
-router.get('/:id', productController.getProduct);
+router.get('/low-stock', [auth, admin], productController.getLowStock);
+router.get('/listings', [auth, admin], productController.getListings);
+router.get('/:id', optionalAuth, productController.getProduct);
+
+// Admin and seller routes; sellers only reach their own products
+router.post('/', [auth, seller], productController.createProduct);
+router.put('/:id', [auth, seller], productController.updateProduct);
+router.delete('/:id', [auth, seller], productController.deleteProduct);
+router.patch('/:id/stock', [auth, seller], productController.updateStock);
+router.get('/:id/movements', [auth, seller], productController.getStockMovements);
+router.get('/:id/batches', [auth, seller], productController.getBatches);
+router.post('/:id/batches', [auth, seller], productController.receiveBatch);
+router.post('/:id/batches/:batchId/write-off', [auth, seller], productController.writeOffBatch);
+router.patch('/:id/inactive', [auth, seller], productController.InactiveProduct);
+router.patch('/:id/active', [auth, seller], productController.ActiveProduct);
 
 // Admin routes
-router.post('/', [auth, admin], productController.createProduct);
-router.put('/:id', [auth, admin], productController.updateProduct);
-router.delete('/:id', [auth, admin], productController.deleteProduct);
-router.patch('/:id/stock', [auth, admin], productController.updateStock);
-router.patch('/:id/inactive', [auth, admin], productController.InactiveProduct);
-router.patch('/:id/active', [auth, admin], productController.ActiveProduct);
+router.patch('/:id/approval', [auth, admin], productController.reviewListing);
 
 module.exports = router; 
\ No newline at end of file
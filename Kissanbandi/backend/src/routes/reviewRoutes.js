@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { auth, admin } = require('../middleware/auth');
+
+// Public routes
+router.get('/product/:productId', reviewController.getProductReviews);
+
+// Customer routes
+router.get('/product/:productId/mine', auth, reviewController.getMyReview);
+router.post('/product/:productId', auth, reviewController.submitReview);
+router.delete('/:id', auth, reviewController.deleteReview);
+
+// Admin routes
+router.get('/', [auth, admin], reviewController.getAllReviews);
+router.patch('/:id/moderate', [auth, admin], reviewController.moderateReview);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const sellerController = require('../controllers/sellerController');
+const { auth, seller } = require('../middleware/auth');
+
+// Seller portal for business accounts
+router.get('/products', [auth, seller], sellerController.getSellerProducts);
+router.get('/orders', [auth, seller], sellerController.getSellerOrders);
+router.patch('/orders/:orderId/items/:itemId/packed', [auth, seller], sellerController.markLinePacked);
+
+module.exports = router;
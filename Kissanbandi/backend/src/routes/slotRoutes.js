@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const slotController = require('../controllers/slotController');
+const { auth, admin } = require('../middleware/auth');
+
+// Public routes
+router.get('/available', slotController.getAvailableSlots);
+
+// Admin routes (no params)
+router.get('/', [auth, admin], slotController.getSlots);
+router.post('/', [auth, admin], slotController.createSlot);
+router.get('/orders', [auth, admin], slotController.getSlotOrders);
+router.get('/holidays', [auth, admin], slotController.getHolidays);
+router.post('/holidays', [auth, admin], slotController.createHoliday);
+router.delete('/holidays/:id', [auth, admin], slotController.deleteHoliday);
+
+// Parameterized routes (must come last)
+router.put('/:id', [auth, admin], slotController.updateSlot);
+router.delete('/:id', [auth, admin], slotController.deleteSlot);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { auth, admin } = require('../middleware/auth');
+
+// Customer routes (admins can manage any subscription through these too)
+router.get('/my', auth, subscriptionController.getMySubscriptions);
+router.post('/', auth, subscriptionController.createSubscription);
+router.put('/:id', auth, subscriptionController.updateSubscription);
+router.post('/:id/pause', auth, subscriptionController.pauseSubscription);
+router.post('/:id/resume', auth, subscriptionController.resumeSubscription);
+router.post('/:id/skip', auth, subscriptionController.skipDelivery);
+router.delete('/:id/skip/:date', auth, subscriptionController.unskipDelivery);
+router.post('/:id/cancel', auth, subscriptionController.cancelSubscription);
+
+// Admin routes
+router.get('/', [auth, admin], subscriptionController.getAllSubscriptions);
+
+module.exports = router;
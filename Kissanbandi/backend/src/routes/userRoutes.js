@@ -34,6 +34,12 @@ router.get('/wishlist', auth, userController.getWishlist);
 router.post('/wishlist/:productId', auth, userController.addToWishlist);
 router.delete('/wishlist/:productId', auth, userController.removeFromWishlist);
 
+// Address book routes
+router.get('/addresses', auth, userController.getAddresses);
+router.post('/addresses', auth, userController.addAddress);
+router.put('/addresses/:addressId', auth, userController.updateAddress);
+router.delete('/addresses/:addressId', auth, userController.deleteAddress);
+
 // Admin routes
 router.get('/', [auth, admin], userController.getAllUsers);
 router.get('/:userId/orders', [auth, admin], userController.getCustomerOrders);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const zoneController = require('../controllers/zoneController');
+const { auth, admin } = require('../middleware/auth');
+
+// Public routes
+router.get('/check/:pincode', zoneController.checkPincode);
+
+// Admin routes
+router.get('/', [auth, admin], zoneController.getZones);
+router.post('/', [auth, admin], zoneController.createZone);
+router.put('/:id', [auth, admin], zoneController.updateZone);
+router.delete('/:id', [auth, admin], zoneController.deleteZone);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const User = require('../models/User');
+
+const addressError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'street', 'locality', 'city', 'state', 'pincode', 'instructions', 'isDefault'];
+
+const pickAddressFields = (body = {}) => {
+  const data = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (field in body) data[field] = body[field];
+  });
+  return data;
+};
+
+// Users who registered before the address book have only `user.address`;
+// copy it in as their default so checkout has something to offer.
+// Does not save.
+const seedAddressBook = (user) => {
+  const legacy = user.address || {};
+  if (user.addresses.length > 0 || !legacy.pincode || !legacy.street) return false;
+
+  user.addresses.push({
+    label: 'Home',
+    name: user.name,
+    phone: user.phone,
+    street: legacy.street,
+    locality: legacy.locality,
+    city: legacy.city,
+    state: legacy.state,
+    pincode: legacy.pincode,
+    isDefault: true
+  });
+  return true;
+};
+
+// Keep exactly one default: `preferred` if given, otherwise the current one
+// or the first address
+const normalizeDefault = (user, preferred) => {
+  const current = preferred || user.addresses.find(address => address.isDefault) || user.addresses[0];
+  user.addresses.forEach(address => {
+    address.isDefault = Boolean(current) && address._id.equals(current._id);
+  });
+};
+
+// The copy of an address stored on an order
+const shippingSnapshot = (address, user) => ({
+  addressId: address._id,
+  label: address.label,
+  name: address.name || user.name,
+  address: [address.street, address.locality].filter(Boolean).join(', '),
+  city: address.city,
+  state: address.state,
+  pincode: address.pincode,
+  phone: address.phone || user.phone || '',
+  instructions: address.instructions
+});
+
+// Shipping address for a new order. `addressId` picks an address-book entry;
+// without it a raw `shippingAddress` from older clients is used, and failing
+// that the customer's default address.
+const resolveShippingAddress = async (userId, { addressId, shippingAddress } = {}) => {
+  if (!addressId && shippingAddress?.pincode) return shippingAddress;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw addressError('User not found', 404);
+  }
+  if (seedAddressBook(user)) {
+    await user.save();
+  }
+
+  const address = addressId
+    ? user.addresses.id(addressId)
+    : user.addresses.find(entry => entry.isDefault) || user.addresses[0];
+  if (!address) {
+    throw addressError(addressId ? 'Address not found' : 'Please add a delivery address', addressId ? 404 : 400);
+  }
+
+  return shippingSnapshot(address, user);
+};
+
+module.exports = {
+  pickAddressFields,
+  seedAddressBook,
+  normalizeDefault,
+  resolveShippingAddress
+};
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockBatch = require('../models/StockBatch');
+const inventoryConfig = require('../config/inventory');
+const { movementFor, recordMovements, stockError } = require('./stock');
+const { reactivateIfRestocked } = require('./inventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw stockError(`A valid ${field} is required`, 400);
+  }
+  return date;
+};
+
+// Receive a batch into stock: the product (or pack) stock goes up by its
+// quantity and the receipt goes in the ledger. The batch is credited to the
+// product's farmer unless `farmer` says otherwise.
+const receiveBatch = async (productId, { variant, farmer, batchCode, quantity, receivedAt, expiresAt }, actor) => {
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    throw stockError('Quantity must be a whole number above zero', 400);
+  }
+  const received = receivedAt ? parseDate(receivedAt, 'received date') : new Date();
+  const expires = parseDate(expiresAt, 'expiry date');
+  if (expires <= received) {
+    throw stockError('Expiry date must be after the received date', 400);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let batch;
+    await session.withTransaction(async () => {
+      const product = variant
+        ? await Product.findOneAndUpdate(
+          { _id: productId, 'variants._id': variant },
+          { $inc: { stock: units, 'variants.$.stock': units } },
+          { new: true, session }
+        )
+        : await Product.findOneAndUpdate(
+          { _id: productId, 'variants.0': { $exists: false } },
+          { $inc: { stock: units } },
+          { new: true, session }
+        );
+
+      if (!product) {
+        const existing = await Product.findById(productId).session(session);
+        if (!existing) throw stockError('Product not found', 404);
+        throw stockError(
+          variant ? 'Pack size not found' : 'This product is stocked per pack size; choose a pack',
+          variant ? 404 : 400
+        );
+      }
+
+      [batch] = await StockBatch.create([{
+        product: product._id,
+        variant,
+        farmer: farmer || product.farmer,
+        batchCode,
+        receivedAt: received,
+        expiresAt: expires,
+        receivedQuantity: units,
+        quantity: units,
+        receivedBy: actor
+      }], { session });
+
+      await recordMovements([movementFor({ variant }, product, units, {
+        reason: 'received',
+        referenceModel: 'StockBatch',
+        reference: batch._id,
+        actor,
+        note: batchCode ? `Batch ${batchCode}` : undefined
+      })], session);
+      await reactivateIfRestocked(product, product.stock - units, session);
+    });
+    return batch;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Write off what is left of a batch (or `quantity` of it) as wastage inside
+// the caller's transaction. Stock only comes down by what is actually on
+// hand, in case the count was corrected by hand in the meantime.
+const writeOffBatch = async (batch, { quantity, note, actor, expired = false }, session) => {
+  const units = Math.min(quantity ?? batch.quantity, batch.quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    throw stockError('Nothing left in this batch to write off', 400);
+  }
+
+  const product = await Product.findById(batch.product).session(session);
+  const pack = batch.variant && product?.variants.id(batch.variant);
+  const onHand = pack ? pack.stock : (product?.stock || 0);
+  const wasted = Math.min(units, onHand);
+
+  batch.quantity -= units;
+  batch.wastedQuantity += wasted;
+  if (expired) batch.status = 'expired';
+  await batch.save({ session });
+
+  if (wasted > 0) {
+    const updated = await Product.findOneAndUpdate(
+      pack ? { _id: product._id, 'variants._id': pack._id } : { _id: product._id },
+      pack
+        ? { $inc: { stock: -wasted, 'variants.$.stock': -wasted } }
+        : { $inc: { stock: -wasted } },
+      { new: true, session }
+    );
+    await recordMovements([movementFor({ variant: batch.variant }, updated, -wasted, {
+      reason: 'wastage',
+      referenceModel: 'StockBatch',
+      reference: batch._id,
+      actor,
+      note: note || (expired ? `Batch ${batch.batchCode || batch._id} expired` : undefined)
+    })], session);
+  }
+  return wasted;
+};
+
+// Admin write-off of a batch, e.g. produce pulled from the shelf
+const writeOffBatchById = async (productId, batchId, { quantity, note }, actor) => {
+  const session = await mongoose.startSession();
+  try {
+    let batch;
+    await session.withTransaction(async () => {
+      batch = await StockBatch.findOne({ _id: batchId, product: productId }).session(session);
+      if (!batch) throw stockError('Batch not found', 404);
+      await writeOffBatch(batch, {
+        quantity: quantity === undefined || quantity === '' ? undefined : Number(quantity),
+        note,
+        actor
+      }, session);
+    });
+    return batch;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Mark batches entering the near-expiry window, marking them down when a
+// markdown is configured. Returns how many were marked.
+const markNearExpiry = async (now = new Date()) => {
+  const result = await StockBatch.updateMany(
+    {
+      status: 'active',
+      quantity: { $gt: 0 },
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + inventoryConfig.nearExpiryDays * DAY_MS) }
+    },
+    { status: 'near_expiry', markdownPercent: inventoryConfig.nearExpiryMarkdownPercent }
+  );
+  return result.modifiedCount;
+};
+
+// Write off every batch past its expiry date. Each batch is its own
+// transaction, so one failure does not hold up the rest. Returns the units
+// written off.
+const writeOffExpiredBatches = async (now = new Date()) => {
+  const batches = await StockBatch.find({
+    status: { $ne: 'expired' },
+    expiresAt: { $lte: now }
+  }).select('_id');
+
+  let wasted = 0;
+  for (const { _id } of batches) {
+    const session = await mongoose.startSession();
+    try {
+      let units = 0;
+      await session.withTransaction(async () => {
+        units = 0;
+        const batch = await StockBatch.findOne({ _id, status: { $ne: 'expired' } }).session(session);
+        if (!batch) return;
+        if (batch.quantity > 0) {
+          units = await writeOffBatch(batch, { expired: true }, session);
+        } else {
+          batch.status = 'expired';
+          await batch.save({ session });
+        }
+      });
+      wasted += units;
+    } catch (error) {
+      console.error(`Failed to write off expired batch ${_id}:`, error.message);
+    } finally {
+      await session.endSession();
+    }
+  }
+  return wasted;
+};
+
+module.exports = {
+  receiveBatch,
+  writeOffBatch,
+  writeOffBatchById,
+  markNearExpiry,
+  writeOffExpiredBatches
+};
@@ -0,0 +1,108 @@
+const StockBatch = require('../models/StockBatch');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Batches of a product (or one of its packs) that can still be sold, in the
+// order they go out: soonest expiry first
+const sellableBatches = (product, variant, session = null, now = new Date()) =>
+  StockBatch.find({
+    product,
+    variant: variant || null,
+    quantity: { $gt: 0 },
+    status: { $ne: 'expired' },
+    expiresAt: { $gt: now }
+  })
+    .sort({ expiresAt: 1, receivedAt: 1 })
+    .session(session);
+
+// Split `quantity` over `batches` first-expiry-first-out. Whatever the
+// batches do not cover comes from stock received without a batch.
+const planAllocation = (batches, quantity) => {
+  const allocations = [];
+  let remaining = quantity;
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    if (taken > 0) {
+      allocations.push({
+        batch: batch._id,
+        quantity: taken,
+        markdownPercent: batch.markdownPercent || 0
+      });
+      remaining -= taken;
+    }
+  }
+  return allocations;
+};
+
+// Unit price of `quantity` units allocated as given, with units from
+// marked-down batches at their discount
+const allocationPrice = (basePrice, allocations, quantity) => {
+  const discount = allocations.reduce(
+    (sum, allocation) => sum + basePrice * allocation.quantity * allocation.markdownPercent / 100,
+    0
+  );
+  return roundAmount(basePrice - discount / quantity);
+};
+
+// Take `quantity` of a product (or pack) out of its batches inside the
+// caller's transaction. Returns the allocations, for putting them back.
+const allocateBatches = async ({ product, variant, quantity }, session) => {
+  const batches = await sellableBatches(product, variant, session);
+  const allocations = planAllocation(batches, quantity);
+  for (const allocation of allocations) {
+    await StockBatch.updateOne(
+      { _id: allocation.batch },
+      { $inc: { quantity: -allocation.quantity } },
+      { session }
+    );
+  }
+  return allocations;
+};
+
+// Put returned units back into the batches they were sold from, latest
+// expiry first. Units from batches that have since expired stay unbatched.
+const returnToBatches = async ({ quantity, batches = [] }, session) => {
+  let remaining = quantity;
+  for (const allocation of [...batches].reverse()) {
+    if (remaining <= 0) break;
+    const returned = Math.min(allocation.quantity, remaining);
+    const result = await StockBatch.updateOne(
+      { _id: allocation.batch, status: { $ne: 'expired' } },
+      { $inc: { quantity: returned } },
+      { session }
+    );
+    if (result.modifiedCount) remaining -= returned;
+  }
+};
+
+// Keep batches from holding more than is in stock after a count was set by
+// hand, taking the difference from the soonest-expiring batches
+const trimBatches = async ({ product, variant, stock }, session = null) => {
+  const batches = await sellableBatches(product, variant, session);
+  const excess = batches.reduce((sum, batch) => sum + batch.quantity, 0) - stock;
+  if (excess > 0) {
+    await allocateBatches({ product, variant, quantity: excess }, session);
+  }
+};
+
+// trimBatches for a product and each of its packs, after an edit
+const trimProductBatches = async (product, session = null) => {
+  if (product.variants?.length) {
+    for (const variant of product.variants) {
+      await trimBatches({ product: product._id, variant: variant._id, stock: variant.stock }, session);
+    }
+  } else {
+    await trimBatches({ product: product._id, stock: product.stock }, session);
+  }
+};
+
+module.exports = {
+  sellableBatches,
+  planAllocation,
+  allocationPrice,
+  allocateBatches,
+  returnToBatches,
+  trimBatches,
+  trimProductBatches
+};
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { sellableBatches, planAllocation, allocationPrice } = require('./batches');
+const { listPrice } = require('./wholesale');
+const { isOnSale } = require('./inventory');
+
+const cartError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const lineKey = (line) => `${line.product}:${line.variant || ''}`;
+
+// Stock left for a line's product or pack
+const lineStock = (product, variantId) =>
+  (variantId ? product.variants.id(variantId)?.stock : product.stock) ?? 0;
+
+// Lines sent by the app as cart items: known products and packs only, whole
+// quantities of at least one and a single line per product and pack
+const normalizeItems = async (items) => {
+  if (!Array.isArray(items)) {
+    throw cartError('Cart items must be a list');
+  }
+
+  const ids = [...new Set(items
+    .map(item => String(item?.product))
+    .filter(id => mongoose.isValidObjectId(id)))];
+  const products = await Product.find({ _id: { $in: ids } }).select('stock variants');
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = new Map();
+  for (const item of items) {
+    const product = productsById.get(String(item?.product));
+    if (!product) continue;
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    if (item.variant && !variant) continue;
+
+    const quantity = Math.floor(Number(item.quantity));
+    if (!(quantity >= 1)) continue;
+
+    const line = { product: product._id, variant: variant?._id, quantity };
+    const existing = lines.get(lineKey(line));
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      const addedAt = new Date(item.addedAt);
+      lines.set(lineKey(line), { ...line, addedAt: isNaN(addedAt) ? new Date() : addedAt });
+    }
+  }
+  return { lines: [...lines.values()], productsById };
+};
+
+// The cart with its products, as the app shows it. Lines whose product or
+// pack has since been deleted are left out.
+const cartView = async (cart) => {
+  if (!cart) return { items: [] };
+
+  await cart.populate('items.product');
+  const items = cart.items
+    .filter(item => item.product && (!item.variant || item.product.variants.id(item.variant)))
+    .map(item => ({
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      addedAt: item.addedAt
+    }));
+  return { items, updatedAt: cart.updatedAt };
+};
+
+const getCart = async (userId) => cartView(await Cart.findOne({ user: userId }));
+
+// Replace the whole cart with what the app holds
+const saveCart = async (userId, items) => {
+  const { lines } = await normalizeItems(items);
+  const cart = await Cart.findOneAndUpdate(
+    { user: userId },
+    { $set: { items: lines } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return cartView(cart);
+};
+
+// Fold a guest cart into the customer's saved cart when they sign in. A line
+// in both carts keeps the larger quantity rather than the sum, as the guest
+// cart is often the same shopping started on another device. The guest
+// quantity only raises the line as far as there is stock for it.
+const mergeCart = async (userId, guestItems) => {
+  const { lines: guestLines, productsById } = await normalizeItems(guestItems);
+  const cart = await Cart.findOne({ user: userId });
+  const merged = new Map((cart?.items || []).map(item => [lineKey(item), {
+    product: item.product,
+    variant: item.variant,
+    quantity: item.quantity,
+    addedAt: item.addedAt
+  }]));
+
+  for (const line of guestLines) {
+    const saved = merged.get(lineKey(line));
+    if (!saved) {
+      merged.set(lineKey(line), line);
+      continue;
+    }
+    const stock = lineStock(productsById.get(String(line.product)), line.variant);
+    const quantity = Math.max(saved.quantity, line.quantity);
+    saved.quantity = stock > 0 ? Math.min(quantity, Math.max(stock, saved.quantity)) : quantity;
+  }
+
+  const updated = await Cart.findOneAndUpdate(
+    { user: userId },
+    { $set: { items: [...merged.values()] } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return cartView(updated);
+};
+
+const clearCart = async (userId) => {
+  await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+  return { items: [] };
+};
+
+const PRICE_TOLERANCE = 0.01;
+
+// Check cart lines against the live catalogue before checkout. `items` are
+// `{ product, variant?, quantity, price? }` with the price the cart shows.
+// Each line comes back with the catalogue price now, what the customer would
+// pay per unit (tier price for wholesale buyers, less any near-expiry
+// markdown), the stock available, whether it is still on sale and the
+// quantity we suggest keeping, 0 when the line should be removed. `status` is
+// the most important change: unavailable, out_of_stock, quantity_reduced,
+// price_changed or ok.
+const validateCart = async (items, { wholesale = false } = {}) => {
+  if (!Array.isArray(items)) {
+    throw cartError('Cart items must be a list');
+  }
+
+  const ids = [...new Set(items
+    .map(item => String(item?.product))
+    .filter(id => mongoose.isValidObjectId(id)))];
+  const products = await Product.find({ _id: { $in: ids } });
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = await Promise.all(items.map(async (item) => {
+    const quantity = Math.max(Math.floor(Number(item?.quantity)) || 0, 0);
+    const price = item?.price === undefined || item?.price === null ? null : Number(item.price);
+    const line = { product: item?.product, variant: item?.variant || undefined, quantity, price };
+
+    const product = productsById.get(String(item?.product));
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    if (!product || (item.variant && !variant)) {
+      return {
+        ...line,
+        active: false,
+        stock: 0,
+        currentPrice: null,
+        unitPrice: null,
+        priceChanged: false,
+        suggestedQuantity: 0,
+        status: 'unavailable'
+      };
+    }
+
+    const active = isOnSale(product) && (!variant || variant.isActive !== false);
+    const stock = active ? lineStock(product, variant?._id) : 0;
+    const suggestedQuantity = Math.min(quantity, stock);
+    const currentPrice = listPrice(product, variant, 1);
+    const priced = Math.max(suggestedQuantity, 1);
+    const batches = await sellableBatches(product._id, variant?._id);
+    const unitPrice = allocationPrice(
+      listPrice(product, variant, priced, { wholesale }),
+      planAllocation(batches, priced),
+      priced
+    );
+    const priceChanged = price !== null && Math.abs(currentPrice - price) >= PRICE_TOLERANCE;
+
+    let status = 'ok';
+    if (!active) status = 'unavailable';
+    else if (stock <= 0) status = 'out_of_stock';
+    else if (suggestedQuantity < quantity) status = 'quantity_reduced';
+    else if (priceChanged) status = 'price_changed';
+
+    return {
+      ...line,
+      name: variant ? `${product.name} (${variant.packSize})` : product.name,
+      active,
+      stock,
+      currentPrice,
+      unitPrice,
+      priceChanged,
+      suggestedQuantity,
+      status
+    };
+  }));
+
+  return { lines, changed: lines.some(line => line.status !== 'ok') };
+};
+
+module.exports = {
+  cartError,
+  getCart,
+  saveCart,
+  mergeCart,
+  clearCart,
+  validateCart
+};
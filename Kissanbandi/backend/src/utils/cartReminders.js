@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const CartReminder = require('../models/CartReminder');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { validateCart } = require('./cart');
+const { isApprovedBusiness } = require('./wholesale');
+const { sendEmail, emailTemplates } = require('./email');
+const cartReminderConfig = require('../config/cartReminders');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const reminderError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Signed token in the unsubscribe link, so it works without signing in
+const unsubscribeToken = (userId) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`cart-reminders:${userId}`)
+  .digest('hex');
+
+const unsubscribeUrl = (userId) =>
+  `${process.env.FRONTEND_URL}/unsubscribe/cart-reminders?user=${userId}&token=${unsubscribeToken(userId)}`;
+
+// Turn abandoned-cart reminders off for the customer in an unsubscribe link
+const unsubscribe = async (userId, token) => {
+  const expected = Buffer.from(unsubscribeToken(String(userId)));
+  const given = Buffer.from(String(token || ''));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw reminderError('This unsubscribe link is not valid');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { 'cartReminders.unsubscribed': true } },
+    { new: true }
+  ).select('email');
+  if (!user) {
+    throw reminderError('Account not found', 404);
+  }
+  return { email: user.email };
+};
+
+// Carts untouched for long enough that have not been reminded about since
+// they last changed, oldest first
+const findAbandonedCarts = (now = new Date(), config = cartReminderConfig) => Cart.find({
+  'items.0': { $exists: true },
+  updatedAt: {
+    $lte: new Date(now.getTime() - config.abandonedAfterHours * HOUR_MS),
+    $gte: new Date(now.getTime() - config.maxAgeDays * DAY_MS)
+  },
+  $or: [
+    { remindedAt: { $exists: false } },
+    { $expr: { $lt: ['$remindedAt', '$updatedAt'] } }
+  ]
+}).sort({ updatedAt: 1 });
+
+// Whether the cart's owner may be emailed now: they have not turned
+// reminders off, had one recently or ordered since they left the cart
+const canRemind = async (cart, user, now, config) => {
+  if (!user?.email || user.cartReminders?.unsubscribed) return false;
+
+  const lastSentAt = user.cartReminders?.lastSentAt;
+  if (lastSentAt && now - lastSentAt < config.minDaysBetween * DAY_MS) return false;
+
+  const ordered = await Order.exists({ user: cart.user, createdAt: { $gte: cart.updatedAt } });
+  return !ordered;
+};
+
+// Email one customer their abandoned cart at today's prices. Returns the
+// reminder, or null when nothing in the cart can be bought any more.
+const sendCartReminder = async (cart, user, now = new Date()) => {
+  const { lines } = await validateCart(
+    cart.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity })),
+    { wholesale: isApprovedBusiness(user) }
+  );
+  const items = lines
+    .filter(line => line.suggestedQuantity > 0)
+    .map(line => ({
+      product: line.product,
+      variant: line.variant,
+      name: line.name,
+      quantity: line.suggestedQuantity,
+      price: line.unitPrice
+    }));
+
+  // Marks the cart so it is not looked at again until it changes
+  const markReminded = () =>
+    Cart.updateOne({ _id: cart._id }, { $set: { remindedAt: now } }, { timestamps: false });
+  if (!items.length) {
+    await markReminded();
+    return null;
+  }
+
+  const cartValue = roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const template = emailTemplates.cartReminder(
+    user.name,
+    items,
+    cartValue,
+    `${process.env.FRONTEND_URL}/checkout`,
+    unsubscribeUrl(user._id)
+  );
+  await sendEmail({ email: user.email, subject: template.subject, html: template.html });
+
+  await markReminded();
+  await User.updateOne({ _id: user._id }, { $set: { 'cartReminders.lastSentAt': now } });
+  return CartReminder.create({ user: user._id, cart: cart._id, items, cartValue });
+};
+
+// Remind every customer with an abandoned cart who can be emailed. A failure
+// for one customer does not stop the rest. Returns how many were sent.
+const sendCartReminders = async (now = new Date(), config = cartReminderConfig) => {
+  const carts = await findAbandonedCarts(now, config);
+  let sent = 0;
+  for (const cart of carts) {
+    try {
+      const user = await User.findById(cart.user).select('name email role credit.approved cartReminders');
+      if (!await canRemind(cart, user, now, config)) continue;
+      if (await sendCartReminder(cart, user, now)) sent += 1;
+    } catch (error) {
+      console.error('Cart reminder failed for cart', String(cart._id), error.message);
+    }
+  }
+  return sent;
+};
+
+// Credit a new order to the latest reminder the customer got within the
+// attribution window, if it has not recovered an order already. Runs in the
+// caller's transaction.
+const recordRecovery = async (order, session = null, config = cartReminderConfig) => {
+  const since = new Date(Date.now() - config.attributionDays * DAY_MS);
+  return CartReminder.findOneAndUpdate(
+    {
+      user: order.user,
+      createdAt: { $gte: since },
+      recoveredOrder: { $exists: false }
+    },
+    {
+      $set: {
+        recoveredOrder: order._id,
+        recoveredAt: new Date(),
+        recoveredAmount: order.totalAmount
+      }
+    },
+    { sort: { createdAt: -1 }, new: true, session }
+  );
+};
+
+// Reminders sent in the date range and the orders they brought back
+const recoveryStats = async (dateFilter = {}) => {
+  const [stats] = await CartReminder.aggregate([
+    { $match: dateFilter },
+    {
+      $group: {
+        _id: null,
+        sent: { $sum: 1 },
+        cartValue: { $sum: '$cartValue' },
+        recovered: { $sum: { $cond: [{ $ifNull: ['$recoveredOrder', false] }, 1, 0] } },
+        recoveredRevenue: { $sum: { $ifNull: ['$recoveredAmount', 0] } }
+      }
+    }
+  ]);
+
+  const sent = stats?.sent || 0;
+  const recovered = stats?.recovered || 0;
+  return {
+    sent,
+    recovered,
+    conversionRate: sent ? roundAmount(recovered / sent * 100) : 0,
+    cartValue: roundAmount(stats?.cartValue || 0),
+    recoveredRevenue: roundAmount(stats?.recoveredRevenue || 0)
+  };
+};
+
+module.exports = {
+  unsubscribe,
+  findAbandonedCarts,
+  sendCartReminder,
+  sendCartReminders,
+  recordRecovery,
+  recoveryStats
+};
@@ -0,0 +1,196 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { priceOrder } = require('./pricing');
+const { isWholesaleBuyer } = require('./wholesale');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const couponError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Lines the coupon's category/product restrictions allow; all lines if unrestricted
+const eligibleLines = (coupon, lines) => {
+  const categories = coupon.categories || [];
+  const products = (coupon.products || []).map(id => id.toString());
+  if (!categories.length && !products.length) return lines;
+
+  return lines.filter(line =>
+    categories.includes(line.category) || products.includes(line.product.toString())
+  );
+};
+
+// Throws a 400 explaining why the coupon cannot be used for this cart.
+// `enforceLimits: false` skips the validity window and usage caps, for orders
+// whose price (coupon included) the customer has already paid.
+const checkCoupon = async (coupon, { userId, subtotal, enforceLimits = true, session = null }) => {
+  if (enforceLimits) {
+    const now = new Date();
+    if (!coupon.isActive) {
+      throw couponError('This coupon is no longer active');
+    }
+    if (coupon.validFrom && now < coupon.validFrom) {
+      throw couponError('This coupon is not valid yet');
+    }
+    if (coupon.validUntil && now > coupon.validUntil) {
+      throw couponError('This coupon has expired');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw couponError('This coupon has reached its usage limit');
+    }
+    if (coupon.perUserLimit && userId) {
+      const used = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        user: userId,
+        status: 'redeemed'
+      }).session(session);
+      if (used >= coupon.perUserLimit) {
+        throw couponError('You have already used this coupon');
+      }
+    }
+  }
+
+  if (subtotal < (coupon.minOrderValue || 0)) {
+    throw couponError(`Add items worth ₹${roundAmount(coupon.minOrderValue - subtotal)} more to use this coupon`);
+  }
+};
+
+// Discount entry for utils/pricing.js
+const couponDiscount = (coupon, lines) => {
+  const eligible = eligibleLines(coupon, lines);
+  if (!eligible.length) {
+    throw couponError('This coupon does not apply to the items in your cart');
+  }
+
+  const label = `Coupon ${coupon.code}`;
+  if (coupon.type === 'free_delivery') {
+    return { label, code: coupon.code, freeDelivery: true };
+  }
+
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+  let amount = coupon.type === 'percentage'
+    ? eligibleTotal * coupon.value / 100
+    : Math.min(coupon.value, eligibleTotal);
+  if (coupon.type === 'percentage' && coupon.maxDiscount) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+
+  return { label, code: coupon.code, amount: roundAmount(amount) };
+};
+
+const findCoupon = async (code, session = null) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session);
+  if (!coupon) {
+    throw couponError('Invalid coupon code', 404);
+  }
+  return coupon;
+};
+
+// priceOrder for the buyer, with wholesale prices for business accounts and
+// an optional coupon code applied. Returns `{ quote, coupon }`; `coupon` is
+// null when no code was given.
+const priceWithCoupon = async (items, {
+  couponCode,
+  userId,
+  pincode,
+  enforceLimits = true,
+  session = null
+} = {}) => {
+  const wholesale = await isWholesaleBuyer(userId, session);
+  if (!normalizeCode(couponCode)) {
+    return { quote: await priceOrder(items, { pincode, wholesale, session }), coupon: null };
+  }
+
+  const coupon = await findCoupon(couponCode, session);
+  const quote = await priceOrder(items, {
+    pincode,
+    wholesale,
+    session,
+    discounts: async ({ lines, subtotal }) => {
+      await checkCoupon(coupon, { userId, subtotal, enforceLimits, session });
+      return [couponDiscount(coupon, lines)];
+    }
+  });
+
+  return { quote, coupon };
+};
+
+// Coupon details stored on the Order
+const couponSnapshot = (coupon, quote) => ({
+  coupon: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  discount: quote.discount
+});
+
+// Count a use of the coupon against the order, inside the order's transaction.
+// The conditional increment makes concurrent checkouts conflict, so the total
+// cap cannot be overshot.
+const redeemCoupon = async (coupon, { userId, order, quote, enforceLimits = true }, session) => {
+  const filter = { _id: coupon._id };
+  if (enforceLimits && coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    filter,
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  if (enforceLimits && coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId,
+      status: 'redeemed'
+    }).session(session);
+    if (used >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  const [redemption] = await CouponRedemption.create([{
+    coupon: coupon._id,
+    code: coupon.code,
+    user: userId,
+    order: order._id,
+    discount: quote.discount,
+    orderTotal: quote.total
+  }], { session });
+
+  return redemption;
+};
+
+// Give a cancelled order's coupon use back
+const releaseCoupon = async (order, session) => {
+  if (!order.coupon?.coupon) return null;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: 'redeemed' },
+    { status: 'released', releasedAt: new Date() },
+    { new: true, session }
+  );
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+  return redemption;
+};
+
+module.exports = {
+  normalizeCode,
+  priceWithCoupon,
+  couponSnapshot,
+  redeemCoupon,
+  releaseCoupon
+};
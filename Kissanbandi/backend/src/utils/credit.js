@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditEntry = require('../models/CreditEntry');
+const { isApprovedBusiness } = require('./wholesale');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const creditError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Move the buyer's balance by `amount` (positive: they owe more) and record
+// the change in the ledger, inside the caller's transaction
+const postEntry = async (userId, amount, entry, session) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { 'credit.balance': amount } },
+    { new: true, session }
+  );
+  if (!user) {
+    throw creditError('Account not found', 404);
+  }
+
+  const [created] = await CreditEntry.create([{
+    ...entry,
+    user: userId,
+    amount,
+    balanceAfter: roundAmount(user.credit.balance)
+  }], { session });
+  return created;
+};
+
+// Charge an order paid on account to the buyer's credit and set when it falls
+// due. Only approved business accounts with a credit limit can pay this way,
+// and only while the order fits in what is left of the limit. Does not save the order.
+const chargeOrder = async (order, session) => {
+  const amount = order.totalAmount;
+  const user = await User.findOneAndUpdate(
+    {
+      _id: order.user,
+      role: 'business',
+      'credit.approved': true,
+      'credit.limit': { $gt: 0 },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$credit.balance', 0] }, amount] }, '$credit.limit'] }
+    },
+    { $inc: { 'credit.balance': amount } },
+    { new: true, session }
+  );
+
+  if (!user) {
+    const buyer = await User.findById(order.user).select('role credit').session(session);
+    if (!isApprovedBusiness(buyer) || !(buyer.credit?.limit > 0)) {
+      throw creditError('Paying on account is not set up for your account', 403);
+    }
+    const available = roundAmount(Math.max(buyer.credit.limit - (buyer.credit.balance || 0), 0));
+    throw creditError(`This order is more than your available credit of ₹${available}`);
+  }
+
+  order.paymentDueDate = new Date(Date.now() + user.credit.termsDays * DAY_MS);
+  await CreditEntry.create([{
+    user: order.user,
+    type: 'charge',
+    amount,
+    balanceAfter: roundAmount(user.credit.balance),
+    order: order._id,
+    dueDate: order.paymentDueDate,
+    actor: order.user,
+    note: 'Order placed on account'
+  }], { session });
+};
+
+// What is still charged to the buyer for one order
+const orderCharged = async (orderId, session) => {
+  const [result] = await CreditEntry.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(String(orderId)) } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]).session(session);
+  return roundAmount(result?.amount || 0);
+};
+
+// Credit back what a cancelled on-account order still owes
+const reverseOrderCharge = async (order, { actor, note } = {}, session) => {
+  if (order.paymentMethod !== 'on_account') return null;
+  const charged = await orderCharged(order._id, session);
+  if (charged <= 0) return null;
+
+  return postEntry(order.user, -charged, {
+    type: 'reversal',
+    order: order._id,
+    actor: actor?.userId,
+    note: note || 'Order cancelled'
+  }, session);
+};
+
+// Charge or credit the difference when an on-account order's total changes,
+// e.g. after weighing at packing
+const adjustOrderCharge = async (order, difference, { actor, note } = {}, session) => {
+  if (order.paymentMethod !== 'on_account' || Math.abs(difference) < 0.01) return null;
+
+  return postEntry(order.user, roundAmount(difference), {
+    type: 'adjustment',
+    order: order._id,
+    dueDate: order.paymentDueDate,
+    actor: actor?.userId,
+    note
+  }, session);
+};
+
+// Record money received from a business buyer against their balance
+const recordPayment = async (userId, { amount, reference, note }, actor) => {
+  const value = roundAmount(Number(amount));
+  if (!(value > 0)) {
+    throw creditError('Payment amount must be more than zero');
+  }
+
+  const buyer = await User.findById(userId).select('role');
+  if (!buyer) {
+    throw creditError('Account not found', 404);
+  }
+  if (buyer.role !== 'business') {
+    throw creditError('Only business accounts buy on account');
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let entry;
+    await session.withTransaction(async () => {
+      entry = await postEntry(userId, -value, {
+        type: 'payment',
+        reference,
+        note,
+        actor: actor?.userId
+      }, session);
+    });
+    return entry;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Credit limit, terms and what the buyer owes. Anything owed beyond what the
+// orders still inside their terms net to (charge less reversals, plus or
+// minus packing adjustments) is overdue; payments settle the oldest charges
+// first.
+const accountSummary = async (userId) => {
+  const user = await User.findById(userId).select('name email phone gst role credit');
+  if (!user) {
+    throw creditError('Account not found', 404);
+  }
+
+  const [notDue] = await CreditEntry.aggregate([
+    { $match: { user: user._id, order: { $ne: null } } },
+    { $group: { _id: '$order', amount: { $sum: '$amount' }, dueDate: { $max: '$dueDate' } } },
+    { $match: { amount: { $gt: 0 }, dueDate: { $gt: new Date() } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  const limit = user.credit?.limit || 0;
+  const balance = roundAmount(user.credit?.balance || 0);
+  return {
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      gst: user.gst,
+      role: user.role
+    },
+    approved: isApprovedBusiness(user),
+    limit,
+    termsDays: user.credit?.termsDays,
+    balance,
+    available: roundAmount(Math.max(limit - balance, 0)),
+    overdue: roundAmount(Math.max(balance - (notDue?.amount || 0), 0))
+  };
+};
+
+// Ledger entries between `from` and `to` with the balance brought forward
+const accountStatement = async (userId, { from, to } = {}) => {
+  const account = await accountSummary(userId);
+
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : null;
+  if (end && to.length <= 10) {
+    // A plain date includes the whole day
+    end.setHours(23, 59, 59, 999);
+  }
+  if ((start && isNaN(start)) || (end && isNaN(end))) {
+    throw creditError('Invalid statement dates');
+  }
+
+  const [opening] = start
+    ? await CreditEntry.aggregate([
+      { $match: { user: account.user._id, createdAt: { $lt: start } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+    : [];
+
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  const entries = await CreditEntry.find({
+    user: account.user._id,
+    ...(start || end ? { createdAt: range } : {})
+  })
+    .populate('order', 'totalAmount status createdAt')
+    .populate('actor', 'name')
+    .sort({ createdAt: 1 });
+
+  const openingBalance = roundAmount(opening?.amount || 0);
+  const charged = roundAmount(entries
+    .filter(entry => entry.amount > 0)
+    .reduce((sum, entry) => sum + entry.amount, 0));
+  const credited = roundAmount(entries
+    .filter(entry => entry.amount < 0)
+    .reduce((sum, entry) => sum - entry.amount, 0));
+
+  return {
+    account,
+    from: start,
+    to: end,
+    openingBalance,
+    charged,
+    credited,
+    closingBalance: roundAmount(openingBalance + charged - credited),
+    entries
+  };
+};
+
+module.exports = {
+  creditError,
+  chargeOrder,
+  reverseOrderCharge,
+  adjustOrderCharge,
+  recordPayment,
+  accountSummary,
+  accountStatement
+};
@@ -36,6 +36,108 @@ const emailTemplates = {
         <p style="color: #666; font-size: 12px;">If you didn't request a password reset, please ignore this email.</p>
       </div>
     `
+  }),
+  orderDelivered: (name, orderNumber, invoiceNumber) => ({
+    subject: `Your order #${orderNumber} has been delivered`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #16a34a; text-align: center;">Order Delivered</h1>
+        <p>Hello ${name},</p>
+        <p>Your KissanBandi order <strong>#${orderNumber}</strong> has been delivered. Thank you for shopping with us!</p>
+        <p>Your tax invoice <strong>${invoiceNumber}</strong> is attached to this email. You can also download it any time from <em>My Orders</em>.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;" />
+        <p style="color: #666; font-size: 12px;">If anything is wrong with your order, just reply to this email.</p>
+      </div>
+    `
+  }),
+  subscriptionOrderFailed: (name, subscriptionName, date, reason) => ({
+    subject: `We couldn't place your ${subscriptionName} delivery for ${date}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #16a34a; text-align: center;">Subscription Delivery Missed</h1>
+        <p>Hello ${name},</p>
+        <p>We tried to place the order for your subscription <strong>${subscriptionName}</strong> due on <strong>${date}</strong>, but couldn't:</p>
+        <p style="background-color: #fef3c7; padding: 12px; border-radius: 5px;">${reason}</p>
+        <p>Your subscription is still active and the next delivery will be attempted as usual. You can change the items or skip dates from <em>My Subscriptions</em>.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;" />
+        <p style="color: #666; font-size: 12px;">If you have any questions, just reply to this email.</p>
+      </div>
+    `
+  }),
+  listingReviewed: (name, productName, approved, note) => ({
+    subject: approved
+      ? `Your listing "${productName}" is approved`
+      : `Your listing "${productName}" needs changes`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #16a34a; text-align: center;">${approved ? 'Listing Approved' : 'Listing Not Approved'}</h1>
+        <p>Hello ${name},</p>
+        <p>${approved
+          ? `Your product <strong>${productName}</strong> has been approved and is now on sale on KissanBandi.`
+          : `Your product <strong>${productName}</strong> was not approved.`}</p>
+        ${note ? `<p style="background-color: #f0fdf4; padding: 12px; border-radius: 5px;">${note}</p>` : ''}
+        ${approved ? '' : '<p>Edit the listing from your seller portal and it will be reviewed again.</p>'}
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;" />
+        <p style="color: #666; font-size: 12px;">If you have any questions, just reply to this email.</p>
+      </div>
+    `
+  }),
+  lowStockDigest: (products) => ({
+    subject: `Low stock: ${products.length} product${products.length === 1 ? '' : 's'} at or below reorder level`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #16a34a; text-align: center;">Low Stock Digest</h1>
+        <p>These products are at or below their reorder level:</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr style="background-color: #f0fdf4; text-align: left;">
+            <th style="padding: 8px;">Product</th>
+            <th style="padding: 8px; text-align: right;">In stock</th>
+            <th style="padding: 8px; text-align: right;">Reorder level</th>
+          </tr>
+          ${products.map(product => `
+          <tr style="border-top: 1px solid #eee;">
+            <td style="padding: 8px;">${product.name}${product.status === 'inactive' ? ' <em>(off sale)</em>' : ''}</td>
+            <td style="padding: 8px; text-align: right; color: ${product.stock === 0 ? '#dc2626' : '#111'};">${product.stock} ${product.unit || ''}</td>
+            <td style="padding: 8px; text-align: right;">${product.reorderLevel}</td>
+          </tr>`).join('')}
+        </table>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;" />
+        <p style="color: #666; font-size: 12px;">Products that ran out go back on sale automatically when restocked. Change reorder levels in Admin → Products.</p>
+      </div>
+    `
+  }),
+  cartReminder: (name, items, total, checkoutUrl, unsubscribeUrl) => ({
+    subject: 'You left something in your cart',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #16a34a; text-align: center;">Still Thinking It Over?</h1>
+        <p>Hello ${name},</p>
+        <p>You left these in your KissanBandi cart. Here is what they cost today:</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr style="background-color: #f0fdf4; text-align: left;">
+            <th style="padding: 8px;">Item</th>
+            <th style="padding: 8px; text-align: right;">Qty</th>
+            <th style="padding: 8px; text-align: right;">Price</th>
+          </tr>
+          ${items.map(item => `
+          <tr style="border-top: 1px solid #eee;">
+            <td style="padding: 8px;">${item.name}</td>
+            <td style="padding: 8px; text-align: right;">${item.quantity}</td>
+            <td style="padding: 8px; text-align: right;">₹${(item.price * item.quantity).toFixed(2)}</td>
+          </tr>`).join('')}
+          <tr style="border-top: 2px solid #16a34a;">
+            <td style="padding: 8px;" colspan="2"><strong>Items total</strong></td>
+            <td style="padding: 8px; text-align: right;"><strong>₹${total.toFixed(2)}</strong></td>
+          </tr>
+        </table>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${checkoutUrl}" style="background-color: #16a34a; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Complete My Order</a>
+        </div>
+        <p>Prices and stock change with the harvest, so we will confirm everything at checkout.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;" />
+        <p style="color: #666; font-size: 12px;">Don't want these reminders? <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe</a>.</p>
+      </div>
+    `
   })
 };
 
@@ -66,7 +168,8 @@ const sendEmail = async (options) => {
         from: `KissanBandi <${process.env.EMAIL_FROM}>`,
         to: options.email,
         subject: options.subject,
-        html: options.html
+        html: options.html,
+        attachments: options.attachments
       };
 
       const info = await transporter.sendMail(mailOptions);
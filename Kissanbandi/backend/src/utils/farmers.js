@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Fields left out of the public farmer profile
+const PRIVATE_FIELDS = '-phone -email -bankDetails';
+
+// Sales of a farmer's produce from order lines, optionally between `from`
+// and `to` (YYYY-MM-DD). Lines record the farmer when ordered; older lines
+// count for whoever the product is sourced from now. Cancelled orders are
+// left out and weighed lines count at their packed amount.
+const farmerSales = async (farmerId, { from, to } = {}) => {
+  const farmer = new mongoose.Types.ObjectId(farmerId);
+  const productIds = await Product.find({ farmer }).distinct('_id');
+
+  const lineMatch = {
+    $or: [
+      { 'items.farmer': farmer },
+      { 'items.farmer': { $exists: false }, 'items.product': { $in: productIds } }
+    ]
+  };
+  const orderMatch = { status: { $ne: 'cancelled' }, ...lineMatch };
+  if (from || to) {
+    orderMatch.createdAt = {};
+    if (from) orderMatch.createdAt.$gte = new Date(from);
+    if (to) orderMatch.createdAt.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const [result] = await Order.aggregate([
+    { $match: orderMatch },
+    { $unwind: '$items' },
+    { $match: lineMatch },
+    {
+      $addFields: {
+        quantity: { $ifNull: ['$items.packedQuantity', '$items.quantity'] },
+        revenue: {
+          $ifNull: ['$items.packedAmount', { $multiply: ['$items.price', '$items.quantity'] }]
+        }
+      }
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              orders: { $addToSet: '$_id' },
+              quantity: { $sum: '$quantity' },
+              revenue: { $sum: '$revenue' }
+            }
+          },
+          { $project: { _id: 0, orders: { $size: '$orders' }, quantity: 1, revenue: 1 } }
+        ],
+        byProduct: [
+          {
+            $group: {
+              _id: { product: '$items.product', packSize: '$items.packSize' },
+              quantity: { $sum: '$quantity' },
+              revenue: { $sum: '$revenue' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'products',
+              localField: '_id.product',
+              foreignField: '_id',
+              as: 'product'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              product: '$_id.product',
+              packSize: '$_id.packSize',
+              name: { $ifNull: [{ $arrayElemAt: ['$product.name', 0] }, 'Deleted product'] },
+              unit: { $arrayElemAt: ['$product.unit', 0] },
+              quantity: 1,
+              revenue: 1
+            }
+          },
+          { $sort: { revenue: -1 } }
+        ],
+        byMonth: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+              orders: { $addToSet: '$_id' },
+              quantity: { $sum: '$quantity' },
+              revenue: { $sum: '$revenue' }
+            }
+          },
+          { $project: { _id: 0, month: '$_id', orders: { $size: '$orders' }, quantity: 1, revenue: 1 } },
+          { $sort: { month: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { orders: 0, quantity: 0, revenue: 0 };
+  const round = entry => ({ ...entry, revenue: roundAmount(entry.revenue) });
+  return {
+    totals: round(totals),
+    byProduct: result.byProduct.map(round),
+    byMonth: result.byMonth.map(round)
+  };
+};
+
+module.exports = {
+  PRIVATE_FIELDS,
+  farmerSales
+};
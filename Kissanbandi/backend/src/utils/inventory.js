@@ -0,0 +1,111 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const inventoryConfig = require('../config/inventory');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Whether an inactive product was switched off for running out rather than
+// by an admin. Products deactivated before the reason was recorded count as
+// out of stock if they had none left.
+const deactivatedForStock = (product, previousStock = product.stock) => {
+  if (product.status !== 'inactive') return false;
+  if (product.inactiveReason) return product.inactiveReason === 'stock';
+  return previousStock === 0;
+};
+
+// Products customers can buy: on sale and, for seller listings, approved by
+// an admin. Listings created before approvals existed have no approvalStatus.
+const ON_SALE = { status: 'active', approvalStatus: { $nin: ['pending', 'rejected'] } };
+
+const isOnSale = (product) =>
+  product.status === 'active' && !['pending', 'rejected'].includes(product.approvalStatus);
+
+// Status fields for an admin edit that sets `stock` and/or `status`.
+// `current` is the product before the edit. Running out switches the product
+// off; switching it off by hand is remembered so restocking leaves it off.
+const statusForStockEdit = (current, { stock, status }) => {
+  if (stock === 0) {
+    return { status: 'inactive', inactiveReason: 'stock' };
+  }
+  if (status === 'inactive' && current.status !== 'inactive') {
+    return { status: 'inactive', inactiveReason: 'admin' };
+  }
+  if (status === 'active') {
+    return { status: 'active', inactiveReason: null };
+  }
+  if (stock > 0 && deactivatedForStock(current)) {
+    return { status: 'active', inactiveReason: null };
+  }
+  return {};
+};
+
+// Put a product that ran out back on sale once stock has come back, e.g.
+// from a cancellation. `product` is the product after the stock increase.
+const reactivateIfRestocked = async (product, previousStock, session) => {
+  if (product.stock <= 0 || !deactivatedForStock(product, previousStock)) return false;
+
+  await Product.updateOne(
+    { _id: product._id, status: 'inactive', inactiveReason: { $nin: ['admin', 'approval'] } },
+    { $set: { status: 'active' }, $unset: { inactiveReason: 1 } },
+    { session }
+  );
+  return true;
+};
+
+// Products at or below their reorder level, lowest first. Products an admin
+// switched off and listings awaiting approval are left out.
+const getLowStockProducts = async ({ limit } = {}) => {
+  const pipeline = [
+    {
+      $match: {
+        $or: [{ status: 'active' }, { status: 'inactive', inactiveReason: { $nin: ['admin', 'approval'] } }],
+        $expr: {
+          $lte: ['$stock', { $ifNull: ['$reorderLevel', inventoryConfig.defaultReorderLevel] }]
+        }
+      }
+    },
+    { $sort: { stock: 1, name: 1 } },
+    {
+      $project: {
+        name: 1,
+        image: 1,
+        unit: 1,
+        category: 1,
+        stock: 1,
+        status: 1,
+        reorderLevel: { $ifNull: ['$reorderLevel', inventoryConfig.defaultReorderLevel] },
+        variants: { sku: 1, packSize: 1, stock: 1, isActive: 1 }
+      }
+    }
+  ];
+  if (limit) pipeline.push({ $limit: Number(limit) });
+
+  return Product.aggregate(pipeline);
+};
+
+// Email the low-stock list to every admin (and LOW_STOCK_ALERT_EMAILS).
+// Returns how many products were listed; nothing is sent when none are low.
+const sendLowStockDigest = async () => {
+  const products = await getLowStockProducts();
+  if (products.length === 0) return 0;
+
+  const admins = await User.find({ role: 'admin' }).select('email');
+  const recipients = [...new Set([
+    ...admins.map(admin => admin.email).filter(Boolean),
+    ...inventoryConfig.alertEmails
+  ])];
+  if (recipients.length === 0) return 0;
+
+  const { subject, html } = emailTemplates.lowStockDigest(products);
+  await sendEmail({ email: recipients.join(', '), subject, html });
+  return products.length;
+};
+
+module.exports = {
+  ON_SALE,
+  isOnSale,
+  deactivatedForStock,
+  statusForStockEdit,
+  reactivateIfRestocked,
+  getLowStockProducts,
+  sendLowStockDigest
+};
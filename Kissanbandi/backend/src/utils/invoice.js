@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const invoiceConfig = require('../config/invoice');
+const { localNow } = require('./slots');
+const { sendEmail, emailTemplates } = require('./email');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const invoiceError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Indian financial years run April to March, e.g. "2026-27"
+const financialYearOf = (dateKey) => {
+  const [year, month] = dateKey.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Give a delivered order the next invoice number of the current financial
+// year. Runs inside the caller's transaction so the counter only moves if the
+// order is saved. Does not save the order.
+const issueInvoice = async (order, session, config = invoiceConfig) => {
+  if (order.invoice?.number) return order.invoice;
+
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(localNow(issuedAt).dateKey);
+
+  // Create the counter outside the transaction so the first invoices of a
+  // year do not both try to insert it
+  await InvoiceCounter.updateOne(
+    { financialYear },
+    { $setOnInsert: { seq: 0 } },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) throw error;
+  });
+
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+  const buyer = await User.findById(order.user).select('gst').session(session);
+
+  order.invoice = {
+    number: `${config.numberPrefix}/${financialYear}/${String(counter.seq).padStart(6, '0')}`,
+    financialYear,
+    issuedAt,
+    buyerGstin: buyer?.gst || undefined
+  };
+  return order.invoice;
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+// Whole numbers in the Indian system (thousand, lakh, crore)
+const numberInWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor(n / 100000) % 100;
+  const thousand = Math.floor(n / 1000) % 100;
+  const hundred = Math.floor(n / 100) % 10;
+  const rest = n % 100;
+
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (hundred) parts.push(`${ONES[hundred]} Hundred`);
+  if (rest) parts.push(`${parts.length ? 'and ' : ''}${belowHundred(rest)}`);
+  return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(amount * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+  return `Rupees ${numberInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+const sameState = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Everything printed on the invoice, from an order with `user` and
+// `items.product` populated
+const buildInvoice = (order, config = invoiceConfig) => {
+  const user = order.user || {};
+  const shipping = order.shippingAddress || {};
+  const placeOfSupply = shipping.state || user.address?.state || config.seller.state;
+  const interState = !sameState(placeOfSupply, config.seller.state);
+
+  const lines = order.items.map(item => {
+    const product = item.product || {};
+    // Bill what was packed where the order was weighed
+    const quantity = item.packedQuantity ?? item.quantity;
+    const taxableValue = roundAmount(item.price * quantity);
+    const taxRate = item.taxRate || 0;
+    const tax = roundAmount(taxableValue * taxRate);
+    const cgst = interState ? 0 : roundAmount(tax / 2);
+
+    return {
+      name: item.packSize
+        ? `${product.name || 'Product'} (${item.packSize})`
+        : product.name || 'Product',
+      hsn: product.hsnCode || config.defaultHsn,
+      unit: product.unit,
+      quantity,
+      rate: item.price,
+      taxableValue,
+      taxRate,
+      cgst,
+      sgst: interState ? 0 : roundAmount(tax - cgst),
+      igst: interState ? tax : 0,
+      amount: roundAmount(taxableValue + tax)
+    };
+  });
+
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + line[field], 0));
+  const pricing = order.pricing || {};
+  const total = order.totalAmount;
+
+  return {
+    number: order.invoice.number,
+    issuedAt: order.invoice.issuedAt,
+    orderId: order._id.toString(),
+    orderDate: order.createdAt,
+    paymentMethod: order.paymentMethod,
+    paymentDueDate: order.paymentDueDate,
+    seller: config.seller,
+    buyer: {
+      name: shipping.name || user.name,
+      email: user.email,
+      phone: shipping.phone || user.phone,
+      gstin: order.invoice.buyerGstin,
+      address: [shipping.address, shipping.city, shipping.state, shipping.pincode].filter(Boolean).join(', ')
+    },
+    placeOfSupply,
+    interState,
+    lines,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    deliveryFee: pricing.deliveryFee || 0,
+    deliverySac: config.deliverySac,
+    discount: pricing.discount || 0,
+    couponCode: order.coupon?.code,
+    total,
+    totalInWords: amountInWords(total)
+  };
+};
+
+const PAYMENT_LABELS = {
+  cod: 'Cash on Delivery',
+  razorpay: 'Online',
+  on_account: 'On Account'
+};
+
+const formatMoney = (value) => (value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+// Render the invoice as an A4 PDF and resolve with its bytes
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header: seller on the left, invoice details on the right
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#16a34a').text('TAX INVOICE', left, 40, { width, align: 'right' });
+  doc.fillColor('black').fontSize(14).text(invoice.seller.name, left, 40);
+  doc.font('Helvetica').fontSize(9);
+  if (invoice.seller.address) doc.text(invoice.seller.address, { width: width / 2 });
+  doc.text(`State: ${invoice.seller.state}`);
+  if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+  if (invoice.seller.email) doc.text(invoice.seller.email);
+  const sellerBottom = doc.y;
+
+  doc.text(`Invoice No: ${invoice.number}`, left, 65, { width, align: 'right' });
+  doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`, { width, align: 'right' });
+  doc.text(`Order: #${invoice.orderId.slice(-8)} (${formatDate(invoice.orderDate)})`, { width, align: 'right' });
+  doc.text(`Payment: ${PAYMENT_LABELS[invoice.paymentMethod] || 'Online'}`, { width, align: 'right' });
+  if (invoice.paymentDueDate) {
+    doc.text(`Payment Due: ${formatDate(invoice.paymentDueDate)}`, { width, align: 'right' });
+  }
+
+  // Buyer
+  let y = Math.max(sellerBottom, doc.y, 130) + 10;
+  doc.moveTo(left, y).lineTo(left + width, y).stroke('#cccccc');
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill To / Ship To', left, y + 8);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(invoice.buyer.name || '');
+  if (invoice.buyer.address) doc.text(invoice.buyer.address, { width: width / 2 });
+  if (invoice.buyer.phone) doc.text(`Phone: ${invoice.buyer.phone}`);
+  if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+  const buyerBottom = doc.y;
+  doc.text(`Place of supply: ${invoice.placeOfSupply}`, left, y + 8, { width, align: 'right' });
+
+  // Line items
+  const taxColumns = invoice.interState
+    ? [{ label: 'IGST', width: 100, value: line => formatMoney(line.igst) }]
+    : [
+        { label: 'CGST', width: 50, value: line => formatMoney(line.cgst) },
+        { label: 'SGST', width: 50, value: line => formatMoney(line.sgst) }
+      ];
+  const columns = [
+    { label: '#', width: 20, value: (line, index) => String(index + 1) },
+    { label: 'Item', width: 115, value: line => line.name, align: 'left' },
+    { label: 'HSN', width: 45, value: line => line.hsn, align: 'left' },
+    { label: 'Qty', width: 40, value: line => `${line.quantity}${line.unit ? ` ${line.unit}` : ''}` },
+    { label: 'Rate', width: 50, value: line => formatMoney(line.rate) },
+    { label: 'Taxable', width: 55, value: line => formatMoney(line.taxableValue) },
+    { label: 'GST %', width: 35, value: line => `${roundAmount(line.taxRate * 100)}` },
+    ...taxColumns,
+    { label: 'Amount', width: 55, value: line => formatMoney(line.amount) }
+  ];
+
+  const drawRow = (cells, rowY, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let x = left;
+    let height = 0;
+    columns.forEach((column, i) => {
+      const options = { width: column.width - 4, align: column.align || 'right' };
+      doc.text(cells[i], x + 2, rowY, options);
+      height = Math.max(height, doc.heightOfString(cells[i], options));
+      x += column.width;
+    });
+    return rowY + height + 6;
+  };
+
+  y = buyerBottom + 15;
+  doc.rect(left, y - 4, width, 18).fill('#ecfdf5').fillColor('black');
+  y = drawRow(columns.map(column => column.label), y, true);
+  invoice.lines.forEach((line, index) => {
+    if (y > doc.page.height - 200) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    y = drawRow(columns.map(column => column.value(line, index)), y);
+  });
+  doc.moveTo(left, y).lineTo(left + width, y).stroke('#cccccc');
+
+  // Totals
+  const totals = [
+    ['Taxable value', invoice.taxableValue],
+    ...(invoice.interState
+      ? [['IGST', invoice.igst]]
+      : [['CGST', invoice.cgst], ['SGST', invoice.sgst]]),
+    [`Delivery charges (SAC ${invoice.deliverySac})`, invoice.deliveryFee],
+    ...(invoice.discount > 0
+      ? [[`Less: discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, -invoice.discount]]
+      : [])
+  ];
+  y += 8;
+  doc.font('Helvetica').fontSize(9);
+  totals.forEach(([label, value]) => {
+    doc.text(label, left + width - 250, y, { width: 160, align: 'right' });
+    doc.text(formatMoney(value), left + width - 90, y, { width: 90, align: 'right' });
+    y += 14;
+  });
+  doc.font('Helvetica-Bold').fontSize(11);
+  doc.text('Total (Rs.)', left + width - 250, y + 4, { width: 160, align: 'right' });
+  doc.text(formatMoney(invoice.total), left + width - 90, y + 4, { width: 90, align: 'right' });
+
+  doc.font('Helvetica').fontSize(9).text(`Amount in words: ${invoice.totalInWords}`, left, y + 30, { width });
+
+  doc.fontSize(8).fillColor('#666666').text(
+    'This is a computer-generated invoice and does not require a signature.',
+    left,
+    doc.page.height - doc.page.margins.bottom - 20,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+});
+
+// Invoice data and PDF for a delivered order. Orders delivered before
+// invoicing existed get their number on first download.
+const generateInvoice = async (orderId) => {
+  let order = await Order.findById(orderId);
+  if (!order) {
+    throw invoiceError('Order not found', 404);
+  }
+  if (order.status !== 'delivered') {
+    throw invoiceError('The invoice is available once the order is delivered');
+  }
+
+  if (!order.invoice?.number) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(orderId).session(session);
+        await issueInvoice(order, session);
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  await order.populate([
+    { path: 'user', select: 'name email phone address' },
+    { path: 'items.product', select: 'name unit hsnCode' }
+  ]);
+
+  const invoice = buildInvoice(order);
+  const pdf = await renderInvoicePdf(invoice);
+  return { order, invoice, pdf };
+};
+
+const invoiceFilename = (invoice) => `invoice-${invoice.number.replace(/\//g, '-')}.pdf`;
+
+// Tell the customer their order arrived, with the invoice attached
+const sendDeliveryEmail = async (orderId) => {
+  const { order, invoice, pdf } = await generateInvoice(orderId);
+  if (!order.user?.email) return;
+
+  const template = emailTemplates.orderDelivered(order.user.name, invoice.orderId.slice(-8), invoice.number);
+  await sendEmail({
+    email: order.user.email,
+    subject: template.subject,
+    html: template.html,
+    attachments: [{
+      filename: invoiceFilename(invoice),
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+};
+
+module.exports = {
+  issueInvoice,
+  generateInvoice,
+  invoiceFilename,
+  sendDeliveryEmail
+};
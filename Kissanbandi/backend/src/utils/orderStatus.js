@@ -0,0 +1,50 @@
+// Allowed order status transitions. Anything not listed here is rejected,
+// so e.g. a cancelled or delivered order can never move again.
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+const canTransition = (from, to) => {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+// Move an order to a new status and append the change to its history.
+// Does not save; the caller saves (inside its own session if it has one).
+// `actor` is `{ userId, role }` from `req.user`, or omitted for system changes.
+const changeOrderStatus = (order, to, { actor, note } = {}) => {
+  const from = order.status;
+
+  if (!ORDER_TRANSITIONS[to]) {
+    const error = new Error(`Unknown order status: ${to}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (!canTransition(from, to)) {
+    const error = new Error(`Order cannot move from ${from} to ${to}`);
+    error.status = 400;
+    throw error;
+  }
+
+  order.status = to;
+  order.statusHistory.push({
+    from,
+    to,
+    actor: actor?.userId,
+    actorRole: actor?.role || 'system',
+    note,
+    at: new Date()
+  });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  changeOrderStatus
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { deductStock } = require('./stock');
+const { pricingSnapshot, assertDeliverable, withLineDetails } = require('./pricing');
+const { priceWithCoupon, couponSnapshot, redeemCoupon } = require('./coupons');
+const { slotsConfigured, bookSlot } = require('./slots');
+const { isWholesaleBuyer } = require('./wholesale');
+const { chargeOrder } = require('./credit');
+const { recordRecovery } = require('./cartReminders');
+
+// Place an order that is paid later (cash on delivery, or on account by a
+// business buyer with credit) inside the caller's transaction: take stock,
+// price on the server, check the address is served, book the slot, redeem the
+// coupon, charge an on-account order to the buyer's credit and credit a
+// recovered abandoned cart. Any failure throws with `status` (and
+// `details` for stock problems) and the caller's transaction rolls back.
+// `items` are `{ product, variant?, quantity }` with client prices stripped.
+const placeOrder = async ({
+  userId,
+  items,
+  shippingAddress,
+  paymentMethod,
+  couponCode,
+  deliverySlot,
+  subscription
+}, session) => {
+  const orderId = new mongoose.Types.ObjectId();
+  const orderItems = items.map(item => ({ ...item }));
+  await deductStock(orderItems, session, {
+    reason: 'sale',
+    referenceModel: 'Order',
+    reference: orderId,
+    actor: userId
+  }, { wholesale: await isWholesaleBuyer(userId, session) });
+  const { quote, coupon } = await priceWithCoupon(orderItems, {
+    couponCode,
+    userId,
+    pincode: shippingAddress?.pincode,
+    session
+  });
+  assertDeliverable(quote, shippingAddress?.pincode);
+
+  // A slot is required once delivery slots are set up
+  const bookedSlot = (deliverySlot || await slotsConfigured(session))
+    ? await bookSlot(deliverySlot, { pincode: shippingAddress?.pincode }, session)
+    : undefined;
+
+  const order = new Order({
+    _id: orderId,
+    user: userId,
+    items: withLineDetails(orderItems, quote),
+    totalAmount: quote.total,
+    pricing: pricingSnapshot(quote),
+    coupon: coupon ? couponSnapshot(coupon, quote) : undefined,
+    deliverySlot: bookedSlot,
+    shippingAddress,
+    paymentMethod,
+    subscription
+  });
+
+  if (paymentMethod === 'on_account') {
+    await chargeOrder(order, session);
+  }
+
+  await order.save({ session });
+
+  if (coupon) {
+    await redeemCoupon(coupon, { userId, order, quote }, session);
+  }
+
+  // Subscription deliveries are placed by the scheduler, not won back
+  if (!subscription) {
+    await recordRecovery(order, session);
+  }
+
+  return order;
+};
+
+module.exports = {
+  placeOrder
+};
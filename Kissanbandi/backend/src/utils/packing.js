@@ -0,0 +1,137 @@
+const { canTransition, changeOrderStatus } = require('./orderStatus');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const packingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Orders can be weighed and packed until they leave the store
+const PACKABLE_STATUSES = ['pending', 'processing'];
+
+// Work out what an order costs at the weights actually packed.
+// `packed` is `[{ itemId, packedQuantity }]`; lines left out were packed as
+// ordered. Delivery fee and discount carry over from the original pricing
+// (the discount never exceeds what is left to pay for). Prepaid orders are
+// never charged more than was paid: any excess is waived as a discount.
+// Returns the per-line quantities and the new totals without changing the order.
+const buildPackingAdjustment = (order, packed = []) => {
+  if (!PACKABLE_STATUSES.includes(order.status)) {
+    throw packingError(`A ${order.status} order cannot be packed`);
+  }
+  if (order.packing?.packedAt) {
+    throw packingError('This order has already been packed');
+  }
+
+  const packedById = new Map();
+  packed.forEach(entry => {
+    const quantity = Number(entry.packedQuantity);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw packingError('Packed quantities must be zero or more');
+    }
+    packedById.set(String(entry.itemId), quantity);
+  });
+
+  const lines = order.items.map(item => {
+    const packedQuantity = packedById.has(item._id.toString())
+      ? roundAmount(packedById.get(item._id.toString()))
+      : item.quantity;
+    const packedAmount = roundAmount(item.price * packedQuantity);
+    return {
+      itemId: item._id,
+      packedQuantity,
+      packedAmount,
+      tax: roundAmount(packedAmount * (item.taxRate || 0))
+    };
+  });
+
+  const pricing = order.pricing || {};
+  const originalTotal = order.totalAmount;
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.packedAmount, 0));
+  const tax = roundAmount(lines.reduce((sum, line) => sum + line.tax, 0));
+  const deliveryFee = pricing.deliveryFee || 0;
+  let discount = roundAmount(Math.min(pricing.discount || 0, subtotal + deliveryFee));
+  let total = roundAmount(subtotal + deliveryFee + tax - discount);
+
+  const prepaid = order.paymentMethod === 'razorpay';
+  let settlement = 'none';
+  let waived = 0;
+  if (Math.abs(total - originalTotal) >= 0.01) {
+    if (!prepaid) {
+      settlement = 'collect';
+    } else if (total < originalTotal) {
+      settlement = 'refund';
+    } else {
+      settlement = 'waived';
+      waived = roundAmount(total - originalTotal);
+      discount = roundAmount(discount + waived);
+      total = originalTotal;
+    }
+  }
+
+  return {
+    lines,
+    original: {
+      subtotal: pricing.subtotal,
+      tax: pricing.tax,
+      discount: pricing.discount || 0,
+      total: originalTotal
+    },
+    adjusted: { subtotal, tax, discount, total },
+    difference: roundAmount(total - originalTotal),
+    waived,
+    settlement,
+    refundAmount: settlement === 'refund' ? roundAmount(originalTotal - total) : 0
+  };
+};
+
+// Write a packing adjustment onto the order: weighed quantities per line,
+// the original and adjusted figures, and how the difference is settled.
+// Does not save; the caller saves (with any refund) in one transaction.
+const applyPacking = (order, adjustment, { actor, notes, refund } = {}) => {
+  adjustment.lines.forEach(line => {
+    const item = order.items.id(line.itemId);
+    item.packedQuantity = line.packedQuantity;
+    item.packedAmount = line.packedAmount;
+  });
+
+  const { original, adjusted } = adjustment;
+  order.packing = {
+    packedAt: new Date(),
+    packedBy: actor?.userId,
+    notes,
+    originalSubtotal: original.subtotal,
+    originalTax: original.tax,
+    originalDiscount: original.discount,
+    originalTotal: original.total,
+    adjustedSubtotal: adjusted.subtotal,
+    adjustedTax: adjusted.tax,
+    adjustedDiscount: adjusted.discount,
+    adjustedTotal: adjusted.total,
+    difference: adjustment.difference,
+    waivedAmount: adjustment.waived,
+    settlement: adjustment.settlement,
+    refund: refund?._id,
+    collectibleAmount: order.paymentMethod === 'cod' ? adjusted.total : undefined
+  };
+
+  // What the customer pays from now on
+  order.totalAmount = adjusted.total;
+  order.pricing.subtotal = adjusted.subtotal;
+  order.pricing.tax = adjusted.tax;
+  order.pricing.discount = adjusted.discount;
+  order.pricing.total = adjusted.total;
+
+  if (canTransition(order.status, 'processing')) {
+    changeOrderStatus(order, 'processing', { actor, note: 'Packed' });
+  }
+
+  return order;
+};
+
+module.exports = {
+  buildPackingAdjustment,
+  applyPacking
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const RazorpayTransaction = require('../models/RazorpayTransaction');
+const StockReservation = require('../models/StockReservation');
+const { deductStock, stockError } = require('./stock');
+const { convertReservation } = require('./reservations');
+const { pricingSnapshot, withLineDetails } = require('./pricing');
+const { priceWithCoupon, couponSnapshot, redeemCoupon } = require('./coupons');
+const { bookSlot } = require('./slots');
+const { isWholesaleBuyer } = require('./wholesale');
+const { recordRecovery } = require('./cartReminders');
+
+// Turn a paid Razorpay transaction into an Order. Used by both the browser
+// verification call and the webhook, so it is safe to call more than once:
+// if the transaction already has an order, that order is returned instead.
+//
+// `details.items` is only used when no live stock hold exists for the payment;
+// without them the lines of the expired hold are tried again.
+// Returns `{ order, created }`.
+const createOrderFromPayment = async (transaction, details) => {
+  const {
+    paymentId,
+    signature,
+    items = [],
+    shippingAddress
+  } = details;
+
+  // Stock held when the payment was started, if any
+  const reservation = await StockReservation.findOne({
+    razorpayOrderId: transaction.razorpayOrderId
+  });
+
+  // Convert the hold (or deduct stock), create the order and link the
+  // transaction atomically. Any failure (stock, amount mismatch) aborts and
+  // rolls back every line.
+  let order;
+  let existingOrderId;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      order = null;
+      existingOrderId = null;
+
+      // Re-read inside the session: a concurrent verify/webhook writing the
+      // same transaction makes this attempt conflict and retry
+      const current = await RazorpayTransaction.findById(transaction._id).session(session);
+      if (current.orderId) {
+        existingOrderId = current.orderId;
+        return;
+      }
+
+      const orderId = new mongoose.Types.ObjectId();
+      let orderItems = items.length || !reservation
+        ? items
+        : reservation.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity
+        }));
+
+      const held = reservation &&
+        await convertReservation(reservation._id, orderId, session);
+
+      if (held) {
+        // Stock was already taken when the payment started
+        orderItems = held.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          price: item.price,
+          batches: item.batches
+        }));
+      } else {
+        // No live hold (it expired, or an older client): take stock now
+        if (!orderItems.length) {
+          throw stockError('Invalid order details provided', 400, 'No items to order');
+        }
+        await deductStock(orderItems, session, {
+          reason: 'sale',
+          referenceModel: 'Order',
+          reference: orderId,
+          actor: current.userId
+        }, { wholesale: await isWholesaleBuyer(current.userId, session) });
+      }
+
+      // Re-price on the server with the charged unit prices. The coupon was
+      // checked when the payment started and the customer has paid for it, so
+      // its window and caps are not enforced again here.
+      const { quote, coupon } = await priceWithCoupon(orderItems, {
+        couponCode: current.metadata?.couponCode,
+        userId: current.userId,
+        pincode: shippingAddress?.pincode,
+        enforceLimits: false,
+        session
+      });
+      const totalAmount = quote.total;
+
+      // Verify amount matches with a small tolerance for floating-point differences
+      const amountDifference = Math.abs(totalAmount - current.amount);
+      if (amountDifference > 0.01) {  // 1 paisa tolerance
+        console.error('Amount mismatch:', {
+          calculated: totalAmount,
+          transaction: current.amount,
+          difference: amountDifference,
+          deliveryFee: quote.deliveryFee
+        });
+        throw stockError(
+          'Order amount mismatch',
+          400,
+          'Calculated order amount does not match payment amount'
+        );
+      }
+
+      // The delivery slot chosen at checkout was held with the stock. Without
+      // a live hold its place went back, so it is booked again only if the
+      // slot still has room; a full slot aborts like missing stock does.
+      const selectedSlot = current.metadata?.deliverySlot;
+      let bookedSlot;
+      if (held?.deliverySlot?.slot) {
+        const { slot, date, startTime, endTime, label, zone } = held.deliverySlot;
+        bookedSlot = { slot, date, startTime, endTime, label, zone };
+      } else if (selectedSlot) {
+        bookedSlot = await bookSlot(selectedSlot, { pincode: shippingAddress?.pincode }, session);
+      }
+
+      // Create order in database
+      order = new Order({
+        _id: orderId,
+        user: current.userId,
+        items: withLineDetails(orderItems, quote),
+        totalAmount,
+        pricing: pricingSnapshot(quote),
+        coupon: coupon ? couponSnapshot(coupon, quote) : undefined,
+        deliverySlot: bookedSlot,
+        shippingAddress,
+        paymentMethod: 'razorpay',
+        paymentStatus: 'completed',
+        razorpayDetails: {
+          orderId: current.razorpayOrderId,
+          paymentId,
+          signature
+        }
+      });
+
+      await order.save({ session });
+
+      if (coupon) {
+        await redeemCoupon(coupon, {
+          userId: current.userId,
+          order,
+          quote,
+          enforceLimits: false
+        }, session);
+      }
+
+      await recordRecovery(order, session);
+
+      // Update transaction record with order details
+      current.orderId = order._id;
+      current.razorpayPaymentId = paymentId;
+      if (signature) current.razorpaySignature = signature;
+      current.status = 'captured';
+      current.metadata = {
+        ...current.metadata,
+        items: orderItems.map(item => ({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity,
+          price: item.price
+        })),
+        captured_at: new Date()
+      };
+
+      await current.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (existingOrderId) {
+    return { order: await Order.findById(existingOrderId), created: false };
+  }
+  return { order, created: true };
+};
+
+// HMAC-SHA256 signature Razorpay puts in `X-Razorpay-Signature` for webhooks.
+// Exposed so local fixture payloads can be signed with the same secret.
+const signWebhookPayload = (rawBody, secret) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+// Check a webhook signature against the raw (unparsed) request body
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  createOrderFromPayment,
+  signWebhookPayload,
+  verifyWebhookSignature
+};
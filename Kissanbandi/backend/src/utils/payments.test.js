@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const RazorpayTransaction = require('../models/RazorpayTransaction');
+const StockReservation = require('../models/StockReservation');
+const { deductStock } = require('./stock');
+const { convertReservation } = require('./reservations');
+const { priceWithCoupon, redeemCoupon } = require('./coupons');
+const { isWholesaleBuyer } = require('./wholesale');
+const { recordRecovery } = require('./cartReminders');
+const { bookSlot } = require('./slots');
+const {
+  createOrderFromPayment,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require('./payments');
+
+jest.mock('../models/Order', () => {
+  const Order = jest.fn(function (fields) {
+    Object.assign(this, fields);
+    this.save = jest.fn();
+  });
+  Order.findById = jest.fn();
+  return Order;
+});
+jest.mock('../models/RazorpayTransaction', () => ({ findById: jest.fn() }));
+jest.mock('../models/StockReservation', () => ({ findOne: jest.fn() }));
+jest.mock('./stock', () => ({
+  ...jest.requireActual('./stock'),
+  deductStock: jest.fn()
+}));
+jest.mock('./reservations', () => ({ convertReservation: jest.fn() }));
+jest.mock('./pricing', () => ({
+  pricingSnapshot: jest.fn(quote => ({ total: quote.total })),
+  withLineDetails: jest.fn(items => items)
+}));
+jest.mock('./coupons', () => ({
+  priceWithCoupon: jest.fn(),
+  couponSnapshot: jest.fn(),
+  redeemCoupon: jest.fn()
+}));
+jest.mock('./slots', () => ({ bookSlot: jest.fn() }));
+jest.mock('./wholesale', () => ({ isWholesaleBuyer: jest.fn() }));
+jest.mock('./cartReminders', () => ({ recordRecovery: jest.fn() }));
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'payment.captured', payload: {} });
+
+  it('accepts the signature made with the same secret', () => {
+    expect(verifyWebhookSignature(Buffer.from(body), signWebhookPayload(body, 'secret'), 'secret')).toBe(true);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    expect(verifyWebhookSignature(body, signWebhookPayload(body, 'other'), 'secret')).toBe(false);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const signature = signWebhookPayload(body, 'secret');
+    expect(verifyWebhookSignature(body.replace('captured', 'failed'), signature, 'secret')).toBe(false);
+  });
+
+  it('rejects a missing body, signature or secret', () => {
+    const signature = signWebhookPayload(body, 'secret');
+    expect(verifyWebhookSignature(undefined, signature, 'secret')).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, 'secret')).toBe(false);
+    expect(verifyWebhookSignature(body, signature, undefined)).toBe(false);
+  });
+
+  it('rejects a signature of the wrong length', () => {
+    expect(verifyWebhookSignature(body, 'abc', 'secret')).toBe(false);
+  });
+});
+
+describe('createOrderFromPayment', () => {
+  const session = {
+    withTransaction: async (fn) => fn(),
+    endSession: jest.fn()
+  };
+
+  // The transaction as re-read inside the session
+  const stored = (fields = {}) => ({
+    _id: 'txn_1',
+    userId: 'user_1',
+    razorpayOrderId: 'order_rzp_1',
+    amount: 240,
+    metadata: { couponCode: 'FRESH10' },
+    save: jest.fn(),
+    ...fields
+  });
+
+  const details = {
+    paymentId: 'pay_1',
+    signature: 'sig_1',
+    items: [{ product: 'p1', quantity: 2 }],
+    shippingAddress: { pincode: '110001' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    StockReservation.findOne.mockResolvedValue(null);
+    isWholesaleBuyer.mockResolvedValue(false);
+    priceWithCoupon.mockResolvedValue({ quote: { total: 240 }, coupon: null });
+  });
+
+  it('returns the existing order when the payment already has one', async () => {
+    RazorpayTransaction.findById.mockReturnValue({ session: () => stored({ orderId: 'order_1' }) });
+    Order.findById.mockResolvedValue({ _id: 'order_1' });
+
+    const result = await createOrderFromPayment({ _id: 'txn_1' }, details);
+
+    expect(result).toEqual({ order: { _id: 'order_1' }, created: false });
+    expect(deductStock).not.toHaveBeenCalled();
+    expect(Order).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('takes stock and creates a paid order when there is no hold', async () => {
+    const current = stored();
+    RazorpayTransaction.findById.mockReturnValue({ session: () => current });
+
+    const { order, created } = await createOrderFromPayment({ _id: 'txn_1' }, details);
+
+    expect(created).toBe(true);
+    expect(deductStock).toHaveBeenCalledWith(details.items, session, expect.objectContaining({ reason: 'sale' }), { wholesale: false });
+    expect(priceWithCoupon).toHaveBeenCalledWith(details.items, expect.objectContaining({
+      couponCode: 'FRESH10',
+      enforceLimits: false
+    }));
+    expect(order).toMatchObject({
+      user: 'user_1',
+      totalAmount: 240,
+      paymentStatus: 'completed',
+      razorpayDetails: { orderId: 'order_rzp_1', paymentId: 'pay_1', signature: 'sig_1' }
+    });
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(recordRecovery).toHaveBeenCalledWith(order, session);
+    expect(current).toMatchObject({ orderId: order._id, status: 'captured', razorpayPaymentId: 'pay_1' });
+    expect(current.save).toHaveBeenCalledWith({ session });
+  });
+
+  it('keeps the prices of a live stock hold', async () => {
+    RazorpayTransaction.findById.mockReturnValue({ session: () => stored() });
+    StockReservation.findOne.mockResolvedValue({ _id: 'hold_1', items: [] });
+    const held = [{ product: 'p1', quantity: 2, price: 120, batches: [] }];
+    convertReservation.mockResolvedValue({ items: held });
+
+    const { order } = await createOrderFromPayment({ _id: 'txn_1', razorpayOrderId: 'order_rzp_1' }, details);
+
+    expect(deductStock).not.toHaveBeenCalled();
+    expect(order.items).toEqual([{ product: 'p1', variant: undefined, quantity: 2, price: 120, batches: [] }]);
+  });
+
+  it('keeps the delivery slot place held with the stock', async () => {
+    const selection = { slotId: 'slot_1', date: '2026-10-21' };
+    RazorpayTransaction.findById.mockReturnValue({
+      session: () => stored({ metadata: { deliverySlot: selection } })
+    });
+    StockReservation.findOne.mockResolvedValue({ _id: 'hold_1', items: [] });
+    const deliverySlot = { slot: 'slot_1', date: '2026-10-21', label: '09:00–12:00', zone: 'North' };
+    convertReservation.mockResolvedValue({ items: [{ product: 'p1', quantity: 2, price: 120 }], deliverySlot });
+
+    const { order } = await createOrderFromPayment({ _id: 'txn_1', razorpayOrderId: 'order_rzp_1' }, details);
+
+    expect(bookSlot).not.toHaveBeenCalled();
+    expect(order.deliverySlot).toMatchObject(deliverySlot);
+  });
+
+  it('books the delivery slot only if it still has room when there is no hold', async () => {
+    const selection = { slotId: 'slot_1', date: '2026-10-21' };
+    RazorpayTransaction.findById.mockReturnValue({
+      session: () => stored({ metadata: { deliverySlot: selection } })
+    });
+    const error = new Error('This delivery slot is fully booked');
+    error.status = 400;
+    bookSlot.mockRejectedValue(error);
+
+    await expect(createOrderFromPayment({ _id: 'txn_1' }, details)).rejects.toBe(error);
+    expect(bookSlot).toHaveBeenCalledWith(selection, { pincode: '110001' }, session);
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('redeems the coupon the customer paid with', async () => {
+    RazorpayTransaction.findById.mockReturnValue({ session: () => stored() });
+    const coupon = { code: 'FRESH10' };
+    priceWithCoupon.mockResolvedValue({ quote: { total: 240 }, coupon });
+
+    const { order } = await createOrderFromPayment({ _id: 'txn_1' }, details);
+
+    expect(redeemCoupon).toHaveBeenCalledWith(coupon, expect.objectContaining({ order, enforceLimits: false }), session);
+  });
+
+  it('refuses to create the order when the price differs from what was paid', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const current = stored();
+    RazorpayTransaction.findById.mockReturnValue({ session: () => current });
+    priceWithCoupon.mockResolvedValue({ quote: { total: 260 }, coupon: null });
+
+    await expect(createOrderFromPayment({ _id: 'txn_1' }, details))
+      .rejects.toMatchObject({ message: 'Order amount mismatch', status: 400 });
+    expect(Order).not.toHaveBeenCalled();
+    expect(current.save).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('refuses a payment with nothing to order', async () => {
+    RazorpayTransaction.findById.mockReturnValue({ session: () => stored() });
+
+    await expect(createOrderFromPayment({ _id: 'txn_1' }, { ...details, items: [] }))
+      .rejects.toMatchObject({ message: 'Invalid order details provided', status: 400 });
+  });
+});
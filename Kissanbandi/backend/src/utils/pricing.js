@@ -0,0 +1,222 @@
+const Product = require('../models/Product');
+const pricingConfig = require('../config/pricing');
+const { resolveZone, unserviceableMessage } = require('./zones');
+const { sellableBatches, planAllocation, allocationPrice } = require('./batches');
+const { listPrice } = require('./wholesale');
+const { isOnSale } = require('./inventory');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const pricingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const feeForSubtotal = (subtotal, config = pricingConfig) => {
+  const bands = [...config.deliveryFeeBands].sort((a, b) => b.minSubtotal - a.minSubtotal);
+  const band = bands.find(b => subtotal >= b.minSubtotal);
+  return band ? band.fee : 0;
+};
+
+// Smallest subtotal at which delivery becomes free, if any band is free
+const freeDeliveryThreshold = (config = pricingConfig) => {
+  const free = config.deliveryFeeBands.filter(band => band.fee === 0);
+  return free.length ? Math.min(...free.map(band => band.minSubtotal)) : null;
+};
+
+// Price an order. `items` are `{ product, variant?, quantity, price? }`; a
+// `price` set by the server (stock deduction or a reservation) is kept,
+// otherwise the live product or pack price is used, less the markdown on any
+// near-expiry batch the units would come from. Client-supplied prices must be stripped by callers.
+// `wholesale` buyers get the product's tier prices for large quantities.
+//
+// `discounts` are `{ label, amount, freeDelivery }` applied after the delivery
+// fee is known. It can also be a function of `{ lines, subtotal }` returning
+// them, for discounts that depend on what is in the cart (coupons).
+// Returns the full breakdown; `total` is what the customer pays.
+const priceOrder = async (items, {
+  pincode,
+  discounts = [],
+  wholesale = false,
+  session = null,
+  config = pricingConfig
+} = {}) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw pricingError('Order must contain at least one item');
+  }
+
+  const productIds = items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  // Batches the units would be sold from, for lines not priced yet
+  const batchesByLine = await Promise.all(items.map(item => (
+    item.price === undefined || item.price === null
+      ? sellableBatches(item.product, item.variant, session)
+      : []
+  )));
+
+  const lines = items.map((item, index) => {
+    const product = productsById.get(String(item.product));
+    if (!product) {
+      throw pricingError(`Product ${item.product} not found`, 404);
+    }
+
+    // Lines not priced yet are being bought now, so the product must be on
+    // sale; priced lines already took their stock while it was
+    const unpriced = item.price === undefined || item.price === null;
+    if (unpriced && !isOnSale(product)) {
+      throw pricingError(`${product.name} is not available`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw pricingError(`Invalid quantity for ${product.name}`);
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    if (item.variant && !variant) {
+      throw pricingError(`The selected pack of ${product.name} is no longer sold`);
+    }
+
+    const unitPrice = item.price ?? allocationPrice(
+      listPrice(product, variant, quantity, { wholesale }),
+      planAllocation(batchesByLine[index], quantity),
+      quantity
+    );
+    const lineTotal = roundAmount(unitPrice * quantity);
+    const unitWeight = variant?.weightKg ?? product.weightPerUnit ?? config.unitWeightsKg[product.unit] ?? 0;
+    const taxRate = config.taxRates[product.category] ?? config.taxRates.default ?? 0;
+
+    return {
+      product: product._id,
+      variant: variant?._id,
+      sku: variant?.sku,
+      packSize: variant?.packSize,
+      name: variant ? `${product.name} (${variant.packSize})` : product.name,
+      category: product.category,
+      unit: product.unit,
+      farmer: product.farmer,
+      seller: product.seller,
+      quantity,
+      unitPrice,
+      lineTotal,
+      weightKg: roundAmount(unitWeight * quantity),
+      taxRate,
+      tax: roundAmount(lineTotal * taxRate)
+    };
+  });
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const weightKg = roundAmount(lines.reduce((sum, line) => sum + line.weightKg, 0));
+  const tax = roundAmount(lines.reduce((sum, line) => sum + line.tax, 0));
+
+  const discountEntries = typeof discounts === 'function'
+    ? await discounts({ lines, subtotal })
+    : discounts;
+
+  // Zones charge their own flat fee below their free-delivery threshold
+  const { zone, name: zoneName, serviceable } = await resolveZone(pincode, session);
+  const threshold = zone
+    ? (zone.freeDeliveryAbove ?? freeDeliveryThreshold(config))
+    : freeDeliveryThreshold(config);
+  let baseFee;
+  if (zone) {
+    baseFee = threshold !== null && subtotal >= threshold ? 0 : zone.deliveryFee;
+  } else {
+    baseFee = feeForSubtotal(subtotal, config);
+  }
+  const extraKg = Math.max(weightKg - config.weight.freeKg, 0);
+  const weightFee = roundAmount(Math.ceil(extraKg) * config.weight.perKgFee);
+  const deliveryFee = roundAmount(baseFee + weightFee);
+  const minOrderValue = zone?.minOrderValue || 0;
+
+  // A free-delivery discount is worth the delivery fee; money discounts
+  // together never exceed the subtotal
+  const appliedDiscounts = [];
+  let itemDiscount = 0;
+  let feeWaived = false;
+  for (const entry of discountEntries) {
+    if (entry.freeDelivery) {
+      if (!feeWaived && deliveryFee > 0) {
+        appliedDiscounts.push({ ...entry, amount: deliveryFee });
+        feeWaived = true;
+      }
+    } else if (entry.amount > 0) {
+      const amount = roundAmount(Math.min(entry.amount, subtotal - itemDiscount));
+      if (amount > 0) {
+        appliedDiscounts.push({ ...entry, amount });
+        itemDiscount += amount;
+      }
+    }
+  }
+  const discount = roundAmount(itemDiscount + (feeWaived ? deliveryFee : 0));
+  const total = roundAmount(subtotal + deliveryFee + tax - discount);
+
+  return {
+    lines,
+    subtotal,
+    weightKg,
+    wholesale,
+    zone: zoneName,
+    serviceable,
+    minOrderValue,
+    amountToMinimum: roundAmount(Math.max(minOrderValue - subtotal, 0)),
+    delivery: {
+      base: baseFee,
+      weight: weightFee
+    },
+    deliveryFee,
+    discounts: appliedDiscounts,
+    discount,
+    tax,
+    total,
+    freeDeliveryThreshold: threshold,
+    amountToFreeDelivery: threshold !== null && baseFee > 0
+      ? roundAmount(Math.max(threshold - subtotal, 0))
+      : 0
+  };
+};
+
+// Refuse to place an order the quote shows we cannot deliver
+const assertDeliverable = (quote, pincode) => {
+  if (!quote.serviceable) {
+    throw pricingError(unserviceableMessage(pincode));
+  }
+  if (quote.amountToMinimum > 0) {
+    throw pricingError(`Minimum order for your area is ₹${quote.minOrderValue}; add ₹${quote.amountToMinimum} more`);
+  }
+};
+
+// The part of a quote stored on an Order
+const pricingSnapshot = (quote) => ({
+  subtotal: quote.subtotal,
+  deliveryFee: quote.deliveryFee,
+  discount: quote.discount,
+  tax: quote.tax,
+  total: quote.total,
+  weightKg: quote.weightKg,
+  zone: quote.zone
+});
+
+// Order items with the GST rate and pack size each line was priced at
+const withLineDetails = (items, quote) => items.map(item => {
+  const line = quote.lines.find(entry =>
+    String(entry.product) === String(item.product) &&
+    String(entry.variant || '') === String(item.variant || ''));
+  return {
+    ...item,
+    sku: line?.sku,
+    packSize: line?.packSize,
+    farmer: line?.farmer,
+    seller: line?.seller,
+    taxRate: line ? line.taxRate : 0
+  };
+});
+
+module.exports = {
+  priceOrder,
+  pricingSnapshot,
+  assertDeliverable,
+  withLineDetails
+};
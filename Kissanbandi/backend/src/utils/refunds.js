@@ -0,0 +1,264 @@
+const Refund = require('../models/Refund');
+const { restoreStock } = require('./stock');
+const { canTransition, changeOrderStatus } = require('./orderStatus');
+const { releaseCoupon } = require('./coupons');
+const { releaseSlot } = require('./slots');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const refundError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Units refunded so far per order line id
+const countRefundedQuantities = (refunds) => {
+  const quantities = {};
+  refunds.forEach(refund => {
+    refund.items.forEach(line => {
+      const key = line.orderItem.toString();
+      quantities[key] = (quantities[key] || 0) + line.quantity;
+    });
+  });
+  return quantities;
+};
+
+// Refund history of an order plus what is still refundable, per line and in total.
+// Failed refunds are ignored; pending ones already count against the balance.
+const getRefundSummary = async (order, transaction, session = null) => {
+  const refunds = await Refund.find({ order: order._id })
+    .session(session)
+    .populate('actor', 'name')
+    .sort({ createdAt: -1 });
+
+  const counted = refunds.filter(refund => refund.status !== 'failed');
+  const refundedAmount = roundAmount(counted.reduce((sum, refund) => sum + refund.amount, 0));
+
+  const refundedQuantities = countRefundedQuantities(counted);
+
+  const lines = order.items.map(item => {
+    const refundedQuantity = refundedQuantities[item._id.toString()] || 0;
+    return {
+      itemId: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      price: item.price,
+      batches: item.batches,
+      refundedQuantity,
+      refundableQuantity: Math.max(item.quantity - refundedQuantity, 0)
+    };
+  });
+
+  return {
+    refunds,
+    paidAmount: transaction.amount,
+    refundedAmount,
+    refundableAmount: roundAmount(Math.max(transaction.amount - refundedAmount, 0)),
+    lines
+  };
+};
+
+// Turn an admin refund request into ledger lines and an amount.
+// `items` is `[{ itemId, quantity, restock }]`; `amount` defaults to the value
+// of the selected lines. A full refund takes every remaining line and the
+// whole remaining balance.
+const buildRefund = (summary, { items = [], amount, full = false }) => {
+  if (summary.refundableAmount <= 0) {
+    throw refundError('Nothing left to refund on this payment');
+  }
+
+  const restockById = {};
+  items.forEach(item => {
+    restockById[String(item.itemId)] = Boolean(item.restock);
+  });
+
+  let lines;
+  if (full) {
+    lines = summary.lines
+      .filter(line => line.refundableQuantity > 0)
+      .map(line => ({
+        orderItem: line.itemId,
+        product: line.product._id || line.product,
+        variant: line.variant,
+        quantity: line.refundableQuantity,
+        batches: line.batches,
+        amount: roundAmount(line.price * line.refundableQuantity),
+        restock: restockById[line.itemId.toString()] || false
+      }));
+  } else {
+    lines = items
+      .filter(item => Number(item.quantity) > 0)
+      .map(item => {
+        const line = summary.lines.find(l => l.itemId.toString() === String(item.itemId));
+        if (!line) {
+          throw refundError(`Order line ${item.itemId} not found`);
+        }
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity > line.refundableQuantity) {
+          throw refundError(`Only ${line.refundableQuantity} unit(s) of this line can be refunded`);
+        }
+        return {
+          orderItem: line.itemId,
+          product: line.product._id || line.product,
+          variant: line.variant,
+          quantity,
+          batches: line.batches,
+          amount: roundAmount(line.price * quantity),
+          restock: Boolean(item.restock)
+        };
+      });
+  }
+
+  const linesTotal = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  let refundAmount;
+  if (full) {
+    refundAmount = summary.refundableAmount;
+  } else if (amount !== undefined && amount !== null && amount !== '') {
+    refundAmount = roundAmount(Number(amount));
+  } else {
+    refundAmount = linesTotal;
+  }
+
+  if (!(refundAmount > 0)) {
+    throw refundError('Select items or enter an amount to refund');
+  }
+  if (refundAmount > summary.refundableAmount + 0.001) {
+    throw refundError(`Refund exceeds refundable balance of ₹${summary.refundableAmount}`);
+  }
+
+  return {
+    lines,
+    amount: refundAmount,
+    type: full ? 'full' : 'partial'
+  };
+};
+
+// The order's lines less the units already refunded, for putting stock back
+// when the order is cancelled. Restocked refunds have returned their units
+// already and the rest were written off, so neither goes back again. Refunds
+// return units to the last batches allocated, so the batches kept are the
+// first ones.
+const unrefundedItems = async (order, session = null) => {
+  const refunds = await Refund.find({ order: order._id, status: { $ne: 'failed' } })
+    .session(session);
+  const refundedQuantities = countRefundedQuantities(refunds);
+
+  return order.items
+    .map(item => {
+      const quantity = Math.max(item.quantity - (refundedQuantities[item._id.toString()] || 0), 0);
+      let remaining = quantity;
+      const batches = [];
+      (item.batches || []).forEach(allocation => {
+        if (remaining <= 0) return;
+        const kept = Math.min(allocation.quantity, remaining);
+        batches.push({ batch: allocation.batch, quantity: kept });
+        remaining -= kept;
+      });
+      return {
+        _id: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity,
+        batches
+      };
+    })
+    .filter(item => item.quantity > 0);
+};
+
+// Write a refund Razorpay has accepted into the ledger and bring stock, the
+// transaction and the order in line with it. Runs inside the caller's session.
+const recordRefund = async ({
+  order,
+  transaction,
+  razorpayRefund,
+  lines = [],
+  amount,
+  type = 'partial',
+  notes,
+  actor,
+  source = 'admin'
+}, session) => {
+  const processed = razorpayRefund?.status === 'processed';
+  const details = {
+    order: order._id,
+    transaction: transaction._id,
+    razorpayPaymentId: transaction.razorpayPaymentId,
+    razorpayRefundId: razorpayRefund?.id,
+    amount,
+    type,
+    items: lines,
+    status: processed ? 'processed' : 'pending',
+    source,
+    notes,
+    actor: actor?.userId,
+    processedAt: processed ? new Date() : undefined
+  };
+
+  // The webhook can record a refund before the admin request that made it
+  // finishes; in that case fill in the admin's details instead of duplicating
+  let refund = razorpayRefund?.id &&
+    await Refund.findOne({ razorpayRefundId: razorpayRefund.id }).session(session);
+
+  if (refund) {
+    if (source === 'webhook') return refund;
+    refund.set({
+      ...details,
+      status: refund.status === 'processed' ? 'processed' : details.status,
+      processedAt: refund.processedAt || details.processedAt
+    });
+    await refund.save({ session });
+  } else {
+    [refund] = await Refund.create([details], { session });
+  }
+
+  // Put back only the lines the admin marked as resellable
+  const restockLines = lines.filter(line => line.restock);
+  if (restockLines.length) {
+    await restoreStock(restockLines, session, {
+      reason: 'refund_restock',
+      referenceModel: 'Refund',
+      reference: refund._id,
+      actor: actor?.userId
+    });
+  }
+
+  const summary = await getRefundSummary(order, transaction, session);
+  const fullyRefunded = summary.refundableAmount <= 0.001;
+
+  transaction.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  transaction.refundId = refund.razorpayRefundId;
+  transaction.refundStatus = razorpayRefund?.status;
+  transaction.refundAmount = summary.refundedAmount;
+  transaction.metadata = {
+    ...transaction.metadata,
+    refund: {
+      reason: notes,
+      processedAt: new Date()
+    }
+  };
+  await transaction.save({ session });
+
+  order.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+  // Only a full refund cancels the order, and only while it still can be
+  if (type === 'full' && canTransition(order.status, 'cancelled')) {
+    changeOrderStatus(order, 'cancelled', {
+      actor,
+      note: notes ? `Refunded ₹${amount}: ${notes}` : `Refunded ₹${amount}`
+    });
+    await releaseCoupon(order, session);
+    await releaseSlot(order, session);
+  }
+  await order.save({ session });
+
+  return refund;
+};
+
+module.exports = {
+  getRefundSummary,
+  unrefundedItems,
+  buildRefund,
+  recordRefund
+};
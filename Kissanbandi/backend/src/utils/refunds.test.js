@@ -0,0 +1,225 @@
+const Refund = require('../models/Refund');
+const { restoreStock } = require('./stock');
+const { releaseCoupon } = require('./coupons');
+const { releaseSlot } = require('./slots');
+const { getRefundSummary, unrefundedItems, buildRefund, recordRefund } = require('./refunds');
+
+jest.mock('../models/Refund', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('./stock', () => ({ restoreStock: jest.fn() }));
+jest.mock('./coupons', () => ({ releaseCoupon: jest.fn() }));
+jest.mock('./slots', () => ({ releaseSlot: jest.fn() }));
+
+const session = { id: 'session' };
+
+// A mongoose query resolving to `value`, whatever is chained on it
+const query = (value) => {
+  const chain = {
+    session: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const order = (fields = {}) => ({
+  _id: 'order_1',
+  status: 'processing',
+  items: [
+    { _id: 'line_1', product: 'p1', quantity: 4, price: 50, batches: [{ batch: 'b1', quantity: 3 }, { batch: 'b2', quantity: 1 }] },
+    { _id: 'line_2', product: 'p2', variant: 'v1', quantity: 2, price: 100, batches: [] }
+  ],
+  statusHistory: [],
+  save: jest.fn(),
+  ...fields
+});
+
+const refund = (items, fields = {}) => ({
+  amount: items.reduce((sum, line) => sum + line.quantity * 50, 0),
+  status: 'processed',
+  items: items.map(line => ({ orderItem: line.orderItem, quantity: line.quantity })),
+  ...fields
+});
+
+describe('getRefundSummary', () => {
+  it('counts refunded units per line and leaves failed refunds out', async () => {
+    Refund.find.mockReturnValue(query([
+      refund([{ orderItem: 'line_1', quantity: 1 }]),
+      refund([{ orderItem: 'line_1', quantity: 2 }], { status: 'failed' }),
+      refund([{ orderItem: 'line_2', quantity: 1 }], { amount: 100, status: 'pending' })
+    ]));
+
+    const summary = await getRefundSummary(order(), { amount: 400 });
+
+    expect(summary.refundedAmount).toBe(150);
+    expect(summary.refundableAmount).toBe(250);
+    expect(summary.lines.map(line => [line.refundedQuantity, line.refundableQuantity])).toEqual([[1, 3], [1, 1]]);
+  });
+});
+
+describe('buildRefund', () => {
+  const summary = {
+    refundableAmount: 400,
+    lines: [
+      { itemId: 'line_1', product: 'p1', quantity: 4, price: 50, refundableQuantity: 3, batches: [] },
+      { itemId: 'line_2', product: 'p2', variant: 'v1', quantity: 2, price: 100, refundableQuantity: 2, batches: [] }
+    ]
+  };
+
+  it('prices the selected lines and keeps their restock choice', () => {
+    const result = buildRefund(summary, {
+      items: [{ itemId: 'line_1', quantity: 2, restock: true }, { itemId: 'line_2', quantity: 1 }]
+    });
+
+    expect(result.amount).toBe(200);
+    expect(result.type).toBe('partial');
+    expect(result.lines).toEqual([
+      expect.objectContaining({ orderItem: 'line_1', quantity: 2, amount: 100, restock: true }),
+      expect.objectContaining({ orderItem: 'line_2', variant: 'v1', quantity: 1, amount: 100, restock: false })
+    ]);
+  });
+
+  it('takes an amount entered by hand over the lines value', () => {
+    const result = buildRefund(summary, { items: [{ itemId: 'line_1', quantity: 1 }], amount: '20' });
+
+    expect(result.amount).toBe(20);
+  });
+
+  it('refunds every remaining line and the whole balance when full', () => {
+    const result = buildRefund(summary, { full: true, items: [{ itemId: 'line_2', restock: true }] });
+
+    expect(result).toMatchObject({ amount: 400, type: 'full' });
+    expect(result.lines.map(line => [line.orderItem, line.quantity, line.restock])).toEqual([
+      ['line_1', 3, false],
+      ['line_2', 2, true]
+    ]);
+  });
+
+  it('refuses more units than are left on a line', () => {
+    expect(() => buildRefund(summary, { items: [{ itemId: 'line_1', quantity: 4 }] }))
+      .toThrow('Only 3 unit(s) of this line can be refunded');
+  });
+
+  it('refuses more than the refundable balance', () => {
+    expect(() => buildRefund(summary, { amount: 500 }))
+      .toThrow('Refund exceeds refundable balance of ₹400');
+  });
+
+  it('refuses a refund with nothing selected', () => {
+    expect(() => buildRefund(summary, {})).toThrow('Select items or enter an amount to refund');
+  });
+
+  it('refuses anything once the payment is fully refunded', () => {
+    expect(() => buildRefund({ ...summary, refundableAmount: 0 }, { full: true }))
+      .toThrow('Nothing left to refund on this payment');
+  });
+});
+
+describe('unrefundedItems', () => {
+  it('leaves out units already refunded and keeps the first batches', async () => {
+    Refund.find.mockReturnValue(query([
+      refund([{ orderItem: 'line_1', quantity: 2 }, { orderItem: 'line_2', quantity: 2 }])
+    ]));
+
+    const items = await unrefundedItems(order(), session);
+
+    expect(Refund.find).toHaveBeenCalledWith({ order: 'order_1', status: { $ne: 'failed' } });
+    expect(items).toEqual([
+      { _id: 'line_1', product: 'p1', variant: undefined, quantity: 2, batches: [{ batch: 'b1', quantity: 2 }] }
+    ]);
+  });
+
+  it('returns every line in full when nothing was refunded', async () => {
+    Refund.find.mockReturnValue(query([]));
+
+    const items = await unrefundedItems(order(), session);
+
+    expect(items.map(item => item.quantity)).toEqual([4, 2]);
+  });
+});
+
+describe('recordRefund', () => {
+  const transaction = () => ({
+    _id: 'txn_1',
+    amount: 400,
+    razorpayPaymentId: 'pay_1',
+    metadata: {},
+    save: jest.fn()
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Refund.findOne.mockReturnValue(query(null));
+    Refund.create.mockImplementation(async ([details]) => [{ _id: 'refund_1', ...details }]);
+  });
+
+  it('restocks only the lines marked for it', async () => {
+    const lines = [
+      { orderItem: 'line_1', product: 'p1', quantity: 1, amount: 50, restock: true },
+      { orderItem: 'line_2', product: 'p2', quantity: 1, amount: 100, restock: false }
+    ];
+    Refund.find.mockReturnValue(query([refund([{ orderItem: 'line_1', quantity: 1 }], { amount: 150 })]));
+    const current = order();
+    const txn = transaction();
+
+    await recordRefund({
+      order: current,
+      transaction: txn,
+      razorpayRefund: { id: 'rfnd_1', status: 'processed' },
+      lines,
+      amount: 150,
+      actor: { userId: 'admin_1' }
+    }, session);
+
+    expect(restoreStock).toHaveBeenCalledWith([lines[0]], session, expect.objectContaining({
+      reason: 'refund_restock',
+      reference: 'refund_1'
+    }));
+    expect(txn.status).toBe('partially_refunded');
+    expect(current.paymentStatus).toBe('partially_refunded');
+    expect(current.status).toBe('processing');
+    expect(current.save).toHaveBeenCalledWith({ session });
+  });
+
+  it('cancels the order on a full refund', async () => {
+    Refund.find.mockReturnValue(query([refund([], { amount: 400 })]));
+    const current = order();
+    const txn = transaction();
+
+    await recordRefund({
+      order: current,
+      transaction: txn,
+      razorpayRefund: { id: 'rfnd_1', status: 'processed' },
+      amount: 400,
+      type: 'full'
+    }, session);
+
+    expect(restoreStock).not.toHaveBeenCalled();
+    expect(txn.status).toBe('refunded');
+    expect(current.paymentStatus).toBe('refunded');
+    expect(current.status).toBe('cancelled');
+    expect(releaseCoupon).toHaveBeenCalledWith(current, session);
+    expect(releaseSlot).toHaveBeenCalledWith(current, session);
+  });
+
+  it('leaves a refund the webhook already recorded as it is', async () => {
+    const existing = { _id: 'refund_1', status: 'processed', save: jest.fn() };
+    Refund.findOne.mockReturnValue(query(existing));
+
+    const result = await recordRefund({
+      order: order(),
+      transaction: transaction(),
+      razorpayRefund: { id: 'rfnd_1', status: 'processed' },
+      amount: 50,
+      source: 'webhook'
+    }, session);
+
+    expect(result).toBe(existing);
+    expect(existing.save).not.toHaveBeenCalled();
+    expect(Refund.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const { deductStock, restoreStock } = require('./stock');
+const { isWholesaleBuyer } = require('./wholesale');
+const { bookSlot, releaseSlot } = require('./slots');
+
+// How long stock stays held while the customer is in the Razorpay modal
+const getHoldMinutes = () => Number(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+// Hold stock for the given items. Stock is decremented immediately so nobody
+// else can buy it; the hold is released by the sweeper if it is not converted
+// into an order before it expires. `slot` (`{ selection, pincode }`) also
+// takes a place in the delivery slot, so it cannot fill up while the customer
+// pays.
+const createReservation = async (userId, items, { slot } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    let reservation;
+    await session.withTransaction(async () => {
+      const reservationId = new mongoose.Types.ObjectId();
+      const subtotal = await deductStock(items, session, {
+        reason: 'reservation',
+        referenceModel: 'StockReservation',
+        reference: reservationId,
+        actor: userId
+      }, { wholesale: await isWholesaleBuyer(userId, session) });
+      const deliverySlot = slot
+        ? await bookSlot(slot.selection, { pincode: slot.pincode }, session)
+        : undefined;
+
+      reservation = new StockReservation({
+        _id: reservationId,
+        user: userId,
+        items: items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          price: item.price,
+          batches: item.batches
+        })),
+        subtotal,
+        deliverySlot,
+        expiresAt: new Date(Date.now() + getHoldMinutes() * 60 * 1000)
+      });
+
+      await reservation.save({ session });
+    });
+    return reservation;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Return held stock to the shelf and the held place to the delivery slot.
+// Only an active hold can be released, so calling this twice (e.g. sweeper
+// racing a manual release) is harmless.
+const releaseReservation = async (reservationId, status = 'released') => {
+  const session = await mongoose.startSession();
+  try {
+    let reservation;
+    await session.withTransaction(async () => {
+      reservation = await StockReservation.findOneAndUpdate(
+        { _id: reservationId, status: 'active' },
+        { status, releasedAt: new Date() },
+        { new: true, session }
+      );
+
+      if (reservation) {
+        await restoreStock(reservation.items, session, {
+          reason: 'reservation_release',
+          referenceModel: 'StockReservation',
+          reference: reservation._id,
+          note: status === 'expired' ? 'Hold expired' : undefined
+        });
+        await releaseSlot(reservation, session);
+      }
+    });
+    return reservation;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Mark an active hold as turned into an order. Must run inside the caller's
+// session so the order and the conversion commit together. Returns null when
+// the hold is no longer active (already converted or released).
+const convertReservation = async (reservationId, orderId, session) => {
+  return StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    { status: 'converted', order: orderId },
+    { new: true, session }
+  );
+};
+
+// Release every hold whose time is up
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    try {
+      if (await releaseReservation(_id, 'expired')) released += 1;
+    } catch (error) {
+      console.error('Failed to release reservation:', _id, error.message);
+    }
+  }
+  return released;
+};
+
+module.exports = {
+  createReservation,
+  releaseReservation,
+  convertReservation,
+  releaseExpiredReservations
+};
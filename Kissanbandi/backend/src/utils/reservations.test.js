@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const { deductStock, restoreStock } = require('./stock');
+const { bookSlot, releaseSlot } = require('./slots');
+const { createReservation, releaseReservation } = require('./reservations');
+
+jest.mock('../models/StockReservation', () => {
+  const StockReservation = jest.fn(function (fields) {
+    Object.assign(this, fields);
+    this.save = jest.fn();
+  });
+  StockReservation.findOneAndUpdate = jest.fn();
+  return StockReservation;
+});
+jest.mock('./stock', () => ({
+  deductStock: jest.fn(),
+  restoreStock: jest.fn()
+}));
+jest.mock('./slots', () => ({
+  bookSlot: jest.fn(),
+  releaseSlot: jest.fn()
+}));
+jest.mock('./wholesale', () => ({ isWholesaleBuyer: jest.fn().mockResolvedValue(false) }));
+
+const session = {
+  withTransaction: async (fn) => fn(),
+  endSession: jest.fn()
+};
+
+const items = [{ product: 'p1', quantity: 2 }];
+const heldSlot = { slot: 'slot_1', date: '2026-10-21', label: '09:00–12:00', zone: 'North' };
+
+describe('createReservation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    deductStock.mockImplementation(async (lines) => {
+      lines.forEach(line => { line.price = 40; });
+      return 80;
+    });
+  });
+
+  it('holds a place in the delivery slot with the stock', async () => {
+    bookSlot.mockResolvedValue(heldSlot);
+
+    const reservation = await createReservation('user_1', items.map(item => ({ ...item })), {
+      slot: { selection: { slotId: 'slot_1', date: '2026-10-21' }, pincode: '110001' }
+    });
+
+    expect(bookSlot).toHaveBeenCalledWith({ slotId: 'slot_1', date: '2026-10-21' }, { pincode: '110001' }, session);
+    expect(reservation).toMatchObject({ user: 'user_1', subtotal: 80, deliverySlot: heldSlot });
+    expect(reservation.save).toHaveBeenCalledWith({ session });
+  });
+
+  it('holds no slot when none is needed', async () => {
+    const reservation = await createReservation('user_1', items.map(item => ({ ...item })));
+
+    expect(bookSlot).not.toHaveBeenCalled();
+    expect(reservation.deliverySlot).toBeUndefined();
+  });
+
+  it('holds nothing when the slot is full', async () => {
+    const error = new Error('This delivery slot is fully booked');
+    error.status = 400;
+    bookSlot.mockRejectedValue(error);
+
+    await expect(createReservation('user_1', items.map(item => ({ ...item })), {
+      slot: { selection: { slotId: 'slot_1', date: '2026-10-21' }, pincode: '110001' }
+    })).rejects.toBe(error);
+    expect(StockReservation).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
+
+describe('releaseReservation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  it('gives back the stock and the slot place of an active hold', async () => {
+    const reservation = { _id: 'hold_1', items, deliverySlot: heldSlot };
+    StockReservation.findOneAndUpdate.mockResolvedValue(reservation);
+
+    await releaseReservation('hold_1', 'expired');
+
+    expect(StockReservation.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'hold_1', status: 'active' },
+      expect.objectContaining({ status: 'expired' }),
+      { new: true, session }
+    );
+    expect(restoreStock).toHaveBeenCalledWith(items, session, expect.objectContaining({ note: 'Hold expired' }));
+    expect(releaseSlot).toHaveBeenCalledWith(reservation, session);
+  });
+
+  it('leaves a hold that is no longer active alone', async () => {
+    StockReservation.findOneAndUpdate.mockResolvedValue(null);
+
+    await releaseReservation('hold_1');
+
+    expect(restoreStock).not.toHaveBeenCalled();
+    expect(releaseSlot).not.toHaveBeenCalled();
+  });
+});
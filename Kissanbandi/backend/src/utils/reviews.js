@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+const MAX_PHOTOS = 3;
+// Roughly 1.5 MB of image once base64 encoded
+const MAX_PHOTO_LENGTH = 2 * 1024 * 1024;
+
+const reviewError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The customer's most recent delivered order containing the product, which
+// makes their review a verified purchase; null if they never received it
+const findVerifiedOrder = (userId, productId) => {
+  return Order.findOne({
+    user: userId,
+    status: 'delivered',
+    'items.product': productId
+  }).sort({ createdAt: -1 });
+};
+
+// Check and clean the fields a customer can set on their review
+const validateReview = ({ rating, text, photos = [] }) => {
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    throw reviewError('Please rate the product from 1 to 5 stars');
+  }
+
+  if (!Array.isArray(photos)) {
+    throw reviewError('Photos must be a list of images');
+  }
+  if (photos.length > MAX_PHOTOS) {
+    throw reviewError(`You can add up to ${MAX_PHOTOS} photos`);
+  }
+  photos.forEach(photo => {
+    if (typeof photo !== 'string' || !/^(data:image\/|https?:\/\/)/.test(photo)) {
+      throw reviewError('Photos must be images');
+    }
+    if (photo.length > MAX_PHOTO_LENGTH) {
+      throw reviewError('Each photo must be smaller than 1.5 MB');
+    }
+  });
+
+  return {
+    rating: stars,
+    text: typeof text === 'string' ? text.trim() : undefined,
+    photos
+  };
+};
+
+// Average of approved reviews (one decimal) and how many there are
+const ratingStats = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  return {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    reviews: stats ? stats.count : 0
+  };
+};
+
+// Keep Product.rating and Product.reviews in line with approved reviews
+const recomputeProductRating = async (productId) => {
+  const stats = await ratingStats(productId);
+  await Product.updateOne({ _id: productId }, { $set: stats });
+  return stats;
+};
+
+// Approved review counts per star, for the listing header
+const ratingBreakdown = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(entry => {
+    breakdown[entry._id] = entry.count;
+  });
+  return breakdown;
+};
+
+module.exports = {
+  findVerifiedOrder,
+  validateReview,
+  recomputeProductRating,
+  ratingBreakdown
+};
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { changeOrderStatus } = require('./orderStatus');
+const { issueInvoice, sendDeliveryEmail } = require('./invoice');
+
+const EVENT_LABELS = {
+  packed: 'Packed',
+  out_for_delivery: 'Out for delivery',
+  attempted: 'Delivery attempted',
+  delivered: 'Delivered'
+};
+
+// Order status a tracking event brings the order up to, if it is behind
+const EVENT_STATUS = {
+  packed: 'processing',
+  out_for_delivery: 'shipped',
+  delivered: 'delivered'
+};
+
+const STATUS_SEQUENCE = ['pending', 'processing', 'shipped', 'delivered'];
+
+// Courier and agent details that can be set on their own or with an event
+const DETAIL_FIELDS = ['courier', 'agentName', 'agentPhone', 'trackingNumber'];
+
+const shipmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw shipmentError(`Invalid ${label}`);
+  }
+  return date;
+};
+
+const applyDetails = (shipment, details) => {
+  for (const field of DETAIL_FIELDS) {
+    if (details[field] !== undefined) {
+      shipment[field] = String(details[field] || '').trim() || undefined;
+    }
+  }
+  if (details.eta !== undefined) {
+    shipment.eta = details.eta ? parseDate(details.eta, 'ETA') : undefined;
+  }
+};
+
+// Orders that can no longer be tracked refuse updates
+const assertTrackable = (order) => {
+  if (!order) {
+    throw shipmentError('Order not found', 404);
+  }
+  if (order.status === 'cancelled') {
+    throw shipmentError('A cancelled order cannot be tracked');
+  }
+};
+
+// The order's shipment, started on first use
+const shipmentFor = async (order, session = null) =>
+  (await Shipment.findOne({ order: order._id }).session(session)) ||
+  new Shipment({ order: order._id, user: order.user });
+
+// Move the order forward through each status up to `target`, so it keeps a
+// full history; an order already there or further on is left alone
+const advanceOrder = (order, target, { actor, note }) => {
+  const steps = STATUS_SEQUENCE.slice(
+    STATUS_SEQUENCE.indexOf(order.status) + 1,
+    STATUS_SEQUENCE.indexOf(target) + 1
+  );
+  for (const status of steps) {
+    changeOrderStatus(order, status, { actor, note });
+  }
+  return steps.length > 0;
+};
+
+const getShipment = (orderId) => Shipment.findOne({ order: orderId });
+
+// Set the courier, agent, tracking number or ETA (admin)
+const updateShipment = async (orderId, details) => {
+  const order = await Order.findById(orderId).select('user status');
+  assertTrackable(order);
+
+  const shipment = await shipmentFor(order);
+  applyDetails(shipment, details);
+  await shipment.save();
+  return shipment;
+};
+
+// Record a tracking event (admin). The order's status follows the shipment:
+// packed makes it processing, out for delivery shipped and delivered
+// delivered, which needs a proof-of-delivery reference and issues the
+// invoice. Returns `{ shipment, order }`.
+const addShipmentEvent = async (orderId, event, actor) => {
+  const { type, note, location, at, proofOfDelivery, receivedBy } = event;
+  if (!EVENT_LABELS[type]) {
+    throw shipmentError(`Unknown tracking event: ${type}`);
+  }
+  const happenedAt = at ? parseDate(at, 'event time') : new Date();
+  if (happenedAt > new Date()) {
+    throw shipmentError('Tracking events cannot be in the future');
+  }
+  const reference = String(proofOfDelivery || '').trim();
+  if (type === 'delivered' && !reference) {
+    throw shipmentError('Enter the proof-of-delivery reference to mark the order delivered');
+  }
+
+  let shipment;
+  let order;
+  let delivered = false;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      assertTrackable(order);
+      if (order.status === 'delivered') {
+        throw shipmentError('This order has already been delivered');
+      }
+
+      shipment = await shipmentFor(order, session);
+      applyDetails(shipment, event);
+      shipment.events.push({
+        type,
+        note: note?.trim() || undefined,
+        location: location?.trim() || undefined,
+        at: happenedAt,
+        actor: actor?.userId
+      });
+      if (type === 'delivered') {
+        shipment.proofOfDelivery = {
+          reference,
+          receivedBy: String(receivedBy || '').trim() || undefined
+        };
+      }
+
+      const target = EVENT_STATUS[type];
+      if (target && advanceOrder(order, target, { actor, note: EVENT_LABELS[type] })) {
+        delivered = order.status === 'delivered';
+        if (delivered) {
+          await issueInvoice(order, session);
+        }
+        await order.save({ session });
+      }
+      await shipment.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // The email should not hold up or fail the tracking update
+  if (delivered) {
+    sendDeliveryEmail(order._id).catch(error => {
+      console.error('Error sending delivery email:', error);
+    });
+  }
+
+  return { shipment, order };
+};
+
+module.exports = {
+  EVENT_LABELS,
+  getShipment,
+  updateShipment,
+  addShipmentEvent
+};
@@ -0,0 +1,260 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliveryHoliday = require('../models/DeliveryHoliday');
+const SlotBooking = require('../models/SlotBooking');
+const deliveryConfig = require('../config/delivery');
+const { resolveZone } = require('./zones');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const slotError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Today's date key and minutes since midnight in the delivery time zone
+const localNow = (now = new Date(), config = deliveryConfig) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Map keys cannot contain dots or start with `$`
+const zoneKey = (zone) => String(zone || 'standard').replace(/[.$]/g, '_');
+
+const slotLabel = (slot) => slot.label || `${slot.startTime}–${slot.endTime}`;
+
+const zoneCapacity = (slot, zone) => {
+  const entry = (slot.zoneCapacities || []).find(item => item.zone === zone);
+  return entry ? entry.capacity : null;
+};
+
+// Zones can limit which slot templates they offer
+const offeredInZone = (slot, zone) => {
+  const allowed = (zone?.slots || []).map(id => id.toString());
+  return allowed.length === 0 || allowed.includes(slot._id.toString());
+};
+
+// Why a slot cannot be booked on a date, or null if it can (capacity aside)
+const unavailableReason = (slot, dateKey, { holiday, now = localNow(), config = deliveryConfig } = {}) => {
+  if (!slot.isActive) return 'Slot is not available';
+  if (weekdayOf(dateKey) !== slot.weekday) return 'Slot does not run on this day';
+  if (holiday) return holiday.reason ? `No deliveries: ${holiday.reason}` : 'No deliveries on this day';
+  if (dateKey < now.dateKey) return 'Date has passed';
+  if (dateKey > addDays(now.dateKey, config.bookingDays - 1)) return 'Too far ahead to book';
+
+  if (dateKey === now.dateKey) {
+    if (now.minutes >= toMinutes(config.sameDayCutoff)) {
+      return `Same-day orders close at ${config.sameDayCutoff}`;
+    }
+    if (toMinutes(slot.startTime) < now.minutes + config.leadMinutes) {
+      return 'Too late to book this slot';
+    }
+  }
+  return null;
+};
+
+// Remaining capacity of a slot on a date for one zone
+const remainingCapacity = (slot, booking, zone) => {
+  const booked = booking?.booked || 0;
+  const remaining = slot.capacity - booked;
+
+  const zoneLimit = zoneCapacity(slot, zone);
+  if (zoneLimit === null) return Math.max(remaining, 0);
+
+  const zoneBooked = booking?.zones?.get(zoneKey(zone)) || 0;
+  return Math.max(Math.min(remaining, zoneLimit - zoneBooked), 0);
+};
+
+// Bookable days and slots for a pincode, starting today
+const getAvailability = async ({ pincode, days = deliveryConfig.bookingDays } = {}) => {
+  const now = localNow();
+  const dayCount = Math.min(Math.max(Number(days) || deliveryConfig.bookingDays, 1), deliveryConfig.bookingDays);
+  const dateKeys = Array.from({ length: dayCount }, (_, i) => addDays(now.dateKey, i));
+  const { zone: deliveryZone, name: zone } = await resolveZone(pincode);
+
+  const [slots, holidays, bookings] = await Promise.all([
+    DeliverySlot.find({ isActive: true }).sort({ startTime: 1 }),
+    DeliveryHoliday.find({ date: { $in: dateKeys } }),
+    SlotBooking.find({ date: { $in: dateKeys } })
+  ]);
+
+  const holidaysByDate = new Map(holidays.map(holiday => [holiday.date, holiday]));
+  const bookingsByKey = new Map(bookings.map(booking => [`${booking.slot}:${booking.date}`, booking]));
+
+  return {
+    zone,
+    sameDayCutoff: deliveryConfig.sameDayCutoff,
+    days: dateKeys.map(dateKey => {
+      const holiday = holidaysByDate.get(dateKey);
+      const weekday = weekdayOf(dateKey);
+
+      return {
+        date: dateKey,
+        weekday: WEEKDAYS[weekday],
+        holiday: holiday ? (holiday.reason || 'Holiday') : null,
+        slots: slots
+          .filter(slot => slot.weekday === weekday && offeredInZone(slot, deliveryZone))
+          .map(slot => {
+            const reason = unavailableReason(slot, dateKey, { holiday, now });
+            const remaining = remainingCapacity(slot, bookingsByKey.get(`${slot._id}:${dateKey}`), zone);
+            return {
+              slotId: slot._id,
+              label: slotLabel(slot),
+              startTime: slot.startTime,
+              endTime: slot.endTime,
+              remaining,
+              available: !reason && remaining > 0,
+              reason: reason || (remaining > 0 ? null : 'Fully booked')
+            };
+          })
+      };
+    })
+  };
+};
+
+// Whether any delivery slots are set up; checkout only requires one if so
+const slotsConfigured = async (session = null) => {
+  return Boolean(await DeliverySlot.exists({ isActive: true }).session(session));
+};
+
+// Check a `{ slotId, date }` choice without booking it.
+// `enforceLimits: false` skips the time and capacity checks, for orders the
+// customer has already paid for with this slot.
+const checkSlot = async (selection, { pincode, enforceLimits = true, session = null } = {}) => {
+  if (!selection?.slotId || !selection?.date) {
+    throw slotError('Please choose a delivery slot');
+  }
+
+  const slot = await DeliverySlot.findById(selection.slotId).session(session);
+  if (!slot) {
+    throw slotError('Delivery slot not found', 404);
+  }
+
+  const dateKey = String(selection.date).slice(0, 10);
+  const { zone: deliveryZone, name: zone } = await resolveZone(pincode, session);
+
+  if (enforceLimits) {
+    if (!offeredInZone(slot, deliveryZone)) {
+      throw slotError('This delivery slot is not available in your area');
+    }
+
+    const holiday = await DeliveryHoliday.findOne({ date: dateKey }).session(session);
+    const reason = unavailableReason(slot, dateKey, { holiday });
+    if (reason) {
+      throw slotError(reason);
+    }
+
+    const booking = await SlotBooking.findOne({ slot: slot._id, date: dateKey }).session(session);
+    if (remainingCapacity(slot, booking, zone) <= 0) {
+      throw slotError('This delivery slot is fully booked');
+    }
+  }
+
+  return { slot, dateKey, zone };
+};
+
+// Delivery slot details stored on the Order
+const slotSnapshot = ({ slot, dateKey, zone }) => ({
+  slot: slot._id,
+  date: dateKey,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  label: slotLabel(slot),
+  zone
+});
+
+// Take one place in the slot inside the order's transaction. The conditional
+// increment fails if the slot (or the zone's share of it) filled up meanwhile.
+const bookSlot = async (selection, { pincode, enforceLimits = true }, session) => {
+  const checked = await checkSlot(selection, { pincode, enforceLimits, session });
+  const { slot, dateKey, zone } = checked;
+
+  // Create the counter outside the transaction so concurrent first bookings
+  // do not both try to insert it
+  await SlotBooking.updateOne(
+    { slot: slot._id, date: dateKey },
+    { $setOnInsert: { booked: 0 } },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) throw error;
+  });
+
+  const zoneField = `zones.${zoneKey(zone)}`;
+  const filter = { slot: slot._id, date: dateKey };
+  if (enforceLimits) {
+    filter.booked = { $lt: slot.capacity };
+    const zoneLimit = zoneCapacity(slot, zone);
+    if (zoneLimit !== null) {
+      filter.$or = [
+        { [zoneField]: { $exists: false } },
+        { [zoneField]: { $lt: zoneLimit } }
+      ];
+    }
+  }
+
+  const booking = await SlotBooking.findOneAndUpdate(
+    filter,
+    { $inc: { booked: 1, [zoneField]: 1 } },
+    { new: true, session }
+  );
+  if (!booking) {
+    throw slotError('This delivery slot is fully booked');
+  }
+
+  return slotSnapshot(checked);
+};
+
+// Free the place a cancelled order held
+const releaseSlot = async (order, session) => {
+  const booked = order.deliverySlot;
+  if (!booked?.slot || !booked.date || booked.releasedAt) return;
+
+  const zoneField = `zones.${zoneKey(booked.zone)}`;
+  await SlotBooking.updateOne(
+    { slot: booked.slot, date: booked.date, booked: { $gt: 0 } },
+    { $inc: { booked: -1, [zoneField]: -1 } },
+    { session }
+  );
+  booked.releasedAt = new Date();
+};
+
+module.exports = {
+  WEEKDAYS,
+  localNow,
+  addDays,
+  weekdayOf,
+  getAvailability,
+  slotsConfigured,
+  checkSlot,
+  slotSnapshot,
+  bookSlot,
+  releaseSlot
+};
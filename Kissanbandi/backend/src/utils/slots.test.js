@@ -0,0 +1,128 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliveryHoliday = require('../models/DeliveryHoliday');
+const SlotBooking = require('../models/SlotBooking');
+const { resolveZone } = require('./zones');
+const { localNow, addDays, weekdayOf, bookSlot, releaseSlot } = require('./slots');
+
+jest.mock('../models/DeliverySlot', () => ({ findById: jest.fn() }));
+jest.mock('../models/DeliveryHoliday', () => ({ findOne: jest.fn() }));
+jest.mock('../models/SlotBooking', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('./zones', () => ({ resolveZone: jest.fn() }));
+
+const session = { id: 'session' };
+
+// A mongoose query resolving to `value` once given a session
+const found = (value) => ({ session: () => Promise.resolve(value) });
+
+// Two days ahead, so same-day cut-offs never apply
+const dateKey = addDays(localNow().dateKey, 2);
+
+const slot = (fields = {}) => ({
+  _id: 'slot_1',
+  isActive: true,
+  weekday: weekdayOf(dateKey),
+  startTime: '09:00',
+  endTime: '12:00',
+  capacity: 10,
+  zoneCapacities: [],
+  ...fields
+});
+
+describe('bookSlot', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DeliverySlot.findById.mockReturnValue(found(slot()));
+    DeliveryHoliday.findOne.mockReturnValue(found(null));
+    SlotBooking.findOne.mockReturnValue(found({ booked: 9 }));
+    SlotBooking.updateOne.mockResolvedValue({});
+    resolveZone.mockResolvedValue({ zone: null, name: 'North' });
+  });
+
+  it('takes one place only while the slot has room', async () => {
+    SlotBooking.findOneAndUpdate.mockResolvedValue({ booked: 10 });
+
+    const booked = await bookSlot({ slotId: 'slot_1', date: dateKey }, { pincode: '110001' }, session);
+
+    expect(SlotBooking.findOneAndUpdate).toHaveBeenCalledWith(
+      { slot: 'slot_1', date: dateKey, booked: { $lt: 10 } },
+      { $inc: { booked: 1, 'zones.North': 1 } },
+      { new: true, session }
+    );
+    expect(booked).toEqual({
+      slot: 'slot_1',
+      date: dateKey,
+      startTime: '09:00',
+      endTime: '12:00',
+      label: '09:00–12:00',
+      zone: 'North'
+    });
+  });
+
+  it('also keeps to the zone share of the slot', async () => {
+    DeliverySlot.findById.mockReturnValue(found(slot({ zoneCapacities: [{ zone: 'North', capacity: 3 }] })));
+    SlotBooking.findOne.mockReturnValue(found({ booked: 2, zones: new Map([['North', 2]]) }));
+    SlotBooking.findOneAndUpdate.mockResolvedValue({ booked: 3 });
+
+    await bookSlot({ slotId: 'slot_1', date: dateKey }, { pincode: '110001' }, session);
+
+    expect(SlotBooking.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        booked: { $lt: 10 },
+        $or: [{ 'zones.North': { $exists: false } }, { 'zones.North': { $lt: 3 } }]
+      }),
+      expect.anything(),
+      expect.anything()
+    );
+  });
+
+  it('refuses the place another booking took meanwhile', async () => {
+    SlotBooking.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(bookSlot({ slotId: 'slot_1', date: dateKey }, { pincode: '110001' }, session))
+      .rejects.toMatchObject({ message: 'This delivery slot is fully booked', status: 400 });
+  });
+
+  it('refuses a slot already full before trying to book it', async () => {
+    SlotBooking.findOne.mockReturnValue(found({ booked: 10 }));
+
+    await expect(bookSlot({ slotId: 'slot_1', date: dateKey }, { pincode: '110001' }, session))
+      .rejects.toMatchObject({ message: 'This delivery slot is fully booked' });
+    expect(SlotBooking.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('asks for a slot when none was chosen', async () => {
+    await expect(bookSlot(undefined, { pincode: '110001' }, session))
+      .rejects.toMatchObject({ message: 'Please choose a delivery slot' });
+  });
+});
+
+describe('releaseSlot', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('gives the place back once', async () => {
+    const order = { deliverySlot: { slot: 'slot_1', date: dateKey, zone: 'North' } };
+
+    await releaseSlot(order, session);
+    await releaseSlot(order, session);
+
+    expect(SlotBooking.updateOne).toHaveBeenCalledTimes(1);
+    expect(SlotBooking.updateOne).toHaveBeenCalledWith(
+      { slot: 'slot_1', date: dateKey, booked: { $gt: 0 } },
+      { $inc: { booked: -1, 'zones.North': -1 } },
+      { session }
+    );
+    expect(order.deliverySlot.releasedAt).toBeInstanceOf(Date);
+  });
+
+  it('does nothing for an order without a slot', async () => {
+    await releaseSlot({}, session);
+
+    expect(SlotBooking.updateOne).not.toHaveBeenCalled();
+  });
+});
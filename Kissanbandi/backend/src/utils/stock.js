@@ -0,0 +1,207 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { ON_SALE, isOnSale, reactivateIfRestocked } = require('./inventory');
+const { allocateBatches, allocationPrice, returnToBatches } = require('./batches');
+const { listPrice } = require('./wholesale');
+
+// Build an error carrying the HTTP status the controller should respond with
+const stockError = (message, status, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+// Ledger entry for a line whose stock just changed by `delta`; `product` is
+// the product as updated
+const movementFor = (item, product, delta, movement) => {
+  const variant = item.variant && product.variants.id(item.variant);
+  return {
+    product: product._id,
+    variant: variant?._id,
+    sku: variant?.sku,
+    delta,
+    balance: product.stock,
+    variantBalance: variant?.stock,
+    reason: movement.reason,
+    referenceModel: movement.referenceModel,
+    reference: movement.reference,
+    actor: movement.actor,
+    note: movement.note
+  };
+};
+
+// Record stock changes in the movement ledger, inside the caller's session
+const recordMovements = async (entries, session) => {
+  if (entries.length) {
+    await StockMovement.insertMany(entries, { session });
+  }
+};
+
+// Ledger entries for an edit that set stock directly (product form, stock
+// update), from the product before and after. Products sold in pack sizes get
+// one entry per pack that changed.
+const stockChanges = (before, after, movement) => {
+  const base = {
+    product: after._id,
+    balance: after.stock,
+    reason: movement.reason,
+    referenceModel: movement.referenceModel,
+    reference: movement.reference,
+    actor: movement.actor,
+    note: movement.note
+  };
+  const entries = [];
+
+  const previousPacks = new Map((before.variants || []).map(variant => [variant._id.toString(), variant]));
+  (after.variants || []).forEach(variant => {
+    const delta = variant.stock - (previousPacks.get(variant._id.toString())?.stock || 0);
+    previousPacks.delete(variant._id.toString());
+    if (delta !== 0) {
+      entries.push({ ...base, variant: variant._id, sku: variant.sku, delta, variantBalance: variant.stock });
+    }
+  });
+  // Packs removed in the edit take their stock with them
+  previousPacks.forEach(variant => {
+    if (variant.stock) {
+      entries.push({ ...base, variant: variant._id, sku: variant.sku, delta: -variant.stock, variantBalance: 0 });
+    }
+  });
+
+  // Whatever the packs do not explain happened at product level
+  const remainder = (after.stock || 0) - (before.stock || 0) -
+    entries.reduce((sum, entry) => sum + entry.delta, 0);
+  if (remainder !== 0) {
+    entries.push({ ...base, delta: remainder });
+  }
+
+  return entries;
+};
+
+// Decrement stock for every order line inside the given session.
+// Each decrement is conditional on `stock >= quantity`, so two buyers racing
+// for the last unit cannot both succeed, and on the product being on sale
+// (active, and approved if it is a seller listing). Any failure throws and
+// the caller's transaction rolls back every decrement made so far.
+// A line with a `variant` takes stock from that pack size (and the product
+// total); products sold in pack sizes cannot be bought without one.
+// Units come out of the product's batches first-expiry-first-out; the
+// allocations are set on `item.batches` and `item.price` is the product or
+// pack price less any near-expiry markdown. Returns the items subtotal.
+// `movement` (`{ reason, referenceModel, reference, actor, note }`) says why,
+// for the stock ledger. `wholesale` buyers are charged tier prices.
+const deductStock = async (items, session, movement, { wholesale = false } = {}) => {
+  let subtotal = 0;
+  const movements = [];
+
+  for (const item of items) {
+    const filter = item.variant
+      ? {
+        _id: item.product,
+        ...ON_SALE,
+        variants: { $elemMatch: { _id: item.variant, isActive: true, stock: { $gte: item.quantity } } }
+      }
+      : { _id: item.product, ...ON_SALE, stock: { $gte: item.quantity }, 'variants.0': { $exists: false } };
+    const update = item.variant
+      ? { $inc: { stock: -item.quantity, 'variants.$.stock': -item.quantity } }
+      : { $inc: { stock: -item.quantity } };
+
+    const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+
+    if (!product) {
+      const existing = await Product.findById(item.product).session(session);
+      if (!existing) {
+        throw stockError(
+          'Product not found',
+          404,
+          `Product with ID ${item.product} does not exist`
+        );
+      }
+      if (!isOnSale(existing)) {
+        throw stockError(
+          'Product not available',
+          400,
+          `${existing.name} is not on sale`
+        );
+      }
+      if (!item.variant && existing.variants.length) {
+        throw stockError(
+          'Please choose a pack size',
+          400,
+          `${existing.name} is sold in pack sizes`
+        );
+      }
+      if (item.variant) {
+        const variant = existing.variants.id(item.variant);
+        if (!variant || !variant.isActive) {
+          throw stockError(
+            'Pack size not available',
+            400,
+            `The selected pack of ${existing.name} is no longer sold`
+          );
+        }
+        throw stockError(
+          'Insufficient stock',
+          400,
+          `Only ${variant.stock} units available for ${existing.name} (${variant.packSize})`
+        );
+      }
+      throw stockError(
+        'Insufficient stock',
+        400,
+        `Only ${existing.stock} units available for ${existing.name}`
+      );
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    const basePrice = listPrice(product, variant, item.quantity, { wholesale });
+    item.batches = await allocateBatches(item, session);
+    const price = allocationPrice(basePrice, item.batches, item.quantity);
+    item.price = price;
+    subtotal += price * item.quantity;
+    movements.push(movementFor(item, product, -item.quantity, movement));
+  }
+
+  await recordMovements(movements, session);
+  return subtotal;
+};
+
+// Put stock back for every order line, e.g. when an order is cancelled.
+// A pack size that has since been removed has nowhere to go back to. Units
+// go back into the batches recorded on `item.batches`.
+// Products switched off for running out go back on sale.
+// `movement` is as for deductStock.
+const restoreStock = async (items, session, movement) => {
+  const movements = [];
+
+  for (const item of items) {
+    const product = item.variant
+      ? await Product.findOneAndUpdate(
+        { _id: item.product, 'variants._id': item.variant },
+        { $inc: { stock: item.quantity, 'variants.$.stock': item.quantity } },
+        { new: true, session }
+      )
+      : await Product.findByIdAndUpdate(
+        item.product,
+        { $inc: { stock: item.quantity } },
+        { new: true, session }
+      );
+
+    if (product) {
+      movements.push(movementFor(item, product, item.quantity, movement));
+      await returnToBatches(item, session);
+      await reactivateIfRestocked(product, product.stock - item.quantity, session);
+    }
+  }
+
+  await recordMovements(movements, session);
+};
+
+module.exports = {
+  deductStock,
+  restoreStock,
+  stockChanges,
+  movementFor,
+  recordMovements,
+  stockError
+};
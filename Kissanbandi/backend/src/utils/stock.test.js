@@ -0,0 +1,227 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { allocateBatches, returnToBatches } = require('./batches');
+const { reactivateIfRestocked } = require('./inventory');
+const { deductStock, restoreStock, stockChanges } = require('./stock');
+
+jest.mock('../models/Product', () => ({
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../models/StockMovement', () => ({ insertMany: jest.fn() }));
+jest.mock('./batches', () => ({
+  ...jest.requireActual('./batches'),
+  allocateBatches: jest.fn(),
+  returnToBatches: jest.fn()
+}));
+jest.mock('./inventory', () => ({
+  ...jest.requireActual('./inventory'),
+  reactivateIfRestocked: jest.fn()
+}));
+
+const session = { id: 'session' };
+const movement = { reason: 'sale', referenceModel: 'Order', reference: 'order_1', actor: 'user_1' };
+
+// Pack sizes as mongoose returns them, with `id()` to look one up
+const packs = (variants) => Object.assign(variants, {
+  id: (id) => variants.find(variant => variant._id === String(id)) || null
+});
+
+const product = (fields = {}) => ({
+  _id: 'p1',
+  name: 'Tomatoes',
+  price: 40,
+  stock: 8,
+  status: 'active',
+  approvalStatus: 'approved',
+  variants: packs([]),
+  ...fields
+});
+
+// Product.findById(...).session(...) resolving to `value`
+const found = (value) => ({ session: () => Promise.resolve(value) });
+
+describe('deductStock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    allocateBatches.mockResolvedValue([]);
+  });
+
+  it('takes stock only from products on sale with enough units', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(product());
+    const items = [{ product: 'p1', quantity: 2 }];
+
+    const subtotal = await deductStock(items, session, movement);
+
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: 'p1',
+        status: 'active',
+        approvalStatus: { $nin: ['pending', 'rejected'] },
+        stock: { $gte: 2 },
+        'variants.0': { $exists: false }
+      },
+      { $inc: { stock: -2 } },
+      { new: true, session }
+    );
+    expect(subtotal).toBe(80);
+    expect(items[0].price).toBe(40);
+  });
+
+  it('records a sale movement per line', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(product({ stock: 6 }));
+
+    await deductStock([{ product: 'p1', quantity: 2 }], session, movement);
+
+    expect(StockMovement.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ product: 'p1', delta: -2, balance: 6, reason: 'sale', reference: 'order_1' })
+    ], { session });
+  });
+
+  it('takes a pack size from the pack and the product total', async () => {
+    const pack = { _id: 'v1', sku: 'TOM-1KG', packSize: '1 kg', price: 45, stock: 4, isActive: true };
+    Product.findOneAndUpdate.mockResolvedValue(product({ variants: packs([pack]) }));
+    const items = [{ product: 'p1', variant: 'v1', quantity: 3 }];
+
+    const subtotal = await deductStock(items, session, movement);
+
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        variants: { $elemMatch: { _id: 'v1', isActive: true, stock: { $gte: 3 } } }
+      }),
+      { $inc: { stock: -3, 'variants.$.stock': -3 } },
+      { new: true, session }
+    );
+    expect(subtotal).toBe(135);
+  });
+
+  it('charges wholesale buyers the tier their quantity reaches', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(product({
+      priceTiers: [{ minQuantity: 5, price: 35 }, { minQuantity: 10, price: 30 }]
+    }));
+
+    const subtotal = await deductStock([{ product: 'p1', quantity: 6 }], session, movement, { wholesale: true });
+
+    expect(subtotal).toBe(210);
+  });
+
+  it('prices units from marked-down batches at their discount', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(product());
+    allocateBatches.mockResolvedValue([
+      { batch: 'b1', quantity: 1, markdownPercent: 50 },
+      { batch: 'b2', quantity: 1, markdownPercent: 0 }
+    ]);
+    const items = [{ product: 'p1', quantity: 2 }];
+
+    await deductStock(items, session, movement);
+
+    expect(items[0].price).toBe(30);
+    expect(items[0].batches).toHaveLength(2);
+  });
+
+  it('refuses a listing that is not approved', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue(found(product({ approvalStatus: 'pending' })));
+
+    await expect(deductStock([{ product: 'p1', quantity: 1 }], session, movement))
+      .rejects.toMatchObject({ message: 'Product not available', status: 400 });
+  });
+
+  it('refuses a product switched off', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue(found(product({ status: 'inactive' })));
+
+    await expect(deductStock([{ product: 'p1', quantity: 1 }], session, movement))
+      .rejects.toMatchObject({ message: 'Product not available' });
+  });
+
+  it('says how many units are left when there are not enough', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue(found(product({ stock: 1 })));
+
+    await expect(deductStock([{ product: 'p1', quantity: 3 }], session, movement))
+      .rejects.toMatchObject({
+        message: 'Insufficient stock',
+        status: 400,
+        details: 'Only 1 units available for Tomatoes'
+      });
+  });
+
+  it('asks for a pack size when the product is sold in packs', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue(found(product({ variants: packs([{ _id: 'v1', stock: 5, isActive: true }]) })));
+
+    await expect(deductStock([{ product: 'p1', quantity: 1 }], session, movement))
+      .rejects.toMatchObject({ message: 'Please choose a pack size' });
+  });
+
+  it('reports a product that does not exist', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue(found(null));
+
+    await expect(deductStock([{ product: 'p1', quantity: 1 }], session, movement))
+      .rejects.toMatchObject({ message: 'Product not found', status: 404 });
+    expect(StockMovement.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('restoreStock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('puts units back into the product, its batches and the ledger', async () => {
+    Product.findByIdAndUpdate.mockResolvedValue(product({ stock: 5 }));
+    const item = { product: 'p1', quantity: 2, batches: [{ batch: 'b1', quantity: 2 }] };
+
+    await restoreStock([item], session, { ...movement, reason: 'cancellation' });
+
+    expect(Product.findByIdAndUpdate).toHaveBeenCalledWith('p1', { $inc: { stock: 2 } }, { new: true, session });
+    expect(returnToBatches).toHaveBeenCalledWith(item, session);
+    expect(reactivateIfRestocked).toHaveBeenCalledWith(expect.objectContaining({ _id: 'p1' }), 3, session);
+    expect(StockMovement.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ delta: 2, balance: 5, reason: 'cancellation' })
+    ], { session });
+  });
+
+  it('skips a pack size that has since been removed', async () => {
+    Product.findOneAndUpdate.mockResolvedValue(null);
+
+    await restoreStock([{ product: 'p1', variant: 'v1', quantity: 2 }], session, movement);
+
+    expect(returnToBatches).not.toHaveBeenCalled();
+    expect(StockMovement.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('stockChanges', () => {
+  it('records one entry per pack that changed', () => {
+    const before = { _id: 'p1', stock: 10, variants: [{ _id: 'v1', sku: 'A', stock: 4 }, { _id: 'v2', sku: 'B', stock: 6 }] };
+    const after = { _id: 'p1', stock: 13, variants: [{ _id: 'v1', sku: 'A', stock: 7 }, { _id: 'v2', sku: 'B', stock: 6 }] };
+
+    const entries = stockChanges(before, after, { reason: 'manual_adjust' });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ variant: 'v1', sku: 'A', delta: 3, variantBalance: 7, balance: 13, reason: 'manual_adjust' })
+    ]);
+  });
+
+  it('takes the stock of a removed pack with it', () => {
+    const before = { _id: 'p1', stock: 10, variants: [{ _id: 'v1', sku: 'A', stock: 4 }, { _id: 'v2', sku: 'B', stock: 6 }] };
+    const after = { _id: 'p1', stock: 4, variants: [{ _id: 'v1', sku: 'A', stock: 4 }] };
+
+    const entries = stockChanges(before, after, { reason: 'manual_adjust' });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ variant: 'v2', delta: -6, variantBalance: 0 })
+    ]);
+  });
+
+  it('records a product without packs as one entry', () => {
+    const entries = stockChanges({ _id: 'p1', stock: 10 }, { _id: 'p1', stock: 7 }, { reason: 'wastage' });
+
+    expect(entries).toEqual([expect.objectContaining({ product: 'p1', delta: -3, balance: 7 })]);
+    expect(entries[0].variant).toBeUndefined();
+  });
+});
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Product = require('../models/Product');
+const DeliverySlot = require('../models/DeliverySlot');
+const deliveryConfig = require('../config/delivery');
+const { placeOrder } = require('./orders');
+const { resolveShippingAddress } = require('./addresses');
+const { localNow, addDays, weekdayOf, slotsConfigured, checkSlot } = require('./slots');
+const { sendEmail, emailTemplates } = require('./email');
+const { isOnSale } = require('./inventory');
+
+const FREQUENCY_DAYS = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14
+};
+
+// How many scheduler runs are kept on a subscription
+const RUN_HISTORY = 50;
+
+const subscriptionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const nextDate = (dateKey, frequency) => addDays(dateKey, FREQUENCY_DAYS[frequency]);
+
+// Earliest first delivery: far enough ahead for the order to be placed
+const earliestStart = (config = deliveryConfig) => addDays(localNow().dateKey, config.subscriptionLeadDays);
+
+// Weekly and fortnightly boxes arrive on the preferred slot's weekday
+const alignToSlot = (dateKey, frequency, slot) => {
+  if (!slot || frequency === 'daily') return dateKey;
+  let aligned = dateKey;
+  while (weekdayOf(aligned) !== slot.weekday) {
+    aligned = addDays(aligned, 1);
+  }
+  return aligned;
+};
+
+// Why no order is placed for a date, or null if one should be
+const skipReason = (subscription, dateKey) => {
+  if (subscription.pausedUntil && dateKey < subscription.pausedUntil) return 'Paused';
+  if ((subscription.skipDates || []).includes(dateKey)) return 'Skipped by customer';
+  return null;
+};
+
+// The next few delivery dates and whether each goes ahead
+const upcomingDeliveries = (subscription, count = 4) => {
+  if (subscription.status !== 'active') return [];
+  const dates = [];
+  let dateKey = subscription.nextDeliveryDate;
+  for (let i = 0; i < count; i++) {
+    dates.push({ date: dateKey, skipped: skipReason(subscription, dateKey) });
+    dateKey = nextDate(dateKey, subscription.frequency);
+  }
+  return dates;
+};
+
+// Check and clean what a customer sent for a subscription. Only product,
+// pack size and quantity are kept for items.
+const validateSubscription = async (userId, data) => {
+  const fields = {};
+
+  if ('name' in data) fields.name = data.name;
+
+  if ('frequency' in data) {
+    if (!FREQUENCY_DAYS[data.frequency]) {
+      throw subscriptionError('Choose daily, weekly or biweekly delivery');
+    }
+    fields.frequency = data.frequency;
+  }
+
+  if ('items' in data) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw subscriptionError('A subscription needs at least one item');
+    }
+    fields.items = data.items.map(item => ({
+      product: item.product,
+      variant: item.variant || undefined,
+      quantity: Number(item.quantity)
+    }));
+
+    const products = await Product.find({ _id: { $in: fields.items.map(item => item.product) } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    fields.items.forEach(item => {
+      const product = productsById.get(String(item.product));
+      if (!product || !isOnSale(product)) {
+        throw subscriptionError('One of the products is not available', 404);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        throw subscriptionError(`Invalid quantity for ${product.name}`);
+      }
+      if (product.variants.length && !item.variant) {
+        throw subscriptionError(`Please choose a pack size for ${product.name}`);
+      }
+      if (item.variant && !product.variants.id(item.variant)) {
+        throw subscriptionError(`The selected pack of ${product.name} is no longer sold`);
+      }
+    });
+  }
+
+  if ('addressId' in data) {
+    await resolveShippingAddress(userId, { addressId: data.addressId });
+    fields.addressId = data.addressId;
+  }
+
+  if ('slot' in data) {
+    if (data.slot) {
+      const slot = await DeliverySlot.findOne({ _id: data.slot, isActive: true });
+      if (!slot) {
+        throw subscriptionError('Delivery slot not found', 404);
+      }
+      fields.slot = slot._id;
+    } else {
+      fields.slot = null;
+    }
+  }
+
+  return fields;
+};
+
+// Slot to book for a delivery date: the preferred one if it runs that day,
+// else one at the same time, else any slot with room
+const pickSlot = async (subscription, dateKey, pincode, session) => {
+  if (!await slotsConfigured(session)) return undefined;
+
+  const preferred = subscription.slot &&
+    await DeliverySlot.findById(subscription.slot).session(session);
+  const candidates = await DeliverySlot.find({ isActive: true, weekday: weekdayOf(dateKey) })
+    .sort({ startTime: 1 })
+    .session(session);
+
+  const rank = (slot) => {
+    if (preferred && slot._id.equals(preferred._id)) return 0;
+    if (preferred && slot.startTime === preferred.startTime) return 1;
+    return 2;
+  };
+  candidates.sort((a, b) => rank(a) - rank(b));
+
+  for (const slot of candidates) {
+    const selection = { slotId: slot._id, date: dateKey };
+    try {
+      await checkSlot(selection, { pincode, session });
+      return selection;
+    } catch (error) {
+      if (!error.status) throw error;
+    }
+  }
+  throw subscriptionError('No delivery slot is available for this date');
+};
+
+// Place the order for one delivery date through the regular checkout path
+const placeSubscriptionOrder = async (subscription, dateKey) => {
+  const shippingAddress = await resolveShippingAddress(subscription.user, {
+    addressId: subscription.addressId
+  });
+
+  const session = await mongoose.startSession();
+  try {
+    let order;
+    await session.withTransaction(async () => {
+      const deliverySlot = await pickSlot(subscription, dateKey, shippingAddress.pincode, session);
+      order = await placeOrder({
+        userId: subscription.user,
+        items: subscription.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity
+        })),
+        shippingAddress,
+        paymentMethod: 'cod',
+        deliverySlot,
+        subscription: subscription._id
+      }, session);
+    });
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const notifyFailure = async (subscription, dateKey, reason) => {
+  const populated = await subscription.populate('user', 'name email');
+  if (!populated.user?.email) return;
+
+  const template = emailTemplates.subscriptionOrderFailed(
+    populated.user.name,
+    subscription.name,
+    dateKey,
+    reason
+  );
+  await sendEmail({ email: populated.user.email, ...template });
+};
+
+// Handle one due delivery date of a subscription. The date is claimed by
+// moving `nextDeliveryDate` on first, so a delivery is never ordered twice
+// even if two schedulers run at once; an order that fails is recorded as a
+// failed run. Returns the run, or null if another scheduler claimed the date.
+const runDelivery = async (subscription, dateKey, today) => {
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'active', nextDeliveryDate: dateKey },
+    {
+      $set: { nextDeliveryDate: nextDate(dateKey, subscription.frequency) },
+      $pull: { skipDates: { $lte: dateKey } }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let run;
+  const reason = dateKey < today ? 'Delivery date passed' : skipReason(subscription, dateKey);
+  if (reason) {
+    run = { date: dateKey, status: 'skipped', reason };
+  } else {
+    try {
+      const order = await placeSubscriptionOrder(claimed, dateKey);
+      run = { date: dateKey, status: 'ordered', order: order._id };
+    } catch (error) {
+      // The date is already used up, so any failure is recorded and the
+      // customer told; unexpected errors are not shown to them as they are
+      let detail;
+      if (error.status) {
+        detail = error.details ? `${error.message}: ${error.details}` : error.message;
+      } else {
+        console.error('Subscription order failed for', String(subscription._id), error);
+        detail = 'The order could not be placed';
+      }
+      run = { date: dateKey, status: 'failed', reason: detail };
+      notifyFailure(claimed, dateKey, detail).catch(emailError => {
+        console.error('Failed to send subscription email:', emailError.message);
+      });
+    }
+  }
+
+  await Subscription.updateOne(
+    { _id: subscription._id },
+    { $push: { runs: { $each: [{ ...run, at: new Date() }], $slice: -RUN_HISTORY } } }
+  );
+  return run;
+};
+
+// Place orders for every active subscription with a delivery inside the lead
+// window. Returns how many orders were created.
+const processDueSubscriptions = async (config = deliveryConfig) => {
+  const today = localNow().dateKey;
+  const horizon = addDays(today, config.subscriptionLeadDays);
+
+  const due = await Subscription.find({ status: 'active', nextDeliveryDate: { $lte: horizon } });
+
+  let created = 0;
+  for (const subscription of due) {
+    try {
+      let dateKey = subscription.nextDeliveryDate;
+      while (dateKey <= horizon) {
+        const run = await runDelivery(subscription, dateKey, today);
+        if (!run) break;
+        if (run.status === 'ordered') created += 1;
+        dateKey = nextDate(dateKey, subscription.frequency);
+      }
+    } catch (error) {
+      console.error('Subscription delivery failed for', String(subscription._id), error.message);
+    }
+  }
+  return created;
+};
+
+module.exports = {
+  FREQUENCY_DAYS,
+  nextDate,
+  earliestStart,
+  alignToSlot,
+  upcomingDeliveries,
+  validateSubscription,
+  processDueSubscriptions
+};
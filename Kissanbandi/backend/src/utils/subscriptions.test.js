@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const { placeOrder } = require('./orders');
+const { sendEmail } = require('./email');
+const { processDueSubscriptions } = require('./subscriptions');
+
+jest.mock('../models/Subscription', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('./orders', () => ({ placeOrder: jest.fn() }));
+jest.mock('./addresses', () => ({
+  resolveShippingAddress: jest.fn().mockResolvedValue({ pincode: '110001' })
+}));
+jest.mock('./slots', () => ({
+  ...jest.requireActual('./slots'),
+  localNow: jest.fn(() => ({ dateKey: '2026-10-20' })),
+  slotsConfigured: jest.fn().mockResolvedValue(false)
+}));
+jest.mock('./email', () => ({
+  sendEmail: jest.fn().mockResolvedValue(),
+  emailTemplates: {
+    subscriptionOrderFailed: jest.fn((name, subscription, date, reason) => ({ subject: 'Order failed', reason }))
+  }
+}));
+
+const config = { subscriptionLeadDays: 1 };
+
+// A daily subscription due tomorrow, as found and as claimed
+const subscription = (id) => ({
+  _id: id,
+  name: 'Milk',
+  status: 'active',
+  frequency: 'daily',
+  nextDeliveryDate: '2026-10-21',
+  items: [{ product: 'p1', quantity: 1 }],
+  populate: jest.fn().mockResolvedValue({ user: { name: 'Asha', email: 'asha@example.com' } })
+});
+
+// The run pushed onto a subscription's history
+const pushedRun = (id) => {
+  const [, update] = Subscription.updateOne.mock.calls.find(([filter]) => filter._id === id);
+  return update.$push.runs.$each[0];
+};
+
+describe('processDueSubscriptions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: jest.fn()
+    });
+    Subscription.findOneAndUpdate.mockImplementation(async ({ _id }) => subscription(_id));
+  });
+
+  it('places the order for a due delivery', async () => {
+    Subscription.find.mockResolvedValue([subscription('sub_1')]);
+    placeOrder.mockResolvedValue({ _id: 'order_1' });
+
+    const created = await processDueSubscriptions(config);
+
+    expect(created).toBe(1);
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'sub_1', status: 'active', nextDeliveryDate: '2026-10-21' },
+      expect.objectContaining({ $set: { nextDeliveryDate: '2026-10-22' } }),
+      { new: true }
+    );
+    expect(pushedRun('sub_1')).toMatchObject({ date: '2026-10-21', status: 'ordered', order: 'order_1' });
+  });
+
+  it('records a failed run and tells the customer when checkout refuses the order', async () => {
+    Subscription.find.mockResolvedValue([subscription('sub_1')]);
+    const error = new Error('Insufficient stock');
+    error.status = 400;
+    error.details = 'Only 0 units available for Milk';
+    placeOrder.mockRejectedValue(error);
+
+    await processDueSubscriptions(config);
+
+    expect(pushedRun('sub_1')).toMatchObject({
+      status: 'failed',
+      reason: 'Insufficient stock: Only 0 units available for Milk'
+    });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'asha@example.com' }));
+  });
+
+  it('records a failed run for an unexpected error instead of losing the delivery', async () => {
+    Subscription.find.mockResolvedValue([subscription('sub_1')]);
+    placeOrder.mockRejectedValue(new Error('Transaction aborted'));
+
+    const created = await processDueSubscriptions(config);
+
+    expect(created).toBe(0);
+    expect(pushedRun('sub_1')).toMatchObject({ status: 'failed', reason: 'The order could not be placed' });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('carries on with the other subscriptions when one fails', async () => {
+    Subscription.find.mockResolvedValue([subscription('sub_1'), subscription('sub_2')]);
+    Subscription.findOneAndUpdate
+      .mockRejectedValueOnce(new Error('Connection reset'))
+      .mockImplementation(async ({ _id }) => subscription(_id));
+    placeOrder.mockResolvedValue({ _id: 'order_2' });
+
+    const created = await processDueSubscriptions(config);
+
+    expect(created).toBe(1);
+    expect(pushedRun('sub_2')).toMatchObject({ status: 'ordered', order: 'order_2' });
+  });
+});
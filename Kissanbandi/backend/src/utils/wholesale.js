@@ -0,0 +1,28 @@
+const User = require('../models/User');
+
+// Whether a user is a business account an admin has approved
+const isApprovedBusiness = (user) => user?.role === 'business' && Boolean(user.credit?.approved);
+
+// Whether the buyer gets wholesale tier prices: approved business accounts do
+const isWholesaleBuyer = async (userId, session = null) => {
+  if (!userId) return false;
+  const user = await User.findById(userId).select('role credit.approved').session(session);
+  return isApprovedBusiness(user);
+};
+
+// Unit price of a product or pack before any near-expiry markdown.
+// Wholesale buyers get the lowest tier whose minimum quantity they reach.
+const listPrice = (product, variant, quantity, { wholesale = false } = {}) => {
+  const source = variant || product;
+  if (!wholesale) return source.price;
+  const tierPrices = (source.priceTiers || [])
+    .filter(tier => quantity >= tier.minQuantity)
+    .map(tier => tier.price);
+  return Math.min(source.price, ...tierPrices);
+};
+
+module.exports = {
+  isApprovedBusiness,
+  isWholesaleBuyer,
+  listPrice
+};
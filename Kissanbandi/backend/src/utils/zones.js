@@ -0,0 +1,29 @@
+const DeliveryZone = require('../models/DeliveryZone');
+
+const DEFAULT_ZONE_NAME = 'standard';
+
+// The active zone serving a pincode. Until any zone is set up every pincode
+// is serviceable under the default zone name.
+const resolveZone = async (pincode, session = null) => {
+  const code = String(pincode || '').trim();
+  const zone = code
+    ? await DeliveryZone.findOne({ pincodes: code, isActive: true }).session(session)
+    : null;
+  if (zone) {
+    return { zone, name: zone.name, serviceable: true };
+  }
+
+  const zonesConfigured = await DeliveryZone.exists({ isActive: true }).session(session);
+  return { zone: null, name: DEFAULT_ZONE_NAME, serviceable: !zonesConfigured };
+};
+
+const unserviceableMessage = (pincode) =>
+  pincode
+    ? `Sorry, we do not deliver to pincode ${pincode} yet`
+    : 'Please add a delivery pincode';
+
+module.exports = {
+  DEFAULT_ZONE_NAME,
+  resolveZone,
+  unserviceableMessage
+};
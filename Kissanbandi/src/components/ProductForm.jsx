@@ -1,8 +1,77 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import ImageUpload from './ImageUpload';
+import { farmersApi } from '../services/api';
 
-const ProductForm = ({ initialData, onSubmit, categories }) => {
+const EMPTY_VARIANT = {
+  packSize: '',
+  sku: '',
+  price: '',
+  mrp: '',
+  stock: '',
+  weightKg: '',
+  isActive: true,
+  priceTiers: []
+};
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+
+const tiersFilled = (tiers = []) => tiers.every(tier => Number(tier.minQuantity) >= 2 && tier.price !== '');
+
+const toTiers = (tiers = []) => tiers.map(tier => ({
+  minQuantity: parseInt(tier.minQuantity, 10),
+  price: Number(tier.price)
+}));
+
+// Wholesale prices for business buyers: the price drops to `price` once they
+// order at least `minQuantity`
+const PriceTiers = ({ tiers = [], onChange, unit }) => {
+  const update = (index, field, value) =>
+    onChange(tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+
+  return (
+    <div className="space-y-2">
+      {tiers.map((tier, index) => (
+        <div key={index} className="flex items-center gap-2 text-sm">
+          <span className="text-gray-600">From</span>
+          <input
+            type="number"
+            value={tier.minQuantity}
+            onChange={(e) => update(index, 'minQuantity', e.target.value)}
+            min="2"
+            className="w-20 rounded-lg border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <span className="text-gray-600">{unit || 'units'} at ₹</span>
+          <input
+            type="number"
+            value={tier.price}
+            onChange={(e) => update(index, 'price', e.target.value)}
+            min="0"
+            step="0.01"
+            className="w-24 rounded-lg border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(tiers.filter((_, i) => i !== index))}
+            className="text-red-500 hover:text-red-700"
+            title="Remove tier"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...tiers, { minQuantity: '', price: '' }])}
+        className="text-sm font-medium text-green-600 hover:text-green-700"
+      >
+        + Add tier
+      </button>
+    </div>
+  );
+};
+
+const ProductForm = ({ initialData, onSubmit, categories, showFarmer = true }) => {
   const [formData, setFormData] = useState({
     id: '',
     name: '',
@@ -11,27 +80,51 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
     price: '',
     unit: '',
     stock: '',
+    reorderLevel: '',
+    hsnCode: '',
+    farmer: '',
     description: '',
-    image: ''
+    image: '',
+    priceTiers: [],
+    variants: []
   });
   const [errors, setErrors] = useState({});
+  const [farmers, setFarmers] = useState([]);
+
+  useEffect(() => {
+    if (!showFarmer) return;
+    farmersApi.getAllFarmers()
+      .then(setFarmers)
+      .catch(err => console.error('Error loading farmers:', err));
+  }, [showFarmer]);
 
   useEffect(() => {
     if (initialData) {
       setFormData({
         ...initialData,
+        variants: initialData.variants || [],
+        priceTiers: initialData.priceTiers || [],
+        farmer: initialData.farmer?._id || initialData.farmer || '',
         id: initialData.id || initialData._id
       });
     }
   }, [initialData]);
 
+  const hasVariants = formData.variants.length > 0;
+
   const validateForm = () => {
     const newErrors = {};
     if (!formData.name) newErrors.name = 'Name is required';
     if (!formData.category) newErrors.category = 'Category is required';
-    if (!formData.price) newErrors.price = 'Price is required';
+    if (!hasVariants && !formData.price) newErrors.price = 'Price is required';
     if (!formData.unit) newErrors.unit = 'Unit is required';
-    if (!formData.stock) newErrors.stock = 'Stock is required';
+    if (!hasVariants && !formData.stock) newErrors.stock = 'Stock is required';
+    if (formData.variants.some(variant => !variant.packSize || !variant.sku || variant.price === '' || variant.stock === '')) {
+      newErrors.variants = 'Every pack size needs a label, SKU, price and stock';
+    }
+    if (!tiersFilled(formData.priceTiers) || formData.variants.some(variant => !tiersFilled(variant.priceTiers))) {
+      newErrors.priceTiers = 'Every wholesale tier needs a price and a minimum quantity of 2 or more';
+    }
     if (!formData.description) newErrors.description = 'Description is required';
     
     // Only require image for new products
@@ -46,13 +139,33 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
   const handleSubmit = (e) => {
     e.preventDefault();
     if (validateForm()) {
+      // Price and stock of a product with pack sizes are worked out on the
+      // server from its packs
+      const variants = formData.variants.map(variant => ({
+        ...variant,
+        price: Number(variant.price),
+        mrp: toNumber(variant.mrp),
+        stock: parseInt(variant.stock, 10),
+        weightKg: toNumber(variant.weightKg),
+        priceTiers: toTiers(variant.priceTiers)
+      }));
       const submissionData = {
         ...formData,
-        price: parseFloat(formData.price),
-        stock: parseInt(formData.stock, 10),
+        variants,
+        price: hasVariants ? Math.min(...variants.map(variant => variant.price)) : parseFloat(formData.price),
+        stock: hasVariants
+          ? variants.reduce((sum, variant) => sum + variant.stock, 0)
+          : parseInt(formData.stock, 10),
+        reorderLevel: toNumber(formData.reorderLevel),
+        priceTiers: hasVariants ? [] : toTiers(formData.priceTiers),
+        farmer: formData.farmer || null,
         id: formData.id || formData._id
       };
 
+      if (!showFarmer) {
+        delete submissionData.farmer;
+      }
+
       // Only include image in submission if it has changed
       if (!initialData || formData.image !== initialData.image) {
         submissionData.image = formData.image;
@@ -90,6 +203,24 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
     }
   };
 
+  const handleVariantChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant))
+    }));
+    if (errors.variants) {
+      setErrors(prev => ({ ...prev, variants: '' }));
+    }
+  };
+
+  const addVariant = () => {
+    setFormData(prev => ({ ...prev, variants: [...prev.variants, { ...EMPTY_VARIANT }] }));
+  };
+
+  const removeVariant = (index) => {
+    setFormData(prev => ({ ...prev, variants: prev.variants.filter((_, i) => i !== index) }));
+  };
+
   const getSubcategories = () => {
     const category = categories.find(cat => cat.name.toLowerCase() === formData.category.toLowerCase());
     return category ? category.subcategories : [];
@@ -164,6 +295,7 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
             name="price"
             value={formData.price}
             onChange={handleChange}
+            disabled={hasVariants}
             min="0"
             step="0.01"
             className={`mt-1 block w-full rounded-lg border ${
@@ -171,6 +303,7 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
             } px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500`}
           />
           {errors.price && <p className="mt-1 text-sm text-red-500">{errors.price}</p>}
+          {hasVariants && <p className="mt-1 text-xs text-gray-500">Cheapest pack size</p>}
         </div>
 
         <div>
@@ -204,15 +337,188 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
             name="stock"
             value={formData.stock}
             onChange={handleChange}
+            disabled={hasVariants}
             min="0"
             className={`mt-1 block w-full rounded-lg border ${
               errors.stock ? 'border-red-500' : 'border-gray-300'
             } px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500`}
           />
           {errors.stock && <p className="mt-1 text-sm text-red-500">{errors.stock}</p>}
+          {hasVariants && <p className="mt-1 text-xs text-gray-500">Total of all pack sizes</p>}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Reorder Level</label>
+          <input
+            type="number"
+            name="reorderLevel"
+            value={formData.reorderLevel ?? ''}
+            onChange={handleChange}
+            min="0"
+            placeholder="Store default"
+            className="mt-1 block w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">Flagged as low stock at or below this count</p>
         </div>
       </div>
 
+      <div>
+        <div className="flex items-center justify-between">
+          <label className="block text-sm font-medium text-gray-700">Pack Sizes</label>
+          <button
+            type="button"
+            onClick={addVariant}
+            className="text-sm font-medium text-green-600 hover:text-green-700"
+          >
+            + Add pack size
+          </button>
+        </div>
+        {hasVariants ? (
+          <div className="mt-2 space-y-2">
+            <div className="grid grid-cols-8 gap-2 text-xs font-medium text-gray-500">
+              <span className="col-span-2">Pack</span>
+              <span>SKU</span>
+              <span>Price (₹)</span>
+              <span>MRP (₹)</span>
+              <span>Stock</span>
+              <span>Weight (kg)</span>
+              <span></span>
+            </div>
+            {formData.variants.map((variant, index) => (
+              <div key={variant._id || index} className="grid grid-cols-8 gap-2 items-center">
+                <input
+                  type="text"
+                  value={variant.packSize}
+                  onChange={(e) => handleVariantChange(index, 'packSize', e.target.value)}
+                  placeholder="e.g. 500 g"
+                  className="col-span-2 rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <input
+                  type="text"
+                  value={variant.sku}
+                  onChange={(e) => handleVariantChange(index, 'sku', e.target.value.toUpperCase())}
+                  className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <input
+                  type="number"
+                  value={variant.price}
+                  onChange={(e) => handleVariantChange(index, 'price', e.target.value)}
+                  min="0"
+                  step="0.01"
+                  className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <input
+                  type="number"
+                  value={variant.mrp ?? ''}
+                  onChange={(e) => handleVariantChange(index, 'mrp', e.target.value)}
+                  min="0"
+                  step="0.01"
+                  className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <input
+                  type="number"
+                  value={variant.stock}
+                  onChange={(e) => handleVariantChange(index, 'stock', e.target.value)}
+                  min="0"
+                  className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <input
+                  type="number"
+                  value={variant.weightKg ?? ''}
+                  onChange={(e) => handleVariantChange(index, 'weightKg', e.target.value)}
+                  min="0"
+                  step="0.01"
+                  className="rounded-lg border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <div className="flex items-center justify-end gap-2">
+                  <label className="flex items-center text-xs text-gray-600" title="Sold on the store">
+                    <input
+                      type="checkbox"
+                      checked={variant.isActive !== false}
+                      onChange={(e) => handleVariantChange(index, 'isActive', e.target.checked)}
+                      className="mr-1"
+                    />
+                    On
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => removeVariant(index)}
+                    className="text-red-500 hover:text-red-700 text-sm"
+                    title="Remove pack size"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-1 text-xs text-gray-500">
+            Sold by the unit above. Add pack sizes to sell it in packs with their own SKU, price and stock.
+          </p>
+        )}
+        {errors.variants && <p className="mt-1 text-sm text-red-500">{errors.variants}</p>}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Wholesale Prices</label>
+        <p className="mt-1 mb-2 text-xs text-gray-500">
+          Business accounts pay the lowest price whose quantity they reach
+        </p>
+        {hasVariants ? (
+          <div className="space-y-3">
+            {formData.variants.map((variant, index) => (
+              <div key={variant._id || index}>
+                <p className="text-xs font-medium text-gray-600 mb-1">{variant.packSize || `Pack ${index + 1}`}</p>
+                <PriceTiers
+                  tiers={variant.priceTiers}
+                  onChange={(tiers) => handleVariantChange(index, 'priceTiers', tiers)}
+                  unit="packs"
+                />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <PriceTiers
+            tiers={formData.priceTiers}
+            onChange={(tiers) => setFormData(prev => ({ ...prev, priceTiers: tiers }))}
+            unit={formData.unit}
+          />
+        )}
+        {errors.priceTiers && <p className="mt-1 text-sm text-red-500">{errors.priceTiers}</p>}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">HSN Code</label>
+        <input
+          type="text"
+          name="hsnCode"
+          value={formData.hsnCode || ''}
+          onChange={handleChange}
+          placeholder="Printed on GST invoices, e.g. 0709"
+          className="mt-1 block w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+      </div>
+
+      {showFarmer && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Farmer</label>
+          <select
+            name="farmer"
+            value={formData.farmer}
+            onChange={handleChange}
+            className="mt-1 block w-full rounded-lg border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">Not linked to a farmer</option>
+            {farmers.map(farmer => (
+              <option key={farmer._id} value={farmer._id}>
+                {farmer.name}{farmer.village ? ` (${farmer.village})` : ''}{farmer.isActive ? '' : ' – inactive'}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       <div>
         <label className="block text-sm font-medium text-gray-700">Description</label>
         <textarea
@@ -242,6 +548,8 @@ const ProductForm = ({ initialData, onSubmit, categories }) => {
 ProductForm.propTypes = {
   initialData: PropTypes.object,
   onSubmit: PropTypes.func.isRequired,
+  // Sellers cannot see the farmer registry, so their form leaves it out
+  showFarmer: PropTypes.bool,
   categories: PropTypes.arrayOf(
     PropTypes.shape({
       name: PropTypes.string.isRequired,
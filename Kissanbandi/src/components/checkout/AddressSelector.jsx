@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin, Plus } from 'lucide-react';
+import { usersApi } from '../../services/api';
+
+// Pick one of the saved addresses at checkout. `onChange` receives the
+// chosen address; the default one is picked when the list loads.
+const AddressSelector = ({ value, onChange }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Load once, not whenever the parent re-renders
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    usersApi.getAddresses()
+      .then(data => {
+        if (cancelled) return;
+        setAddresses(data);
+        onChangeRef.current?.(data.find(address => address.isDefault) || data[0] || null);
+      })
+      .catch(error => console.error('Error loading addresses:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-4 border-green-200 border-t-green-600"></div>
+      </div>
+    );
+  }
+
+  if (addresses.length === 0) {
+    return (
+      <Link
+        to="/profile"
+        className="flex items-center justify-center p-4 rounded-xl border-2 border-dashed border-green-300 text-green-700 font-medium hover:bg-green-50"
+      >
+        <Plus className="w-4 h-4 mr-2" />
+        Add a delivery address
+      </Link>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {addresses.map(address => (
+        <label
+          key={address._id}
+          className={`flex items-start space-x-3 p-3 rounded-xl border-2 cursor-pointer transition-all duration-200 ${
+            value?._id === address._id ? 'border-green-500 bg-green-50' : 'border-green-100 hover:border-green-300'
+          }`}
+        >
+          <input
+            type="radio"
+            name="shippingAddress"
+            checked={value?._id === address._id}
+            onChange={() => onChange(address)}
+            className="mt-1 text-green-600 focus:ring-green-500"
+          />
+          <div className="text-sm">
+            <span className="flex items-center font-semibold text-gray-800">
+              <MapPin className="w-4 h-4 mr-1 text-green-600" />
+              {address.label}
+            </span>
+            {address.name && <span className="block text-gray-700">{address.name}</span>}
+            <span className="block text-gray-600">
+              {[address.street, address.locality, address.city, address.state, address.pincode].filter(Boolean).join(', ')}
+            </span>
+          </div>
+        </label>
+      ))}
+      <Link to="/profile" className="inline-block text-sm font-medium text-green-700 hover:text-green-800">
+        Manage addresses
+      </Link>
+    </div>
+  );
+};
+
+export default AddressSelector;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// What changed for one cart line since it was added, in words
+const describeChange = (line) => {
+  const changes = [];
+  if (line.status === 'unavailable') {
+    changes.push('No longer available; it will be removed');
+  } else if (line.status === 'out_of_stock') {
+    changes.push('Out of stock; it will be removed');
+  } else if (line.suggestedQuantity < line.quantity) {
+    changes.push(`Only ${line.stock} left; quantity ${line.quantity} → ${line.suggestedQuantity}`);
+  }
+  if (line.priceChanged && line.suggestedQuantity > 0) {
+    changes.push(`Price ₹${line.price} → ₹${line.currentPrice}`);
+  }
+  return changes;
+};
+
+// Cart lines whose price, stock or availability changed since they were
+// added, checked by the server at checkout. `lines` are the lines from
+// cartApi.validateCart that need attention; `items` the cart, for names.
+const CartChanges = ({ lines, items, onAccept }) => {
+  if (!lines.length) return null;
+
+  const itemFor = (line) => items.find(item =>
+    String(item._id || item.id) === String(line.product) &&
+    String(item.variant || '') === String(line.variant || ''));
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-2xl p-6 mb-6">
+      <div className="flex items-center text-amber-800 font-bold mb-3">
+        <AlertTriangle className="w-5 h-5 mr-2" />
+        Some items in your cart have changed
+      </div>
+      <ul className="space-y-2 mb-4">
+        {lines.map(line => {
+          const item = itemFor(line);
+          return (
+            <li key={`${line.product}-${line.variant || ''}`} className="text-sm">
+              <span className="font-semibold text-gray-800">
+                {item ? `${item.name}${item.packSize ? ` (${item.packSize})` : ''}` : line.name || 'An item'}
+              </span>
+              <span className="text-gray-700">: {describeChange(line).join('; ')}</span>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        onClick={onAccept}
+        className="bg-gradient-to-r from-amber-500 to-orange-500 text-white px-4 py-2 rounded-xl text-sm font-medium hover:from-amber-600 hover:to-orange-600 transition-all duration-200"
+      >
+        Update my cart
+      </button>
+    </div>
+  );
+};
+
+export default CartChanges;
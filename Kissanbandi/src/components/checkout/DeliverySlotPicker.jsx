@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, Clock } from 'lucide-react';
+import { slotsApi } from '../../services/api';
+
+const formatSlotDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short'
+});
+
+// Day tabs and time windows for choosing a delivery slot at checkout.
+// `value` and `onChange` use `{ slotId, date, label }`; `onLoaded` receives
+// whether any slots are set up at all.
+const DeliverySlotPicker = ({ pincode, value, onChange, onLoaded }) => {
+  const [availability, setAvailability] = useState(null);
+  const [activeDate, setActiveDate] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Reload only when the pincode changes, not when the parent re-renders
+  const onLoadedRef = useRef(onLoaded);
+  onLoadedRef.current = onLoaded;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    slotsApi.getAvailableSlots(pincode)
+      .then(data => {
+        if (cancelled) return;
+        setAvailability(data);
+        const firstOpen = data.days.find(day => day.slots.some(slot => slot.available));
+        setActiveDate(firstOpen?.date || data.days[0]?.date || null);
+        onLoadedRef.current?.(data.days.some(day => day.slots.length > 0));
+      })
+      .catch(error => {
+        console.error('Error loading delivery slots:', error);
+        if (!cancelled) onLoadedRef.current?.(false);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pincode]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-4 border-green-200 border-t-green-600"></div>
+      </div>
+    );
+  }
+
+  const days = (availability?.days || []).filter(day => day.slots.length > 0 || day.holiday);
+  if (days.length === 0) return null;
+
+  const activeDay = days.find(day => day.date === activeDate) || days[0];
+
+  return (
+    <div>
+      <div className="flex space-x-2 overflow-x-auto pb-2">
+        {days.map(day => {
+          const open = day.slots.some(slot => slot.available);
+          return (
+            <button
+              key={day.date}
+              type="button"
+              onClick={() => setActiveDate(day.date)}
+              className={`flex-shrink-0 px-3 py-2 rounded-xl border-2 text-sm transition-all duration-200 ${
+                activeDay.date === day.date
+                  ? 'border-green-500 bg-green-50 text-green-700 font-semibold'
+                  : 'border-green-100 text-gray-600 hover:border-green-300'
+              } ${open ? '' : 'opacity-60'}`}
+            >
+              <Calendar className="w-4 h-4 inline mr-1" />
+              {formatSlotDate(day.date)}
+            </button>
+          );
+        })}
+      </div>
+
+      {activeDay.holiday ? (
+        <p className="text-sm text-gray-500 mt-2">No deliveries on this day ({activeDay.holiday})</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {activeDay.slots.map(slot => {
+            const selected = value?.slotId === slot.slotId && value?.date === activeDay.date;
+            return (
+              <button
+                key={slot.slotId}
+                type="button"
+                disabled={!slot.available}
+                onClick={() => onChange({ slotId: slot.slotId, date: activeDay.date, label: slot.label })}
+                title={slot.reason || ''}
+                className={`p-3 rounded-xl border-2 text-left text-sm transition-all duration-200 ${
+                  selected
+                    ? 'border-green-500 bg-green-50'
+                    : 'border-green-100 hover:border-green-300'
+                } disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:border-green-100`}
+              >
+                <span className="flex items-center font-medium text-gray-800">
+                  <Clock className="w-4 h-4 mr-1 text-green-600" />
+                  {slot.label}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {slot.available
+                    ? (slot.remaining <= 5 ? `Only ${slot.remaining} left` : 'Available')
+                    : slot.reason}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
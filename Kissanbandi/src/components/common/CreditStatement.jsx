@@ -0,0 +1,82 @@
+import React from 'react';
+
+const TYPE_LABELS = {
+  charge: 'Order',
+  payment: 'Payment',
+  reversal: 'Cancelled order',
+  adjustment: 'Adjustment'
+};
+
+const money = (value) => `₹${(value || 0).toFixed(2)}`;
+
+// Account summary and ledger of a credit statement from the credit API;
+// shared by the buyer's profile and the admin credit page
+const CreditStatement = ({ statement }) => {
+  const { account, entries } = statement;
+  const summary = [
+    { label: 'Credit limit', value: money(account.limit), note: `Net ${account.termsDays}` },
+    { label: 'Outstanding', value: money(account.balance) },
+    { label: 'Available', value: money(account.available) },
+    { label: 'Overdue', value: money(account.overdue), alert: account.overdue > 0 }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {summary.map(item => (
+          <div key={item.label} className={`rounded-xl p-4 ${item.alert ? 'bg-red-50' : 'bg-green-50'}`}>
+            <p className="text-xs text-gray-500">{item.label}</p>
+            <p className={`text-lg font-bold ${item.alert ? 'text-red-700' : 'text-gray-800'}`}>{item.value}</p>
+            {item.note && <p className="text-xs text-gray-500">{item.note}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Date</th>
+              <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Details</th>
+              <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Due</th>
+              <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Charged</th>
+              <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Credited</th>
+              <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            <tr className="bg-gray-50">
+              <td className="px-4 py-2 text-gray-600" colSpan={5}>Balance brought forward</td>
+              <td className="px-4 py-2 text-right font-medium text-gray-800">{money(statement.openingBalance)}</td>
+            </tr>
+            {entries.map(entry => (
+              <tr key={entry._id} className="hover:bg-green-50">
+                <td className="px-4 py-2 whitespace-nowrap text-gray-600">{new Date(entry.createdAt).toLocaleDateString()}</td>
+                <td className="px-4 py-2 text-gray-800">
+                  {TYPE_LABELS[entry.type]}
+                  {entry.order && <span className="text-gray-500"> #{(entry.order._id || entry.order).slice(-8).toUpperCase()}</span>}
+                  {entry.reference && <span className="text-gray-500"> · {entry.reference}</span>}
+                  {entry.note && <div className="text-xs text-gray-500">{entry.note}</div>}
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                  {entry.dueDate ? new Date(entry.dueDate).toLocaleDateString() : ''}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-800">{entry.amount > 0 ? money(entry.amount) : ''}</td>
+                <td className="px-4 py-2 text-right text-green-700">{entry.amount < 0 ? money(-entry.amount) : ''}</td>
+                <td className="px-4 py-2 text-right font-medium text-gray-800">{money(entry.balanceAfter)}</td>
+              </tr>
+            ))}
+            <tr className="bg-gray-50 font-medium">
+              <td className="px-4 py-2 text-gray-600" colSpan={3}>Closing balance</td>
+              <td className="px-4 py-2 text-right text-gray-800">{money(statement.charged)}</td>
+              <td className="px-4 py-2 text-right text-green-700">{money(statement.credited)}</td>
+              <td className="px-4 py-2 text-right text-gray-800">{money(statement.closingBalance)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CreditStatement;
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { zonesApi } from '../../services/api';
+
+// Inline note under a pincode field saying whether we deliver there.
+// Nothing is shown until the pincode has 6 digits.
+const PincodeServiceability = ({ pincode }) => {
+  const [result, setResult] = useState(null);
+  const valid = /^\d{6}$/.test(pincode || '');
+
+  useEffect(() => {
+    if (!valid) {
+      setResult(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    zonesApi.checkPincode(pincode)
+      .then(data => {
+        if (!cancelled) setResult(data);
+      })
+      .catch(error => {
+        console.error('Error checking pincode:', error);
+        if (!cancelled) setResult(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pincode, valid]);
+
+  if (!valid || !result || result.pincode !== pincode) return null;
+
+  if (!result.serviceable) {
+    return (
+      <p className="mt-1 flex items-center text-xs text-amber-700">
+        <AlertTriangle className="w-3 h-3 mr-1 flex-shrink-0" />
+        {result.message}
+      </p>
+    );
+  }
+
+  if (!result.zone) return null;
+
+  return (
+    <p className="mt-1 flex items-center text-xs text-green-700">
+      <CheckCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+      We deliver here ({result.zone.name})
+      {result.zone.minOrderValue > 0 && ` · minimum order ₹${result.zone.minOrderValue}`}
+    </p>
+  );
+};
+
+export default PincodeServiceability;
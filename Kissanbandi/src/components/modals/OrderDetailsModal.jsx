@@ -1,12 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { X, Package, MapPin, IndianRupee, Clock, Loader, AlertCircle } from 'lucide-react';
-import { usersApi } from '../../services/api';
+import { X, Package, MapPin, IndianRupee, Clock, Loader, AlertCircle, FileText } from 'lucide-react';
+import { usersApi, ordersApi } from '../../services/api';
 import { toast } from 'react-hot-toast';
+import OrderStatusTimeline from '../orders/OrderStatusTimeline';
+import RefundPanel from '../orders/RefundPanel';
+import PackingPanel from '../orders/PackingPanel';
+import ShipmentPanel from '../orders/ShipmentPanel';
 
-const OrderDetailsModal = ({ order, onClose }) => {
+const OrderDetailsModal = ({ order, onClose, onOrderUpdated }) => {
   const [userData, setUserData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(false);
 
   useEffect(() => {
     const fetchUserDetails = async () => {
@@ -33,6 +38,17 @@ const OrderDetailsModal = ({ order, onClose }) => {
     fetchUserDetails();
   }, [order?.user?._id]);
 
+  const handleDownloadInvoice = async () => {
+    try {
+      setDownloadingInvoice(true);
+      await ordersApi.downloadInvoice(order._id);
+    } catch (err) {
+      console.error('Error downloading invoice:', err);
+    } finally {
+      setDownloadingInvoice(false);
+    }
+  };
+
   if (!order) return null;
 
   return (
@@ -60,6 +76,18 @@ const OrderDetailsModal = ({ order, onClose }) => {
                     <Clock className="w-4 h-4 mr-1" />
                     {new Date(order.createdAt).toLocaleString()}
                   </div>
+                  {order.status === 'delivered' && (
+                    <button
+                      onClick={handleDownloadInvoice}
+                      disabled={downloadingInvoice}
+                      className="flex items-center mt-2 text-sm font-medium text-green-700 hover:text-green-800 disabled:opacity-50"
+                    >
+                      <FileText className="w-4 h-4 mr-1" />
+                      {downloadingInvoice
+                        ? 'Preparing invoice...'
+                        : `Download invoice${order.invoice?.number ? ` ${order.invoice.number}` : ''}`}
+                    </button>
+                  )}
                 </div>
                 <span className={`px-3 py-1 rounded-full text-sm font-medium ${
                   order.status === 'delivered' ? 'bg-green-100 text-green-800' :
@@ -73,6 +101,14 @@ const OrderDetailsModal = ({ order, onClose }) => {
               </div>
             </div>
 
+            {/* Status History */}
+            <div className="mb-6">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Status History</h4>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <OrderStatusTimeline history={order.statusHistory} showActorName />
+              </div>
+            </div>
+
             {/* Customer Info */}
             <div className="mb-6">
               <h4 className="text-sm font-medium text-gray-900 mb-2">Customer Information</h4>
@@ -121,7 +157,7 @@ const OrderDetailsModal = ({ order, onClose }) => {
                       <div className="flex items-center">
                         <Package className="w-4 h-4 mr-2 text-gray-400" />
                         <div>
-                          <p className="text-sm font-medium text-gray-900">{item.product?.name || 'Unknown Product'}</p>
+                          <p className="text-sm font-medium text-gray-900">{item.product?.name || 'Unknown Product'}{item.packSize ? ` (${item.packSize})` : ''}</p>
                           <p className="text-sm text-gray-500">Quantity: {item.quantity}</p>
                         </div>
                       </div>
@@ -138,13 +174,39 @@ const OrderDetailsModal = ({ order, onClose }) => {
               </div>
             </div>
 
+            {/* Delivery Slot */}
+            {order.deliverySlot?.date && (
+              <div className="mt-6">
+                <h3 className="text-lg font-semibold mb-4">Delivery Slot</h3>
+                <div className="bg-gray-50 p-4 rounded-lg text-sm">
+                  <span className="font-medium">
+                    {new Date(`${order.deliverySlot.date}T00:00:00`).toLocaleDateString('en-IN', {
+                      weekday: 'long',
+                      day: 'numeric',
+                      month: 'short'
+                    })}, {order.deliverySlot.label}
+                  </span>
+                  {order.deliverySlot.zone && (
+                    <span className="ml-2 text-gray-500">({order.deliverySlot.zone})</span>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Shipping Address Section */}
             <div className="mt-6">
               <h3 className="text-lg font-semibold mb-4">Shipping Address</h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-gray-50 p-4 rounded-lg">
                 <div className="col-span-2">
                   <span className="text-gray-600">Full Name:</span>
-                  <span className="ml-2 font-medium">{order.shippingAddress.fullName || 'N/A'}</span>
+                  <span className="ml-2 font-medium">
+                    {order.shippingAddress.name || order.shippingAddress.fullName || order.user?.name || 'N/A'}
+                  </span>
+                  {order.shippingAddress.label && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      {order.shippingAddress.label}
+                    </span>
+                  )}
                 </div>
                 
                 <div>
@@ -181,10 +243,17 @@ const OrderDetailsModal = ({ order, onClose }) => {
                 <div>
                   <span className="text-gray-600">PIN Code:</span>
                   <span className="ml-2 font-medium">
-                    {order.shippingAddress.pinCode !== 'N/A' ? order.shippingAddress.pinCode : 'Not Provided'}
+                    {order.shippingAddress.pincode || order.shippingAddress.pinCode || 'Not Provided'}
                   </span>
                 </div>
                 
+                {order.shippingAddress.instructions && (
+                  <div className="col-span-2">
+                    <span className="text-gray-600">Delivery Instructions:</span>
+                    <span className="ml-2 font-medium">{order.shippingAddress.instructions}</span>
+                  </div>
+                )}
+
                 {order.shippingAddress.landmark && order.shippingAddress.landmark !== 'N/A' && (
                   <div>
                     <span className="text-gray-600">Landmark:</span>
@@ -201,7 +270,12 @@ const OrderDetailsModal = ({ order, onClose }) => {
                 <div className="grid grid-cols-2 gap-4">
                   <div>
                     <p className="text-sm font-medium text-gray-500">Payment Method</p>
-                    <p className="text-sm text-gray-900">{order.paymentMethod || 'N/A'}</p>
+                    <p className="text-sm text-gray-900">
+                      {order.paymentMethod === 'on_account' ? 'On account' : order.paymentMethod || 'N/A'}
+                    </p>
+                    {order.paymentDueDate && (
+                      <p className="text-xs text-gray-500">Due {new Date(order.paymentDueDate).toLocaleDateString()}</p>
+                    )}
                   </div>
                   <div>
                     <p className="text-sm font-medium text-gray-500">Payment Status</p>
@@ -224,6 +298,37 @@ const OrderDetailsModal = ({ order, onClose }) => {
             </div>
           </div>
 
+          {/* Packing */}
+          {(order.packing?.packedAt || ['pending', 'processing'].includes(order.status)) && (
+            <div className="px-6 pb-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Packing</h4>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <PackingPanel order={order} onPacked={onOrderUpdated} />
+              </div>
+            </div>
+          )}
+
+          {/* Shipment tracking */}
+          {order.status !== 'cancelled' && (
+            <div className="px-6 pb-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Shipment</h4>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <ShipmentPanel order={order} onOrderUpdated={onOrderUpdated} />
+              </div>
+            </div>
+          )}
+
+          {/* Refunds */}
+          {order.paymentMethod === 'razorpay' &&
+            ['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus) && (
+            <div className="px-6 pb-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Refunds</h4>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <RefundPanel order={order} onRefunded={onOrderUpdated} />
+              </div>
+            </div>
+          )}
+
           {/* Footer */}
           <div className="bg-gray-50 px-6 py-4 flex justify-end">
             <button
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Clock, CheckCircle, XCircle, Truck, Package, RefreshCw } from 'lucide-react';
+
+const STATUS_STYLES = {
+  pending: { icon: Clock, className: 'bg-yellow-100 text-yellow-700' },
+  processing: { icon: RefreshCw, className: 'bg-blue-100 text-blue-700' },
+  shipped: { icon: Truck, className: 'bg-purple-100 text-purple-700' },
+  delivered: { icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  cancelled: { icon: XCircle, className: 'bg-red-100 text-red-700' },
+  default: { icon: Package, className: 'bg-gray-100 text-gray-700' }
+};
+
+const ACTOR_LABELS = {
+  admin: 'KissanBandi team',
+  user: 'Customer',
+  business: 'Customer',
+  system: 'System'
+};
+
+const capitalize = (value) => value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+
+// Vertical timeline of an order's status changes. Admins see the actor's
+// name when it is populated; customers only see who acted by role.
+const OrderStatusTimeline = ({ history = [], showActorName = false }) => {
+  if (!history.length) {
+    return <p className="text-sm text-gray-500">No status updates yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-green-100 ml-3 space-y-4">
+      {history.map((entry, index) => {
+        const style = STATUS_STYLES[entry.to] || STATUS_STYLES.default;
+        const Icon = style.icon;
+        const actorName = showActorName && entry.actor?.name;
+
+        return (
+          <li key={entry._id || index} className="ml-6">
+            <span className={`absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${style.className}`}>
+              <Icon className="w-3 h-3" />
+            </span>
+            <div className="flex flex-wrap items-baseline gap-x-2">
+              <p className="text-sm font-semibold text-gray-900">
+                {entry.from ? `${capitalize(entry.from)} → ${capitalize(entry.to)}` : capitalize(entry.to)}
+              </p>
+              <time className="text-xs text-gray-500">
+                {new Date(entry.at).toLocaleString('en-IN', {
+                  day: 'numeric',
+                  month: 'short',
+                  year: 'numeric',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}
+              </time>
+            </div>
+            <p className="text-xs text-gray-500">
+              by {actorName || ACTOR_LABELS[entry.actorRole] || 'System'}
+            </p>
+            {entry.note && (
+              <p className="text-sm text-gray-700 mt-1">{entry.note}</p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderStatusTimeline;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Scale } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { ordersApi } from '../../services/api';
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const SETTLEMENT_LABELS = {
+  none: 'No change to the amount',
+  refund: 'Difference refunded to the customer',
+  collect: 'Collect the adjusted amount on delivery',
+  waived: 'Extra weight not charged (prepaid)'
+};
+
+// Packing step for loose produce: staff enter what each line actually weighed
+// and the server re-prices the order. Once packed, shows original vs adjusted.
+const PackingPanel = ({ order, onPacked }) => {
+  const [packedOrder, setPackedOrder] = useState(null);
+  const [quantities, setQuantities] = useState(() =>
+    Object.fromEntries((order.items || []).map(item => [item._id, String(item.quantity)]))
+  );
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const current = packedOrder || order;
+  const packing = current.packing;
+  const toCollect = packing?.collectibleAmount ?? null;
+  const canPack = ['pending', 'processing'].includes(current.status);
+
+  const estimate = (current.items || []).reduce((sum, item) => {
+    const quantity = Number(quantities[item._id]);
+    return sum + (item.price || 0) * ((Number.isFinite(quantity) ? quantity : item.quantity) - item.quantity);
+  }, 0);
+
+  const handleSubmit = async () => {
+    const items = (order.items || []).map(item => ({
+      itemId: item._id,
+      packedQuantity: Number(quantities[item._id])
+    }));
+    if (items.some(item => !Number.isFinite(item.packedQuantity) || item.packedQuantity < 0)) {
+      toast.error('Enter a weighed quantity of zero or more for every line');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const updated = await ordersApi.packOrder(order._id, { items, notes });
+      setPackedOrder(updated);
+      toast.success('Order packed');
+      onPacked?.(updated);
+    } catch (err) {
+      console.error('Packing error:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (packing?.packedAt) {
+    return (
+      <div className="space-y-3 text-sm">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Item</th>
+              <th className="py-1">Ordered</th>
+              <th className="py-1">Packed</th>
+              <th className="py-1 text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {current.items.map(item => (
+              <tr key={item._id} className="border-t border-gray-200">
+                <td className="py-2 text-gray-900">
+                  {item.product?.name || 'Unknown Product'}{item.packSize ? ` (${item.packSize})` : ''}
+                </td>
+                <td className="py-2 text-gray-700">{item.quantity}</td>
+                <td className="py-2 text-gray-700">{item.packedQuantity ?? item.quantity}</td>
+                <td className="py-2 text-right text-gray-900">
+                  {item.packedAmount !== undefined && item.packedAmount !== item.price * item.quantity && (
+                    <span className="mr-2 text-gray-400 line-through">{formatAmount(item.price * item.quantity)}</span>
+                  )}
+                  {formatAmount(item.packedAmount ?? item.price * item.quantity)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <p className="font-medium text-gray-500">Original total</p>
+            <p className="text-gray-900">{formatAmount(packing.originalTotal)}</p>
+          </div>
+          <div>
+            <p className="font-medium text-gray-500">Adjusted total</p>
+            <p className="text-green-700 font-semibold">{formatAmount(packing.adjustedTotal)}</p>
+          </div>
+          <div>
+            <p className="font-medium text-gray-500">{toCollect !== null ? 'To collect' : 'Difference'}</p>
+            <p className="text-gray-900">{formatAmount(toCollect !== null ? toCollect : packing.difference)}</p>
+          </div>
+        </div>
+        <p className="text-gray-600">
+          {SETTLEMENT_LABELS[packing.settlement] || ''}
+          {packing.waivedAmount > 0 && ` (${formatAmount(packing.waivedAmount)})`}
+          {' · '}Packed {new Date(packing.packedAt).toLocaleString()}
+        </p>
+        {packing.notes && <p className="text-xs text-gray-500 italic">{packing.notes}</p>}
+      </div>
+    );
+  }
+
+  if (!canPack) {
+    return <p className="text-sm text-gray-500">This order was not weighed at packing.</p>;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Item</th>
+            <th className="py-1">Ordered</th>
+            <th className="py-1">Weighed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.items.map(item => (
+            <tr key={item._id} className="border-t border-gray-200">
+              <td className="py-2">
+                <p className="text-gray-900">
+                  {item.product?.name || 'Unknown Product'}{item.packSize ? ` (${item.packSize})` : ''}
+                </p>
+                <p className="text-xs text-gray-500">{formatAmount(item.price)} each</p>
+              </td>
+              <td className="py-2 text-gray-700">{item.quantity}</td>
+              <td className="py-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={quantities[item._id] ?? ''}
+                  onChange={(e) => setQuantities(prev => ({ ...prev, [item._id]: e.target.value }))}
+                  className="w-24 rounded-md border border-gray-300 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <input
+        type="text"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Packing notes (optional)"
+        className="w-full rounded-md border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+      />
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">
+          Items difference before tax: <span className="font-medium">{formatAmount(estimate)}</span>
+        </p>
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          <Scale className="w-4 h-4 mr-2" />
+          {submitting ? 'Packing...' : 'Confirm packing'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PackingPanel;
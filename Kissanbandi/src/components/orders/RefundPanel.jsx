@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader, RotateCcw, AlertCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { ordersApi } from '../../services/api';
+
+const REFUND_STATUS_COLORS = {
+  processed: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// Admin refund tool: pick order lines and quantities (optionally restocking
+// them) or refund the whole remaining balance, and see every refund so far.
+const RefundPanel = ({ order, onRefunded }) => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selection, setSelection] = useState({});
+  const [amount, setAmount] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadSummary = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ordersApi.getOrderRefunds(order._id);
+      setSummary(data);
+      setSelection({});
+      setAmount('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load refunds');
+    } finally {
+      setLoading(false);
+    }
+  }, [order._id]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  const updateLine = (itemId, changes) => {
+    setSelection(prev => ({
+      ...prev,
+      [itemId]: { quantity: 0, restock: false, ...prev[itemId], ...changes }
+    }));
+  };
+
+  const selectedLines = (summary?.lines || [])
+    .filter(line => (selection[line.itemId]?.quantity || 0) > 0);
+  const selectedTotal = selectedLines.reduce(
+    (sum, line) => sum + line.price * selection[line.itemId].quantity,
+    0
+  );
+
+  const submitRefund = async (full) => {
+    if (full && !window.confirm(`Refund the full remaining ${formatAmount(summary.refundableAmount)} and cancel the order?`)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await ordersApi.processRefund(order._id, {
+        full,
+        items: (summary.lines || []).map(line => ({
+          itemId: line.itemId,
+          quantity: full ? line.refundableQuantity : (selection[line.itemId]?.quantity || 0),
+          restock: selection[line.itemId]?.restock || false
+        })),
+        amount: full || amount === '' ? undefined : Number(amount),
+        notes
+      });
+      toast.success('Refund initiated');
+      setNotes('');
+      await loadSummary();
+      onRefunded?.();
+    } catch (err) {
+      console.error('Refund error:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-4">
+        <Loader className="w-6 h-6 animate-spin text-green-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center text-red-600 text-sm">
+        <AlertCircle className="w-4 h-4 mr-2" />
+        {error}
+      </div>
+    );
+  }
+
+  const canRefund = summary.refundableAmount > 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4 text-sm">
+        <div>
+          <p className="font-medium text-gray-500">Paid</p>
+          <p className="text-gray-900">{formatAmount(summary.paidAmount)}</p>
+        </div>
+        <div>
+          <p className="font-medium text-gray-500">Refunded</p>
+          <p className="text-gray-900">{formatAmount(summary.refundedAmount)}</p>
+        </div>
+        <div>
+          <p className="font-medium text-gray-500">Refundable</p>
+          <p className="text-green-700 font-semibold">{formatAmount(summary.refundableAmount)}</p>
+        </div>
+      </div>
+
+      {canRefund && (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">Item</th>
+                <th className="py-1">Refunded</th>
+                <th className="py-1">Refund qty</th>
+                <th className="py-1">Restock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.lines.map(line => (
+                <tr key={line.itemId} className="border-t border-gray-200">
+                  <td className="py-2">
+                    <p className="text-gray-900">{line.product?.name || 'Unknown Product'}</p>
+                    <p className="text-xs text-gray-500">{line.quantity} × {formatAmount(line.price)}</p>
+                  </td>
+                  <td className="py-2 text-gray-700">{line.refundedQuantity} / {line.quantity}</td>
+                  <td className="py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max={line.refundableQuantity}
+                      value={selection[line.itemId]?.quantity || 0}
+                      disabled={line.refundableQuantity === 0}
+                      onChange={(e) => updateLine(line.itemId, {
+                        quantity: Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), line.refundableQuantity)
+                      })}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+                    />
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="checkbox"
+                      checked={selection[line.itemId]?.restock || false}
+                      disabled={line.refundableQuantity === 0}
+                      onChange={(e) => updateLine(line.itemId, { restock: e.target.checked })}
+                      className="text-green-600 focus:ring-green-500"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-500 mb-1">Amount (₹)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                max={summary.refundableAmount}
+                value={amount}
+                placeholder={selectedTotal ? selectedTotal.toFixed(2) : '0.00'}
+                onChange={(e) => setAmount(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Leave empty to refund the selected items&apos; value</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-500 mb-1">Reason</label>
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="e.g. Coriander bunch spoiled"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => submitRefund(false)}
+              disabled={submitting || (selectedLines.length === 0 && amount === '')}
+              className="px-4 py-2 bg-green-600 text-white rounded-md text-sm font-medium hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Refund {formatAmount(amount === '' ? selectedTotal : Number(amount))}
+            </button>
+            <button
+              type="button"
+              onClick={() => submitRefund(true)}
+              disabled={submitting}
+              className="px-4 py-2 bg-white border border-red-300 text-red-600 rounded-md text-sm font-medium hover:bg-red-50 disabled:opacity-50"
+            >
+              Full refund
+            </button>
+          </div>
+        </>
+      )}
+
+      {summary.refunds.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-500 mb-2">Refund history</p>
+          <ul className="space-y-2">
+            {summary.refunds.map(refund => (
+              <li key={refund._id} className="flex items-start justify-between text-sm bg-white rounded-md p-3 border border-gray-200">
+                <div className="flex items-start">
+                  <RotateCcw className="w-4 h-4 mr-2 mt-0.5 text-gray-400" />
+                  <div>
+                    <p className="text-gray-900">
+                      {formatAmount(refund.amount)} · {refund.type === 'full' ? 'Full refund' : `${refund.items.length || 'No'} line(s)`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(refund.createdAt).toLocaleString()} · {refund.actor?.name || (refund.source === 'webhook' ? 'Razorpay' : 'Admin')}
+                    </p>
+                    {refund.notes && <p className="text-xs text-gray-600 mt-1">{refund.notes}</p>}
+                  </div>
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${REFUND_STATUS_COLORS[refund.status] || ''}`}>
+                  {refund.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefundPanel;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { ordersApi } from '../../services/api';
+import ShipmentTimeline from './ShipmentTimeline';
+import { EVENT_LABELS } from './shipmentEvents';
+
+// Value for a datetime-local input, in local time
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const emptyEvent = () => ({
+  type: 'packed',
+  note: '',
+  location: '',
+  at: toLocalInput(new Date()),
+  proofOfDelivery: '',
+  receivedBy: ''
+});
+
+// Shipment tracking for admins: courier and agent details, ETA and a form to
+// record tracking events. Events move the order's status along with them.
+const ShipmentPanel = ({ order, onOrderUpdated }) => {
+  const [shipment, setShipment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [details, setDetails] = useState({ courier: '', agentName: '', agentPhone: '', trackingNumber: '', eta: '' });
+  const [event, setEvent] = useState(emptyEvent);
+  const [saving, setSaving] = useState(false);
+
+  const showShipment = (data) => {
+    setShipment(data);
+    setDetails({
+      courier: data?.courier || '',
+      agentName: data?.agentName || '',
+      agentPhone: data?.agentPhone || '',
+      trackingNumber: data?.trackingNumber || '',
+      eta: toLocalInput(data?.eta)
+    });
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    ordersApi.getShipment(order._id)
+      .then(showShipment)
+      .catch(err => console.error('Error loading shipment:', err))
+      .finally(() => setLoading(false));
+  }, [order._id]);
+
+  const canTrack = !['cancelled', 'delivered'].includes(order.status);
+
+  const handleSaveDetails = async () => {
+    try {
+      setSaving(true);
+      const updated = await ordersApi.updateShipment(order._id, {
+        ...details,
+        eta: details.eta ? new Date(details.eta).toISOString() : ''
+      });
+      showShipment(updated);
+      toast.success('Shipment details saved');
+    } catch (err) {
+      console.error('Error saving shipment:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddEvent = async (e) => {
+    e.preventDefault();
+    if (event.type === 'delivered' && !event.proofOfDelivery.trim()) {
+      toast.error('Enter the proof-of-delivery reference');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const result = await ordersApi.addShipmentEvent(order._id, {
+        ...event,
+        at: event.at ? new Date(event.at).toISOString() : undefined
+      });
+      showShipment(result.shipment);
+      setEvent(emptyEvent());
+      toast.success(`${EVENT_LABELS[event.type]} recorded`);
+      onOrderUpdated?.(result.order);
+    } catch (err) {
+      console.error('Error adding tracking event:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading shipment...</p>;
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="space-y-4">
+      <ShipmentTimeline order={order} shipment={shipment} showActorName />
+
+      {canTrack && (
+        <>
+          <div className="border-t border-gray-200 pt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Courier and ETA</p>
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                value={details.courier}
+                onChange={(e) => setDetails(prev => ({ ...prev, courier: e.target.value }))}
+                placeholder="Courier or own delivery"
+                className={inputClass}
+              />
+              <input
+                value={details.trackingNumber}
+                onChange={(e) => setDetails(prev => ({ ...prev, trackingNumber: e.target.value }))}
+                placeholder="Tracking number"
+                className={inputClass}
+              />
+              <input
+                value={details.agentName}
+                onChange={(e) => setDetails(prev => ({ ...prev, agentName: e.target.value }))}
+                placeholder="Delivery agent"
+                className={inputClass}
+              />
+              <input
+                value={details.agentPhone}
+                onChange={(e) => setDetails(prev => ({ ...prev, agentPhone: e.target.value }))}
+                placeholder="Agent phone"
+                className={inputClass}
+              />
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Expected delivery</label>
+                <input
+                  type="datetime-local"
+                  value={details.eta}
+                  onChange={(e) => setDetails(prev => ({ ...prev, eta: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex items-end">
+                <button
+                  onClick={handleSaveDetails}
+                  disabled={saving}
+                  className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded-md text-sm font-medium hover:bg-green-50 disabled:opacity-50"
+                >
+                  Save details
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <form onSubmit={handleAddEvent} className="border-t border-gray-200 pt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Add tracking event</p>
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={event.type}
+                onChange={(e) => setEvent(prev => ({ ...prev, type: e.target.value }))}
+                className={`${inputClass} bg-white`}
+              >
+                {Object.entries(EVENT_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="datetime-local"
+                value={event.at}
+                max={toLocalInput(new Date())}
+                onChange={(e) => setEvent(prev => ({ ...prev, at: e.target.value }))}
+                className={inputClass}
+              />
+              <input
+                value={event.location}
+                onChange={(e) => setEvent(prev => ({ ...prev, location: e.target.value }))}
+                placeholder="Location (optional)"
+                className={inputClass}
+              />
+              <input
+                value={event.note}
+                onChange={(e) => setEvent(prev => ({ ...prev, note: e.target.value }))}
+                placeholder={event.type === 'attempted' ? 'Why it could not be delivered' : 'Note (optional)'}
+                className={inputClass}
+              />
+              {event.type === 'delivered' && (
+                <>
+                  <input
+                    value={event.proofOfDelivery}
+                    onChange={(e) => setEvent(prev => ({ ...prev, proofOfDelivery: e.target.value }))}
+                    placeholder="Proof of delivery (OTP, slip or photo ref)"
+                    className={inputClass}
+                  />
+                  <input
+                    value={event.receivedBy}
+                    onChange={(e) => setEvent(prev => ({ ...prev, receivedBy: e.target.value }))}
+                    placeholder="Received by (optional)"
+                    className={inputClass}
+                  />
+                </>
+              )}
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="mt-3 px-4 py-2 bg-green-600 text-white rounded-md text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Add event'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ShipmentPanel;
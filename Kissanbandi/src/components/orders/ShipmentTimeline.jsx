@@ -0,0 +1,109 @@
+import React from 'react';
+import { ShoppingBag, Package, Truck, AlertTriangle, CheckCircle, Phone, Calendar } from 'lucide-react';
+import { EVENT_LABELS } from './shipmentEvents';
+
+const EVENT_STYLES = {
+  placed: { icon: ShoppingBag, className: 'bg-gray-100 text-gray-700' },
+  packed: { icon: Package, className: 'bg-blue-100 text-blue-700' },
+  out_for_delivery: { icon: Truck, className: 'bg-purple-100 text-purple-700' },
+  attempted: { icon: AlertTriangle, className: 'bg-amber-100 text-amber-700' },
+  delivered: { icon: CheckCircle, className: 'bg-green-100 text-green-700' }
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Where an order has got to: courier and agent, expected delivery, each
+// tracking event from the order being placed onwards and the proof of
+// delivery. Admins see who recorded each event when it is populated.
+const ShipmentTimeline = ({ order, shipment, showActorName = false }) => {
+  const events = [
+    { _id: 'placed', type: 'placed', at: order.createdAt },
+    ...[...(shipment?.events || [])].sort((a, b) => new Date(a.at) - new Date(b.at))
+  ];
+  const delivered = shipment?.events?.some(event => event.type === 'delivered');
+
+  return (
+    <div className="space-y-4">
+      {shipment && (shipment.courier || shipment.agentName || shipment.trackingNumber || shipment.eta) && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+          {(shipment.courier || shipment.agentName) && (
+            <div>
+              <p className="text-gray-500">Delivered by</p>
+              <p className="font-medium text-gray-900">
+                {[shipment.courier, shipment.agentName].filter(Boolean).join(' · ')}
+              </p>
+              {shipment.agentPhone && !delivered && (
+                <a href={`tel:${shipment.agentPhone}`} className="inline-flex items-center text-green-700 hover:text-green-800">
+                  <Phone className="w-3 h-3 mr-1" />
+                  {shipment.agentPhone}
+                </a>
+              )}
+            </div>
+          )}
+          {shipment.trackingNumber && (
+            <div>
+              <p className="text-gray-500">Tracking number</p>
+              <p className="font-medium text-gray-900">{shipment.trackingNumber}</p>
+            </div>
+          )}
+          {shipment.eta && !delivered && (
+            <div>
+              <p className="text-gray-500">Expected delivery</p>
+              <p className="font-medium text-gray-900 flex items-center">
+                <Calendar className="w-4 h-4 mr-1 text-green-600" />
+                {formatDateTime(shipment.eta)}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <ol className="relative border-l-2 border-green-100 ml-3 space-y-4">
+        {events.map(event => {
+          const style = EVENT_STYLES[event.type];
+          const Icon = style.icon;
+          return (
+            <li key={event._id} className="ml-6">
+              <span className={`absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${style.className}`}>
+                <Icon className="w-3 h-3" />
+              </span>
+              <div className="flex flex-wrap items-baseline gap-x-2">
+                <p className="text-sm font-semibold text-gray-900">
+                  {event.type === 'placed' ? 'Order placed' : EVENT_LABELS[event.type]}
+                </p>
+                <time className="text-xs text-gray-500">{formatDateTime(event.at)}</time>
+              </div>
+              {event.location && <p className="text-xs text-gray-500">{event.location}</p>}
+              {showActorName && event.actor?.name && (
+                <p className="text-xs text-gray-500">by {event.actor.name}</p>
+              )}
+              {event.note && <p className="text-sm text-gray-700 mt-1">{event.note}</p>}
+            </li>
+          );
+        })}
+      </ol>
+
+      {!shipment?.events?.length && order.status !== 'cancelled' && (
+        <p className="text-sm text-gray-500">We will add tracking updates here once your order is packed.</p>
+      )}
+
+      {shipment?.proofOfDelivery?.reference && (
+        <div className="bg-green-50 rounded-lg p-3 text-sm">
+          <p className="text-gray-500">Proof of delivery</p>
+          <p className="font-medium text-gray-900">
+            {shipment.proofOfDelivery.reference}
+            {shipment.proofOfDelivery.receivedBy && ` · received by ${shipment.proofOfDelivery.receivedBy}`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShipmentTimeline;
@@ -0,0 +1,7 @@
+// Tracking events recorded against an order's shipment, as shown to people
+export const EVENT_LABELS = {
+  packed: 'Packed',
+  out_for_delivery: 'Out for delivery',
+  attempted: 'Delivery attempted',
+  delivered: 'Delivered'
+};
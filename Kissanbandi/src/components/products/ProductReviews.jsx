@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star, X, Camera, CheckCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { reviewsApi } from '../../services/api';
+import { useAuth } from '../../pages/checkout/AuthProvider';
+
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_SIZE = 1.5 * 1024 * 1024;
+
+const REVIEW_STATUS = {
+  pending: 'Your review is waiting for approval.',
+  approved: 'Your review is live.',
+  hidden: 'Your review was hidden by our team.'
+};
+
+export const Stars = ({ value, size = 'w-4 h-4', onChange }) => (
+  <span className="inline-flex items-center">
+    {[1, 2, 3, 4, 5].map(star => (
+      <Star
+        key={star}
+        onClick={onChange ? () => onChange(star) : undefined}
+        className={`${size} ${star <= Math.round(value) ? 'text-yellow-400 fill-current' : 'text-gray-300'} ${onChange ? 'cursor-pointer' : ''}`}
+      />
+    ))}
+  </span>
+);
+
+// Write or edit the current user's review
+const ReviewForm = ({ productId, review, onSaved }) => {
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [text, setText] = useState(review?.text || '');
+  const [photos, setPhotos] = useState(review?.photos || []);
+  const [saving, setSaving] = useState(false);
+
+  const addPhotos = (files) => {
+    Array.from(files).slice(0, MAX_PHOTOS - photos.length).forEach(file => {
+      if (!file.type.startsWith('image/')) {
+        toast.error('Please upload an image file');
+        return;
+      }
+      if (file.size > MAX_PHOTO_SIZE) {
+        toast.error('Each photo must be smaller than 1.5 MB');
+        return;
+      }
+      const reader = new FileReader();
+      reader.onloadend = () => setPhotos(prev => [...prev, reader.result].slice(0, MAX_PHOTOS));
+      reader.readAsDataURL(file);
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      toast.error('Please pick a star rating');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const saved = await reviewsApi.submitReview(productId, { rating, text, photos });
+      toast.success('Thanks! Your review will appear once approved.');
+      onSaved(saved);
+    } catch (err) {
+      console.error('Error saving review:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 bg-green-50 rounded-xl p-4">
+      <Stars value={rating} size="w-7 h-7" onChange={setRating} />
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="How was it? Freshness, taste, packing..."
+        className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        {photos.map((photo, index) => (
+          <div key={index} className="relative">
+            <img src={photo} alt="" className="w-16 h-16 object-cover rounded-lg" />
+            <button
+              type="button"
+              onClick={() => setPhotos(prev => prev.filter((_, i) => i !== index))}
+              className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        {photos.length < MAX_PHOTOS && (
+          <label className="flex items-center justify-center w-16 h-16 rounded-lg border-2 border-dashed border-green-300 text-green-600 cursor-pointer hover:bg-white">
+            <Camera className="w-5 h-5" />
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                addPhotos(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        )}
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : review ? 'Update Review' : 'Submit Review'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Reviews of one product, with the form for customers who received it
+const ProductReviews = ({ product, onClose }) => {
+  const auth = useAuth();
+  const isAuthenticated = auth?.user && !auth?.loading;
+  const [data, setData] = useState(null);
+  const [mine, setMine] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [reviews, own] = await Promise.all([
+        reviewsApi.getProductReviews(product._id),
+        isAuthenticated ? reviewsApi.getMyReview(product._id) : null
+      ]);
+      setData(reviews);
+      setMine(own);
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, isAuthenticated]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{product.name}</h2>
+            {data && (
+              <p className="flex items-center gap-2 text-sm text-gray-600 mt-1">
+                <Stars value={data.rating} />
+                {data.total > 0 ? `${data.rating} from ${data.total} review${data.total === 1 ? '' : 's'}` : 'No reviews yet'}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : (
+            <>
+              {mine?.review && !editing ? (
+                <div className="bg-green-50 rounded-xl p-4 text-sm">
+                  <div className="flex items-center justify-between">
+                    <Stars value={mine.review.rating} />
+                    {mine.canReview && (
+                      <button onClick={() => setEditing(true)} className="font-medium text-green-700 hover:text-green-800">
+                        Edit
+                      </button>
+                    )}
+                  </div>
+                  {mine.review.text && <p className="text-gray-700 mt-2">{mine.review.text}</p>}
+                  <p className="text-xs text-gray-500 mt-2">{REVIEW_STATUS[mine.review.status]}</p>
+                </div>
+              ) : mine?.canReview ? (
+                <ReviewForm
+                  productId={product._id}
+                  review={mine.review}
+                  onSaved={(review) => {
+                    setMine(prev => ({ ...prev, review }));
+                    setEditing(false);
+                  }}
+                />
+              ) : isAuthenticated ? (
+                <p className="text-sm text-gray-500">You can review this product once an order containing it has been delivered to you.</p>
+              ) : null}
+
+              {data?.total > 0 && (
+                <div className="space-y-1">
+                  {[5, 4, 3, 2, 1].map(star => (
+                    <div key={star} className="flex items-center gap-2 text-xs text-gray-600">
+                      <span className="w-4">{star}</span>
+                      <Star className="w-3 h-3 text-yellow-400 fill-current" />
+                      <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-yellow-400"
+                          style={{ width: `${(data.breakdown[star] / data.total) * 100}%` }}
+                        ></div>
+                      </div>
+                      <span className="w-8 text-right">{data.breakdown[star]}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="divide-y divide-gray-100">
+                {(data?.reviews || []).map(review => (
+                  <div key={review._id} className="py-4">
+                    <div className="flex items-center gap-2">
+                      <Stars value={review.rating} />
+                      <span className="text-sm font-semibold text-gray-800">{review.user?.name || 'Customer'}</span>
+                      <span className="flex items-center text-xs text-green-700">
+                        <CheckCircle className="w-3 h-3 mr-1" />
+                        Verified purchase
+                      </span>
+                    </div>
+                    {review.text && <p className="text-sm text-gray-700 mt-2">{review.text}</p>}
+                    {review.photos?.length > 0 && (
+                      <div className="flex gap-2 mt-2">
+                        {review.photos.map((photo, index) => (
+                          <a key={index} href={photo} target="_blank" rel="noreferrer">
+                            <img src={photo} alt="" className="w-16 h-16 object-cover rounded-lg" />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">{new Date(review.createdAt).toLocaleDateString('en-IN')}</p>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { activeVariants } from './variants';
+
+// Pack-size picker for a product card or cart line. Renders nothing for
+// products that are not sold in pack sizes.
+const VariantSelector = ({ product, value, onChange, compact = false }) => {
+  const variants = activeVariants(product);
+  if (variants.length === 0) return null;
+
+  if (compact) {
+    return (
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(variants.find(variant => variant._id === e.target.value))}
+        className="px-2 py-1 border-2 border-green-200 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+      >
+        {variants.map(variant => (
+          <option key={variant._id} value={variant._id} disabled={variant.stock <= 0}>
+            {variant.packSize} – ₹{variant.price}{variant.stock <= 0 ? ' (out of stock)' : ''}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-4">
+      {variants.map(variant => (
+        <button
+          key={variant._id}
+          type="button"
+          onClick={() => onChange(variant)}
+          disabled={variant.stock <= 0}
+          className={`px-3 py-1 rounded-full border-2 text-xs font-medium transition-colors ${
+            value === variant._id
+              ? 'border-green-500 bg-green-100 text-green-800'
+              : 'border-green-200 text-gray-600 hover:border-green-300'
+          } disabled:opacity-40 disabled:line-through`}
+        >
+          {variant.packSize}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default VariantSelector;
@@ -0,0 +1,35 @@
+// Helpers for products sold in pack sizes. A product with variants is shown
+// and added to the cart as the chosen pack: its price, MRP and stock.
+
+export const activeVariants = (product) =>
+  (product?.variants || []).filter(variant => variant.isActive !== false);
+
+// The pack picked by default: the first one in stock
+export const defaultVariant = (product) => {
+  const variants = activeVariants(product);
+  return variants.find(variant => variant.stock > 0) || variants[0] || null;
+};
+
+export const findVariant = (product, variantId) =>
+  activeVariants(product).find(variant => variant._id === variantId) || defaultVariant(product);
+
+// The product as sold in the given pack, ready to be shown or put in the cart
+export const withVariant = (product, variant) => {
+  if (!variant) return product;
+  return {
+    ...product,
+    variant: variant._id,
+    sku: variant.sku,
+    packSize: variant.packSize,
+    price: variant.price,
+    mrp: variant.mrp,
+    stock: variant.stock
+  };
+};
+
+// Cart lines are the same when product, pack, size and colour all match
+export const isSameLine = (item, other) =>
+  (item.id || item._id) === (other.id || other._id) &&
+  (item.variant || null) === (other.variant || null) &&
+  item.size === other.size &&
+  item.color === other.color;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { MapPin, Plus, Edit, Trash2, Star, X } from 'lucide-react';
+import { usersApi } from '../../services/api';
+import { INDIAN_STATES } from '../../constants';
+import PincodeServiceability from '../common/PincodeServiceability';
+
+const EMPTY_ADDRESS = {
+  label: 'Home',
+  name: '',
+  phone: '',
+  street: '',
+  locality: '',
+  city: '',
+  state: '',
+  pincode: '',
+  instructions: '',
+  isDefault: false
+};
+
+const LABELS = ['Home', 'Office', 'Other'];
+
+const inputClass = 'w-full px-4 py-3 border-2 border-green-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all duration-300 bg-white';
+
+const AddressForm = ({ address, onCancel, onSaved }) => {
+  const [formData, setFormData] = useState(() => (address ? { ...EMPTY_ADDRESS, ...address } : EMPTY_ADDRESS));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(formData.pincode)) {
+      toast.error('Please provide a valid 6-digit pincode');
+      return;
+    }
+
+    const payload = { ...formData };
+    ['_id', '__v'].forEach(field => delete payload[field]);
+
+    try {
+      setSaving(true);
+      const addresses = address
+        ? await usersApi.updateAddress(address._id, payload)
+        : await usersApi.addAddress(payload);
+      toast.success(address ? 'Address updated' : 'Address added');
+      onSaved(addresses);
+    } catch (err) {
+      console.error('Error saving address:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-6 border-2 border-green-100 rounded-xl bg-green-50/40">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-green-800">{address ? 'Edit address' : 'New address'}</h4>
+        <button type="button" onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {LABELS.map(label => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => setFormData(prev => ({ ...prev, label }))}
+            className={`px-4 py-1 rounded-full border-2 text-sm ${
+              formData.label === label
+                ? 'border-green-500 bg-green-100 text-green-800'
+                : 'border-green-200 text-gray-600 hover:border-green-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input name="name" value={formData.name} onChange={handleChange} placeholder="Contact name" className={inputClass} />
+        <input name="phone" type="tel" value={formData.phone} onChange={handleChange} placeholder="Contact phone" className={inputClass} />
+      </div>
+
+      <input name="street" value={formData.street} onChange={handleChange} placeholder="House / flat, street" required className={inputClass} />
+      <input name="locality" value={formData.locality} onChange={handleChange} placeholder="Locality / area" className={inputClass} />
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input name="city" value={formData.city} onChange={handleChange} placeholder="City" required className={inputClass} />
+        <select name="state" value={formData.state} onChange={handleChange} required className={inputClass}>
+          <option value="">Select State</option>
+          {INDIAN_STATES.map(state => (
+            <option key={state} value={state}>{state}</option>
+          ))}
+        </select>
+        <div>
+          <input name="pincode" value={formData.pincode} onChange={handleChange} placeholder="6-digit pincode" required className={inputClass} />
+          <PincodeServiceability pincode={formData.pincode} />
+        </div>
+      </div>
+
+      <textarea
+        name="instructions"
+        value={formData.instructions}
+        onChange={handleChange}
+        rows={2}
+        maxLength={300}
+        placeholder="Delivery instructions (e.g. leave with the security guard)"
+        className={inputClass}
+      />
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            name="isDefault"
+            checked={formData.isDefault}
+            onChange={handleChange}
+            className="text-green-600 focus:ring-green-500"
+          />
+          <span>Use as my default address</span>
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-6 py-2 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-xl hover:from-green-700 hover:to-emerald-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Address'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Saved delivery addresses on the profile page
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // address being edited, or 'new'
+
+  useEffect(() => {
+    usersApi.getAddresses()
+      .then(setAddresses)
+      .catch(err => console.error('Error loading addresses:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSaved = (updated) => {
+    setAddresses(updated);
+    setEditing(null);
+  };
+
+  const handleMakeDefault = async (address) => {
+    try {
+      setAddresses(await usersApi.updateAddress(address._id, { isDefault: true }));
+      toast.success(`${address.label} is now your default address`);
+    } catch (err) {
+      console.error('Error updating address:', err);
+    }
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Delete the ${address.label} address?`)) return;
+    try {
+      setAddresses(await usersApi.deleteAddress(address._id));
+      toast.success('Address deleted');
+    } catch (err) {
+      console.error('Error deleting address:', err);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-green-100 p-8 mt-8">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-gradient-to-r from-teal-500 to-green-500 rounded-full flex items-center justify-center">
+            <MapPin className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-lg font-semibold text-teal-800">Saved Addresses</h3>
+        </div>
+        {editing === null && (
+          <button
+            type="button"
+            onClick={() => setEditing('new')}
+            className="flex items-center text-sm font-semibold text-green-700 hover:text-green-800"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add address
+          </button>
+        )}
+      </div>
+
+      {editing !== null && (
+        <div className="mb-6">
+          <AddressForm
+            address={editing === 'new' ? null : editing}
+            onCancel={() => setEditing(null)}
+            onSaved={handleSaved}
+          />
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-4 border-green-200 border-t-green-600"></div>
+        </div>
+      ) : addresses.length === 0 ? (
+        <p className="text-center text-gray-500 py-6">No saved addresses yet</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {addresses.map(address => (
+            <div
+              key={address._id}
+              className={`p-4 rounded-xl border-2 ${address.isDefault ? 'border-green-400 bg-green-50/50' : 'border-green-100'}`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-semibold text-gray-800">
+                  {address.label}
+                  {address.isDefault && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Default</span>
+                  )}
+                </span>
+                <div className="flex items-center space-x-1">
+                  {!address.isDefault && (
+                    <button
+                      type="button"
+                      onClick={() => handleMakeDefault(address)}
+                      className="p-1.5 text-amber-600 hover:bg-amber-50 rounded-lg"
+                      title="Make default"
+                    >
+                      <Star className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setEditing(address)}
+                    className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg"
+                    title="Edit"
+                  >
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(address)}
+                    className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              {(address.name || address.phone) && (
+                <p className="text-sm text-gray-700">{[address.name, address.phone].filter(Boolean).join(' · ')}</p>
+              )}
+              <p className="text-sm text-gray-600">
+                {[address.street, address.locality, address.city, address.state, address.pincode].filter(Boolean).join(', ')}
+              </p>
+              {address.instructions && (
+                <p className="text-xs text-gray-500 mt-1 italic">{address.instructions}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
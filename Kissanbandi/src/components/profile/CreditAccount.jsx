@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText } from 'lucide-react';
+import { creditApi } from '../../services/api';
+import CreditStatement from '../common/CreditStatement';
+
+const inputClass = 'px-3 py-2 border-2 border-green-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-green-500 bg-white';
+
+// Credit limit, balance and statement of a business buyer paying on account
+const CreditAccount = () => {
+  const [statement, setStatement] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [loading, setLoading] = useState(true);
+
+  const loadStatement = useCallback(async () => {
+    try {
+      setLoading(true);
+      setStatement(await creditApi.getStatement({
+        from: range.from || undefined,
+        to: range.to || undefined
+      }));
+    } catch (err) {
+      console.error('Error loading statement:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadStatement();
+  }, [loadStatement]);
+
+  // Nothing to show until an admin sets up credit for the account
+  if (!statement || (statement.account.limit === 0 && statement.entries.length === 0 && statement.openingBalance === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-green-100 p-8 mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-gradient-to-r from-teal-500 to-green-500 rounded-full flex items-center justify-center">
+            <FileText className="w-5 h-5 text-white" />
+          </div>
+          <h3 className="text-lg font-semibold text-teal-800">Credit Account</h3>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            className={inputClass}
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+        </div>
+      ) : (
+        <CreditStatement statement={statement} />
+      )}
+    </div>
+  );
+};
+
+export default CreditAccount;
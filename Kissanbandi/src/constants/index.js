@@ -35,4 +35,12 @@ export const INDIAN_STATES = [
   'Ladakh',
   'Lakshadweep',
   'Puducherry'
-]; 
\ No newline at end of file
+]; 
+// Mirrors ORDER_TRANSITIONS in backend/src/utils/orderStatus.js
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
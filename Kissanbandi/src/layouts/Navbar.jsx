@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from "react";
-import { Menu, X, ShoppingCart, Search, User, ChevronDown, LogOut, Home, Package, Heart } from "lucide-react";
+import { Menu, X, ShoppingCart, Search, User, ChevronDown, LogOut, Home, Package, Heart, Users } from "lucide-react";
 import { useCart } from "../pages/checkout/CartContext";
 import { useAuth } from "../pages/checkout/AuthProvider";
 import { Link, useNavigate, useLocation } from "react-router-dom";
@@ -117,6 +117,7 @@ const Navbar = () => {
 
   const quickLinks = [
     { name: 'Home', icon: Home, path: '/' },
+    { name: 'Farmers', icon: Users, path: '/farmers' },
     { name: 'Cart', icon: ShoppingCart, path: '/checkout', badge: cartCount },
     ...(isAuthenticated ? [
       { name: 'Orders', icon: Package, path: '/orders' },
@@ -310,6 +311,22 @@ const Navbar = () => {
                       >
                         💚 Wishlist
                       </Link>
+                      <Link
+                        to="/subscriptions"
+                        className="block px-6 py-3 text-sm text-gray-700 hover:bg-gradient-to-r hover:from-red-50 hover:to-rose-50 hover:text-red-700 transition-all duration-200 hover:translate-x-2 hover:scale-[1.02] transform"
+                        onClick={() => setShowProfileMenu(false)}
+                      >
+                        🔁 Subscriptions
+                      </Link>
+                      {user.role === 'business' && (
+                        <Link
+                          to="/seller"
+                          className="block px-6 py-3 text-sm text-gray-700 hover:bg-gradient-to-r hover:from-red-50 hover:to-rose-50 hover:text-red-700 transition-all duration-200 hover:translate-x-2 hover:scale-[1.02] transform"
+                          onClick={() => setShowProfileMenu(false)}
+                        >
+                          🏪 Seller Portal
+                        </Link>
+                      )}
                       {user.role === 'admin' && (
                         <Link
                           to="/admin"
@@ -467,6 +484,16 @@ const Navbar = () => {
                     <User className="w-5 h-5" />
                     <span>Profile</span>
                   </Link>
+                  {user.role === 'business' && (
+                    <Link
+                      to="/seller"
+                      className="flex items-center space-x-3 py-3 px-4 text-gray-600 hover:text-red-700 hover:bg-gradient-to-r hover:from-red-50 hover:to-rose-50 rounded-lg transition-all duration-300 hover:translate-x-2 border-2 border-transparent hover:border-red-200 hover:scale-[1.02] transform"
+                      onClick={() => setIsOpen(false)}
+                    >
+                      <span className="text-lg">🏪</span>
+                      <span>Seller Portal</span>
+                    </Link>
+                  )}
                   {user.role === 'admin' && (
                     <Link
                       to="/admin"
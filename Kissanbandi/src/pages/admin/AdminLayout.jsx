@@ -13,6 +13,14 @@ const AdminSidebar = ({ isOpen, onClose, isMinimized, onToggleMinimize }) => {
     { name: 'Orders', icon: '🛒', path: '/admin/orders' },
     { name: 'Users', icon: '👥', path: '/admin/customers' },
     { name: 'Analytics', icon: '📈', path: '/admin/analytics' },
+    { name: 'Coupons', icon: '🏷️', path: '/admin/coupons' },
+    { name: 'Delivery Slots', icon: '🚚', path: '/admin/slots' },
+    { name: 'Delivery Zones', icon: '📍', path: '/admin/zones' },
+    { name: 'Subscriptions', icon: '🔁', path: '/admin/subscriptions' },
+    { name: 'Reviews', icon: '⭐', path: '/admin/reviews' },
+    { name: 'Farmers', icon: '👨‍🌾', path: '/admin/farmers' },
+    { name: 'Seller Listings', icon: '🏪', path: '/admin/listings' },
+    { name: 'Credit Accounts', icon: '💳', path: '/admin/credit' },
     { name: 'Settings', icon: '⚙️', path: '/admin/settings' },
   ];
 
@@ -10,6 +10,7 @@ import {
 import DatePicker from 'react-datepicker';
 import "react-datepicker/dist/react-datepicker.css";
 import OrderDetailsModal from '../../components/modals/OrderDetailsModal';
+import { ORDER_STATUS_TRANSITIONS } from '../../constants';
 
 // Framer Motion imports
 import { AnimatePresence, motion } from 'framer-motion';
@@ -17,6 +18,10 @@ import { AnimatePresence, motion } from 'framer-motion';
 const ITEMS_PER_PAGE = 10;
 const STATUS_OPTIONS = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
 
+// Only the current status and the ones it may move to can be picked
+const isStatusSelectable = (current, status) =>
+  status === current || (ORDER_STATUS_TRANSITIONS[current] || []).includes(status);
+
 const filterPanelVariants = {
   hidden: { height: 0, opacity: 0 },
   visible: { height: 'auto', opacity: 1 }
@@ -136,11 +141,19 @@ const AdminOrders = () => {
     }
     try {
       setBulkActionLoading(true);
-      const orderIds = Array.from(selectedOrders);
+      // Skip orders that are not allowed to move to the new status
+      const orderIds = Array.from(selectedOrders).filter(orderId => {
+        const order = orders.find(o => o._id === orderId);
+        return (ORDER_STATUS_TRANSITIONS[order?.status || 'pending'] || []).includes(newStatus);
+      });
+      const skipped = selectedOrders.size - orderIds.length;
       for (const orderId of orderIds) {
         await ordersApi.updateOrderStatus(orderId, newStatus);
       }
       toast.success(`${orderIds.length} orders updated to ${newStatus}`);
+      if (skipped > 0) {
+        toast.error(`${skipped} orders skipped: they cannot move to ${newStatus}`);
+      }
       setSelectedOrders(new Set());
       await loadOrders(currentPage);
       await loadOrderStats();
@@ -357,7 +370,7 @@ const AdminOrders = () => {
                   className="px-2 py-2 text-sm border border-green-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 bg-white"
                 >
                   {STATUS_OPTIONS.map(status => (
-                    <option key={status} value={status}>
+                    <option key={status} value={status} disabled={!isStatusSelectable(order.status || 'pending', status)}>
                       {status.charAt(0).toUpperCase() + status.slice(1)}
                     </option>
                   ))}
@@ -467,7 +480,7 @@ const AdminOrders = () => {
                       disabled={updatingStatus === order._id}
                     >
                       {STATUS_OPTIONS.map(status => (
-                        <option key={status} value={status}>
+                        <option key={status} value={status} disabled={!isStatusSelectable(order.status || 'pending', status)}>
                           {status.charAt(0).toUpperCase() + status.slice(1)}
                         </option>
                       ))}
@@ -888,7 +901,11 @@ const AdminOrders = () => {
                 transition={{ duration: 0.23 }}
                 style={{ zIndex: 40 }}
               >
-                <OrderDetailsModal order={selectedOrder} onClose={() => setSelectedOrder(null)} />
+                <OrderDetailsModal
+                  order={selectedOrder}
+                  onClose={() => setSelectedOrder(null)}
+                  onOrderUpdated={() => loadOrders(currentPage)}
+                />
               </motion.div>
             </motion.div>
           )}
@@ -153,6 +153,32 @@ const Analytics = () => {
             ))}
           </div>
 
+          {/* Abandoned-cart reminders */}
+          {stats.cartRecovery && (
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-lg font-medium mb-4">Abandoned Cart Recovery</h2>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <h3 className="text-sm text-gray-500">Reminders Sent</h3>
+                  <p className="text-2xl font-bold">{stats.cartRecovery.sent}</p>
+                  <p className="text-sm text-gray-500">₹{stats.cartRecovery.cartValue.toLocaleString()} in carts</p>
+                </div>
+                <div>
+                  <h3 className="text-sm text-gray-500">Carts Recovered</h3>
+                  <p className="text-2xl font-bold">{stats.cartRecovery.recovered}</p>
+                </div>
+                <div>
+                  <h3 className="text-sm text-gray-500">Conversion Rate</h3>
+                  <p className="text-2xl font-bold">{stats.cartRecovery.conversionRate}%</p>
+                </div>
+                <div>
+                  <h3 className="text-sm text-gray-500">Recovered Revenue</h3>
+                  <p className="text-2xl font-bold">₹{stats.cartRecovery.recoveredRevenue.toLocaleString()}</p>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Revenue Chart */}
           <div className="bg-white p-6 rounded-lg shadow">
             <h2 className="text-lg font-medium mb-4">Daily Revenue</h2>
@@ -0,0 +1,693 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  Plus,
+  Search,
+  Edit,
+  Trash2,
+  Tag,
+  Percent,
+  IndianRupee,
+  Users,
+  X,
+  Eye,
+  AlertCircle
+} from 'lucide-react';
+import { couponsApi, productsApi } from '../../services/api';
+
+const COUPON_TYPES = {
+  percentage: 'Percentage off',
+  flat: 'Flat amount off',
+  free_delivery: 'Free delivery'
+};
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  minOrderValue: '',
+  validFrom: '',
+  validUntil: '',
+  usageLimit: '',
+  perUserLimit: '',
+  categories: '',
+  products: [],
+  isActive: true
+};
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+const describeDiscount = (coupon) => {
+  if (coupon.type === 'free_delivery') return 'Free delivery';
+  if (coupon.type === 'flat') return `${formatAmount(coupon.value)} off`;
+  return `${coupon.value}% off${coupon.maxDiscount ? ` (max ${formatAmount(coupon.maxDiscount)})` : ''}`;
+};
+
+// Active, scheduled or expired, as customers would see it today
+const couponState = (coupon) => {
+  const now = new Date();
+  if (!coupon.isActive) return { label: 'Inactive', className: 'bg-gray-100 text-gray-700' };
+  if (coupon.validUntil && new Date(coupon.validUntil) < now) {
+    return { label: 'Expired', className: 'bg-red-100 text-red-700' };
+  }
+  if (coupon.validFrom && new Date(coupon.validFrom) > now) {
+    return { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { label: 'Used up', className: 'bg-yellow-100 text-yellow-800' };
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+const CouponForm = ({ coupon, products, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(() => (coupon ? {
+    ...EMPTY_FORM,
+    ...coupon,
+    value: coupon.value ?? '',
+    maxDiscount: coupon.maxDiscount ?? '',
+    minOrderValue: coupon.minOrderValue ?? '',
+    usageLimit: coupon.usageLimit ?? '',
+    perUserLimit: coupon.perUserLimit ?? '',
+    validFrom: toDateInput(coupon.validFrom),
+    validUntil: toDateInput(coupon.validUntil),
+    categories: (coupon.categories || []).join(', '),
+    products: (coupon.products || []).map(product => product._id || product)
+  } : EMPTY_FORM));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleProductsChange = (e) => {
+    const selected = Array.from(e.target.selectedOptions).map(option => option.value);
+    setFormData(prev => ({ ...prev, products: selected }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      ...formData,
+      code: formData.code.trim().toUpperCase(),
+      categories: formData.categories
+        .split(',')
+        .map(category => category.trim())
+        .filter(Boolean),
+      value: formData.type === 'free_delivery' ? 0 : formData.value,
+      maxDiscount: formData.type === 'percentage' ? formData.maxDiscount : '',
+      // End dates are inclusive of the whole day
+      validUntil: formData.validUntil ? `${formData.validUntil}T23:59:59` : ''
+    };
+    ['_id', 'usedCount', 'stats', 'createdBy', 'createdAt', 'updatedAt', '__v']
+      .forEach(field => delete payload[field]);
+
+    try {
+      setSaving(true);
+      if (coupon) {
+        await couponsApi.updateCoupon(coupon._id, payload);
+        toast.success('Coupon updated');
+      } else {
+        await couponsApi.createCoupon(payload);
+        toast.success('Coupon created');
+      }
+      onSaved();
+    } catch (err) {
+      console.error('Error saving coupon:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-gray-800">{coupon ? 'Edit Coupon' : 'New Coupon'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+              <input
+                name="code"
+                value={formData.code}
+                onChange={handleChange}
+                placeholder="FRESH20"
+                required
+                className={`${inputClass} uppercase`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select name="type" value={formData.type} onChange={handleChange} className={`${inputClass} bg-white`}>
+                {Object.entries(COUPON_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder="20% off fresh vegetables"
+              className={inputClass}
+            />
+          </div>
+
+          {formData.type !== 'free_delivery' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {formData.type === 'percentage' ? 'Discount (%)' : 'Discount (₹)'}
+                </label>
+                <input
+                  type="number"
+                  name="value"
+                  min="0"
+                  max={formData.type === 'percentage' ? 100 : undefined}
+                  value={formData.value}
+                  onChange={handleChange}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              {formData.type === 'percentage' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Maximum discount (₹)</label>
+                  <input
+                    type="number"
+                    name="maxDiscount"
+                    min="0"
+                    value={formData.maxDiscount}
+                    onChange={handleChange}
+                    placeholder="No cap"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum order (₹)</label>
+              <input
+                type="number"
+                name="minOrderValue"
+                min="0"
+                value={formData.minOrderValue}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Total uses</label>
+              <input
+                type="number"
+                name="usageLimit"
+                min="1"
+                value={formData.usageLimit}
+                onChange={handleChange}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Uses per customer</label>
+              <input
+                type="number"
+                name="perUserLimit"
+                min="1"
+                value={formData.perUserLimit}
+                onChange={handleChange}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Valid from</label>
+              <input type="date" name="validFrom" value={formData.validFrom} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Valid until</label>
+              <input type="date" name="validUntil" value={formData.validUntil} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Only for categories</label>
+            <input
+              name="categories"
+              value={formData.categories}
+              onChange={handleChange}
+              placeholder="e.g. Vegetables, Fruits (leave empty for all)"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Only for products</label>
+            <select
+              multiple
+              value={formData.products}
+              onChange={handleProductsChange}
+              className={`${inputClass} h-32 bg-white`}
+            >
+              {products.map(product => (
+                <option key={product._id} value={product._id}>{product.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Hold Ctrl/Cmd to select several. Leave empty for all products.</p>
+          </div>
+
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleChange}
+              className="text-green-600 focus:ring-green-500"
+            />
+            <span className="text-sm text-gray-700">Active</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Coupon'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const RedemptionsModal = ({ couponId, onClose }) => {
+  const [coupon, setCoupon] = useState(null);
+
+  useEffect(() => {
+    couponsApi.getCoupon(couponId)
+      .then(setCoupon)
+      .catch(err => console.error('Error loading coupon:', err));
+  }, [couponId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-gray-800">
+            {coupon ? `${coupon.code} redemptions` : 'Redemptions'}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {!coupon ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-sm text-gray-500">Redemptions</p>
+                <p className="text-2xl font-bold text-gray-800">{coupon.stats.redemptions}</p>
+              </div>
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-sm text-gray-500">Customers</p>
+                <p className="text-2xl font-bold text-gray-800">{coupon.stats.customers}</p>
+              </div>
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-sm text-gray-500">Discount given</p>
+                <p className="text-2xl font-bold text-gray-800">{formatAmount(coupon.stats.totalDiscount)}</p>
+              </div>
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-sm text-gray-500">Order revenue</p>
+                <p className="text-2xl font-bold text-gray-800">{formatAmount(coupon.stats.revenue)}</p>
+              </div>
+            </div>
+
+            {coupon.redemptions.length === 0 ? (
+              <p className="text-center text-gray-500 py-6">No one has used this coupon yet</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase">Customer</th>
+                    <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase">Order</th>
+                    <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase">Discount</th>
+                    <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {coupon.redemptions.map(redemption => (
+                    <tr key={redemption._id}>
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{redemption.user?.name || 'Unknown'}</p>
+                        <p className="text-xs text-gray-500">{redemption.user?.email}</p>
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        #{redemption.order?._id?.slice(-8) || '—'} · {formatAmount(redemption.orderTotal)}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">{formatAmount(redemption.discount)}</td>
+                      <td className="px-4 py-3 text-gray-700">{formatDate(redemption.createdAt)}</td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          redemption.status === 'redeemed' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                        }`}>
+                          {redemption.status === 'redeemed' ? 'Redeemed' : 'Released'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Coupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [viewingCouponId, setViewingCouponId] = useState(null);
+
+  const loadCoupons = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await couponsApi.getAllCoupons({
+        status: statusFilter === 'all' ? undefined : statusFilter
+      });
+      setCoupons(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  useEffect(() => {
+    productsApi.getAllProducts({ status: 'all', limit: 500 })
+      .then(setProducts)
+      .catch(err => console.error('Error loading products:', err));
+  }, []);
+
+  const openForm = (coupon = null) => {
+    setEditingCoupon(coupon);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditingCoupon(null);
+    setIsFormOpen(false);
+  };
+
+  const handleToggleActive = async (coupon) => {
+    try {
+      await couponsApi.updateCoupon(coupon._id, { isActive: !coupon.isActive });
+      toast.success(coupon.isActive ? 'Coupon deactivated' : 'Coupon activated');
+      loadCoupons();
+    } catch (err) {
+      console.error('Error updating coupon:', err);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+    try {
+      await couponsApi.deleteCoupon(coupon._id);
+      toast.success('Coupon deleted');
+      loadCoupons();
+    } catch (err) {
+      console.error('Error deleting coupon:', err);
+    }
+  };
+
+  const filteredCoupons = coupons.filter(coupon =>
+    coupon.code.toLowerCase().includes(searchQuery.toLowerCase()) ||
+    (coupon.description || '').toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  const totals = coupons.reduce((acc, coupon) => ({
+    active: acc.active + (couponState(coupon).label === 'Active' ? 1 : 0),
+    redemptions: acc.redemptions + coupon.stats.redemptions,
+    discount: acc.discount + coupon.stats.totalDiscount,
+    revenue: acc.revenue + coupon.stats.revenue
+  }), { active: 0, redemptions: 0, discount: 0, revenue: 0 });
+
+  const statCards = [
+    { title: 'Active Coupons', value: totals.active, icon: Tag },
+    { title: 'Redemptions', value: totals.redemptions, icon: Users },
+    { title: 'Discount Given', value: formatAmount(totals.discount), icon: Percent },
+    { title: 'Coupon Revenue', value: formatAmount(totals.revenue), icon: IndianRupee }
+  ];
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadCoupons}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Coupons
+            </h1>
+            <p className="text-gray-600 mt-2">Run promo codes and see how they perform</p>
+          </div>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+          >
+            <Plus className="w-5 h-5" />
+            New Coupon
+          </button>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          {statCards.map(stat => (
+            <div key={stat.title} className="bg-white rounded-2xl shadow-lg p-6 border border-green-100">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-gray-500 text-sm font-medium">{stat.title}</p>
+                  <p className="text-3xl font-bold mt-2 text-gray-800">{stat.value}</p>
+                </div>
+                <div className="p-3 rounded-xl bg-gradient-to-r from-green-500 to-emerald-600">
+                  <stat.icon className="w-7 h-7 text-white" />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-2xl shadow-lg p-6 border border-green-100">
+          <div className="flex flex-col lg:flex-row gap-4 items-start lg:items-center justify-between">
+            <div className="relative flex-1 max-w-md">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                placeholder="Search coupons..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+            </div>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-4 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 bg-white"
+            >
+              <option value="all">All Coupons</option>
+              <option value="active">Active</option>
+              <option value="inactive">Inactive</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Coupons table */}
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : filteredCoupons.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Tag className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No coupons found
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Code</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Discount</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Rules</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Validity</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Usage</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredCoupons.map(coupon => {
+                    const state = couponState(coupon);
+                    const restrictions = [
+                      ...(coupon.categories || []),
+                      ...(coupon.products || []).map(product => product.name || 'Product')
+                    ];
+                    return (
+                      <tr key={coupon._id} className="hover:bg-green-50 transition-all duration-200">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-bold text-gray-900 font-mono">{coupon.code}</div>
+                          {coupon.description && (
+                            <div className="text-xs text-gray-500">{coupon.description}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {describeDiscount(coupon)}
+                        </td>
+                        <td className="px-6 py-4 text-xs text-gray-600">
+                          {coupon.minOrderValue > 0 && <div>Min order {formatAmount(coupon.minOrderValue)}</div>}
+                          {coupon.perUserLimit && <div>{coupon.perUserLimit} per customer</div>}
+                          <div>{restrictions.length ? `Only: ${restrictions.join(', ')}` : 'All products'}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                          {formatDate(coupon.validFrom)} – {formatDate(coupon.validUntil)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          <div>{coupon.usedCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''} uses</div>
+                          <div className="text-xs text-gray-500">{formatAmount(coupon.stats.totalDiscount)} off</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <button
+                            onClick={() => handleToggleActive(coupon)}
+                            title={coupon.isActive ? 'Deactivate' : 'Activate'}
+                            className={`px-3 py-1 rounded-full text-xs font-medium ${state.className}`}
+                          >
+                            {state.label}
+                          </button>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => setViewingCouponId(coupon._id)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                              title="Redemptions"
+                            >
+                              <Eye className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => openForm(coupon)}
+                              className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                              title="Edit"
+                            >
+                              <Edit className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(coupon)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                              title="Delete"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isFormOpen && (
+        <CouponForm
+          coupon={editingCoupon}
+          products={products}
+          onClose={closeForm}
+          onSaved={() => {
+            closeForm();
+            loadCoupons();
+          }}
+        />
+      )}
+
+      {viewingCouponId && (
+        <RedemptionsModal
+          couponId={viewingCouponId}
+          onClose={() => setViewingCouponId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
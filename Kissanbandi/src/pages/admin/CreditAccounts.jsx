@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Edit, Wallet, FileText, X, AlertCircle, Search } from 'lucide-react';
+import { creditApi } from '../../services/api';
+import CreditStatement from '../../components/common/CreditStatement';
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+const Modal = ({ title, onClose, children, wide }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+    <div className={`bg-white rounded-2xl shadow-xl w-full max-h-[90vh] overflow-y-auto ${wide ? 'max-w-5xl' : 'max-w-md'}`}>
+      <div className="flex items-center justify-between p-6 border-b border-gray-200">
+        <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+      <div className="p-6">{children}</div>
+    </div>
+  </div>
+);
+
+// Approval, credit limit and payment terms of one business account
+const TermsForm = ({ account, onClose, onSaved }) => {
+  const [approved, setApproved] = useState(Boolean(account.credit?.approved));
+  const [limit, setLimit] = useState(account.credit?.limit ?? 0);
+  const [termsDays, setTermsDays] = useState(account.credit?.termsDays || 30);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await creditApi.updateAccount(account._id, { approved, limit: Number(limit), termsDays: Number(termsDays) });
+      toast.success('Credit terms saved');
+      onSaved();
+    } catch (err) {
+      console.error('Error saving credit terms:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Credit for ${account.name}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={approved}
+              onChange={(e) => setApproved(e.target.checked)}
+              className="mr-2"
+            />
+            Approved business
+          </label>
+          <p className="text-xs text-gray-500 mt-1">Approved businesses get wholesale prices and can use their credit limit.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Credit limit (₹)</label>
+          <input
+            type="number"
+            min="0"
+            value={limit}
+            onChange={(e) => setLimit(e.target.value)}
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500 mt-1">0 turns paying on account off.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Payment terms</label>
+          <select value={termsDays} onChange={(e) => setTermsDays(e.target.value)} className={`${inputClass} bg-white`}>
+            <option value={15}>Net 15</option>
+            <option value={30}>Net 30</option>
+          </select>
+        </div>
+        <div className="flex justify-end gap-3 pt-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-xl hover:bg-gray-200">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Money received from a business account against what it owes
+const PaymentForm = ({ account, onClose, onSaved }) => {
+  const [payment, setPayment] = useState({ amount: '', reference: '', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await creditApi.recordPayment(account._id, {
+        amount: Number(payment.amount),
+        reference: payment.reference.trim() || undefined,
+        note: payment.note.trim() || undefined
+      });
+      toast.success('Payment recorded');
+      onSaved();
+    } catch (err) {
+      console.error('Error recording payment:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={`Payment from ${account.name}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">Outstanding: {formatAmount(account.credit?.balance)}</p>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Amount (₹)</label>
+          <input
+            type="number"
+            name="amount"
+            min="0.01"
+            step="0.01"
+            value={payment.amount}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+          <input
+            name="reference"
+            value={payment.reference}
+            onChange={handleChange}
+            placeholder="Cheque number or UTR"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+          <input name="note" value={payment.note} onChange={handleChange} className={inputClass} />
+        </div>
+        <div className="flex justify-end gap-3 pt-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-xl hover:bg-gray-200">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Record payment'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const StatementView = ({ account, onClose }) => {
+  const [statement, setStatement] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+
+  useEffect(() => {
+    creditApi.getAccountStatement(account._id, {
+      from: range.from || undefined,
+      to: range.to || undefined
+    })
+      .then(setStatement)
+      .catch(err => console.error('Error loading statement:', err));
+  }, [account._id, range]);
+
+  return (
+    <Modal title={`Statement · ${account.name}`} onClose={onClose} wide>
+      <div className="flex items-center gap-2 text-sm mb-6">
+        <input
+          type="date"
+          value={range.from}
+          onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+          className="px-3 py-2 border border-gray-200 rounded-xl"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.to}
+          onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+          className="px-3 py-2 border border-gray-200 rounded-xl"
+        />
+      </div>
+      {statement ? (
+        <CreditStatement statement={statement} />
+      ) : (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+// Business buyers' credit limits, terms and what they owe
+const CreditAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [search, setSearch] = useState('');
+  const [owingOnly, setOwingOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [paying, setPaying] = useState(null);
+  const [viewing, setViewing] = useState(null);
+
+  const loadAccounts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await creditApi.getAccounts({
+        search: search.trim() || undefined,
+        owing: owingOnly ? 'true' : undefined
+      });
+      setAccounts(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load credit accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, owingOnly]);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+
+  const handleSaved = () => {
+    setEditing(null);
+    setPaying(null);
+    loadAccounts();
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadAccounts}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Credit Accounts
+            </h1>
+            <p className="text-gray-600 mt-2">Approved business buyers get wholesale prices, and can pay on account up to their credit limit</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Name, email or GSTIN"
+                className="pl-9 pr-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={owingOnly}
+                onChange={(e) => setOwingOnly(e.target.checked)}
+                className="mr-2"
+              />
+              Owing only
+            </label>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : accounts.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Wallet className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No business accounts found
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Business</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Terms</th>
+                    <th className="px-6 py-4 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Limit</th>
+                    <th className="px-6 py-4 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Outstanding</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {accounts.map(account => (
+                    <tr key={account._id} className="hover:bg-green-50 transition-all duration-200">
+                      <td className="px-6 py-4 text-sm">
+                        <div className="font-bold text-gray-900">{account.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {account.email}
+                          {account.gst && ` · GSTIN ${account.gst}`}
+                        </div>
+                        {!account.credit?.approved && (
+                          <span className="inline-block mt-1 px-2 py-0.5 text-xs font-medium text-yellow-800 bg-yellow-100 rounded-full">
+                            Not approved
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {account.credit?.approved && account.credit.limit > 0 ? `Net ${account.credit.termsDays}` : 'Prepaid'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">
+                        {formatAmount(account.credit?.limit)}
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                        account.credit?.balance > 0 ? 'text-red-600' : 'text-gray-700'
+                      }`}>
+                        {formatAmount(account.credit?.balance)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex items-center space-x-1">
+                          <button
+                            onClick={() => setEditing(account)}
+                            className="p-2 text-green-600 hover:bg-green-100 rounded-lg"
+                            title="Credit terms"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setPaying(account)}
+                            className="p-2 text-emerald-600 hover:bg-emerald-100 rounded-lg"
+                            title="Record payment"
+                          >
+                            <Wallet className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setViewing(account)}
+                            className="p-2 text-blue-600 hover:bg-blue-100 rounded-lg"
+                            title="Statement"
+                          >
+                            <FileText className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {editing && <TermsForm account={editing} onClose={() => setEditing(null)} onSaved={handleSaved} />}
+      {paying && <PaymentForm account={paying} onClose={() => setPaying(null)} onSaved={handleSaved} />}
+      {viewing && <StatementView account={viewing} onClose={() => setViewing(null)} />}
+    </div>
+  );
+};
+
+export default CreditAccounts;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
 import { productsApi, ordersApi, usersApi } from '../../services/api';
-import { ShoppingBag, Users, Package, IndianRupee, TrendingUp, Clock, Award, Eye } from 'lucide-react';
+import { ShoppingBag, Users, Package, IndianRupee, TrendingUp, Clock, Award, Eye, AlertTriangle } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import { href, Link } from 'react-router-dom';
 
@@ -19,6 +19,7 @@ const Dashboard = () => {
   const [topProducts, setTopProducts] = useState([]);
   const [revenueData, setRevenueData] = useState([]);
   const [categoryData, setCategoryData] = useState([]);
+  const [lowStock, setLowStock] = useState([]);
 
   useEffect(() => {
     loadDashboardStats();
@@ -138,10 +139,11 @@ const Dashboard = () => {
       console.log('Fetching dashboard stats...');
       
       // Fetch all data concurrently
-      const [ordersResponse, customersResponse, productsResponse] = await Promise.all([
+      const [ordersResponse, customersResponse, productsResponse, lowStockResponse] = await Promise.all([
         ordersApi.getAllOrders(),
         usersApi.getAllCustomers(),
-        productsApi.getAllProducts()
+        productsApi.getAllProducts(),
+        productsApi.getLowStockProducts({ limit: 8 })
       ]);
 
       // Process responses
@@ -208,6 +210,7 @@ const Dashboard = () => {
       setTopProducts(processedTopProducts);
       setRevenueData(processedRevenueData);
       setCategoryData(processedCategoryData);
+      setLowStock(Array.isArray(lowStockResponse) ? lowStockResponse : []);
       
       console.log('Dashboard stats updated successfully');
     } catch (err) {
@@ -473,6 +476,38 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Low Stock */}
+        {lowStock.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-lg p-6 border border-amber-200 mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-xl font-bold text-gray-800">Low Stock</h3>
+              <Link to="/admin/products" className="flex items-center text-sm text-amber-600 hover:text-amber-700">
+                <AlertTriangle className="w-5 h-5 mr-1" />
+                Restock
+              </Link>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {lowStock.map(product => (
+                <div
+                  key={product._id}
+                  className="flex items-center justify-between p-3 bg-amber-50 rounded-xl"
+                >
+                  <div>
+                    <p className="font-medium text-gray-800 text-sm">{product.name}</p>
+                    <p className="text-xs text-gray-500">
+                      Reorder at {product.reorderLevel}
+                      {product.status === 'inactive' && ' · off sale'}
+                    </p>
+                  </div>
+                  <p className={`font-bold text-sm ${product.stock === 0 ? 'text-red-600' : 'text-amber-600'}`}>
+                    {product.stock} {product.unit}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="bg-white rounded-2xl shadow-lg p-6 border border-green-100">
           <h3 className="text-xl font-bold text-gray-800 mb-6">Quick Actions</h3>
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Calendar, Clock, Plus, Trash2, Package, Phone, CalendarOff } from 'lucide-react';
+import { slotsApi } from '../../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_SLOT = {
+  weekday: 1,
+  startTime: '07:00',
+  endTime: '09:00',
+  label: '',
+  capacity: 20,
+  zoneCapacities: ''
+};
+
+const todayKey = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// "standard: 10, north: 5" <-> [{ zone, capacity }]
+const parseZoneCapacities = (text) => text
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([zone, capacity]) => zone && capacity !== undefined && capacity !== '')
+  .map(([zone, capacity]) => ({ zone, capacity: Number(capacity) }));
+
+const formatZoneCapacities = (zoneCapacities = []) => zoneCapacities
+  .map(entry => `${entry.zone}: ${entry.capacity}`)
+  .join(', ');
+
+const inputClass = 'px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+const DeliverySlots = () => {
+  const [date, setDate] = useState(todayKey);
+  const [slotOrders, setSlotOrders] = useState([]);
+  const [ordersLoading, setOrdersLoading] = useState(true);
+  const [templates, setTemplates] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [newSlot, setNewSlot] = useState(EMPTY_SLOT);
+  const [newHoliday, setNewHoliday] = useState({ date: '', reason: '' });
+
+  const loadSlotOrders = useCallback(async () => {
+    try {
+      setOrdersLoading(true);
+      const data = await slotsApi.getSlotOrders(date);
+      setSlotOrders(data.slots);
+    } catch (err) {
+      console.error('Error loading slot orders:', err);
+    } finally {
+      setOrdersLoading(false);
+    }
+  }, [date]);
+
+  const loadTemplates = async () => {
+    try {
+      const [slots, upcomingHolidays] = await Promise.all([
+        slotsApi.getSlots(),
+        slotsApi.getHolidays()
+      ]);
+      setTemplates(slots);
+      setHolidays(upcomingHolidays);
+    } catch (err) {
+      console.error('Error loading slot setup:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadSlotOrders();
+  }, [loadSlotOrders]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const handleAddSlot = async (e) => {
+    e.preventDefault();
+    try {
+      await slotsApi.createSlot({
+        ...newSlot,
+        weekday: Number(newSlot.weekday),
+        capacity: Number(newSlot.capacity),
+        zoneCapacities: parseZoneCapacities(newSlot.zoneCapacities)
+      });
+      toast.success('Slot added');
+      setNewSlot({ ...EMPTY_SLOT, weekday: newSlot.weekday });
+      loadTemplates();
+    } catch (err) {
+      console.error('Error adding slot:', err);
+    }
+  };
+
+  const handleUpdateSlot = async (slot, changes) => {
+    try {
+      await slotsApi.updateSlot(slot._id, changes);
+      loadTemplates();
+    } catch (err) {
+      console.error('Error updating slot:', err);
+    }
+  };
+
+  const handleDeleteSlot = async (slot) => {
+    if (!window.confirm(`Delete the ${WEEKDAYS[slot.weekday]} ${slot.startTime}–${slot.endTime} slot?`)) return;
+    try {
+      await slotsApi.deleteSlot(slot._id);
+      toast.success('Slot deleted');
+      loadTemplates();
+    } catch (err) {
+      console.error('Error deleting slot:', err);
+    }
+  };
+
+  const handleAddHoliday = async (e) => {
+    e.preventDefault();
+    try {
+      await slotsApi.createHoliday(newHoliday);
+      toast.success('Holiday added');
+      setNewHoliday({ date: '', reason: '' });
+      loadTemplates();
+    } catch (err) {
+      console.error('Error adding holiday:', err);
+    }
+  };
+
+  const handleDeleteHoliday = async (holiday) => {
+    try {
+      await slotsApi.deleteHoliday(holiday._id);
+      loadTemplates();
+    } catch (err) {
+      console.error('Error removing holiday:', err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Delivery Slots
+            </h1>
+            <p className="text-gray-600 mt-2">Orders to pack for each delivery window</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Calendar className="w-5 h-5 text-green-600" />
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className={`${inputClass} bg-white`}
+            />
+          </div>
+        </div>
+
+        {/* Orders per slot */}
+        {ordersLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : slotOrders.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-lg p-12 text-center text-gray-500 border border-green-100">
+            <Package className="w-12 h-12 mx-auto mb-3 text-green-300" />
+            No orders booked for this date
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {slotOrders.map(group => (
+              <div key={group.slot._id} className="bg-white rounded-2xl shadow-lg border border-green-100 overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 bg-gradient-to-r from-green-50 to-emerald-50">
+                  <h2 className="text-lg font-bold text-gray-800 flex items-center">
+                    <Clock className="w-5 h-5 text-green-600 mr-2" />
+                    {group.slot.label || `${group.slot.startTime}–${group.slot.endTime}`}
+                  </h2>
+                  <div className="text-sm text-gray-600">
+                    {group.booked}{group.capacity !== null ? ` / ${group.capacity}` : ''} booked
+                    {Object.keys(group.zones).length > 0 && (
+                      <span className="ml-2 text-gray-400">
+                        ({Object.entries(group.zones).map(([zone, count]) => `${zone}: ${count}`).join(', ')})
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <tbody className="divide-y divide-gray-200">
+                    {group.orders.map(order => (
+                      <tr key={order._id} className={order.status === 'cancelled' ? 'opacity-50' : ''}>
+                        <td className="px-6 py-3">
+                          <p className="font-medium text-gray-900">#{order._id.slice(-8)}</p>
+                          <p className="text-xs text-gray-500 capitalize">{order.status}</p>
+                        </td>
+                        <td className="px-6 py-3">
+                          <p className="text-gray-900">{order.user?.name || 'Unknown'}</p>
+                          <p className="text-xs text-gray-500 flex items-center">
+                            <Phone className="w-3 h-3 mr-1" />
+                            {order.shippingAddress?.phone || order.user?.phone || '—'}
+                          </p>
+                        </td>
+                        <td className="px-6 py-3 text-gray-700">
+                          {order.shippingAddress?.address}
+                          {order.shippingAddress?.pincode && ` – ${order.shippingAddress.pincode}`}
+                        </td>
+                        <td className="px-6 py-3 text-gray-700">
+                          {order.items.map(item => `${item.product?.name || 'Item'} × ${item.quantity}`).join(', ')}
+                        </td>
+                        <td className="px-6 py-3 text-right font-medium text-gray-900">
+                          ₹{(order.totalAmount || 0).toLocaleString()}
+                        </td>
+                      </tr>
+                    ))}
+                    {group.orders.length === 0 && (
+                      <tr>
+                        <td colSpan="5" className="px-6 py-3 text-gray-500">No orders in this slot</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Weekly templates */}
+          <div className="lg:col-span-2 bg-white rounded-2xl shadow-lg p-6 border border-green-100">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Weekly Slots</h2>
+            <table className="min-w-full divide-y divide-gray-200 text-sm mb-6">
+              <thead>
+                <tr className="text-left text-xs font-bold text-green-700 uppercase">
+                  <th className="py-2">Day</th>
+                  <th className="py-2">Window</th>
+                  <th className="py-2">Capacity</th>
+                  <th className="py-2">Zone limits</th>
+                  <th className="py-2">Active</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {templates.map(slot => (
+                  <tr key={slot._id}>
+                    <td className="py-2">{WEEKDAYS[slot.weekday]}</td>
+                    <td className="py-2">{slot.label || `${slot.startTime}–${slot.endTime}`}</td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        defaultValue={slot.capacity}
+                        onBlur={(e) => Number(e.target.value) !== slot.capacity &&
+                          handleUpdateSlot(slot, { capacity: Number(e.target.value) })}
+                        className="w-20 px-2 py-1 border border-gray-200 rounded-lg"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="text"
+                        defaultValue={formatZoneCapacities(slot.zoneCapacities)}
+                        placeholder="zone: limit"
+                        onBlur={(e) => e.target.value !== formatZoneCapacities(slot.zoneCapacities) &&
+                          handleUpdateSlot(slot, { zoneCapacities: parseZoneCapacities(e.target.value) })}
+                        className="w-40 px-2 py-1 border border-gray-200 rounded-lg"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="checkbox"
+                        checked={slot.isActive}
+                        onChange={() => handleUpdateSlot(slot, { isActive: !slot.isActive })}
+                        className="text-green-600 focus:ring-green-500"
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDeleteSlot(slot)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <form onSubmit={handleAddSlot} className="flex flex-wrap items-end gap-3">
+              <select
+                value={newSlot.weekday}
+                onChange={(e) => setNewSlot({ ...newSlot, weekday: e.target.value })}
+                className={`${inputClass} bg-white`}
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+              <input
+                type="time"
+                value={newSlot.startTime}
+                onChange={(e) => setNewSlot({ ...newSlot, startTime: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="time"
+                value={newSlot.endTime}
+                onChange={(e) => setNewSlot({ ...newSlot, endTime: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                placeholder="Label (optional)"
+                value={newSlot.label}
+                onChange={(e) => setNewSlot({ ...newSlot, label: e.target.value })}
+                className={`${inputClass} w-36`}
+              />
+              <input
+                type="number"
+                min="0"
+                value={newSlot.capacity}
+                onChange={(e) => setNewSlot({ ...newSlot, capacity: e.target.value })}
+                className={`${inputClass} w-24`}
+                title="Orders per day"
+              />
+              <input
+                type="text"
+                placeholder="Zone limits, e.g. standard: 10"
+                value={newSlot.zoneCapacities}
+                onChange={(e) => setNewSlot({ ...newSlot, zoneCapacities: e.target.value })}
+                className={`${inputClass} w-56`}
+              />
+              <button
+                type="submit"
+                className="flex items-center gap-1 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-xl hover:from-green-600 hover:to-emerald-700"
+              >
+                <Plus className="w-4 h-4" />
+                Add Slot
+              </button>
+            </form>
+          </div>
+
+          {/* Holidays */}
+          <div className="bg-white rounded-2xl shadow-lg p-6 border border-green-100">
+            <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
+              <CalendarOff className="w-5 h-5 text-green-600 mr-2" />
+              Holidays
+            </h2>
+            <ul className="space-y-2 mb-6">
+              {holidays.map(holiday => (
+                <li key={holiday._id} className="flex items-center justify-between text-sm bg-gray-50 rounded-lg px-3 py-2">
+                  <span>
+                    <span className="font-medium text-gray-900">{holiday.date}</span>
+                    {holiday.reason && <span className="text-gray-500"> · {holiday.reason}</span>}
+                  </span>
+                  <button
+                    onClick={() => handleDeleteHoliday(holiday)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Remove"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+              {holidays.length === 0 && (
+                <li className="text-sm text-gray-500">No upcoming holidays</li>
+              )}
+            </ul>
+
+            <form onSubmit={handleAddHoliday} className="space-y-3">
+              <input
+                type="date"
+                required
+                value={newHoliday.date}
+                onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                className={`${inputClass} w-full`}
+              />
+              <input
+                type="text"
+                placeholder="Reason (e.g. Diwali)"
+                value={newHoliday.reason}
+                onChange={(e) => setNewHoliday({ ...newHoliday, reason: e.target.value })}
+                className={`${inputClass} w-full`}
+              />
+              <button
+                type="submit"
+                className="w-full flex items-center justify-center gap-1 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-xl hover:from-green-600 hover:to-emerald-700"
+              >
+                <Plus className="w-4 h-4" />
+                Add Holiday
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliverySlots;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Plus, Edit, Trash2, MapPin, X, AlertCircle } from 'lucide-react';
+import { zonesApi, slotsApi } from '../../services/api';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_FORM = {
+  name: '',
+  pincodes: '',
+  minOrderValue: '',
+  deliveryFee: '',
+  freeDeliveryAbove: '',
+  slots: [],
+  isActive: true
+};
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const describeSlot = (slot) => `${WEEKDAYS[slot.weekday]} ${slot.label || `${slot.startTime}–${slot.endTime}`}`;
+
+const ZoneForm = ({ zone, slots, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(() => (zone ? {
+    ...EMPTY_FORM,
+    name: zone.name,
+    pincodes: (zone.pincodes || []).join(', '),
+    minOrderValue: zone.minOrderValue ?? '',
+    deliveryFee: zone.deliveryFee ?? '',
+    freeDeliveryAbove: zone.freeDeliveryAbove ?? '',
+    slots: (zone.slots || []).map(slot => slot._id || slot),
+    isActive: zone.isActive
+  } : EMPTY_FORM));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSlotsChange = (e) => {
+    const selected = Array.from(e.target.selectedOptions).map(option => option.value);
+    setFormData(prev => ({ ...prev, slots: selected }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      pincodes: formData.pincodes.split(/[\s,]+/).filter(Boolean)
+    };
+
+    try {
+      setSaving(true);
+      if (zone) {
+        await zonesApi.updateZone(zone._id, payload);
+        toast.success('Zone updated');
+      } else {
+        await zonesApi.createZone(payload);
+        toast.success('Zone created');
+      }
+      onSaved();
+    } catch (err) {
+      console.error('Error saving zone:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-gray-800">{zone ? 'Edit Zone' : 'New Zone'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="north"
+              required
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">Slot zone capacities refer to zones by this name.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pincodes</label>
+            <textarea
+              name="pincodes"
+              value={formData.pincodes}
+              onChange={handleChange}
+              rows={4}
+              placeholder="110001, 110002, 110003"
+              required
+              className={`${inputClass} font-mono text-sm`}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum order (₹)</label>
+              <input
+                type="number"
+                name="minOrderValue"
+                min="0"
+                value={formData.minOrderValue}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Delivery fee (₹)</label>
+              <input
+                type="number"
+                name="deliveryFee"
+                min="0"
+                value={formData.deliveryFee}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Free delivery above (₹)</label>
+              <input
+                type="number"
+                name="freeDeliveryAbove"
+                min="0"
+                value={formData.freeDeliveryAbove}
+                onChange={handleChange}
+                placeholder="Store default"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Delivery slots</label>
+            <select
+              multiple
+              value={formData.slots}
+              onChange={handleSlotsChange}
+              className={`${inputClass} h-32 bg-white`}
+            >
+              {slots.map(slot => (
+                <option key={slot._id} value={slot._id}>{describeSlot(slot)}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Hold Ctrl/Cmd to select several. Leave empty to offer every slot.</p>
+          </div>
+
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleChange}
+              className="text-green-600 focus:ring-green-500"
+            />
+            <span className="text-sm text-gray-700">Active</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Zone'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const DeliveryZones = () => {
+  const [zones, setZones] = useState([]);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingZone, setEditingZone] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const loadZones = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setZones(await zonesApi.getZones());
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load delivery zones');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadZones();
+  }, [loadZones]);
+
+  useEffect(() => {
+    slotsApi.getSlots()
+      .then(setSlots)
+      .catch(err => console.error('Error loading slots:', err));
+  }, []);
+
+  const openForm = (zone = null) => {
+    setEditingZone(zone);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditingZone(null);
+    setIsFormOpen(false);
+  };
+
+  const handleToggleActive = async (zone) => {
+    try {
+      await zonesApi.updateZone(zone._id, { isActive: !zone.isActive });
+      toast.success(zone.isActive ? 'Zone deactivated' : 'Zone activated');
+      loadZones();
+    } catch (err) {
+      console.error('Error updating zone:', err);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    if (!window.confirm(`Delete zone ${zone.name}?`)) return;
+    try {
+      await zonesApi.deleteZone(zone._id);
+      toast.success('Zone deleted');
+      loadZones();
+    } catch (err) {
+      console.error('Error deleting zone:', err);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadZones}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const hasActiveZones = zones.some(zone => zone.isActive);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Delivery Zones
+            </h1>
+            <p className="text-gray-600 mt-2">
+              {hasActiveZones
+                ? 'Only pincodes in an active zone can place orders'
+                : 'No active zones yet, so every pincode is served at the default rates'}
+            </p>
+          </div>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+          >
+            <Plus className="w-5 h-5" />
+            New Zone
+          </button>
+        </div>
+
+        {/* Zones table */}
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : zones.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <MapPin className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No delivery zones yet
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Zone</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Pincodes</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Charges</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Slots</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {zones.map(zone => (
+                    <tr key={zone._id} className="hover:bg-green-50 transition-all duration-200">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">{zone.name}</td>
+                      <td className="px-6 py-4 text-xs text-gray-600 max-w-xs">
+                        <div className="font-medium text-gray-800">{zone.pincodes.length} pincodes</div>
+                        <div className="font-mono truncate" title={zone.pincodes.join(', ')}>
+                          {zone.pincodes.join(', ')}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                        <div>Fee {formatAmount(zone.deliveryFee)}</div>
+                        {zone.minOrderValue > 0 && <div>Min order {formatAmount(zone.minOrderValue)}</div>}
+                        {zone.freeDeliveryAbove != null && <div>Free above {formatAmount(zone.freeDeliveryAbove)}</div>}
+                      </td>
+                      <td className="px-6 py-4 text-xs text-gray-600">
+                        {zone.slots.length === 0
+                          ? 'All slots'
+                          : zone.slots.map(slot => <div key={slot._id}>{describeSlot(slot)}</div>)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleToggleActive(zone)}
+                          title={zone.isActive ? 'Deactivate' : 'Activate'}
+                          className={`px-3 py-1 rounded-full text-xs font-medium ${
+                            zone.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                          }`}
+                        >
+                          {zone.isActive ? 'Active' : 'Inactive'}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => openForm(zone)}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                            title="Edit"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(zone)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isFormOpen && (
+        <ZoneForm
+          zone={editingZone}
+          slots={slots}
+          onClose={closeForm}
+          onSaved={() => {
+            closeForm();
+            loadZones();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DeliveryZones;
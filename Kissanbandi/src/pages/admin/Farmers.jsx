@@ -0,0 +1,629 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Plus, Edit, Trash2, X, AlertCircle, Users, BarChart2, ExternalLink } from 'lucide-react';
+import { farmersApi } from '../../services/api';
+
+const EMPTY_CERTIFICATION = {
+  name: '',
+  issuedBy: '',
+  certificateNumber: '',
+  validUntil: ''
+};
+
+const EMPTY_FORM = {
+  name: '',
+  village: '',
+  district: '',
+  state: '',
+  about: '',
+  phone: '',
+  email: '',
+  bankDetails: {
+    accountName: '',
+    accountNumber: '',
+    ifsc: '',
+    bankName: '',
+    upiId: ''
+  },
+  certifications: [],
+  photos: '',
+  isActive: true
+};
+
+const formatAmount = (value) => `₹${(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const place = (farmer) => [farmer.village, farmer.district, farmer.state].filter(Boolean).join(', ');
+
+const FarmerForm = ({ farmer, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(() => (farmer ? {
+    ...EMPTY_FORM,
+    name: farmer.name,
+    village: farmer.village || '',
+    district: farmer.district || '',
+    state: farmer.state || '',
+    about: farmer.about || '',
+    phone: farmer.phone || '',
+    email: farmer.email || '',
+    bankDetails: { ...EMPTY_FORM.bankDetails, ...farmer.bankDetails },
+    certifications: (farmer.certifications || []).map(certification => ({
+      ...EMPTY_CERTIFICATION,
+      ...certification,
+      validUntil: certification.validUntil ? certification.validUntil.slice(0, 10) : ''
+    })),
+    photos: (farmer.photos || []).join('\n'),
+    isActive: farmer.isActive
+  } : EMPTY_FORM));
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleBankChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, bankDetails: { ...prev.bankDetails, [name]: value } }));
+  };
+
+  const handleCertificationChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      certifications: prev.certifications.map((certification, i) => (
+        i === index ? { ...certification, [field]: value } : certification
+      ))
+    }));
+  };
+
+  const addCertification = () => {
+    setFormData(prev => ({ ...prev, certifications: [...prev.certifications, { ...EMPTY_CERTIFICATION }] }));
+  };
+
+  const removeCertification = (index) => {
+    setFormData(prev => ({ ...prev, certifications: prev.certifications.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const bankDetails = Object.fromEntries(
+      Object.entries(formData.bankDetails).map(([key, value]) => [key, value.trim() || undefined])
+    );
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      phone: formData.phone.trim() || undefined,
+      email: formData.email.trim() || undefined,
+      bankDetails,
+      certifications: formData.certifications
+        .filter(certification => certification.name.trim())
+        .map(certification => ({
+          ...certification,
+          validUntil: certification.validUntil || undefined
+        })),
+      photos: formData.photos.split('\n').map(url => url.trim()).filter(Boolean)
+    };
+
+    try {
+      setSaving(true);
+      if (farmer) {
+        await farmersApi.updateFarmer(farmer._id, payload);
+        toast.success('Farmer updated');
+      } else {
+        await farmersApi.createFarmer(payload);
+        toast.success('Farmer added');
+      }
+      onSaved();
+    } catch (err) {
+      console.error('Error saving farmer:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-gray-800">{farmer ? 'Edit Farmer' : 'New Farmer'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Village</label>
+              <input name="village" value={formData.village} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">District</label>
+              <input name="district" value={formData.district} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">State</label>
+              <input name="state" value={formData.state} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">About</label>
+            <textarea
+              name="about"
+              value={formData.about}
+              onChange={handleChange}
+              rows={3}
+              placeholder="What they grow and how, shown on their public profile"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input name="phone" value={formData.phone} onChange={handleChange} placeholder="10 digits" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input type="email" name="email" value={formData.email} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="bg-gray-50 rounded-xl p-4 space-y-3">
+            <p className="text-sm font-medium text-gray-700">Bank details (admins only)</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input name="accountName" value={formData.bankDetails.accountName} onChange={handleBankChange} placeholder="Account holder" className={inputClass} />
+              <input name="accountNumber" value={formData.bankDetails.accountNumber} onChange={handleBankChange} placeholder="Account number" className={inputClass} />
+              <input name="ifsc" value={formData.bankDetails.ifsc} onChange={handleBankChange} placeholder="IFSC" className={inputClass} />
+              <input name="bankName" value={formData.bankDetails.bankName} onChange={handleBankChange} placeholder="Bank" className={inputClass} />
+              <input name="upiId" value={formData.bankDetails.upiId} onChange={handleBankChange} placeholder="UPI ID" className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Certifications</label>
+              <button type="button" onClick={addCertification} className="text-sm font-medium text-green-600 hover:text-green-700">
+                + Add certification
+              </button>
+            </div>
+            {formData.certifications.map((certification, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 mb-2">
+                <input
+                  value={certification.name}
+                  onChange={(e) => handleCertificationChange(index, 'name', e.target.value)}
+                  placeholder="e.g. Organic (NPOP)"
+                  className={`${inputClass} md:col-span-2`}
+                />
+                <input
+                  value={certification.issuedBy}
+                  onChange={(e) => handleCertificationChange(index, 'issuedBy', e.target.value)}
+                  placeholder="Issued by"
+                  className={inputClass}
+                />
+                <input
+                  type="date"
+                  value={certification.validUntil}
+                  onChange={(e) => handleCertificationChange(index, 'validUntil', e.target.value)}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeCertification(index)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg justify-self-start"
+                  title="Remove"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Photos</label>
+            <textarea
+              name="photos"
+              value={formData.photos}
+              onChange={handleChange}
+              rows={3}
+              placeholder="One image URL per line; the first is the profile photo"
+              className={`${inputClass} font-mono text-sm`}
+            />
+          </div>
+
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleChange}
+              className="text-green-600 focus:ring-green-500"
+            />
+            <span className="text-sm text-gray-700">Active (shown publicly)</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Farmer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Sales of one farmer's produce, with an optional date range
+const SalesReport = ({ farmer, onClose }) => {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {};
+      if (range.from) params.from = range.from;
+      if (range.to) params.to = range.to;
+      setReport(await farmersApi.getFarmerSales(farmer._id, params));
+    } catch (err) {
+      console.error('Error loading farmer sales:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [farmer._id, range]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Sales · {farmer.name}</h2>
+            <p className="text-sm text-gray-500">Order lines for their produce, cancelled orders excluded</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3 mb-6">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input type="date" value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input type="date" value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} className={inputClass} />
+          </div>
+        </div>
+
+        {loading || !report ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-3 gap-4">
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-xs text-gray-500">Revenue</p>
+                <p className="text-xl font-bold text-green-700">{formatAmount(report.totals.revenue)}</p>
+              </div>
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-xs text-gray-500">Orders</p>
+                <p className="text-xl font-bold text-gray-800">{report.totals.orders}</p>
+              </div>
+              <div className="bg-green-50 rounded-xl p-4">
+                <p className="text-xs text-gray-500">Units sold</p>
+                <p className="text-xl font-bold text-gray-800">{report.totals.quantity}</p>
+              </div>
+            </div>
+
+            {report.byProduct.length === 0 ? (
+              <p className="text-center py-6 text-gray-500">No sales in this period</p>
+            ) : (
+              <>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Units</th>
+                      <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {report.byProduct.map(line => (
+                      <tr key={`${line.product}-${line.packSize || ''}`}>
+                        <td className="px-4 py-2 text-gray-800">
+                          {line.name}
+                          {line.packSize && <span className="ml-1 text-xs text-gray-500">({line.packSize})</span>}
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-600">{line.quantity} {line.unit}</td>
+                        <td className="px-4 py-2 text-right font-medium text-gray-800">{formatAmount(line.revenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Month</th>
+                      <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Orders</th>
+                      <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {report.byMonth.map(month => (
+                      <tr key={month.month}>
+                        <td className="px-4 py-2 text-gray-800">{month.month}</td>
+                        <td className="px-4 py-2 text-right text-gray-600">{month.orders}</td>
+                        <td className="px-4 py-2 text-right font-medium text-gray-800">{formatAmount(month.revenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Farmers = () => {
+  const [farmers, setFarmers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingFarmer, setEditingFarmer] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [salesFarmer, setSalesFarmer] = useState(null);
+
+  const loadFarmers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setFarmers(await farmersApi.getAllFarmers(search ? { search } : {}));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load farmers');
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  useEffect(() => {
+    loadFarmers();
+  }, [loadFarmers]);
+
+  const openForm = (farmer = null) => {
+    setEditingFarmer(farmer);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditingFarmer(null);
+    setIsFormOpen(false);
+  };
+
+  const handleToggleActive = async (farmer) => {
+    try {
+      await farmersApi.updateFarmer(farmer._id, { isActive: !farmer.isActive });
+      toast.success(farmer.isActive ? 'Farmer deactivated' : 'Farmer activated');
+      loadFarmers();
+    } catch (err) {
+      console.error('Error updating farmer:', err);
+    }
+  };
+
+  const handleDelete = async (farmer) => {
+    if (!window.confirm(`Delete ${farmer.name}?`)) return;
+    try {
+      await farmersApi.deleteFarmer(farmer._id);
+      toast.success('Farmer deleted');
+      loadFarmers();
+    } catch (err) {
+      console.error('Error deleting farmer:', err);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadFarmers}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Farmers
+            </h1>
+            <p className="text-gray-600 mt-2">The farmers and suppliers our produce is sourced from</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name, village or district"
+              className="px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500"
+            />
+            <button
+              onClick={() => openForm()}
+              className="flex items-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              <Plus className="w-5 h-5" />
+              New Farmer
+            </button>
+          </div>
+        </div>
+
+        {/* Farmers table */}
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : farmers.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Users className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No farmers yet
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Farmer</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Contact</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Certifications</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Products</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {farmers.map(farmer => (
+                    <tr key={farmer._id} className="hover:bg-green-50 transition-all duration-200">
+                      <td className="px-6 py-4">
+                        <div className="flex items-center space-x-3">
+                          {farmer.photos?.[0] ? (
+                            <img src={farmer.photos[0]} alt={farmer.name} className="w-10 h-10 rounded-full object-cover" />
+                          ) : (
+                            <div className="w-10 h-10 rounded-full bg-green-100 flex items-center justify-center text-green-700 font-bold">
+                              {farmer.name.charAt(0)}
+                            </div>
+                          )}
+                          <div>
+                            <div className="text-sm font-bold text-gray-900">{farmer.name}</div>
+                            <div className="text-xs text-gray-500">{place(farmer)}</div>
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 text-xs text-gray-600">
+                        {farmer.phone && <div>{farmer.phone}</div>}
+                        {farmer.email && <div>{farmer.email}</div>}
+                        {farmer.bankDetails?.accountNumber && (
+                          <div className="text-gray-400">A/c ••{farmer.bankDetails.accountNumber.slice(-4)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-xs text-gray-600">
+                        {farmer.certifications?.length
+                          ? farmer.certifications.map(certification => <div key={certification._id}>{certification.name}</div>)
+                          : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">{farmer.productCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleToggleActive(farmer)}
+                          title={farmer.isActive ? 'Deactivate' : 'Activate'}
+                          className={`px-3 py-1 rounded-full text-xs font-medium ${
+                            farmer.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                          }`}
+                        >
+                          {farmer.isActive ? 'Active' : 'Inactive'}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => setSalesFarmer(farmer)}
+                            className="p-2 text-emerald-600 hover:bg-emerald-50 rounded-lg"
+                            title="Sales report"
+                          >
+                            <BarChart2 className="w-4 h-4" />
+                          </button>
+                          {farmer.isActive && (
+                            <Link
+                              to={`/farmers/${farmer._id}`}
+                              target="_blank"
+                              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                              title="Public profile"
+                            >
+                              <ExternalLink className="w-4 h-4" />
+                            </Link>
+                          )}
+                          <button
+                            onClick={() => openForm(farmer)}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                            title="Edit"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(farmer)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isFormOpen && (
+        <FarmerForm
+          farmer={editingFarmer}
+          onClose={closeForm}
+          onSaved={() => {
+            closeForm();
+            loadFarmers();
+          }}
+        />
+      )}
+
+      {salesFarmer && (
+        <SalesReport farmer={salesFarmer} onClose={() => setSalesFarmer(null)} />
+      )}
+    </div>
+  );
+};
+
+export default Farmers;
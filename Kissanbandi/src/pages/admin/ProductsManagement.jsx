@@ -1,7 +1,9 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Search, Plus, Pencil, Trash2, X, Filter, Grid, List, Eye, Package, TrendingUp, AlertCircle, CheckCircle, Slash,Circle } from 'lucide-react';
+import { Search, Plus, Pencil, Trash2, X, Filter, Grid, List, Eye, Package, TrendingUp, AlertCircle, CheckCircle, Slash,Circle, History, Layers } from 'lucide-react';
 import { categories } from '../../data/products';
 import ProductForm from '../../components/ProductForm';
+import StockHistoryModal from './components/StockHistoryModal';
+import BatchesModal from './components/BatchesModal';
 import { toast } from 'react-hot-toast';
 import { productsApi } from '../../services/api';
 
@@ -12,6 +14,8 @@ const ProductsManagement = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [batchesProduct, setBatchesProduct] = useState(null);
   const [viewMode, setViewMode] = useState('table'); // 'table' or 'grid'
   const [filterCategory, setFilterCategory] = useState('all');
   const [sortBy, setSortBy] = useState('name');
@@ -489,7 +493,10 @@ const handleDeleteProduct = async (productId) => {
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-bold text-gray-900">₹{product.price}</div>
+                          <div className="text-sm font-bold text-gray-900">
+                            {product.variants?.length > 0 && <span className="font-normal text-gray-500">from </span>}
+                            ₹{product.price}
+                          </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-gray-900">{product.unit}</div>
@@ -500,6 +507,9 @@ const handleDeleteProduct = async (productId) => {
                               <stockStatus.icon className="w-3 h-3 mr-1" />
                               {product.stock}
                             </span>
+                            {product.variants?.length > 0 && (
+                              <span className="text-xs text-gray-500">{product.variants.length} packs</span>
+                            )}
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
@@ -515,6 +525,20 @@ const handleDeleteProduct = async (productId) => {
                             >
                               <Pencil className="w-4 h-4" />
                             </button>
+                            <button
+                              onClick={() => setHistoryProduct(product)}
+                              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                              title="Stock history"
+                            >
+                              <History className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => setBatchesProduct(product)}
+                              className="p-2 text-amber-600 hover:text-amber-900 hover:bg-amber-100 rounded-lg transition-all duration-200"
+                              title="Batches"
+                            >
+                              <Layers className="w-4 h-4" />
+                            </button>
                             <button
                               onClick={() => handleDeleteProduct(product._id || product.id)}
                               className="p-2 text-red-600 hover:text-red-900 hover:bg-red-100 rounded-lg transition-all duration-200"
@@ -592,6 +616,20 @@ const handleDeleteProduct = async (productId) => {
                         >
                           <Pencil className="w-4 h-4" />
                         </button>
+                        <button
+                          onClick={() => setHistoryProduct(product)}
+                          className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                          title="Stock history"
+                        >
+                          <History className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setBatchesProduct(product)}
+                          className="p-2 text-amber-600 hover:text-amber-900 hover:bg-amber-100 rounded-lg transition-all duration-200"
+                          title="Batches"
+                        >
+                          <Layers className="w-4 h-4" />
+                        </button>
                         <button
                           onClick={() => handleDeleteProduct(product._id || product.id)}
                           className="p-2 text-red-600 hover:text-red-900 hover:bg-red-100 rounded-lg transition-all duration-200"
@@ -633,6 +671,30 @@ const handleDeleteProduct = async (productId) => {
           </div>
         )}
 
+        {/* Stock History Modal */}
+        {historyProduct && (
+          <StockHistoryModal
+            product={historyProduct}
+            onClose={() => setHistoryProduct(null)}
+            onStockChanged={(updated) => {
+              setHistoryProduct(updated);
+              setProducts(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+            }}
+          />
+        )}
+
+        {/* Batches Modal */}
+        {batchesProduct && (
+          <BatchesModal
+            product={batchesProduct}
+            onClose={() => setBatchesProduct(null)}
+            onStockChanged={(updated) => {
+              setBatchesProduct(updated);
+              setProducts(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+            }}
+          />
+        )}
+
         {/* Add/Edit Product Modal */}
         {(showAddModal || editingProduct) && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
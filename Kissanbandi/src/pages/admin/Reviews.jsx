@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { MessageSquare, AlertCircle, Check, EyeOff, Trash2 } from 'lucide-react';
+import { reviewsApi } from '../../services/api';
+import { Stars } from '../../components/products/ProductReviews';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  hidden: 'bg-gray-100 text-gray-700'
+};
+
+const Reviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await reviewsApi.getAllReviews({ status, page });
+      setReviews(data.reviews);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleModerate = async (review, nextStatus) => {
+    const note = nextStatus === 'hidden' ? window.prompt('Reason for hiding (optional)') : undefined;
+    if (note === null) return;
+
+    try {
+      setBusyId(review._id);
+      await reviewsApi.moderateReview(review._id, nextStatus, note || undefined);
+      toast.success(nextStatus === 'approved' ? 'Review approved' : 'Review hidden');
+      loadReviews();
+    } catch (err) {
+      console.error('Error moderating review:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm('Delete this review permanently?')) return;
+    try {
+      setBusyId(review._id);
+      await reviewsApi.deleteReview(review._id);
+      toast.success('Review deleted');
+      loadReviews();
+    } catch (err) {
+      console.error('Error deleting review:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadReviews}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Reviews
+            </h1>
+            <p className="text-gray-600 mt-2">Only approved reviews are shown and counted in product ratings</p>
+          </div>
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="hidden">Hidden</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <MessageSquare className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No reviews to show
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {reviews.map(review => (
+                <div key={review._id} className="p-6 flex flex-col md:flex-row gap-4 hover:bg-green-50 transition-all duration-200">
+                  <div className="flex items-start gap-3 md:w-64 flex-shrink-0">
+                    {review.product?.image && (
+                      <img src={review.product.image} alt="" className="w-12 h-12 object-contain rounded-lg bg-gray-50" />
+                    )}
+                    <div className="text-sm">
+                      <div className="font-bold text-gray-900">{review.product?.name || 'Deleted product'}</div>
+                      <div className="text-xs text-gray-500">{review.user?.name} · {review.user?.email}</div>
+                      <div className="text-xs text-gray-400">{new Date(review.createdAt).toLocaleString()}</div>
+                    </div>
+                  </div>
+
+                  <div className="flex-1 text-sm">
+                    <Stars value={review.rating} />
+                    {review.text && <p className="text-gray-700 mt-2">{review.text}</p>}
+                    {review.photos?.length > 0 && (
+                      <div className="flex gap-2 mt-2">
+                        {review.photos.map((photo, index) => (
+                          <a key={index} href={photo} target="_blank" rel="noreferrer">
+                            <img src={photo} alt="" className="w-16 h-16 object-cover rounded-lg" />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    {review.moderatedAt && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        {review.status === 'approved' ? 'Approved' : 'Hidden'} by {review.moderatedBy?.name || 'admin'}
+                        {review.moderationNote && ` · ${review.moderationNote}`}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex md:flex-col items-start gap-2">
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[review.status]}`}>
+                      {review.status}
+                    </span>
+                    <div className="flex items-center space-x-1">
+                      {review.status !== 'approved' && (
+                        <button
+                          onClick={() => handleModerate(review, 'approved')}
+                          disabled={busyId === review._id}
+                          className="p-2 text-green-600 hover:bg-green-100 rounded-lg disabled:opacity-50"
+                          title="Approve"
+                        >
+                          <Check className="w-4 h-4" />
+                        </button>
+                      )}
+                      {review.status !== 'hidden' && (
+                        <button
+                          onClick={() => handleModerate(review, 'hidden')}
+                          disabled={busyId === review._id}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                          title="Hide"
+                        >
+                          <EyeOff className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDelete(review)}
+                        disabled={busyId === review._id}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Store, AlertCircle, Check, X } from 'lucide-react';
+import { productsApi } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+// Products listed by business sellers, approved here before they go on sale
+const SellerListings = () => {
+  const [listings, setListings] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadListings = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await productsApi.getListings({ status });
+      setListings(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load listings');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadListings();
+  }, [loadListings]);
+
+  const handleReview = async (listing, nextStatus) => {
+    const note = window.prompt(
+      nextStatus === 'rejected' ? 'What should the seller change?' : 'Note for the seller (optional)'
+    );
+    if (note === null) return;
+
+    try {
+      setBusyId(listing._id);
+      await productsApi.reviewListing(listing._id, { status: nextStatus, note: note || undefined });
+      toast.success(nextStatus === 'approved' ? 'Listing approved' : 'Listing rejected');
+      loadListings();
+    } catch (err) {
+      console.error('Error reviewing listing:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadListings}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Seller Listings
+            </h1>
+            <p className="text-gray-600 mt-2">Products from business sellers go on sale once approved</p>
+          </div>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : listings.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Store className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No listings to show
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {listings.map(listing => (
+                <div key={listing._id} className="p-6 flex flex-col md:flex-row gap-4 hover:bg-green-50 transition-all duration-200">
+                  <div className="flex items-start gap-3 md:w-72 flex-shrink-0">
+                    {listing.image && (
+                      <img src={listing.image} alt="" className="w-16 h-16 object-contain rounded-lg bg-gray-50" />
+                    )}
+                    <div className="text-sm">
+                      <div className="font-bold text-gray-900">{listing.name}</div>
+                      <div className="text-xs text-gray-500">{listing.category}{listing.subcategory && ` · ${listing.subcategory}`}</div>
+                      <div className="text-xs text-gray-700 mt-1">₹{listing.price}/{listing.unit} · {listing.stock} in stock</div>
+                    </div>
+                  </div>
+
+                  <div className="flex-1 text-sm">
+                    <div className="font-medium text-gray-900">{listing.seller?.name || 'Deleted seller'}</div>
+                    <div className="text-xs text-gray-500">
+                      {listing.seller?.email}
+                      {listing.seller?.phone && ` · ${listing.seller.phone}`}
+                      {listing.seller?.gst && ` · GSTIN ${listing.seller.gst}`}
+                    </div>
+                    {listing.description && <p className="text-gray-700 mt-2 line-clamp-3">{listing.description}</p>}
+                    <p className="text-xs text-gray-400 mt-2">Listed {new Date(listing.createdAt).toLocaleString()}</p>
+                    {listing.reviewedAt && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {listing.approvalStatus === 'approved' ? 'Approved' : 'Reviewed'} by {listing.reviewedBy?.name || 'admin'}
+                        {listing.approvalNote && ` · ${listing.approvalNote}`}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex md:flex-col items-start gap-2">
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[listing.approvalStatus]}`}>
+                      {listing.approvalStatus}
+                    </span>
+                    <div className="flex items-center space-x-1">
+                      {listing.approvalStatus !== 'approved' && (
+                        <button
+                          onClick={() => handleReview(listing, 'approved')}
+                          disabled={busyId === listing._id}
+                          className="p-2 text-green-600 hover:bg-green-100 rounded-lg disabled:opacity-50"
+                          title="Approve"
+                        >
+                          <Check className="w-4 h-4" />
+                        </button>
+                      )}
+                      {listing.approvalStatus !== 'rejected' && (
+                        <button
+                          onClick={() => handleReview(listing, 'rejected')}
+                          disabled={busyId === listing._id}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                          title="Reject"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SellerListings;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, AlertCircle } from 'lucide-react';
+import { subscriptionsApi } from '../../services/api';
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks'
+};
+
+const STATUS_COLORS = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const RUN_COLORS = {
+  ordered: 'text-green-700',
+  skipped: 'text-gray-500',
+  failed: 'text-red-600'
+};
+
+const itemName = (item) => {
+  const product = item.product || {};
+  const variant = (product.variants || []).find(entry => entry._id === item.variant);
+  return `${product.name || 'Unknown Product'}${variant ? ` (${variant.packSize})` : ''}`;
+};
+
+const Subscriptions = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [status, setStatus] = useState('active');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await subscriptionsApi.getAllSubscriptions({ status, page });
+      setSubscriptions(data.subscriptions);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadSubscriptions}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="p-6 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              Subscriptions
+            </h1>
+            <p className="text-gray-600 mt-2">Orders are placed automatically ahead of each delivery date</p>
+          </div>
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+          >
+            <option value="all">All</option>
+            <option value="active">Active</option>
+            <option value="paused">Paused</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+        </div>
+
+        {/* Subscriptions table */}
+        <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+            </div>
+          ) : subscriptions.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Repeat className="w-12 h-12 mx-auto mb-3 text-green-300" />
+              No subscriptions found
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Customer</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Items</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Schedule</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Next delivery</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Last run</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {subscriptions.map(subscription => {
+                    const lastRun = subscription.runs?.[subscription.runs.length - 1];
+                    return (
+                      <tr key={subscription._id} className="hover:bg-green-50 transition-all duration-200 align-top">
+                        <td className="px-6 py-4 text-sm">
+                          <div className="font-bold text-gray-900">{subscription.user?.name || 'Unknown'}</div>
+                          <div className="text-xs text-gray-500">{subscription.user?.email}</div>
+                          <div className="text-xs text-gray-500">{subscription.user?.phone}</div>
+                        </td>
+                        <td className="px-6 py-4 text-xs text-gray-700">
+                          <div className="font-medium text-gray-800 mb-1">{subscription.name}</div>
+                          {subscription.items.map(item => (
+                            <div key={item._id}>{item.quantity} × {itemName(item)}</div>
+                          ))}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                          <div>{FREQUENCY_LABELS[subscription.frequency]}</div>
+                          {subscription.slot && (
+                            <div>{subscription.slot.label || `${subscription.slot.startTime}–${subscription.slot.endTime}`}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                          {subscription.status === 'cancelled' ? '—' : subscription.nextDeliveryDate}
+                          {subscription.pausedUntil && <div>Paused until {subscription.pausedUntil}</div>}
+                          {subscription.skipDates?.length > 0 && <div>{subscription.skipDates.length} skipped</div>}
+                        </td>
+                        <td className="px-6 py-4 text-xs max-w-xs">
+                          {lastRun ? (
+                            <>
+                              <div className={`font-medium capitalize ${RUN_COLORS[lastRun.status]}`}>
+                                {lastRun.status} · {lastRun.date}
+                              </div>
+                              {lastRun.reason && <div className="text-gray-500">{lastRun.reason}</div>}
+                              {lastRun.order?._id && (
+                                <div className="text-gray-500">Order #{lastRun.order._id.slice(-8)}</div>
+                              )}
+                            </>
+                          ) : (
+                            <span className="text-gray-400">No orders yet</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[subscription.status]}`}>
+                            {subscription.status}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Subscriptions;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Layers } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { productsApi, farmersApi } from '../../../services/api';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-700',
+  near_expiry: 'bg-amber-100 text-amber-700',
+  expired: 'bg-red-100 text-red-700'
+};
+
+const STATUS_LABELS = {
+  active: 'Active',
+  near_expiry: 'Near expiry',
+  expired: 'Expired'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Batches of one product with their expiry, sold first-expiry-first-out,
+// and a form to receive a new one
+const BatchesModal = ({ product, onClose, onStockChanged }) => {
+  const [batches, setBatches] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [farmers, setFarmers] = useState([]);
+  const [batch, setBatch] = useState({
+    variant: product.variants?.[0]?._id || '',
+    farmer: product.farmer?._id || product.farmer || '',
+    batchCode: '',
+    quantity: '',
+    receivedAt: today(),
+    expiresAt: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const packName = (variantId) =>
+    product.variants?.find(variant => variant._id === variantId)?.packSize;
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await productsApi.getBatches(product._id, status ? { status } : {});
+      setBatches(data);
+    } catch (err) {
+      console.error('Error loading batches:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, status]);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  useEffect(() => {
+    farmersApi.getAllFarmers({ status: 'active' })
+      .then(setFarmers)
+      .catch(err => console.error('Error loading farmers:', err));
+  }, []);
+
+  const refreshProduct = async () => {
+    loadBatches();
+    const updated = await productsApi.getProductById(product._id);
+    onStockChanged?.(updated);
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const quantity = Number(batch.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      toast.error('Enter the quantity received');
+      return;
+    }
+    if (!batch.expiresAt) {
+      toast.error('Enter the expiry date');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await productsApi.receiveBatch(product._id, {
+        variant: batch.variant || undefined,
+        farmer: batch.farmer || undefined,
+        batchCode: batch.batchCode.trim() || undefined,
+        quantity,
+        receivedAt: batch.receivedAt,
+        expiresAt: batch.expiresAt
+      });
+      toast.success('Batch received');
+      setBatch(prev => ({ ...prev, batchCode: '', quantity: '', expiresAt: '' }));
+      await refreshProduct();
+    } catch (err) {
+      console.error('Error receiving batch:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWriteOff = async (entry) => {
+    if (!window.confirm(`Write off the remaining ${entry.quantity} unit(s) of this batch as wastage?`)) return;
+
+    try {
+      await productsApi.writeOffBatch(product._id, entry._id);
+      toast.success('Batch written off');
+      await refreshProduct();
+    } catch (err) {
+      console.error('Error writing off batch:', err);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent flex items-center">
+              <Layers className="w-6 h-6 mr-2 text-green-600" />
+              Batches
+            </h2>
+            <p className="text-sm text-gray-600">{product.name} · {product.stock} in stock</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-xl transition-all duration-200"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleReceive} className="flex flex-wrap items-end gap-3 bg-green-50 rounded-xl p-4 mb-6">
+          {product.variants?.length > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Pack</label>
+              <select
+                value={batch.variant}
+                onChange={(e) => setBatch(prev => ({ ...prev, variant: e.target.value }))}
+                className={`${inputClass} bg-white`}
+              >
+                {product.variants.map(variant => (
+                  <option key={variant._id} value={variant._id}>{variant.packSize}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {farmers.length > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Farmer</label>
+              <select
+                value={batch.farmer}
+                onChange={(e) => setBatch(prev => ({ ...prev, farmer: e.target.value }))}
+                className={`${inputClass} bg-white`}
+              >
+                <option value="">Not recorded</option>
+                {farmers.map(farmer => (
+                  <option key={farmer._id} value={farmer._id}>{farmer.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Batch code</label>
+            <input
+              value={batch.batchCode}
+              onChange={(e) => setBatch(prev => ({ ...prev, batchCode: e.target.value }))}
+              placeholder="Optional"
+              className={`${inputClass} w-32`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Quantity</label>
+            <input
+              type="number"
+              min="1"
+              value={batch.quantity}
+              onChange={(e) => setBatch(prev => ({ ...prev, quantity: e.target.value }))}
+              className={`${inputClass} w-24`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Received</label>
+            <input
+              type="date"
+              value={batch.receivedAt}
+              onChange={(e) => setBatch(prev => ({ ...prev, receivedAt: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Expires</label>
+            <input
+              type="date"
+              min={batch.receivedAt}
+              value={batch.expiresAt}
+              onChange={(e) => setBatch(prev => ({ ...prev, expiresAt: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50 text-sm"
+          >
+            {saving ? 'Saving...' : 'Receive batch'}
+          </button>
+        </form>
+
+        <div className="flex justify-end mb-3">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className={`${inputClass} bg-white`}
+          >
+            <option value="">In stock</option>
+            <option value="near_expiry">Near expiry</option>
+            <option value="expired">Expired</option>
+            <option value="all">All batches</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : batches.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No batches</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Batch</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Received</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Expires</th>
+                  <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Left</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {batches.map(entry => (
+                  <tr key={entry._id} className="hover:bg-green-50">
+                    <td className="px-4 py-2 text-gray-800">
+                      {entry.batchCode || `#${entry._id.slice(-6)}`}
+                      {entry.variant && <div className="text-xs text-gray-500">{packName(entry.variant)}</div>}
+                      {entry.farmer?.name && <div className="text-xs text-gray-500">👨‍🌾 {entry.farmer.name}</div>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                      {new Date(entry.receivedAt).toLocaleDateString()}
+                      {entry.receivedBy?.name && <div className="text-xs text-gray-500">{entry.receivedBy.name}</div>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{new Date(entry.expiresAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-2 text-right text-gray-800">
+                      {entry.quantity} / {entry.receivedQuantity}
+                      {entry.wastedQuantity > 0 && (
+                        <div className="text-xs text-red-600">{entry.wastedQuantity} wasted</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[entry.status]}`}>
+                        {STATUS_LABELS[entry.status]}
+                      </span>
+                      {entry.status === 'near_expiry' && (
+                        <div className="text-xs text-amber-700 mt-1">
+                          {entry.markdownPercent > 0 ? `${entry.markdownPercent}% off` : 'Remove from shelf'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {entry.status !== 'expired' && entry.quantity > 0 && (
+                        <button
+                          onClick={() => handleWriteOff(entry)}
+                          className="px-3 py-1 text-xs text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                        >
+                          Write off
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchesModal;
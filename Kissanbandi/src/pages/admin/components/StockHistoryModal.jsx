@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, History } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { productsApi } from '../../../services/api';
+
+const REASON_LABELS = {
+  initial: 'Opening stock',
+  sale: 'Sale',
+  reservation: 'Held for payment',
+  reservation_release: 'Hold released',
+  cancellation: 'Cancellation',
+  manual_adjust: 'Manual adjustment',
+  refund_restock: 'Refund restock',
+  wastage: 'Wastage',
+  received: 'Batch received'
+};
+
+const REFERENCE_LABELS = {
+  Order: 'Order',
+  Refund: 'Refund',
+  StockReservation: 'Hold',
+  Product: 'Product',
+  StockBatch: 'Batch'
+};
+
+// Every stock change of one product, with a form to correct the count or
+// write off wastage
+const StockHistoryModal = ({ product, onClose, onStockChanged }) => {
+  const [movements, setMovements] = useState([]);
+  const [reason, setReason] = useState('all');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [adjustment, setAdjustment] = useState({
+    variant: product.variants?.[0]?._id || '',
+    stock: '',
+    reason: 'manual_adjust',
+    note: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const loadMovements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await productsApi.getStockMovements(product._id, { reason, page });
+      setMovements(data.movements);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      console.error('Error loading stock movements:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, reason, page]);
+
+  useEffect(() => {
+    loadMovements();
+  }, [loadMovements]);
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    const stock = Number(adjustment.stock);
+    if (adjustment.stock === '' || !Number.isInteger(stock) || stock < 0) {
+      toast.error('Enter the new stock count');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const updated = await productsApi.updateStock(product._id, {
+        stock,
+        variant: adjustment.variant || undefined,
+        reason: adjustment.reason,
+        note: adjustment.note.trim() || undefined
+      });
+      toast.success('Stock updated');
+      setAdjustment(prev => ({ ...prev, stock: '', note: '' }));
+      setPage(1);
+      loadMovements();
+      onStockChanged?.(updated);
+    } catch (err) {
+      console.error('Error updating stock:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto shadow-2xl">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent flex items-center">
+              <History className="w-6 h-6 mr-2 text-green-600" />
+              Stock history
+            </h2>
+            <p className="text-sm text-gray-600">{product.name} · {product.stock} in stock</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-xl transition-all duration-200"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleAdjust} className="flex flex-wrap items-end gap-3 bg-green-50 rounded-xl p-4 mb-6">
+          {product.variants?.length > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Pack</label>
+              <select
+                value={adjustment.variant}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, variant: e.target.value }))}
+                className={`${inputClass} bg-white`}
+              >
+                {product.variants.map(variant => (
+                  <option key={variant._id} value={variant._id}>
+                    {variant.packSize} ({variant.stock})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">New count</label>
+            <input
+              type="number"
+              min="0"
+              value={adjustment.stock}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, stock: e.target.value }))}
+              className={`${inputClass} w-28`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Reason</label>
+            <select
+              value={adjustment.reason}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, reason: e.target.value }))}
+              className={`${inputClass} bg-white`}
+            >
+              <option value="manual_adjust">Stock count correction</option>
+              <option value="wastage">Wastage</option>
+            </select>
+          </div>
+          <div className="flex-1 min-w-[10rem]">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Note</label>
+            <input
+              value={adjustment.note}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="Optional"
+              className={`${inputClass} w-full`}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50 text-sm"
+          >
+            {saving ? 'Saving...' : 'Update stock'}
+          </button>
+        </form>
+
+        <div className="flex justify-end mb-3">
+          <select
+            value={reason}
+            onChange={(e) => {
+              setReason(e.target.value);
+              setPage(1);
+            }}
+            className={`${inputClass} bg-white`}
+          >
+            <option value="all">All reasons</option>
+            {Object.entries(REASON_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : movements.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No stock movements recorded</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Reason</th>
+                  <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Change</th>
+                  <th className="px-4 py-3 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Balance</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Reference</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-green-700 uppercase tracking-wider">By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {movements.map(movement => (
+                  <tr key={movement._id} className="hover:bg-green-50">
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{new Date(movement.createdAt).toLocaleString()}</td>
+                    <td className="px-4 py-2 text-gray-800">
+                      {REASON_LABELS[movement.reason] || movement.reason}
+                      {movement.sku && <span className="ml-1 text-xs text-gray-500">{movement.sku}</span>}
+                      {movement.note && <div className="text-xs text-gray-500">{movement.note}</div>}
+                    </td>
+                    <td className={`px-4 py-2 text-right font-semibold ${movement.delta < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-800">
+                      {movement.balance}
+                      {movement.variantBalance !== undefined && (
+                        <div className="text-xs text-gray-500">pack {movement.variantBalance}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-xs text-gray-600 whitespace-nowrap">
+                      {movement.reference && movement.referenceModel !== 'Product'
+                        ? `${REFERENCE_LABELS[movement.referenceModel]} #${movement.reference.slice(-8)}`
+                        : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-xs text-gray-600">{movement.actor?.name || 'System'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-4">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Newer
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+            >
+              Older
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockHistoryModal;
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { User, Mail, Lock, Phone, MapPin, CreditCard, Building2, ArrowLeft, Loader } from 'lucide-react';
 import api from '../../services/api';
+import PincodeServiceability from '../../components/common/PincodeServiceability';
 import { Eye, EyeOff } from 'lucide-react';
 
 const INDIAN_STATES = [
@@ -480,6 +481,7 @@ const Register = () => {
                           title="Please enter a valid 6-digit pincode"
                         />
                       </div>
+                      <PincodeServiceability pincode={formData.address.pincode} />
                     </div>
                   </div>
 
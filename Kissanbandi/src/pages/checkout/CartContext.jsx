@@ -1,23 +1,22 @@
-import React, { createContext, useContext, useReducer, useEffect, useState } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useState, useRef } from 'react';
 import  {useAuth}  from './AuthProvider';
+import { isSameLine, withVariant } from '../../components/products/variants';
+import { cartApi } from '../../services/api';
 const CartContext = createContext();
 
+// How long the cart waits after the last change before saving to the server
+const SAVE_DELAY_MS = 800;
+
 const cartReducer = (state, action) => {
   switch (action.type) {
     case 'ADD_TO_CART':
        console.log("Adding to cart:", action.payload);
-  const existingItem = state.items.find(item =>
-  (item.id || item._id) === action.payload.id &&
-  item.size === action.payload.size &&
-  item.color === action.payload.color
-);
+  const existingItem = state.items.find(item => isSameLine(item, action.payload));
       if (existingItem) {
         return {
           ...state,
       items: state.items.map(item =>
-        (item.id || item._id) === action.payload.id &&
-        item.size === action.payload.size &&
-        item.color === action.payload.color
+        isSameLine(item, action.payload)
           ? { ...item, quantity: item.quantity + 1 }
           : item
       ),
@@ -46,27 +45,66 @@ const cartReducer = (state, action) => {
 
         return {
           ...state,
-          items: state.items.filter(item =>
-            !(
-              (item.id||item._id) === action.payload.id &&
-              item.size === action.payload.size &&
-              item.color === action.payload.color
-            )
-          ),
+          items: state.items.filter(item => !isSameLine(item, action.payload)),
         };
 
     case 'UPDATE_QUANTITY':
       return {
         ...state,
         items: state.items.map(item =>
-          (item.id || item._id)=== action.payload.id &&
-          item.size === action.payload.size &&
-          item.color === action.payload.color
+          isSameLine(item, action.payload)
             ? { ...item, quantity: action.payload.quantity }
             : item
         ),
       };
 
+    // Switch a line to another pack size; `item` is the line to replace,
+    // merging into a line that already has the new pack
+    case 'CHANGE_VARIANT': {
+      const { item: current, updated } = action.payload;
+      const existing = state.items.find(item => item !== current && isSameLine(item, updated));
+      if (existing) {
+        return {
+          ...state,
+          items: state.items
+            .filter(item => !isSameLine(item, current))
+            .map(item =>
+              item === existing
+                ? { ...item, quantity: Math.min(item.quantity + current.quantity, updated.stock ?? Infinity) }
+                : item
+            ),
+        };
+      }
+      return {
+        ...state,
+        items: state.items.map(item =>
+          isSameLine(item, current)
+            ? { ...updated, quantity: Math.min(current.quantity, updated.stock ?? Infinity) }
+            : item
+        ),
+      };
+    }
+
+    // Bring lines up to date after the server checked the cart; `payload`
+    // is its lines, and lines with nothing left to buy are dropped
+    case 'REFRESH_LINES':
+      return {
+        ...state,
+        items: state.items.flatMap(item => {
+          const line = action.payload.find(entry =>
+            String(entry.product) === String(item.id || item._id) &&
+            String(entry.variant || '') === String(item.variant || ''));
+          if (!line) return [item];
+          if (line.suggestedQuantity < 1) return [];
+          return [{
+            ...item,
+            price: line.currentPrice,
+            stock: line.stock,
+            quantity: line.suggestedQuantity
+          }];
+        }),
+      };
+
     case 'CLEAR_CART':
       return {
         ...state,
@@ -78,9 +116,13 @@ const cartReducer = (state, action) => {
   }
 };
 
-const getInitialCart = (userId) => {
+const GUEST_CART = 'cart_guest';
+
+// Saved cart of a guest, or of a signed-in user from before carts were kept
+// on the server
+const getStoredCart = (key) => {
   try {
-    const storedCart = localStorage.getItem(`cart_${userId}`);
+    const storedCart = localStorage.getItem(key);
     return storedCart ? JSON.parse(storedCart) : { items: [] };
   } catch (error) {
     console.error('Failed to load cart from localStorage:', error);
@@ -88,44 +130,99 @@ const getInitialCart = (userId) => {
   }
 };
 
+// Cart items as the server keeps them
+const toServerItems = (items) => items.map(item => ({
+  product: item.id || item._id,
+  variant: item.variant || undefined,
+  quantity: item.quantity
+}));
+
+// The server's cart back as cart items: each product as sold in its pack
+const fromServerItems = (items) => items.map(({ product, variant, quantity }) => ({
+  ...withVariant(product, product.variants?.find(pack => pack._id === variant)),
+  quantity
+}));
+
 export const CartProvider = ({ children }) => {
   const auth = useAuth();
   const loading = auth?.loading;
   const userId = auth?.user?._id || 'guest';
 
-const [state, dispatch] = useReducer(
-  cartReducer,
-  undefined,
-  () => getInitialCart(userId)
-);
-  const [initialized, setInitialized] = useState(false);
-  // Re-initialize cart when userId changes
+  const [state, dispatch] = useReducer(
+    cartReducer,
+    undefined,
+    () => getStoredCart(GUEST_CART)
+  );
+  // The signed-in user whose cart has been loaded from the server; changes
+  // are only saved back once it has, so a stale cart never overwrites it
+  const [syncedUser, setSyncedUser] = useState(null);
+  const lastSaved = useRef(null);
 
-  // ✅ Load cart when auth or userId changes
+  // Guests keep their cart in the browser. Signing in merges it into the
+  // saved cart, which is then restored on any device.
   useEffect(() => {
-    if (!loading) {
-      try {
-        const storedCart = localStorage.getItem(`cart_${userId}`);
-        const parsed = storedCart ? JSON.parse(storedCart) : { items: [] };
-        console.log("Loaded cart for:", userId, parsed);
-        dispatch({ type: 'INIT_CART', payload: parsed.items });
-      } catch (error) {
-        console.error("Error loading cart:", error);
-      }
+    if (loading) return;
+    setSyncedUser(null);
+
+    if (userId === 'guest') {
+      dispatch({ type: 'INIT_CART', payload: getStoredCart(GUEST_CART).items });
+      return;
     }
+
+    let cancelled = false;
+    const localItems = [
+      ...getStoredCart(GUEST_CART).items,
+      ...getStoredCart(`cart_${userId}`).items
+    ];
+    const restore = localItems.length
+      ? cartApi.mergeCart(toServerItems(localItems))
+      : cartApi.getCart();
+
+    restore
+      .then(cart => {
+        if (cancelled) return;
+        localStorage.removeItem(GUEST_CART);
+        localStorage.removeItem(`cart_${userId}`);
+        const items = fromServerItems(cart.items);
+        lastSaved.current = JSON.stringify(toServerItems(items));
+        dispatch({ type: 'INIT_CART', payload: items });
+        setSyncedUser(userId);
+      })
+      .catch(error => console.error('Error loading cart:', error));
+
+    return () => {
+      cancelled = true;
+    };
   }, [userId, loading]);
 
-  // ✅ Save cart on change
+  // Save the cart on change: in the browser for guests, on the server
+  // shortly after the last change for signed-in users
   useEffect(() => {
-    if (!loading) {
+    if (loading) return;
+
+    if (userId === 'guest') {
       try {
-        localStorage.setItem(`cart_${userId}`, JSON.stringify({ items: state.items }));
-        console.log("Saved cart for:", userId, state.items);
+        localStorage.setItem(GUEST_CART, JSON.stringify({ items: state.items }));
       } catch (error) {
-        console.error("Error saving cart:", error);
+        console.error('Error saving cart:', error);
       }
+      return;
     }
-  }, [state.items, userId, loading]);
+
+    if (syncedUser !== userId) return;
+    const items = toServerItems(state.items);
+    const snapshot = JSON.stringify(items);
+    if (snapshot === lastSaved.current) return;
+
+    const timer = setTimeout(() => {
+      cartApi.saveCart(items)
+        .then(() => {
+          lastSaved.current = snapshot;
+        })
+        .catch(error => console.error('Error saving cart:', error));
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [state.items, userId, loading, syncedUser]);
 
   if (loading) return <div>Loading cart...</div>;
 
@@ -1,10 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useCart } from '../checkout/CartContext';
 import { useAuth } from '../checkout/AuthProvider';
 import { useNavigate } from 'react-router-dom';
-import { ChevronRight, Trash2, MapPin, ShoppingBag, CreditCard, Truck, CheckCircle } from 'lucide-react';
+import { ChevronRight, Trash2, MapPin, ShoppingBag, CreditCard, Truck, CheckCircle, Tag, X, Clock, AlertTriangle, FileText } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { ordersApi } from '../../services/api';
+import { ordersApi, couponsApi, creditApi, cartApi } from '../../services/api';
+import DeliverySlotPicker from '../../components/checkout/DeliverySlotPicker';
+import AddressSelector from '../../components/checkout/AddressSelector';
+import CartChanges from '../../components/checkout/CartChanges';
+import VariantSelector from '../../components/products/VariantSelector';
+import { withVariant } from '../../components/products/variants';
+
+// Lines as the server checks them, in the shape the cart is saved in, with
+// the price the cart shows
+const cartLines = (items) => items.map(item => ({
+  product: item.id || item._id,
+  variant: item.variant || undefined,
+  quantity: item.quantity,
+  price: Number(item.price)
+}));
 
 const CheckoutPage = () => {
   const { state, dispatch } = useCart();
@@ -13,6 +27,27 @@ const CheckoutPage = () => {
   const [paymentMethod, setPaymentMethod] = useState('razorpay');
   const [isProcessing, setIsProcessing] = useState(false);
   const [itemsLoaded, setItemsLoaded] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [couponInput, setCouponInput] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [deliverySlot, setDeliverySlot] = useState(null);
+  const [slotsAvailable, setSlotsAvailable] = useState(false);
+  const [shippingAddress, setShippingAddress] = useState(null);
+  const [creditAccount, setCreditAccount] = useState(null);
+  const [cartCheck, setCartCheck] = useState(null);
+
+  // Approved business buyers with a credit limit can pay on account
+  useEffect(() => {
+    if (user?.role !== 'business') {
+      setCreditAccount(null);
+      return;
+    }
+    creditApi.getAccount()
+      .then(setCreditAccount)
+      .catch(err => console.error('Error loading credit account:', err));
+  }, [user?.role]);
 
   useEffect(() => {
     // Load Razorpay script
@@ -55,6 +90,7 @@ const updateQuantity = (item, quantity) => {
     type: 'UPDATE_QUANTITY',
     payload: {
       id: item.id || item._id,
+      variant: item.variant,
       size: item.size,
       color: item.color,
       quantity
@@ -68,6 +104,7 @@ const updateQuantity = (item, quantity) => {
     type: 'REMOVE_FROM_CART',
     payload: {
       id: item.id || item._id,
+      variant: item.variant,
       size: item.size,
       color: item.color
     }
@@ -75,29 +112,157 @@ const updateQuantity = (item, quantity) => {
   toast.success('Item removed from cart',{ id: 'cart-empty' });
   };
 
+  const changeVariant = (item, variant) => {
+    if (!variant || variant._id === item.variant) return;
+    dispatch({
+      type: 'CHANGE_VARIANT',
+      payload: { item, updated: withVariant(item, variant) }
+    });
+  };
+
+  const checkCart = async () => {
+    const result = await cartApi.validateCart(cartLines(state.items));
+    setCartCheck(result);
+    return result;
+  };
+
+  const cartChanges = cartCheck?.lines.filter(line => line.status !== 'ok') || [];
+
+  const acceptCartChanges = () => {
+    dispatch({ type: 'REFRESH_LINES', payload: cartChanges });
+    toast.success('Cart updated', { id: 'cart-empty' });
+  };
+
   const calculateSubtotal = () => {
     return state.items.reduce((total, item) => total + (item.price * item.quantity), 0);
   };
 
-  const subtotal = calculateSubtotal();
-  const shipping = subtotal > 500 ? 0 : 50;
-  const total = subtotal + shipping;
-
-  // Add this function to format address
-  const formatAddress = (addressObj) => {
-    if (typeof addressObj === 'string') return addressObj;
-    if (!addressObj) return '';
-    
-    const parts = [];
-    if (addressObj.street) parts.push(addressObj.street);
-    if (addressObj.locality) parts.push(addressObj.locality);
-    if (addressObj.city) parts.push(addressObj.city);
-    if (addressObj.state) parts.push(addressObj.state);
-    if (addressObj.pincode) parts.push(addressObj.pincode);
-    
-    return parts.join(', ');
+  const shippingPincode = shippingAddress?.pincode || '';
+  const quoteKey = state.items.map(item => `${item._id || item.id}:${item.variant || ''}:${item.quantity}`).join(',');
+
+  // Prices and stock stored in the cart can be out of date: check them with
+  // the server when checkout opens and whenever the cart changes. The key
+  // only tells when that is; the lines sent come from the cart itself.
+  const cartCheckKey = useMemo(
+    () => state.items.map(item => `${item.id || item._id}:${item.variant || ''}:${item.quantity}:${item.price}`).join(','),
+    [state.items]
+  );
+  const cartItems = useRef(state.items);
+  cartItems.current = state.items;
+
+  useEffect(() => {
+    if (!user || !cartCheckKey) {
+      setCartCheck(null);
+      return;
+    }
+
+    let cancelled = false;
+    cartApi.validateCart(cartLines(cartItems.current))
+      .then(data => {
+        if (!cancelled) setCartCheck(data);
+      })
+      .catch(error => console.error('Cart check error:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cartCheckKey, user]);
+
+  // Delivery fee, discounts and tax are priced by the server; the cart only
+  // knows the item subtotal
+  useEffect(() => {
+    if (!user || !quoteKey) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    setQuoteLoading(true);
+    ordersApi.quoteOrder({
+      items: quoteKey.split(',').map(entry => {
+        const [product, variant, quantity] = entry.split(':');
+        return { product, variant: variant || undefined, quantity: Number(quantity) };
+      }),
+      pincode: shippingPincode,
+      couponCode: appliedCoupon?.code
+    })
+      .then(data => {
+        if (!cancelled) setQuote(data);
+      })
+      .catch(error => {
+        console.error('Quote error:', error);
+        if (cancelled) return;
+        // The cart no longer qualifies for the coupon: drop it and re-price
+        if (appliedCoupon) {
+          setAppliedCoupon(null);
+        } else {
+          setQuote(null);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setQuoteLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteKey, shippingPincode, user, appliedCoupon]);
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim().toUpperCase();
+    if (!code) return;
+
+    try {
+      setApplyingCoupon(true);
+      const data = await couponsApi.validateCoupon({
+        code,
+        items: state.items.map(item => ({
+          product: item._id || item.id,
+          variant: item.variant,
+          quantity: item.quantity
+        })),
+        pincode: shippingPincode
+      });
+      setAppliedCoupon(data.coupon);
+      setQuote(data.quote);
+      setCouponInput('');
+      toast.success(`Coupon ${data.coupon.code} applied`, { id: 'coupon' });
+    } catch (error) {
+      console.error('Coupon error:', error);
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const subtotal = quote ? quote.subtotal : calculateSubtotal();
+  const deliveryFee = quote?.deliveryFee;
+  const discount = quote?.discount || 0;
+  const tax = quote?.tax || 0;
+  const total = quote ? quote.total : subtotal;
+  const canPayOnAccount = creditAccount?.approved && creditAccount.limit > 0;
+  const creditBlocker = paymentMethod === 'on_account' && creditAccount && total > creditAccount.available
+    ? `This order is more than your available credit of ₹${creditAccount.available.toFixed(2)}`
+    : null;
+
+  // Wholesale price the server charges for a cart line, when lower
+  const wholesalePrice = (item) => {
+    if (!quote?.wholesale) return null;
+    const line = quote.lines?.find(entry =>
+      String(entry.product) === String(item._id || item.id) &&
+      String(entry.variant || '') === String(item.variant || ''));
+    return line && line.unitPrice < item.price ? line.unitPrice : null;
   };
 
+  // The server refuses orders outside delivery zones or below the zone minimum
+  let deliveryBlocker = null;
+  if (quote?.serviceable === false) {
+    deliveryBlocker = shippingPincode
+      ? `Sorry, we do not deliver to pincode ${shippingPincode} yet`
+      : 'Please add a delivery address';
+  } else if (quote?.amountToMinimum > 0) {
+    deliveryBlocker = `Minimum order for your area is ₹${quote.minOrderValue}; add ₹${quote.amountToMinimum.toFixed(2)} more`;
+  }
+
   const handleProceedToPayment = async () => {
     try {
       if (!user) {
@@ -106,15 +271,42 @@ const updateQuantity = (item, quantity) => {
         return;
       }
 
-      if (!user.address) {
+      if (!shippingAddress) {
         toast.dismiss('cart-empty');
-        toast.error('Please update your address in profile to proceed');
+        toast.error('Please add a delivery address to proceed');
         navigate('/profile');
         return;
       }
 
+      if (deliveryBlocker) {
+        toast.error(deliveryBlocker, { id: 'cart-empty' });
+        return;
+      }
+
+      if (creditBlocker) {
+        toast.error(creditBlocker, { id: 'cart-empty' });
+        return;
+      }
+
+      if (slotsAvailable && !deliverySlot) {
+        toast.error('Please choose a delivery slot', { id: 'cart-empty' });
+        return;
+      }
+
       setIsProcessing(true);
 
+      // Nothing is paid for until the customer has seen what changed
+      const check = await checkCart();
+      if (check.changed) {
+        toast.error('Some items in your cart have changed. Please review them before paying.', { id: 'cart-empty' });
+        setIsProcessing(false);
+        return;
+      }
+
+      const selectedSlot = deliverySlot
+        ? { slotId: deliverySlot.slotId, date: deliverySlot.date }
+        : undefined;
+
       if (paymentMethod === 'razorpay') {
         // Validate Razorpay key
         const razorpayKey = import.meta.env.VITE_RAZORPAY_KEY_ID;
@@ -129,9 +321,16 @@ const updateQuantity = (item, quantity) => {
         console.log('Using Razorpay Key:', razorpayKey); // Debug log
 
         try {
-          // Create Razorpay order
-          const orderResponse = await ordersApi.createRazorpayOrder({ 
-            amount: total 
+          // Create Razorpay order (the server holds the stock while paying)
+          const orderResponse = await ordersApi.createRazorpayOrder({
+            items: state.items.map(item => ({
+              product: item._id || item.id,
+              variant: item.variant,
+              quantity: item.quantity
+            })),
+            addressId: shippingAddress._id,
+            couponCode: appliedCoupon?.code,
+            deliverySlot: selectedSlot
           }, user.token);
 
           console.log('Order Response:', orderResponse); // Debug log
@@ -151,8 +350,8 @@ const updateQuantity = (item, quantity) => {
           // Initialize Razorpay payment
           const options = {
             key: razorpayKey,
-            amount: total * 100,
-            currency: "INR",
+            amount: orderResponse.amount,
+            currency: orderResponse.currency || "INR",
             name: "KissanBandi",
             description: "Purchase of fresh produce",
             order_id: orderResponse.orderId,
@@ -168,17 +367,9 @@ const updateQuantity = (item, quantity) => {
                   order_details: {
                     items: state.items.map(item => ({
                       product: item._id || item.id,
-                      quantity: item.quantity,
-                      price: item.price
-                    })),
-                    shippingAddress: {
-                      address: formatAddress(user.address),
-                      city: user.city || '',
-                      state: user.state || '',
-                      pincode: user.pincode || '',
-                      phone: user.phone || ''
-                    },
-                    shipping: subtotal > 500 ? 0 : 50
+                      variant: item.variant,
+                      quantity: item.quantity
+                    }))
                   }
                 }, user.token);
 
@@ -229,7 +420,7 @@ const updateQuantity = (item, quantity) => {
           setIsProcessing(false);
         }
       } else {
-        await handleCODOrder();
+        await handlePayLaterOrder(selectedSlot);
       }
     } catch (error) {
       console.error('Payment error:', error);
@@ -238,25 +429,22 @@ const updateQuantity = (item, quantity) => {
     }
   };
 
-  const handleCODOrder = async () => {
+  // Cash on delivery, or on account for business buyers with credit
+  const handlePayLaterOrder = async (selectedSlot) => {
     try {
       const response = await ordersApi.createOrder({
         items: state.items.map(item => ({
           
           product: item._id || item.id,
-          quantity: item.quantity,
-          price: item.price
+          variant: item.variant,
+          
+          quantity: item.quantity
         })),
         
-        shippingAddress: {
-          address: formatAddress(user.address),
-          city: user.city || '',
-          state: user.state || '',
-          pincode: user.pincode || '',
-          phone: user.phone || ''
-        },
-        paymentMethod: 'cod',
-        shipping: subtotal > 500 ? 0 : 50
+        addressId: shippingAddress._id,
+        paymentMethod,
+        couponCode: appliedCoupon?.code,
+        deliverySlot: selectedSlot
       }, user.token);
 
       if (response._id) {
@@ -267,7 +455,7 @@ const updateQuantity = (item, quantity) => {
         throw new Error('Failed to create order');
       }
     } catch (error) {
-      console.error('COD order error:', error);
+      console.error('Pay later order error:', error);
       toast.error('Failed to place order. Please try again.');
     } finally {
       setIsProcessing(false);
@@ -330,10 +518,12 @@ const updateQuantity = (item, quantity) => {
                 </div>
               </div>
               
+              <CartChanges lines={cartChanges} items={state.items} onAccept={acceptCartChanges} />
+
               <div className="space-y-4">
                 {state.items.map((item, index) => (
                   <div 
-                    key={item._id} 
+                    key={`${item._id}-${item.variant || ''}`} 
                     className={`group bg-gradient-to-r from-white to-green-50/50 rounded-2xl p-6 border border-green-100 hover:border-green-200 hover:shadow-lg transition-all duration-300 transform hover:scale-[1.02] ${itemsLoaded ? 'animate-fade-in-up' : 'opacity-0'}`}
                     style={{ animationDelay: `${index * 100}ms` }}
                   >
@@ -353,8 +543,23 @@ const updateQuantity = (item, quantity) => {
                         </h3>
                         <p className="text-green-600 text-sm font-medium mb-1">{item.category}</p>
                         <div className="bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent font-bold text-lg">
-                          ₹{item.price}/{item.unit}
+                          ₹{item.price}/{item.packSize || item.unit}
                         </div>
+                        {wholesalePrice(item) !== null && (
+                          <p className="text-sm text-green-700 font-medium">
+                            Wholesale price ₹{wholesalePrice(item)} for this quantity
+                          </p>
+                        )}
+                        {item.variant && (
+                          <div className="mt-2">
+                            <VariantSelector
+                              product={item}
+                              value={item.variant}
+                              onChange={(variant) => changeVariant(item, variant)}
+                              compact
+                            />
+                          </div>
+                        )}
                       </div>
 
                       <div className="flex items-center space-x-6">
@@ -410,10 +615,65 @@ const updateQuantity = (item, quantity) => {
                     <Truck className="w-4 h-4 mr-1" />
                     Shipping
                   </span>
-                  <span className={`font-semibold ${shipping === 0 ? 'text-green-600' : ''}`}>
-                    {shipping === 0 ? 'Free' : `₹${shipping}`}
+                  <span className={`font-semibold ${deliveryFee === 0 ? 'text-green-600' : ''}`}>
+                    {deliveryFee === undefined
+                      ? (quoteLoading ? 'Calculating…' : '—')
+                      : deliveryFee === 0 ? 'Free' : `₹${deliveryFee.toFixed(2)}`}
                   </span>
                 </div>
+                {quote?.amountToFreeDelivery > 0 && (
+                  <p className="text-sm text-green-700 bg-green-50 rounded-lg px-3 py-2">
+                    Add ₹{quote.amountToFreeDelivery.toFixed(2)} more for free delivery
+                  </p>
+                )}
+                {discount > 0 && (
+                  <div className="flex justify-between text-green-600 text-lg">
+                    <span>Discount{appliedCoupon ? ` (${appliedCoupon.code})` : ''}</span>
+                    <span className="font-semibold">−₹{discount.toFixed(2)}</span>
+                  </div>
+                )}
+                {appliedCoupon ? (
+                  <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-xl px-3 py-2 text-sm">
+                    <span className="flex items-center text-green-700 font-medium">
+                      <Tag className="w-4 h-4 mr-1" />
+                      {appliedCoupon.code}
+                      {appliedCoupon.description && (
+                        <span className="ml-1 font-normal text-green-600">· {appliedCoupon.description}</span>
+                      )}
+                    </span>
+                    <button
+                      onClick={() => setAppliedCoupon(null)}
+                      className="text-red-500 hover:text-red-700"
+                      title="Remove coupon"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                      placeholder="Coupon code"
+                      className="flex-1 px-3 py-2 border-2 border-green-100 rounded-xl uppercase focus:outline-none focus:border-green-400"
+                    />
+                    <button
+                      onClick={handleApplyCoupon}
+                      disabled={applyingCoupon || !couponInput.trim()}
+                      className="px-4 py-2 bg-green-600 text-white rounded-xl font-medium hover:bg-green-700 disabled:bg-gray-300"
+                    >
+                      {applyingCoupon ? 'Applying…' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {tax > 0 && (
+                  <div className="flex justify-between text-gray-600 text-lg">
+                    <span>Tax</span>
+                    <span className="font-semibold">₹{tax.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="border-t-2 border-green-100 pt-4 flex justify-between font-bold text-xl">
                   <span className="text-gray-800">Total</span>
                   <span className="bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
@@ -422,6 +682,45 @@ const updateQuantity = (item, quantity) => {
                 </div>
               </div>
 
+              {deliveryBlocker && (
+                <div className="mb-8 flex items-start p-4 rounded-xl border-2 border-amber-200 bg-amber-50 text-amber-800 text-sm">
+                  <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+                  <span>{deliveryBlocker}</span>
+                </div>
+              )}
+
+              {/* Delivery Address */}
+              {user && (
+                <div className="mb-8">
+                  <h3 className="font-bold text-gray-800 mb-4 flex items-center">
+                    <MapPin className="w-5 h-5 text-green-600 mr-2" />
+                    Deliver To
+                  </h3>
+                  <AddressSelector value={shippingAddress} onChange={setShippingAddress} />
+                </div>
+              )}
+
+              {/* Delivery Slot */}
+              {user && (
+                <div className={slotsAvailable ? 'mb-8' : ''}>
+                  {slotsAvailable && (
+                    <h3 className="font-bold text-gray-800 mb-4 flex items-center">
+                      <Clock className="w-5 h-5 text-green-600 mr-2" />
+                      Delivery Slot
+                    </h3>
+                  )}
+                  <DeliverySlotPicker
+                    pincode={shippingPincode}
+                    value={deliverySlot}
+                    onChange={setDeliverySlot}
+                    onLoaded={(available) => {
+                      setSlotsAvailable(available);
+                      setDeliverySlot(null);
+                    }}
+                  />
+                </div>
+              )}
+
               {/* Payment Methods */}
               <div className="mb-8">
                 <h3 className="font-bold text-gray-800 mb-4 flex items-center">
@@ -461,12 +760,42 @@ const updateQuantity = (item, quantity) => {
                       </span>
                     </div>
                   </label>
+                  {canPayOnAccount && (
+                    <label className="group flex items-center space-x-3 p-4 rounded-xl border-2 border-green-100 hover:border-green-300 cursor-pointer transition-all duration-200 hover:bg-green-50/50">
+                      <input
+                        type="radio"
+                        name="payment"
+                        value="on_account"
+                        checked={paymentMethod === 'on_account'}
+                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        className="text-green-600 focus:ring-green-500 w-5 h-5"
+                      />
+                      <div>
+                        <div className="flex items-center">
+                          <FileText className="w-5 h-5 text-green-600 mr-2" />
+                          <span className="font-medium text-gray-700 group-hover:text-green-700">
+                            On Account (Net {creditAccount.termsDays})
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          ₹{creditAccount.available.toFixed(2)} of ₹{creditAccount.limit} credit available
+                        </p>
+                      </div>
+                    </label>
+                  )}
+                  {creditBlocker && (
+                    <p className="text-sm text-amber-700">{creditBlocker}</p>
+                  )}
                 </div>
               </div>
 
+              {cartChanges.length > 0 && (
+                <p className="text-sm text-amber-700 mb-3">Review the changes to your cart before paying</p>
+              )}
+
               <button 
                 onClick={handleProceedToPayment}
-                disabled={isProcessing}
+                disabled={isProcessing || Boolean(deliveryBlocker) || Boolean(creditBlocker) || cartChanges.length > 0}
                 className="group w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white py-4 rounded-2xl font-bold hover:from-green-700 hover:to-emerald-700 transition-all duration-300 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed transform hover:scale-105 hover:shadow-xl flex items-center justify-center text-lg"
               >
                 {isProcessing ? (
@@ -482,12 +811,14 @@ const updateQuantity = (item, quantity) => {
                 )}
               </button>
 
-              <div className="mt-6 text-center">
-                <div className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 text-green-700 text-sm font-medium rounded-full">
-                  <Truck className="w-4 h-4 mr-2" />
-                  Free delivery on orders above ₹500
+              {quote?.freeDeliveryThreshold > 0 && (
+                <div className="mt-6 text-center">
+                  <div className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 text-green-700 text-sm font-medium rounded-full">
+                    <Truck className="w-4 h-4 mr-2" />
+                    Free delivery on orders above ₹{quote.freeDeliveryThreshold}
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { CheckCircle, XCircle, Loader } from 'lucide-react';
+import { cartApi } from '../../services/api';
+
+// Landing page for the unsubscribe link in abandoned-cart reminder emails
+const UnsubscribeReminders = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('working'); // working, success, error
+  const user = searchParams.get('user');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!user || !token) {
+      setStatus('error');
+      return;
+    }
+
+    cartApi.unsubscribeReminders(user, token)
+      .then(() => setStatus('success'))
+      .catch(err => {
+        console.error('Unsubscribe error:', err);
+        setStatus('error');
+      });
+  }, [user, token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white p-8 rounded-xl shadow-lg text-center">
+        {status === 'working' && (
+          <>
+            <div className="flex justify-center mb-4">
+              <Loader className="h-12 w-12 text-green-500 animate-spin" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900">Updating your email settings</h2>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <div className="flex justify-center mb-4">
+              <div className="bg-green-100 p-3 rounded-full">
+                <CheckCircle className="h-12 w-12 text-green-500" />
+              </div>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">You are unsubscribed</h2>
+            <p className="text-gray-600 mb-6">
+              We will not email you about items left in your cart any more. Order emails are not affected.
+            </p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="flex justify-center mb-4">
+              <div className="bg-red-100 p-3 rounded-full">
+                <XCircle className="h-12 w-12 text-red-500" />
+              </div>
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Link not valid</h2>
+            <p className="text-gray-600 mb-6">
+              This unsubscribe link is not valid. Please use the link from your most recent email.
+            </p>
+          </>
+        )}
+
+        {status !== 'working' && (
+          <Link
+            to="/"
+            className="inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-green-600 hover:bg-green-700"
+          >
+            Continue Shopping
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnsubscribeReminders;
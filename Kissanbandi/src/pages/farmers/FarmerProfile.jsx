@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { MapPin, Award, ShoppingCart, ArrowLeft } from 'lucide-react';
+import { farmersApi } from '../../services/api';
+import { useCart } from '../checkout/CartContext';
+import { defaultVariant, withVariant } from '../../components/products/variants';
+
+const place = (farmer) => [farmer.village, farmer.district, farmer.state].filter(Boolean).join(', ');
+
+// Public profile of a farmer with the produce we source from them
+const FarmerProfile = () => {
+  const { id } = useParams();
+  const { dispatch } = useCart();
+  const [farmer, setFarmer] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    window.scrollTo({ top: 0 });
+    const loadProfile = async () => {
+      try {
+        setLoading(true);
+        const data = await farmersApi.getFarmer(id);
+        setFarmer(data.farmer);
+        setProducts(data.products);
+      } catch (err) {
+        console.error('Error loading farmer:', err);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProfile();
+  }, [id]);
+
+  const handleAddToCart = (product) => {
+    const item = withVariant(product, defaultVariant(product));
+    if (item.stock <= 0) {
+      toast.error(`Sorry, ${product.name} is out of stock!`);
+      return;
+    }
+    dispatch({ type: 'ADD_TO_CART', payload: item });
+    setTimeout(() => toast.success(`Added ${product.name} to cart!`), 0);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[50vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+      </div>
+    );
+  }
+
+  if (notFound || !farmer) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <p className="text-lg text-gray-600 mb-4">We could not find this farmer.</p>
+        <Link to="/farmers" className="text-green-600 hover:text-green-700 font-medium">See all our farmers</Link>
+      </div>
+    );
+  }
+
+  const [photo, ...gallery] = farmer.photos || [];
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8 space-y-8">
+      <Link to="/farmers" className="inline-flex items-center text-sm text-green-600 hover:text-green-700">
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        All farmers
+      </Link>
+
+      <div className="bg-white rounded-2xl shadow-lg p-6 flex flex-col md:flex-row gap-6">
+        {photo ? (
+          <img src={photo} alt={farmer.name} className="w-40 h-40 rounded-2xl object-cover" />
+        ) : (
+          <div className="w-40 h-40 rounded-2xl bg-green-100 flex items-center justify-center text-5xl">👨‍🌾</div>
+        )}
+        <div className="flex-1">
+          <h1 className="text-3xl font-bold text-gray-800">{farmer.name}</h1>
+          {place(farmer) && (
+            <p className="flex items-center text-gray-600 mt-2">
+              <MapPin className="w-4 h-4 mr-1 text-green-600" />
+              {place(farmer)}
+            </p>
+          )}
+          {farmer.about && <p className="text-gray-700 mt-4 whitespace-pre-line">{farmer.about}</p>}
+          {farmer.certifications?.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-4">
+              {farmer.certifications.map(certification => (
+                <span
+                  key={certification._id}
+                  className="inline-flex items-center px-3 py-1 rounded-full bg-green-50 text-green-700 text-sm"
+                  title={certification.issuedBy ? `Issued by ${certification.issuedBy}` : undefined}
+                >
+                  <Award className="w-4 h-4 mr-1" />
+                  {certification.name}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {gallery.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {gallery.map(url => (
+            <img key={url} src={url} alt={farmer.name} className="w-full h-40 rounded-xl object-cover" />
+          ))}
+        </div>
+      )}
+
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">Produce from {farmer.name}</h2>
+        {products.length === 0 ? (
+          <p className="text-gray-500">Nothing on sale right now. Check back soon.</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+            {products.map(product => {
+              const item = withVariant(product, defaultVariant(product));
+              return (
+                <div key={product._id} className="bg-white rounded-2xl shadow-md overflow-hidden flex flex-col">
+                  <img src={product.image} alt={product.name} className="w-full h-40 object-cover" />
+                  <div className="p-4 flex-1 flex flex-col">
+                    <h3 className="font-semibold text-gray-800">{product.name}</h3>
+                    <p className="text-green-600 font-bold mt-1">
+                      ₹{item.price}
+                      <span className="text-sm font-normal text-gray-500">/{item.packSize || product.unit}</span>
+                    </p>
+                    <button
+                      onClick={() => handleAddToCart(product)}
+                      disabled={item.stock <= 0}
+                      className="mt-auto pt-3 flex items-center justify-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50 text-sm"
+                    >
+                      <ShoppingCart className="w-4 h-4" />
+                      {item.stock > 0 ? 'Add to cart' : 'Out of stock'}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FarmerProfile;
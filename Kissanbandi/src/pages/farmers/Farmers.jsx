@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin } from 'lucide-react';
+import { farmersApi } from '../../services/api';
+
+const place = (farmer) => [farmer.village, farmer.district].filter(Boolean).join(', ');
+
+// Directory of the farmers we source from
+const Farmers = () => {
+  const [farmers, setFarmers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    window.scrollTo({ top: 0 });
+    farmersApi.getFarmers()
+      .then(setFarmers)
+      .catch(err => console.error('Error loading farmers:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+        Our Farmers
+      </h1>
+      <p className="text-gray-600 mt-2 mb-8">Meet the people who grow what you buy</p>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+        </div>
+      ) : farmers.length === 0 ? (
+        <p className="text-center py-12 text-gray-500">No farmers listed yet</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {farmers.map(farmer => (
+            <Link
+              key={farmer._id}
+              to={`/farmers/${farmer._id}`}
+              className="bg-white rounded-2xl shadow-md hover:shadow-lg transition-shadow duration-200 p-5 flex items-center gap-4"
+            >
+              {farmer.photos?.[0] ? (
+                <img src={farmer.photos[0]} alt={farmer.name} className="w-16 h-16 rounded-full object-cover" />
+              ) : (
+                <div className="w-16 h-16 rounded-full bg-green-100 flex items-center justify-center text-2xl">👨‍🌾</div>
+              )}
+              <div>
+                <p className="font-semibold text-gray-800">{farmer.name}</p>
+                {place(farmer) && (
+                  <p className="flex items-center text-sm text-gray-500 mt-1">
+                    <MapPin className="w-3 h-3 mr-1" />
+                    {place(farmer)}
+                  </p>
+                )}
+                {farmer.certifications?.length > 0 && (
+                  <p className="text-xs text-green-600 mt-1">
+                    {farmer.certifications.map(certification => certification.name).join(' · ')}
+                  </p>
+                )}
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Farmers;
@@ -7,12 +7,15 @@ import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { categories } from '../../data/products';
 import { usersApi, productsApi } from '../../services/api';
+import VariantSelector from '../../components/products/VariantSelector';
+import { findVariant, withVariant } from '../../components/products/variants';
 
 const SeasonalFruits = ({ showAll = false }) => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [wishlist, setWishlist] = useState(new Set());
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id -> pack size id
 
   const { dispatch } = useCart();
   const navigate = useNavigate();
@@ -221,7 +224,9 @@ const SeasonalFruits = ({ showAll = false }) => {
         {/* Products Grid */}
         {filteredProducts.length > 0 ? (
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
-            {filteredProducts.map(product => (
+            {filteredProducts
+              .map(product => withVariant(product, findVariant(product, selectedVariants[product._id])))
+              .map(product => (
               <div
                 key={product._id}
                 className="bg-white rounded-xl shadow-lg p-4 relative group flex flex-col"
@@ -246,10 +251,21 @@ const SeasonalFruits = ({ showAll = false }) => {
                 <h3 className="text-lg font-semibold text-gray-800">{product.name}</h3>
                 <p className="text-gray-600 text-sm capitalize">{product.category}</p>
 
+                <div className="mt-3">
+                  <VariantSelector
+                    product={product}
+                    value={product.variant}
+                    onChange={(variant) => setSelectedVariants(prev => ({ ...prev, [product._id]: variant._id }))}
+                  />
+                </div>
+
                 <div className="mt-auto pt-4 flex justify-between items-center">
                   <div className="text-xl font-bold text-green-700">
                     ₹{product.price}
-                    <span className="text-sm text-gray-500">/{product.unit}</span>
+                    {product.mrp > product.price && (
+                      <span className="ml-1 text-sm font-normal text-gray-400 line-through">₹{product.mrp}</span>
+                    )}
+                    <span className="text-sm text-gray-500">/{product.packSize || product.unit}</span>
                   </div>
                   <button
                     onClick={() => handleAddToCart(product)}
@@ -1,10 +1,13 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { Filter, Search, ChevronDown, Star, Heart, ShoppingCart, Sparkles, Lock } from 'lucide-react';
 import { useCart } from '../checkout/CartContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { categories } from '../../data/products';
 import { usersApi, productsApi } from '../../services/api';
+import VariantSelector from '../../components/products/VariantSelector';
+import ProductReviews, { Stars } from '../../components/products/ProductReviews';
+import { findVariant, withVariant } from '../../components/products/variants';
 import { useAuth } from '../checkout/AuthProvider'; // Add this import
 
 const ProductCatalog = ({ showAll = false }) => {
@@ -12,6 +15,8 @@ const ProductCatalog = ({ showAll = false }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [wishlist, setWishlist] = useState(new Set());
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id -> pack size id
+  const [reviewProduct, setReviewProduct] = useState(null);
 
   // Auth context
   const auth = useAuth();
@@ -323,7 +328,9 @@ const ProductCatalog = ({ showAll = false }) => {
 
         {/* Enhanced Product Grid */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
-          {filteredProducts.map((product, index) => {
+          {filteredProducts.map((listed, index) => {
+            // Price, MRP and stock of the chosen pack for products sold in pack sizes
+            const product = withVariant(listed, findVariant(listed, selectedVariants[listed._id]));
             const productStatus = getProductStatus(product);
             const isUnavailable = productStatus.type !== 'available';
             
@@ -384,6 +391,30 @@ const ProductCatalog = ({ showAll = false }) => {
                   <h3 className="text-xl font-bold text-gray-800 mb-4 group-hover:text-green-700 transition-colors duration-300 flex-grow">
                     {product.name}
                   </h3>
+                  {product.farmer?.name && (
+                    <Link
+                      to={`/farmers/${product.farmer._id}`}
+                      className="text-sm text-gray-600 hover:text-green-700 mb-3"
+                    >
+                      👨‍🌾 Grown by {product.farmer.name}
+                      {product.farmer.district && `, ${product.farmer.district}`}
+                    </Link>
+                  )}
+
+                  <button
+                    type="button"
+                    onClick={() => setReviewProduct(listed)}
+                    className="flex items-center gap-2 mb-3 text-sm text-gray-600 hover:text-green-700"
+                  >
+                    <Stars value={product.rating || 0} />
+                    {product.reviews > 0 ? `${product.rating} (${product.reviews})` : 'No reviews yet'}
+                  </button>
+
+                  <VariantSelector
+                    product={listed}
+                    value={product.variant}
+                    onChange={(variant) => setSelectedVariants(prev => ({ ...prev, [listed._id]: variant._id }))}
+                  />
 
                   <div className="flex justify-between items-end">
                     <div className="flex flex-col">
@@ -392,8 +423,11 @@ const ProductCatalog = ({ showAll = false }) => {
                       }`}>
                         ₹{product.price}
                       </div>
+                      {product.mrp > product.price && (
+                        <span className="text-sm text-gray-400 line-through">₹{product.mrp}</span>
+                      )}
                       <span className="text-sm text-gray-600 font-normal">
-                        /{product.unit}
+                        /{product.packSize || product.unit}
                       </span>
                       {productStatus.type === 'available' && product.stock && (
                         <span className="text-xs text-green-600 font-medium mt-1">
@@ -511,6 +545,10 @@ const ProductCatalog = ({ showAll = false }) => {
         .delay-200 { animation-delay: 0.2s; }
         .delay-300 { animation-delay: 0.3s; }
       `}</style>
+
+      {reviewProduct && (
+        <ProductReviews product={reviewProduct} onClose={() => setReviewProduct(null)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeft, Package, MapPin, IndianRupee, Truck } from 'lucide-react';
+import { ordersApi } from '../../services/api';
+import ShipmentTimeline from '../../components/orders/ShipmentTimeline';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const formatAddress = (address) => [
+  address?.address,
+  address?.city,
+  address?.state,
+  address?.pincode && `PIN: ${address.pincode}`
+].filter(Boolean).join(', ');
+
+// One of the customer's orders with its delivery tracking timeline
+const OrderDetails = () => {
+  const { id } = useParams();
+  const [order, setOrder] = useState(null);
+  const [shipment, setShipment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    window.scrollTo({ top: 0 });
+    const loadOrder = async () => {
+      try {
+        setLoading(true);
+        const [orderData, shipmentData] = await Promise.all([
+          ordersApi.getOrder(id),
+          ordersApi.getShipment(id)
+        ]);
+        setOrder(orderData);
+        setShipment(shipmentData);
+      } catch (err) {
+        console.error('Error loading order:', err);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadOrder();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[50vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+      </div>
+    );
+  }
+
+  if (notFound || !order) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <p className="text-lg text-gray-600 mb-4">We could not find this order.</p>
+        <Link to="/orders" className="text-green-600 hover:text-green-700 font-medium">Back to my orders</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 pt-32 space-y-6">
+      <Link to="/orders" className="inline-flex items-center text-sm text-green-600 hover:text-green-700">
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        My orders
+      </Link>
+
+      <div className="bg-white rounded-2xl shadow-lg p-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Order #{order._id.slice(-8).toUpperCase()}</h1>
+          <p className="text-sm text-gray-500">
+            Placed {new Date(order.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}
+          </p>
+        </div>
+        <div className="flex items-center gap-4">
+          <span className="flex items-center text-xl font-bold text-green-700">
+            <IndianRupee className="w-5 h-5" />
+            {order.totalAmount?.toFixed(2)}
+          </span>
+          <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${STATUS_STYLES[order.status] || 'bg-gray-100 text-gray-800'}`}>
+            {order.status}
+          </span>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-lg p-6">
+        <h2 className="text-lg font-bold text-gray-800 flex items-center mb-4">
+          <Truck className="w-5 h-5 text-green-600 mr-2" />
+          Tracking
+        </h2>
+        {order.status === 'cancelled' && (
+          <p className="text-sm text-red-600 mb-4">This order was cancelled.</p>
+        )}
+        <ShipmentTimeline order={order} shipment={shipment} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center mb-4">
+            <Package className="w-5 h-5 text-green-600 mr-2" />
+            Items
+          </h2>
+          <ul className="divide-y divide-gray-100">
+            {order.items.map(item => (
+              <li key={item._id} className="py-2 flex justify-between text-sm">
+                <span className="text-gray-800">
+                  {item.product?.name || 'Product'}{item.packSize ? ` (${item.packSize})` : ''} × {item.packedQuantity ?? item.quantity}
+                </span>
+                <span className="text-gray-600">₹{(item.packedAmount ?? item.price * item.quantity).toFixed(2)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center mb-4">
+            <MapPin className="w-5 h-5 text-green-600 mr-2" />
+            Delivery address
+          </h2>
+          {order.shippingAddress?.label && (
+            <p className="font-semibold text-gray-800">{order.shippingAddress.label}</p>
+          )}
+          <p className="text-sm text-gray-700">{formatAddress(order.shippingAddress)}</p>
+          {order.deliverySlot?.date && (
+            <p className="text-sm text-gray-700 mt-2">
+              Slot: {new Date(`${order.deliverySlot.date}T00:00:00`).toLocaleDateString('en-IN', {
+                weekday: 'short',
+                day: 'numeric',
+                month: 'short'
+              })}, {order.deliverySlot.label}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetails;
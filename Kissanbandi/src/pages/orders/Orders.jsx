@@ -1,8 +1,11 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useAuth } from '../checkout/AuthProvider';
 import { toast } from 'react-hot-toast';
-import { Package, Clock, MapPin, IndianRupee, Loader, Search, AlertCircle, RefreshCw, Filter, Calendar, CheckCircle } from 'lucide-react';
-import api from '../../services/api';
+import { Link } from 'react-router-dom';
+import { Package, Clock, MapPin, IndianRupee, Loader, Search, AlertCircle, RefreshCw, Filter, Calendar, CheckCircle, FileText, Truck } from 'lucide-react';
+import api, { ordersApi } from '../../services/api';
+import OrderStatusTimeline from '../../components/orders/OrderStatusTimeline';
+import ProductReviews from '../../components/products/ProductReviews';
 
 // Constants
 const STATUS_COLORS = {
@@ -25,6 +28,9 @@ const Orders = () => {
     const [filter, setFilter] = useState('all');
     const [refreshKey, setRefreshKey] = useState(0);
     const [ordersLoaded, setOrdersLoaded] = useState(false);
+    const [expandedHistory, setExpandedHistory] = useState(new Set());
+    const [downloadingInvoice, setDownloadingInvoice] = useState(null);
+    const [reviewProduct, setReviewProduct] = useState(null);
 
     const loadOrders = useCallback(async () => {
         try {
@@ -131,6 +137,29 @@ const Orders = () => {
         toast.success('Refreshing orders...');
     };
 
+    const toggleHistory = (orderId) => {
+        setExpandedHistory(prev => {
+            const next = new Set(prev);
+            if (next.has(orderId)) {
+                next.delete(orderId);
+            } else {
+                next.add(orderId);
+            }
+            return next;
+        });
+    };
+
+    const handleDownloadInvoice = async (orderId) => {
+        try {
+            setDownloadingInvoice(orderId);
+            await ordersApi.downloadInvoice(orderId);
+        } catch (error) {
+            console.error('Error downloading invoice:', error);
+        } finally {
+            setDownloadingInvoice(null);
+        }
+    };
+
     const handleImageError = (e) => {
         e.target.onerror = null;
         e.target.src = FALLBACK_IMAGE;
@@ -291,6 +320,12 @@ const Orders = () => {
                                                         {order.totalAmount?.toFixed(2) || '0.00'}
                                                     </div>
                                                 </div>
+                                                {order.packing?.packedAt && order.packing.originalTotal !== order.totalAmount && (
+                                                    <div className="text-xs text-gray-500 mt-1">
+                                                        Adjusted after weighing from <span className="line-through">₹{order.packing.originalTotal?.toFixed(2)}</span>
+                                                        {order.packing.settlement === 'refund' && ' · difference refunded'}
+                                                    </div>
+                                                )}
                                                 <div className="text-sm text-gray-600 mt-1 bg-green-50 px-3 py-1 rounded-full inline-block">
                                                     {(order.items || []).length} {(order.items || []).length === 1 ? 'item' : 'items'}
                                                 </div>
@@ -320,12 +355,26 @@ const Orders = () => {
                                                                 <div className="flex-1">
                                                                     <div className="font-bold text-gray-800 group-hover:text-green-700 transition-colors">
                                                                         {item?.product?.name || 'Product Name Not Available'}
+                                                                        {item?.packSize && <span className="ml-1 text-sm font-medium text-gray-500">({item.packSize})</span>}
                                                                     </div>
                                                                     <div className="text-sm text-gray-600 mt-1">
                                                                         <span className="bg-green-100 text-green-700 px-2 py-1 rounded-full text-xs font-medium">
                                                                             {item?.quantity || 0} × ₹{item?.price?.toFixed(2) || '0.00'}
                                                                         </span>
+                                                                        {item?.packedQuantity !== undefined && item.packedQuantity !== item.quantity && (
+                                                                            <span className="ml-2 text-xs text-gray-500">
+                                                                                weighed {item.packedQuantity} = ₹{item.packedAmount?.toFixed(2)}
+                                                                            </span>
+                                                                        )}
                                                                     </div>
+                                                                    {order.status === 'delivered' && item?.product?._id && (
+                                                                        <button
+                                                                            onClick={() => setReviewProduct(item.product)}
+                                                                            className="text-xs font-semibold text-green-700 hover:text-green-800 mt-2"
+                                                                        >
+                                                                            Rate & review
+                                                                        </button>
+                                                                    )}
                                                                 </div>
                                                             </div>
                                                         ))}
@@ -344,12 +393,64 @@ const Orders = () => {
                                                                 <MapPin className="w-4 h-4 text-green-600" />
                                                             </div>
                                                             <div className="text-gray-700 leading-relaxed">
+                                                                {order.shippingAddress?.label && (
+                                                                    <span className="block font-semibold text-gray-800">{order.shippingAddress.label}</span>
+                                                                )}
                                                                 {formatAddress(order.shippingAddress)}
                                                             </div>
                                                         </div>
+                                                        {order.deliverySlot?.date && (
+                                                            <div className="flex items-center space-x-3 mt-3 text-gray-700">
+                                                                <div className="p-2 bg-gradient-to-r from-green-100 to-emerald-100 rounded-lg flex-shrink-0">
+                                                                    <Clock className="w-4 h-4 text-green-600" />
+                                                                </div>
+                                                                <span>
+                                                                    {new Date(`${order.deliverySlot.date}T00:00:00`).toLocaleDateString('en-IN', {
+                                                                        weekday: 'short',
+                                                                        day: 'numeric',
+                                                                        month: 'short'
+                                                                    })}, {order.deliverySlot.label}
+                                                                </span>
+                                                            </div>
+                                                        )}
                                                     </div>
                                                 </div>
                                             </div>
+
+                                            {/* Status History */}
+                                            <div className="mt-6">
+                                                <div className="flex flex-wrap items-center gap-6">
+                                                    <Link
+                                                        to={`/orders/${order._id}`}
+                                                        className="text-sm font-semibold text-green-700 hover:text-green-800 flex items-center"
+                                                    >
+                                                        <Truck className="w-4 h-4 mr-2" />
+                                                        Track order
+                                                    </Link>
+                                                    <button
+                                                        onClick={() => toggleHistory(order._id)}
+                                                        className="text-sm font-semibold text-green-700 hover:text-green-800 flex items-center"
+                                                    >
+                                                        <Clock className="w-4 h-4 mr-2" />
+                                                        {expandedHistory.has(order._id) ? 'Hide order history' : 'Show order history'}
+                                                    </button>
+                                                    {order.status === 'delivered' && (
+                                                        <button
+                                                            onClick={() => handleDownloadInvoice(order._id)}
+                                                            disabled={downloadingInvoice === order._id}
+                                                            className="text-sm font-semibold text-green-700 hover:text-green-800 flex items-center disabled:opacity-50"
+                                                        >
+                                                            <FileText className="w-4 h-4 mr-2" />
+                                                            {downloadingInvoice === order._id ? 'Preparing invoice...' : 'Download invoice'}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                                {expandedHistory.has(order._id) && (
+                                                    <div className="mt-4 bg-white/60 p-4 rounded-xl">
+                                                        <OrderStatusTimeline history={order.statusHistory} />
+                                                    </div>
+                                                )}
+                                            </div>
                                         </div>
                                     </div>
                                 ))}
@@ -375,6 +476,10 @@ const Orders = () => {
                     animation: fade-in-up 0.8s ease-out forwards;
                 }
             `}</style>
+
+            {reviewProduct && (
+                <ProductReviews product={reviewProduct} onClose={() => setReviewProduct(null)} />
+            )}
         </div>
     );
 };
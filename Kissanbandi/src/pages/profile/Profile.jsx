@@ -3,6 +3,9 @@ import { useAuth } from '../checkout/AuthProvider';
 import { toast } from 'react-hot-toast';
 import { User, Mail, Phone, MapPin, Building2, Save, Loader } from 'lucide-react';
 import api from '../../services/api';
+import PincodeServiceability from '../../components/common/PincodeServiceability';
+import AddressBook from '../../components/profile/AddressBook';
+import CreditAccount from '../../components/profile/CreditAccount';
 
 const INDIAN_STATES = [
   'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
@@ -292,6 +295,7 @@ const Profile = () => {
                         className="w-full px-4 py-3 border-2 border-green-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all duration-300 group-hover:border-green-300 bg-white"
                         placeholder="6-digit pincode"
                       />
+                      <PincodeServiceability pincode={formData.address.pincode} />
                     </div>
                   </div>
                 </div>
@@ -319,6 +323,10 @@ const Profile = () => {
               </div>
             </form>
           </div>
+
+          <AddressBook />
+
+          {user?.role === 'business' && <CreditAccount />}
         </div>
       </div>
 
@@ -0,0 +1,40 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { Package, ClipboardList } from 'lucide-react';
+
+const navItems = [
+  { name: 'My Products', icon: Package, path: '/seller', end: true },
+  { name: 'Orders', icon: ClipboardList, path: '/seller/orders' }
+];
+
+// Seller portal shell: a heading and tabs above the seller's pages
+const SellerLayout = ({ children }) => {
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+        Seller Portal
+      </h1>
+      <p className="text-gray-600 mt-2">List your produce and pack the orders that include it</p>
+
+      <nav className="flex gap-2 mt-6 mb-8 border-b border-gray-200">
+        {navItems.map(item => (
+          <NavLink
+            key={item.path}
+            to={item.path}
+            end={item.end}
+            className={({ isActive }) => `flex items-center gap-2 px-4 py-2 -mb-px border-b-2 font-medium transition-colors duration-200 ${
+              isActive ? 'border-green-600 text-green-700' : 'border-transparent text-gray-600 hover:text-green-700'
+            }`}
+          >
+            <item.icon className="w-4 h-4" />
+            {item.name}
+          </NavLink>
+        ))}
+      </nav>
+
+      {children}
+    </div>
+  );
+};
+
+export default SellerLayout;
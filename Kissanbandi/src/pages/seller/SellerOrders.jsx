@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { ClipboardList, PackageCheck } from 'lucide-react';
+import { sellerApi } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-700'
+};
+
+// Orders that include the seller's products, showing only their lines
+const SellerOrders = () => {
+  const [orders, setOrders] = useState([]);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await sellerApi.getOrders({ status: status || undefined, page });
+      setOrders(data.orders);
+      setTotalPages(data.totalPages || 1);
+    } catch (err) {
+      console.error('Error loading orders:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders]);
+
+  const handlePacked = async (order, item) => {
+    try {
+      setBusyId(item._id);
+      await sellerApi.markLinePacked(order._id, item._id);
+      toast.success('Marked as packed');
+      loadOrders();
+    } catch (err) {
+      console.error('Error marking line packed:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const canPack = (order) => !['cancelled', 'delivered'].includes(order.status);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="px-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          <option value="">All orders</option>
+          <option value="pending">Pending</option>
+          <option value="processing">Processing</option>
+          <option value="shipped">Shipped</option>
+          <option value="delivered">Delivered</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+        </div>
+      ) : orders.length === 0 ? (
+        <div className="bg-white rounded-2xl shadow-lg text-center py-12 text-gray-500">
+          <ClipboardList className="w-12 h-12 mx-auto mb-3 text-green-300" />
+          No orders with your products yet
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {orders.map(order => (
+            <div key={order._id} className="bg-white rounded-2xl shadow-lg border border-green-100 p-6">
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <div>
+                  <div className="font-bold text-gray-900">Order #{order._id.slice(-8).toUpperCase()}</div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(order.createdAt).toLocaleString()}
+                    {order.deliverySlot?.date && ` · Delivery ${order.deliverySlot.date} ${order.deliverySlot.label || ''}`}
+                  </div>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[order.status]}`}>
+                  {order.status}
+                </span>
+              </div>
+
+              <div className="divide-y divide-gray-100">
+                {order.items.map(item => (
+                  <div key={item._id} className="py-3 flex items-center justify-between gap-4 text-sm">
+                    <div className="flex items-center gap-3">
+                      {item.product?.image && <img src={item.product.image} alt="" className="w-10 h-10 rounded-lg object-cover" />}
+                      <div>
+                        <div className="font-medium text-gray-900">
+                          {item.product?.name || 'Deleted product'}
+                          {item.packSize && <span className="text-gray-500"> ({item.packSize})</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">{item.quantity} × ₹{item.price}</div>
+                      </div>
+                    </div>
+                    {item.sellerPackedAt ? (
+                      <span className="flex items-center gap-1 text-xs text-green-700">
+                        <PackageCheck className="w-4 h-4" />
+                        Packed {new Date(item.sellerPackedAt).toLocaleString()}
+                      </span>
+                    ) : canPack(order) ? (
+                      <button
+                        onClick={() => handlePacked(order, item)}
+                        disabled={busyId === item._id}
+                        className="px-3 py-1 text-xs text-green-700 border border-green-200 rounded-lg hover:bg-green-50 disabled:opacity-50"
+                      >
+                        Mark packed
+                      </button>
+                    ) : null}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <button
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={page >= totalPages}
+            className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SellerOrders;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Plus, Edit, Trash2, X, Package } from 'lucide-react';
+import { productsApi, sellerApi } from '../../services/api';
+import { categories } from '../../data/products';
+import ProductForm from '../../components/ProductForm';
+
+const APPROVAL_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+const APPROVAL_LABELS = {
+  pending: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Changes needed'
+};
+
+// The seller's own listings. New and edited-after-rejection listings wait
+// for an admin to approve them before they go on sale.
+const SellerProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+
+  const loadProducts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setProducts(await sellerApi.getProducts());
+    } catch (err) {
+      console.error('Error loading products:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingProduct(null);
+  };
+
+  const handleSubmit = async (productData) => {
+    try {
+      if (editingProduct) {
+        await productsApi.updateProduct(editingProduct._id, productData);
+        toast.success('Product updated');
+      } else {
+        await productsApi.createProduct(productData);
+        toast.success('Product submitted for approval');
+      }
+      closeForm();
+      loadProducts();
+    } catch (err) {
+      console.error('Error saving product:', err);
+    }
+  };
+
+  const handleDelete = async (product) => {
+    if (!window.confirm(`Delete ${product.name}?`)) return;
+    try {
+      await productsApi.deleteProduct(product._id);
+      toast.success('Product deleted');
+      loadProducts();
+    } catch (err) {
+      console.error('Error deleting product:', err);
+    }
+  };
+
+  const handleToggleStatus = async (product) => {
+    try {
+      if (product.status === 'active') {
+        await productsApi.InactiveProduct(product._id);
+      } else {
+        await productsApi.ActiveProduct(product._id);
+      }
+      loadProducts();
+    } catch (err) {
+      console.error('Error updating product status:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setShowForm(true)}
+          className="flex items-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-xl hover:from-green-600 hover:to-emerald-700 shadow-lg"
+        >
+          <Plus className="w-4 h-4" />
+          Add product
+        </button>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-lg overflow-hidden border border-green-100">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : products.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Package className="w-12 h-12 mx-auto mb-3 text-green-300" />
+            You have not listed any products yet
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gradient-to-r from-green-50 to-emerald-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-4 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Price</th>
+                  <th className="px-6 py-4 text-right text-xs font-bold text-green-700 uppercase tracking-wider">Stock</th>
+                  <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">Approval</th>
+                  <th className="px-6 py-4 text-left text-xs font-bold text-green-700 uppercase tracking-wider">On sale</th>
+                  <th className="px-6 py-4 text-right text-xs font-bold text-green-700 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {products.map(product => (
+                  <tr key={product._id} className="hover:bg-green-50">
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-3">
+                        {product.image && <img src={product.image} alt="" className="w-10 h-10 rounded-lg object-cover" />}
+                        <div>
+                          <div className="font-medium text-gray-900">{product.name}</div>
+                          <div className="text-xs text-gray-500">{product.category}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-right text-gray-800">₹{product.price}/{product.unit}</td>
+                    <td className="px-6 py-4 text-right text-gray-800">{product.stock}</td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${APPROVAL_STYLES[product.approvalStatus]}`}>
+                        {APPROVAL_LABELS[product.approvalStatus]}
+                      </span>
+                      {product.approvalNote && product.approvalStatus === 'rejected' && (
+                        <div className="text-xs text-red-600 mt-1 max-w-xs">{product.approvalNote}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      {product.approvalStatus === 'approved' ? (
+                        <button
+                          onClick={() => handleToggleStatus(product)}
+                          className={`px-3 py-1 rounded-full text-xs font-medium ${
+                            product.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                          }`}
+                          title={product.status === 'active' ? 'Take off sale' : 'Put on sale'}
+                        >
+                          {product.status === 'active' ? 'Active' : 'Inactive'}
+                        </button>
+                      ) : (
+                        <span className="text-xs text-gray-400">After approval</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => {
+                          setEditingProduct(product);
+                          setShowForm(true);
+                        }}
+                        className="p-2 text-green-600 hover:bg-green-100 rounded-lg"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(product)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                {editingProduct ? 'Edit Product' : 'Add New Product'}
+              </h2>
+              <button
+                onClick={closeForm}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-xl transition-all duration-200"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+            {editingProduct?.approvalStatus === 'rejected' && (
+              <p className="mb-4 text-sm text-amber-700 bg-amber-50 rounded-xl p-3">
+                Saving sends this listing back for approval.
+              </p>
+            )}
+            <ProductForm
+              initialData={editingProduct}
+              onSubmit={handleSubmit}
+              categories={categories}
+              showFarmer={false}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SellerProducts;
@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Repeat, Plus, X, Pause, Play, Calendar, AlertCircle, Trash2 } from 'lucide-react';
+import { subscriptionsApi, slotsApi } from '../../services/api';
+import { useCart } from '../checkout/CartContext';
+import AddressSelector from '../../components/checkout/AddressSelector';
+
+const FREQUENCY_LABELS = {
+  daily: 'Every day',
+  weekly: 'Every week',
+  biweekly: 'Every two weeks'
+};
+
+const STATUS_COLORS = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+const formatDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-IN', {
+  weekday: 'short', day: 'numeric', month: 'short'
+});
+
+const itemName = (item) => {
+  const product = item.product || {};
+  const variant = (product.variants || []).find(entry => entry._id === item.variant);
+  return `${product.name || 'Unknown Product'}${variant ? ` (${variant.packSize})` : ''}`;
+};
+
+// Start a subscription from what is in the cart
+const SubscriptionForm = ({ onClose, onSaved }) => {
+  const { state } = useCart();
+  const [items, setItems] = useState(() => state.items.map(item => ({
+    key: `${item._id || item.id}:${item.variant || ''}`,
+    product: item._id || item.id,
+    variant: item.variant,
+    name: `${item.name}${item.packSize ? ` (${item.packSize})` : ''}`,
+    quantity: item.quantity
+  })));
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState('weekly');
+  const [address, setAddress] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [slot, setSlot] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Slots that deliver to the chosen address, one entry per weekly slot
+  useEffect(() => {
+    if (!address?.pincode) return;
+    let cancelled = false;
+
+    slotsApi.getAvailableSlots(address.pincode)
+      .then(data => {
+        if (cancelled) return;
+        const seen = new Map();
+        data.days.forEach(day => day.slots.forEach(entry => {
+          if (!seen.has(entry.slotId)) {
+            seen.set(entry.slotId, { _id: entry.slotId, label: `${day.weekday} ${entry.label}` });
+          }
+        }));
+        setSlots([...seen.values()]);
+      })
+      .catch(err => console.error('Error loading slots:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [address?.pincode]);
+
+  const updateQuantity = (key, quantity) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, quantity } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems(prev => prev.filter(item => item.key !== key));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (items.length === 0) {
+      toast.error('Add some items to your cart first');
+      return;
+    }
+    if (!address) {
+      toast.error('Please choose a delivery address');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await subscriptionsApi.createSubscription({
+        name: name.trim() || undefined,
+        items: items.map(({ product, variant, quantity }) => ({ product, variant, quantity: Number(quantity) })),
+        frequency,
+        addressId: address._id,
+        slot: slot || null,
+        startDate: startDate || undefined
+      });
+      toast.success('Subscription started');
+      onSaved();
+    } catch (err) {
+      console.error('Error creating subscription:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-gray-800">New Subscription</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="My basket"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Items</label>
+            {items.length === 0 ? (
+              <Link to="/products" className="text-sm font-medium text-green-700 hover:text-green-800">
+                Your cart is empty. Add the items you want delivered regularly.
+              </Link>
+            ) : (
+              <div className="space-y-2">
+                {items.map(item => (
+                  <div key={item.key} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-green-50">
+                    <span className="text-sm text-gray-800">{item.name}</span>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="1"
+                        value={item.quantity}
+                        onChange={(e) => updateQuantity(item.key, e.target.value)}
+                        className="w-20 px-2 py-1 border border-gray-200 rounded-lg text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeItem(item.key)}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Remove"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">How often</label>
+              <select value={frequency} onChange={(e) => setFrequency(e.target.value)} className={`${inputClass} bg-white`}>
+                {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">First delivery</label>
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-1">Leave empty for the earliest possible date.</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Deliver to</label>
+            <AddressSelector value={address} onChange={setAddress} />
+          </div>
+
+          {slots.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Preferred slot</label>
+              <select value={slot} onChange={(e) => setSlot(e.target.value)} className={`${inputClass} bg-white`}>
+                <option value="">Any available slot</option>
+                {slots.map(entry => (
+                  <option key={entry._id} value={entry._id}>{entry.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Weekly deliveries arrive on this slot&apos;s day. If it is full, we book the nearest one.
+              </p>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">Subscription orders are paid cash on delivery.</p>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl hover:from-green-600 hover:to-emerald-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Start Subscription'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const Subscriptions = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setSubscriptions(await subscriptionsApi.getMySubscriptions());
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  // Run an action on one subscription and swap in the updated copy
+  const runAction = async (subscription, action, message) => {
+    try {
+      setBusyId(subscription._id);
+      const updated = await action();
+      setSubscriptions(prev => prev
+        .map(entry => (entry._id === updated._id ? updated : entry))
+        .filter(entry => entry.status !== 'cancelled'));
+      toast.success(message);
+    } catch (err) {
+      console.error('Error updating subscription:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = (subscription) => {
+    if (!window.confirm(`Cancel ${subscription.name}? Orders already placed will still be delivered.`)) return;
+    runAction(subscription, () => subscriptionsApi.cancelSubscription(subscription._id), 'Subscription cancelled');
+  };
+
+  const toggleSkip = (subscription, delivery) => {
+    if (delivery.skipped === 'Skipped by customer') {
+      runAction(subscription, () => subscriptionsApi.unskipDelivery(subscription._id, delivery.date), 'Delivery restored');
+    } else {
+      runAction(subscription, () => subscriptionsApi.skipDelivery(subscription._id, delivery.date), 'Delivery skipped');
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-emerald-100 p-6">
+        <div className="flex justify-center items-center h-64">
+          <div className="bg-white rounded-2xl shadow-lg p-8 max-w-md mx-auto text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-lg font-medium text-red-600 mb-4">{error}</p>
+            <button
+              onClick={loadSubscriptions}
+              className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-50 to-teal-50">
+      <div className="max-w-4xl mx-auto p-6 space-y-8">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+              My Subscriptions
+            </h1>
+            <p className="text-gray-600 mt-2">Regular deliveries of the produce you buy every week</p>
+          </div>
+          <button
+            onClick={() => setIsFormOpen(true)}
+            className="flex items-center gap-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white px-6 py-3 rounded-xl hover:from-green-600 hover:to-emerald-700 transition-all duration-200 shadow-lg"
+          >
+            <Plus className="w-5 h-5" />
+            Subscribe to Cart
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-lg p-12 text-center text-gray-500 border border-green-100">
+            <Repeat className="w-12 h-12 mx-auto mb-3 text-green-300" />
+            No subscriptions yet. Fill your cart and subscribe to have it delivered regularly.
+          </div>
+        ) : (
+          subscriptions.map(subscription => {
+            const busy = busyId === subscription._id;
+            return (
+              <div key={subscription._id} className="bg-white rounded-2xl shadow-lg p-6 border border-green-100 space-y-4">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div>
+                    <h2 className="text-xl font-bold text-gray-800">{subscription.name}</h2>
+                    <p className="text-sm text-gray-600">
+                      {FREQUENCY_LABELS[subscription.frequency]}
+                      {subscription.slot && ` · ${subscription.slot.label || `${subscription.slot.startTime}–${subscription.slot.endTime}`}`}
+                    </p>
+                  </div>
+                  <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_COLORS[subscription.status]}`}>
+                    {subscription.status}
+                    {subscription.status === 'active' && subscription.pausedUntil && ` · paused until ${formatDate(subscription.pausedUntil)}`}
+                  </span>
+                </div>
+
+                <ul className="text-sm text-gray-700 space-y-1">
+                  {subscription.items.map(item => (
+                    <li key={item._id}>{item.quantity} × {itemName(item)}</li>
+                  ))}
+                </ul>
+
+                {subscription.upcoming.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                      <Calendar className="w-4 h-4 mr-1 text-green-600" />
+                      Upcoming deliveries
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {subscription.upcoming.map(delivery => (
+                        <button
+                          key={delivery.date}
+                          type="button"
+                          disabled={busy || delivery.skipped === 'Paused'}
+                          onClick={() => toggleSkip(subscription, delivery)}
+                          title={delivery.skipped ? delivery.skipped : 'Click to skip this delivery'}
+                          className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                            delivery.skipped
+                              ? 'border-gray-200 bg-gray-50 text-gray-400 line-through'
+                              : 'border-green-200 bg-green-50 text-green-800 hover:bg-green-100'
+                          }`}
+                        >
+                          {formatDate(delivery.date)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-100">
+                  {subscription.status === 'active' && !subscription.pausedUntil ? (
+                    <button
+                      onClick={() => runAction(subscription, () => subscriptionsApi.pauseSubscription(subscription._id), 'Subscription paused')}
+                      disabled={busy}
+                      className="flex items-center px-4 py-2 text-sm border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <Pause className="w-4 h-4 mr-1" />
+                      Pause
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => runAction(subscription, () => subscriptionsApi.resumeSubscription(subscription._id), 'Subscription resumed')}
+                      disabled={busy}
+                      className="flex items-center px-4 py-2 text-sm bg-green-600 text-white rounded-xl hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <Play className="w-4 h-4 mr-1" />
+                      Resume
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleCancel(subscription)}
+                    disabled={busy}
+                    className="flex items-center px-4 py-2 text-sm text-red-600 border border-red-200 rounded-xl hover:bg-red-50 disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4 mr-1" />
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {isFormOpen && (
+        <SubscriptionForm
+          onClose={() => setIsFormOpen(false)}
+          onSaved={() => {
+            setIsFormOpen(false);
+            loadSubscriptions();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Subscriptions;
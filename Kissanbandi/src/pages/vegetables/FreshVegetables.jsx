@@ -7,10 +7,13 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../checkout/AuthProvider';
 import { toast } from 'react-hot-toast';
 import { usersApi, productsApi } from '../../services/api';
+import VariantSelector from '../../components/products/VariantSelector';
+import { findVariant, withVariant } from '../../components/products/variants';
 
 const FreshVegetables = () => {
   const [products, setProducts] = useState([]);
   const [wishlist, setWishlist] = useState(new Set());
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id -> pack size id
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -239,7 +242,9 @@ const FreshVegetables = () => {
 
         {/* Products Grid */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
-          {products.map((product) => {
+          {products.map((listed) => {
+            // Price, MRP and stock of the chosen pack for products sold in pack sizes
+            const product = withVariant(listed, findVariant(listed, selectedVariants[listed._id]));
             const productStatus = getProductStatus(product);
             const isUnavailable = productStatus.type !== 'available';
             
@@ -317,6 +322,12 @@ const FreshVegetables = () => {
                     </div>
                   )}
 
+                  <VariantSelector
+                    product={listed}
+                    value={product.variant}
+                    onChange={(variant) => setSelectedVariants(prev => ({ ...prev, [listed._id]: variant._id }))}
+                  />
+
                   <div className="flex justify-between items-end">
                     <div className="flex flex-col">
                       <div className={`text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent ${
@@ -324,8 +335,11 @@ const FreshVegetables = () => {
                       }`}>
                         ₹{product.price}
                       </div>
+                      {product.mrp > product.price && (
+                        <span className="text-sm text-gray-400 line-through">₹{product.mrp}</span>
+                      )}
                       <span className="text-sm text-gray-600 font-normal">
-                        /{product.unit}
+                        /{product.packSize || product.unit}
                       </span>
                       {productStatus.type === 'available' && product.stock && (
                         <span className="text-xs text-green-600 font-medium mt-1">
@@ -396,4 +410,4 @@ const FreshVegetables = () => {
   );
 };
 
-export default FreshVegetables;
\ No newline at end of file
+export default FreshVegetables;
\ No newline at end of file
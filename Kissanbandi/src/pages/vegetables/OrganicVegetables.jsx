@@ -7,11 +7,14 @@ import { toast } from 'react-hot-toast';
 import { useCart } from '../checkout/CartContext';
 import { useAuth } from '../checkout/AuthProvider';
 import { usersApi, productsApi } from '../../services/api';
+import VariantSelector from '../../components/products/VariantSelector';
+import { findVariant, withVariant } from '../../components/products/variants';
 import { categories } from '../../data/products';
 
 const OrganicVegetables = ({ showAll = false }) => {
   const [products, setProducts] = useState([]);
   const [wishlist, setWishlist] = useState(new Set());
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id -> pack size id
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -178,7 +181,9 @@ const OrganicVegetables = ({ showAll = false }) => {
       )}
 
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-        {filteredProducts.map(product => {
+        {filteredProducts.map(listed => {
+          // Price and stock of the chosen pack for products sold in pack sizes
+          const product = withVariant(listed, findVariant(listed, selectedVariants[listed._id]));
           const status = getProductStatus(product);
           const unavailable = status.type !== 'available';
           return (
@@ -199,10 +204,21 @@ const OrganicVegetables = ({ showAll = false }) => {
                 <p className="text-sm text-gray-500">{product.description}</p>
               </div>
 
+              <div className="mt-3">
+                <VariantSelector
+                  product={listed}
+                  value={product.variant}
+                  onChange={(variant) => setSelectedVariants(prev => ({ ...prev, [listed._id]: variant._id }))}
+                />
+              </div>
+
               <div className="mt-4 flex items-center justify-between">
                 <div className="text-green-700 font-bold text-lg">
                   ₹{product.price}
-                  <span className="text-sm font-normal text-gray-500"> / {product.unit}</span>
+                  {product.mrp > product.price && (
+                    <span className="ml-1 text-sm font-normal text-gray-400 line-through">₹{product.mrp}</span>
+                  )}
+                  <span className="text-sm font-normal text-gray-500"> / {product.packSize || product.unit}</span>
                 </div>
 
                 {unavailable ? (
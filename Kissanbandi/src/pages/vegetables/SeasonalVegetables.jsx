@@ -7,6 +7,8 @@ import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { categories } from '../../data/products';
 import { usersApi, productsApi } from '../../services/api';
+import VariantSelector from '../../components/products/VariantSelector';
+import { findVariant, withVariant } from '../../components/products/variants';
 import { useAuth } from '../checkout/AuthProvider';
 
 const SeasonalVegetables = ({ showAll = false }) => {
@@ -14,6 +16,7 @@ const SeasonalVegetables = ({ showAll = false }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [wishlist, setWishlist] = useState(new Set());
+  const [selectedVariants, setSelectedVariants] = useState({}); // product id -> pack size id
 
   // Auth context
   const auth = useAuth();
@@ -337,7 +340,9 @@ const SeasonalVegetables = ({ showAll = false }) => {
 
         {/* Products Grid */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
-          {filteredProducts.map((product, index) => {
+          {filteredProducts.map((listed, index) => {
+            // Price, MRP and stock of the chosen pack for products sold in pack sizes
+            const product = withVariant(listed, findVariant(listed, selectedVariants[listed._id]));
             const productStatus = getProductStatus(product);
             const isUnavailable = productStatus.type !== 'available';
             
@@ -398,6 +403,12 @@ const SeasonalVegetables = ({ showAll = false }) => {
                     {product.name}
                   </h3>
 
+                  <VariantSelector
+                    product={listed}
+                    value={product.variant}
+                    onChange={(variant) => setSelectedVariants(prev => ({ ...prev, [listed._id]: variant._id }))}
+                  />
+
                   <div className="flex justify-between items-end">
                     <div className="flex flex-col">
                       <div className={`text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent ${
@@ -405,8 +416,11 @@ const SeasonalVegetables = ({ showAll = false }) => {
                       }`}>
                         ₹{product.price}
                       </div>
+                      {product.mrp > product.price && (
+                        <span className="text-sm text-gray-400 line-through">₹{product.mrp}</span>
+                      )}
                       <span className="text-sm text-gray-600 font-normal">
-                        /{product.unit}
+                        /{product.packSize || product.unit}
                       </span>
                       {productStatus.type === 'available' && product.stock && (
                         <span className="text-xs text-green-600 font-medium mt-1">
@@ -492,4 +506,4 @@ const SeasonalVegetables = ({ showAll = false }) => {
   );
 };
 
-export default SeasonalVegetables;
\ No newline at end of file
+export default SeasonalVegetables;
\ No newline at end of file
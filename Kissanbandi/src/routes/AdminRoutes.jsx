@@ -5,6 +5,14 @@ import ProductsManagement from '../pages/admin/ProductsManagement';
 import Orders from '../pages/admin/AdminOrders';
 import Customers from '../pages/admin/Customers';
 import Analytics from '../pages/admin/Analytics';
+import Coupons from '../pages/admin/Coupons';
+import DeliverySlots from '../pages/admin/DeliverySlots';
+import DeliveryZones from '../pages/admin/DeliveryZones';
+import AdminSubscriptions from '../pages/admin/Subscriptions';
+import Reviews from '../pages/admin/Reviews';
+import Farmers from '../pages/admin/Farmers';
+import SellerListings from '../pages/admin/SellerListings';
+import CreditAccounts from '../pages/admin/CreditAccounts';
 
 const AdminRoutes = () => {
   return (
@@ -14,6 +22,14 @@ const AdminRoutes = () => {
       <Route path="/orders" element={<Orders />} />
       <Route path="/customers" element={<Customers />} />
       <Route path="/analytics" element={<Analytics />} />
+      <Route path="/coupons" element={<Coupons />} />
+      <Route path="/slots" element={<DeliverySlots />} />
+      <Route path="/zones" element={<DeliveryZones />} />
+      <Route path="/subscriptions" element={<AdminSubscriptions />} />
+      <Route path="/reviews" element={<Reviews />} />
+      <Route path="/farmers" element={<Farmers />} />
+      <Route path="/listings" element={<SellerListings />} />
+      <Route path="/credit" element={<CreditAccounts />} />
     </Routes>
   );
 };
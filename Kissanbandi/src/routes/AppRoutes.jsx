@@ -4,6 +4,7 @@ import Layout from '../layouts/Layout';
 import AdminLayout from '../pages/admin/AdminLayout';
 import AdminRoute from '../components/auth/AdminRoute';
 import PrivateRoute from '../components/auth/PrivateRoute';
+import SellerRoute from '../components/auth/SellerRoute';
 
 import Home from '../pages/home/Home';
 import Login from '../pages/auth/Login';
@@ -13,11 +14,18 @@ import ResetPassword from '../pages/auth/ResetPassword';
 import EmailVerification from '../pages/auth/EmailVerification';
 import AdminLogin from '../pages/admin/Login';
 import AdminRoutes from './AdminRoutes';
+import SellerRoutes from './SellerRoutes';
+import SellerLayout from '../pages/seller/SellerLayout';
 import CheckoutPage from '../pages/checkout/CheckoutPage';
+import UnsubscribeReminders from '../pages/checkout/UnsubscribeReminders';
 import SearchResults from '../pages/SearchResults';
 import Profile from '../pages/profile/Profile';
 import Orders from '../pages/orders/Orders';
+import OrderDetails from '../pages/orders/OrderDetails';
 import Wishlist from '../pages/wishlist/Wishlist';
+import Subscriptions from '../pages/subscriptions/Subscriptions';
+import Farmers from '../pages/farmers/Farmers';
+import FarmerProfile from '../pages/farmers/FarmerProfile';
 
 import SeasonalFruits from '../pages/fruits/seasonal';
 import ExoticFruits from '../pages/fruits/ExoticFruits';
@@ -39,6 +47,7 @@ const AppRoutes = () => {
         <Route path="forgot-password" element={<ForgotPassword />} />
         <Route path="reset-password/:token" element={<ResetPassword />} />
         <Route path="verify-email/:token" element={<EmailVerification />} />
+        <Route path="unsubscribe/cart-reminders" element={<UnsubscribeReminders />} />
         <Route path="admin/login" element={<AdminLogin />} />
         <Route path="search" element={<SearchResults />} />
 
@@ -53,6 +62,8 @@ const AppRoutes = () => {
         <Route path="category/vegetables/root-vegetables" element={<RootVegetables/>} />
         <Route path="category/vegetables/fruits-veg" element={<FruitsVeg />} />
         <Route path="products" element={<AllProductsPage />} />
+        <Route path="farmers" element={<Farmers />} />
+        <Route path="farmers/:id" element={<FarmerProfile />} />
         {/* Protected Routes */}
         <Route
           path="profile"
@@ -70,6 +81,14 @@ const AppRoutes = () => {
             </PrivateRoute>
           }
         />
+        <Route
+          path="orders/:id"
+          element={
+            <PrivateRoute>
+              <OrderDetails />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="wishlist"
           element={
@@ -78,6 +97,14 @@ const AppRoutes = () => {
             </PrivateRoute>
           }
         />
+        <Route
+          path="subscriptions"
+          element={
+            <PrivateRoute>
+              <Subscriptions />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="checkout"
           element={
@@ -86,6 +113,16 @@ const AppRoutes = () => {
             </PrivateRoute>
           }
         />
+        <Route
+          path="seller/*"
+          element={
+            <SellerRoute>
+              <SellerLayout>
+                <SellerRoutes />
+              </SellerLayout>
+            </SellerRoute>
+          }
+        />
       </Route>
 
       {/* Admin routes */}
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Routes, Route } from 'react-router-dom';
+import SellerProducts from '../pages/seller/SellerProducts';
+import SellerOrders from '../pages/seller/SellerOrders';
+
+const SellerRoutes = () => {
+  return (
+    <Routes>
+      <Route path="/" element={<SellerProducts />} />
+      <Route path="/orders" element={<SellerOrders />} />
+    </Routes>
+  );
+};
+
+export default SellerRoutes;
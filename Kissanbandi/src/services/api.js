@@ -157,6 +157,46 @@ export const productsApi = {
     const response = await api.delete(`/products/${id}`);
     return response.data;
   },
+
+  // Set stock by hand (admin only); `reason` is manual_adjust or wastage
+  updateStock: async (id, stockData) => {
+    const response = await api.patch(`/products/${id}/stock`, stockData);
+    return response.data;
+  },
+
+  // Stock movement ledger of one product (admin only)
+  getStockMovements: async (id, params = {}) => {
+    const response = await api.get(`/products/${id}/movements`, { params });
+    return response.data;
+  },
+  getLowStockProducts: async (params = {}) => {
+    const response = await api.get('/products/low-stock', { params });
+    return response.data;
+  },
+  getBatches: async (id, params = {}) => {
+    const response = await api.get(`/products/${id}/batches`, { params });
+    return response.data;
+  },
+  receiveBatch: async (id, batchData) => {
+    const response = await api.post(`/products/${id}/batches`, batchData);
+    return response.data;
+  },
+  writeOffBatch: async (id, batchId, data = {}) => {
+    const response = await api.post(`/products/${id}/batches/${batchId}/write-off`, data);
+    return response.data;
+  },
+
+  // Seller listings by approval status (admin only)
+  getListings: async (params = {}) => {
+    const response = await api.get('/products/listings', { params });
+    return response.data;
+  },
+
+  // Approve or reject a seller listing (admin only)
+  reviewListing: async (id, review) => {
+    const response = await api.patch(`/products/${id}/approval`, review);
+    return response.data;
+  },
     InactiveProduct: async (id) => {
       const response = await api.patch(`/products/${id}/inactive`);
       return response.data;
@@ -371,6 +411,28 @@ export const ordersApi = {
     return response.data;
   },
 
+  // Server-side price breakdown (delivery fee, discounts, tax) for a cart
+  quoteOrder: async (quoteData) => {
+    const response = await api.post('/orders/quote', quoteData);
+    return response.data;
+  },
+
+  // Save the GST invoice PDF of a delivered order
+  downloadInvoice: async (orderId) => {
+    const response = await api.get(`/orders/${orderId}/invoice`, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `invoice-${orderId}.pdf`;
+
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  },
+
 createRazorpayOrder: async (data, token) => {
   const response = await api.post('/orders/razorpay/create', data, {
     headers: {
@@ -387,10 +449,377 @@ verifyPayment: async (data, token) => {
     }
   });
   return response.data;
-}
+},
+
+  // Refund ledger and refundable balance (admin only)
+  getOrderRefunds: async (orderId) => {
+    const response = await api.get(`/orders/transactions/${orderId}/refunds`);
+    return response.data;
+  },
+
+  // Full or line-item refund (admin only)
+  processRefund: async (orderId, refundData) => {
+    const response = await api.post(`/orders/transactions/${orderId}/refund`, refundData);
+    return response.data;
+  },
+
+  // Record weighed quantities and settle the difference (admin only)
+  packOrder: async (orderId, packingData) => {
+    const response = await api.post(`/orders/${orderId}/pack`, packingData);
+    return response.data;
+  },
+
+  // Courier, ETA, tracking events and proof of delivery; null before the
+  // first update
+  getShipment: async (orderId) => {
+    const response = await api.get(`/orders/${orderId}/shipment`);
+    return response.data;
+  },
+
+  // Set the courier, agent, tracking number and ETA (admin only)
+  updateShipment: async (orderId, details) => {
+    const response = await api.put(`/orders/${orderId}/shipment`, details);
+    return response.data;
+  },
+
+  // Add a tracking event; returns the shipment and the updated order (admin only)
+  addShipmentEvent: async (orderId, event) => {
+    const response = await api.post(`/orders/${orderId}/shipment/events`, event);
+    return response.data;
+  }
+};
+
+// Coupons API
+export const couponsApi = {
+  // Check a code against the cart; returns the coupon and discounted quote
+  validateCoupon: async (data) => {
+    const response = await api.post('/coupons/validate', data);
+    return response.data;
+  },
+
+  getAllCoupons: async (params = {}) => {
+    const response = await api.get('/coupons', { params });
+    return response.data;
+  },
+
+  getCoupon: async (couponId) => {
+    const response = await api.get(`/coupons/${couponId}`);
+    return response.data;
+  },
+
+  createCoupon: async (couponData) => {
+    const response = await api.post('/coupons', couponData);
+    return response.data;
+  },
+
+  updateCoupon: async (couponId, couponData) => {
+    const response = await api.put(`/coupons/${couponId}`, couponData);
+    return response.data;
+  },
+
+  deleteCoupon: async (couponId) => {
+    const response = await api.delete(`/coupons/${couponId}`);
+    return response.data;
+  }
+};
+
+// Delivery slots API
+export const slotsApi = {
+  // Bookable days and slots for a pincode
+  getAvailableSlots: async (pincode) => {
+    const response = await api.get('/slots/available', { params: { pincode } });
+    return response.data;
+  },
+
+  getSlots: async () => {
+    const response = await api.get('/slots');
+    return response.data;
+  },
+
+  createSlot: async (slotData) => {
+    const response = await api.post('/slots', slotData);
+    return response.data;
+  },
+
+  updateSlot: async (slotId, slotData) => {
+    const response = await api.put(`/slots/${slotId}`, slotData);
+    return response.data;
+  },
+
+  deleteSlot: async (slotId) => {
+    const response = await api.delete(`/slots/${slotId}`);
+    return response.data;
+  },
+
+  getHolidays: async () => {
+    const response = await api.get('/slots/holidays');
+    return response.data;
+  },
+
+  createHoliday: async (holidayData) => {
+    const response = await api.post('/slots/holidays', holidayData);
+    return response.data;
+  },
+
+  deleteHoliday: async (holidayId) => {
+    const response = await api.delete(`/slots/holidays/${holidayId}`);
+    return response.data;
+  },
+
+  // Orders grouped by slot for one date (YYYY-MM-DD)
+  getSlotOrders: async (date) => {
+    const response = await api.get('/slots/orders', { params: { date } });
+    return response.data;
+  }
+};
+
+// Delivery zones API
+export const zonesApi = {
+  // Whether we deliver to a pincode, and the zone's charges if so
+  checkPincode: async (pincode) => {
+    const response = await api.get(`/zones/check/${pincode}`);
+    return response.data;
+  },
+
+  getZones: async () => {
+    const response = await api.get('/zones');
+    return response.data;
+  },
+
+  createZone: async (zoneData) => {
+    const response = await api.post('/zones', zoneData);
+    return response.data;
+  },
+
+  updateZone: async (zoneId, zoneData) => {
+    const response = await api.put(`/zones/${zoneId}`, zoneData);
+    return response.data;
+  },
+
+  deleteZone: async (zoneId) => {
+    const response = await api.delete(`/zones/${zoneId}`);
+    return response.data;
+  }
 };
 
 // Users API
+export const subscriptionsApi = {
+  getMySubscriptions: async () => {
+    const response = await api.get('/subscriptions/my');
+    return response.data;
+  },
+
+  createSubscription: async (subscriptionData) => {
+    const response = await api.post('/subscriptions', subscriptionData);
+    return response.data;
+  },
+
+  updateSubscription: async (subscriptionId, subscriptionData) => {
+    const response = await api.put(`/subscriptions/${subscriptionId}`, subscriptionData);
+    return response.data;
+  },
+
+  // Pause until a date (YYYY-MM-DD), or until resumed when no date is given
+  pauseSubscription: async (subscriptionId, until) => {
+    const response = await api.post(`/subscriptions/${subscriptionId}/pause`, { until });
+    return response.data;
+  },
+
+  resumeSubscription: async (subscriptionId) => {
+    const response = await api.post(`/subscriptions/${subscriptionId}/resume`);
+    return response.data;
+  },
+
+  skipDelivery: async (subscriptionId, date) => {
+    const response = await api.post(`/subscriptions/${subscriptionId}/skip`, { date });
+    return response.data;
+  },
+
+  unskipDelivery: async (subscriptionId, date) => {
+    const response = await api.delete(`/subscriptions/${subscriptionId}/skip/${date}`);
+    return response.data;
+  },
+
+  cancelSubscription: async (subscriptionId) => {
+    const response = await api.post(`/subscriptions/${subscriptionId}/cancel`);
+    return response.data;
+  },
+
+  // Admin: every subscription, optionally filtered by status
+  getAllSubscriptions: async (params = {}) => {
+    const response = await api.get('/subscriptions', { params });
+    return response.data;
+  }
+};
+
+export const reviewsApi = {
+  // Approved reviews with the product's rating summary
+  getProductReviews: async (productId, params = {}) => {
+    const response = await api.get(`/reviews/product/${productId}`, { params });
+    return response.data;
+  },
+
+  // Whether the current user can review the product, and their review if any
+  getMyReview: async (productId) => {
+    const response = await api.get(`/reviews/product/${productId}/mine`);
+    return response.data;
+  },
+
+  submitReview: async (productId, reviewData) => {
+    const response = await api.post(`/reviews/product/${productId}`, reviewData);
+    return response.data;
+  },
+
+  deleteReview: async (reviewId) => {
+    const response = await api.delete(`/reviews/${reviewId}`);
+    return response.data;
+  },
+
+  // Admin: reviews to moderate, pending ones by default
+  getAllReviews: async (params = {}) => {
+    const response = await api.get('/reviews', { params });
+    return response.data;
+  },
+
+  moderateReview: async (reviewId, status, note) => {
+    const response = await api.patch(`/reviews/${reviewId}/moderate`, { status, note });
+    return response.data;
+  }
+};
+
+export const farmersApi = {
+  // Active farmers for the public directory
+  getFarmers: async () => {
+    const response = await api.get('/farmers');
+    return response.data;
+  },
+
+  // Public profile with the farmer's produce
+  getFarmer: async (farmerId) => {
+    const response = await api.get(`/farmers/${farmerId}`);
+    return response.data;
+  },
+
+  // Admin: every farmer with contact and bank details
+  getAllFarmers: async (params = {}) => {
+    const response = await api.get('/farmers/admin', { params });
+    return response.data;
+  },
+
+  createFarmer: async (farmerData) => {
+    const response = await api.post('/farmers', farmerData);
+    return response.data;
+  },
+
+  updateFarmer: async (farmerId, farmerData) => {
+    const response = await api.put(`/farmers/${farmerId}`, farmerData);
+    return response.data;
+  },
+
+  deleteFarmer: async (farmerId) => {
+    const response = await api.delete(`/farmers/${farmerId}`);
+    return response.data;
+  },
+
+  // Admin: sales of the farmer's produce, optionally between from and to
+  getFarmerSales: async (farmerId, params = {}) => {
+    const response = await api.get(`/farmers/${farmerId}/sales`, { params });
+    return response.data;
+  }
+};
+
+export const sellerApi = {
+  // The signed-in seller's own products
+  getProducts: async (params = {}) => {
+    const response = await api.get('/seller/products', { params });
+    return response.data;
+  },
+
+  // Orders with the seller's products, only their lines
+  getOrders: async (params = {}) => {
+    const response = await api.get('/seller/orders', { params });
+    return response.data;
+  },
+
+  markLinePacked: async (orderId, itemId) => {
+    const response = await api.patch(`/seller/orders/${orderId}/items/${itemId}/packed`);
+    return response.data;
+  }
+};
+
+export const creditApi = {
+  // The signed-in business buyer's credit limit, terms and balance
+  getAccount: async () => {
+    const response = await api.get('/credit/account');
+    return response.data;
+  },
+
+  // Charges and payments between optional `from` and `to` dates
+  getStatement: async (params = {}) => {
+    const response = await api.get('/credit/statement', { params });
+    return response.data;
+  },
+
+  // Admin: business accounts with their credit and balances
+  getAccounts: async (params = {}) => {
+    const response = await api.get('/credit/accounts', { params });
+    return response.data;
+  },
+
+  updateAccount: async (userId, terms) => {
+    const response = await api.put(`/credit/accounts/${userId}`, terms);
+    return response.data;
+  },
+
+  getAccountStatement: async (userId, params = {}) => {
+    const response = await api.get(`/credit/accounts/${userId}/statement`, { params });
+    return response.data;
+  },
+
+  // Admin: record money received from a business account
+  recordPayment: async (userId, payment) => {
+    const response = await api.post(`/credit/accounts/${userId}/payments`, payment);
+    return response.data;
+  }
+};
+
+export const cartApi = {
+  // The signed-in customer's saved cart with its products
+  getCart: async () => {
+    const response = await api.get('/cart');
+    return response.data;
+  },
+
+  // Replace the saved cart with `items`: [{ product, variant, quantity }]
+  saveCart: async (items) => {
+    const response = await api.put('/cart', { items });
+    return response.data;
+  },
+
+  // Merge the cart kept while signed out into the saved cart
+  mergeCart: async (items) => {
+    const response = await api.post('/cart/merge', { items });
+    return response.data;
+  },
+
+  clearCart: async () => {
+    const response = await api.delete('/cart');
+    return response.data;
+  },
+
+  // Check lines against live prices, stock and what is still on sale
+  validateCart: async (items) => {
+    const response = await api.post('/cart/validate', { items });
+    return response.data;
+  },
+
+  // Turn off abandoned-cart reminders from the link in the email
+  unsubscribeReminders: async (user, token) => {
+    const response = await api.post('/cart/reminders/unsubscribe', { user, token });
+    return response.data;
+  }
+};
+
 export const usersApi = {
   getAllCustomers: async () => {
     const response = await api.get('/users');
@@ -430,6 +859,27 @@ export const usersApi = {
   removeFromWishlist: async (productId) => {
     const response = await api.delete(`/users/wishlist/${productId}`);
     return response.data;
+  },
+
+  // Address book; each call returns the full list
+  getAddresses: async () => {
+    const response = await api.get('/users/addresses');
+    return response.data;
+  },
+
+  addAddress: async (addressData) => {
+    const response = await api.post('/users/addresses', addressData);
+    return response.data;
+  },
+
+  updateAddress: async (addressId, addressData) => {
+    const response = await api.put(`/users/addresses/${addressId}`, addressData);
+    return response.data;
+  },
+
+  deleteAddress: async (addressId) => {
+    const response = await api.delete(`/users/addresses/${addressId}`);
+    return response.data;
   }
 };
 